@@ -20,6 +20,31 @@ async function isMusicAppRunning() {
   }
 }
 
+/**
+ * Converts an AppleScript duration in seconds to milliseconds
+ * AppleScript formats reals with the user's decimal separator, e.g. "215,5"
+ * @param {string} value - Duration as printed by osascript
+ * @returns {number|null} - Duration in milliseconds, or null if unknown
+ */
+function parseDurationSeconds(value) {
+  const seconds = parseFloat(String(value || '').trim().replace(',', '.'));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : null;
+}
+
+/**
+ * Reads the explicit flag printed by the track script
+ * Not every version of the Music app exposes a content rating to AppleScript, so
+ * the script prints an empty field when it can't be read.
+ * @param {string} value - Flag as printed by osascript
+ * @returns {boolean|null} - True if explicit, false if clean, null if unknown
+ */
+function parseContentRating(value) {
+  const rating = String(value || '').trim().toLowerCase();
+  if (rating === 'true') return true;
+  if (rating === 'false') return false;
+  return null;
+}
+
 /**
  * Gets the currently playing track from Apple Music
  * @returns {Promise<Object|null>} - Track info or null if not playing
@@ -51,23 +76,37 @@ async function getCurrentlyPlaying() {
       return null;
     }
 
-    // Get current track info
+    // Get current track info, one field per line so names containing "|" survive
     const trackInfoScript = `
       tell application "Music"
         set currentTrack to current track
         set trackArtist to artist of currentTrack
         set trackName to name of currentTrack
-        return trackArtist & "|" & trackName
+        set trackAlbum to album of currentTrack
+        set trackComposer to composer of currentTrack
+        set trackDuration to ""
+        try
+          set trackDuration to (duration of currentTrack) as text
+        end try
+        set trackExplicit to ""
+        try
+          set trackExplicit to (explicit of currentTrack) as text
+        end try
+        return trackArtist & linefeed & trackName & linefeed & trackAlbum & linefeed & trackComposer & linefeed & trackDuration & linefeed & trackExplicit
       end tell
     `;
 
     const { stdout: trackOutput } = await execAsync(`osascript -e '${trackInfoScript}'`);
-    const parts = trackOutput.trim().split('|');
+    const parts = trackOutput.replace(/\r?\n$/, '').split(/\r?\n/);
     
-    if (parts.length === 2) {
+    if (parts.length >= 2 && parts[1].trim().length > 0) {
       const trackInfo = {
         artist: parts[0].trim(),
         track: parts[1].trim(),
+        album: (parts[2] || '').trim(),
+        composer: (parts[3] || '').trim(),
+        durationMs: parseDurationSeconds(parts[4]),
+        explicit: parseContentRating(parts[5]),
         isPlaying: true
       };
       console.log(`Apple Music playing: ${trackInfo.artist} — ${trackInfo.track}`);
@@ -108,6 +147,8 @@ async function skipToNext() {
 }
 
 module.exports = {
+  parseDurationSeconds,
+  parseContentRating,
   getCurrentlyPlaying,
   skipToNext,
   isMusicAppRunning
@@ -2,8 +2,57 @@
  * Blocklist helper functions for normalizing and matching artist names and tracks
  */
 
+const { sanitizeSchedule, isScheduleActive, getNextScheduleChange } = require('./schedule');
+const { sanitizeFuzzyThreshold, fuzzyMatch } = require('./fuzzy');
+
+// Quote and dash variants folded to their ASCII equivalents
+const PUNCTUATION_FOLDS = {
+  '\u2018': "'", '\u2019': "'", '\u201A': "'", '\u201B': "'", '\u2032': "'", '\u00B4': "'", '\u0060': "'",
+  '\u201C': '"', '\u201D': '"', '\u201E': '"', '\u201F': '"', '\u2033': '"', '\u00AB': '"', '\u00BB': '"',
+  '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-', '\u2212': '-',
+  // Letters that have no Unicode decomposition
+  '\u00DF': 'ss', '\u00E6': 'ae', '\u00C6': 'AE', '\u0153': 'oe', '\u0152': 'OE',
+  '\u00F8': 'o', '\u00D8': 'O', '\u0111': 'd', '\u0110': 'D', '\u0142': 'l', '\u0141': 'L', '\u0131': 'i'
+};
+
+// Cyrillic and Greek letters that look identical to Latin ones
+const CONFUSABLE_FOLDS = {
+  '\u0430': 'a', '\u0410': 'A', '\u0432': 'b', '\u0412': 'B', '\u0435': 'e', '\u0415': 'E',
+  '\u043A': 'k', '\u041A': 'K', '\u043C': 'm', '\u041C': 'M', '\u043D': 'h', '\u041D': 'H',
+  '\u043E': 'o', '\u041E': 'O', '\u0440': 'p', '\u0420': 'P', '\u0441': 'c', '\u0421': 'C',
+  '\u0442': 't', '\u0422': 'T', '\u0443': 'y', '\u0423': 'Y', '\u0445': 'x', '\u0425': 'X',
+  '\u0456': 'i', '\u0406': 'I', '\u0458': 'j', '\u0408': 'J', '\u0455': 's', '\u0405': 'S',
+  '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I',
+  '\u039A': 'K', '\u039C': 'M', '\u039D': 'N', '\u039F': 'O', '\u03BF': 'o', '\u03A1': 'P',
+  '\u03A4': 'T', '\u03A5': 'Y', '\u03A7': 'X', '\u03B9': 'i', '\u03BA': 'k', '\u03C1': 'p'
+};
+
+/**
+ * Folds Unicode variants without changing case
+ * Applies compatibility normalization (full-width, ligatures), strips diacritics,
+ * folds quote/dash variants, and maps Cyrillic/Greek look-alikes inside words that
+ * also contain Latin letters (so names written entirely in those scripts are kept)
+ * @param {string} str - The string to fold
+ * @returns {string} - Folded string
+ */
+function foldText(str) {
+  if (typeof str !== 'string') {
+    return '';
+  }
+  const stripped = str
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC');
+  const folded = Array.from(stripped, ch => PUNCTUATION_FOLDS[ch] || ch).join('');
+  return folded.replace(/\S+/g, word => /[A-Za-z]/.test(word)
+    ? Array.from(word, ch => CONFUSABLE_FOLDS[ch] || ch).join('')
+    : word);
+}
+
 /**
- * Normalizes a string by trimming whitespace, converting to lowercase, and collapsing whitespace
+ * Normalizes a string for matching: Unicode folding (see foldText), lowercasing,
+ * trimming and collapsing whitespace. Stored entries are saved normalized, so a
+ * change here needs a settings migration that re-normalizes them (see settingsSchema.js).
  * @param {string} str - The string to normalize
  * @returns {string} - Normalized string
  */
@@ -11,32 +60,279 @@ function normalize(str) {
   if (typeof str !== 'string') {
     return '';
   }
-  return str.trim().toLowerCase().replace(/\s+/g, ' ');
+  return foldText(str.toLowerCase()).toLowerCase().trim().replace(/\s+/g, ' ');
 }
 
 // Keep normalizeName for backwards compatibility
 const normalizeName = normalize;
 
+/**
+ * Gets the primary name of an artist entry
+ * Entries are either a name string or an alias group {name, aliases}
+ * @param {string|{name: string, aliases?: Array<string>}} entry - Artist entry
+ * @returns {string} - Primary name ('' for invalid entries)
+ */
+function getArtistEntryName(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  if (entry && typeof entry === 'object' && typeof entry.name === 'string') {
+    return entry.name;
+  }
+  return '';
+}
+
+/**
+ * Gets the schedule attached to a rule entry
+ * @param {*} entry - Artist, track, pattern or exception entry
+ * @returns {Object|null} - The entry's schedule, or null if it is always active
+ */
+function getEntrySchedule(entry) {
+  return entry && typeof entry === 'object' && entry.schedule ? entry.schedule : null;
+}
+
+/**
+ * Gets when a temporary rule entry expires
+ * @param {*} entry - Artist, track or pattern entry
+ * @returns {number|null} - Expiry time in ms since the epoch, or null for permanent entries
+ */
+function getEntryExpiry(entry) {
+  return entry && typeof entry === 'object' ? sanitizeExpiry(entry.expiresAt) : null;
+}
+
+/**
+ * Gets the fuzzy matching threshold of an artist or track entry
+ * @param {*} entry - Artist or track entry
+ * @returns {number|null} - Lowest similarity the entry accepts, or null if it only matches exactly
+ */
+function getEntryFuzzy(entry) {
+  return entry && typeof entry === 'object' ? sanitizeFuzzyThreshold(entry.fuzzy) : null;
+}
+
+/**
+ * Checks whether a rule entry is in dry-run mode
+ * Dry-run rules are evaluated and reported but never skip a track.
+ * @param {*} entry - Artist, track, pattern or composite rule entry
+ * @returns {boolean} - True if the entry only reports what it would skip
+ */
+function getEntryDryRun(entry) {
+  return Boolean(entry && typeof entry === 'object' && entry.dryRun === true);
+}
+
+/**
+ * Normalizes an expiry timestamp
+ * @param {*} value - Expiry time in ms since the epoch
+ * @returns {number|null} - Whole positive timestamp, or null if missing or invalid
+ */
+function sanitizeExpiry(value) {
+  const timestamp = Math.floor(Number(value));
+  return value !== null && value !== undefined && Number.isFinite(timestamp) && timestamp > 0 ? timestamp : null;
+}
+
+/**
+ * Checks whether a temporary rule entry has expired
+ * @param {*} entry - Artist, track or pattern entry
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} - True if the entry has an expiry at or before now
+ */
+function isEntryExpired(entry, now = Date.now()) {
+  const expiresAt = getEntryExpiry(entry);
+  return expiresAt !== null && expiresAt <= now;
+}
+
+/**
+ * Checks whether a rule entry applies at a given time (scheduled on and not expired)
+ * @param {*} entry - Rule entry
+ * @param {Date} now - Time to check
+ * @returns {boolean} - True if the entry is active
+ */
+function isEntryActive(entry, now) {
+  return !isEntryExpired(entry, now.getTime()) && isScheduleActive(getEntrySchedule(entry), now);
+}
+
+/**
+ * Returns a copy of a rule entry with one option set or removed
+ * Plain artist names and pattern strings become objects while they carry an
+ * option and go back to strings once they have none left.
+ * @param {"artists" | "tracks" | "patterns" | "exceptions"} list - List the entry belongs to
+ * @param {*} entry - The entry
+ * @param {"schedule" | "expiresAt" | "fuzzy" | "dryRun"} key - Option to set
+ * @param {*} value - Sanitized value (null removes the option)
+ * @returns {*} - Updated entry
+ */
+function setEntryOption(list, entry, key, value) {
+  let base;
+  if (list === 'artists' && typeof entry === 'string') {
+    base = { name: entry };
+  } else if (list === 'patterns' && typeof entry === 'string') {
+    base = { pattern: entry };
+  } else {
+    base = { ...entry };
+  }
+  delete base[key];
+  if (value !== null) {
+    return { ...base, [key]: value };
+  }
+  const hasOptions = base.schedule !== undefined || base.expiresAt !== undefined || base.fuzzy !== undefined || base.dryRun !== undefined;
+  if (list === 'patterns' && !hasOptions) {
+    return base.pattern;
+  }
+  if (list === 'artists' && !hasOptions && !(Array.isArray(base.aliases) && base.aliases.length > 0)) {
+    return base.name;
+  }
+  return base;
+}
+
+/**
+ * Returns a copy of a rule entry with a schedule attached or removed
+ * @param {"artists" | "tracks" | "patterns" | "exceptions"} list - List the entry belongs to
+ * @param {*} entry - The entry
+ * @param {Object|null} schedule - Schedule to attach (null removes it)
+ * @returns {*} - Updated entry
+ */
+function setEntrySchedule(list, entry, schedule) {
+  return setEntryOption(list, entry, 'schedule', sanitizeSchedule(schedule));
+}
+
+/**
+ * Returns a copy of a rule entry that expires at the given time, or never
+ * @param {"artists" | "tracks" | "patterns"} list - List the entry belongs to
+ * @param {*} entry - The entry
+ * @param {number|null} expiresAt - Expiry time in ms since the epoch (null makes it permanent)
+ * @returns {*} - Updated entry
+ */
+function setEntryExpiry(list, entry, expiresAt) {
+  return setEntryOption(list, entry, 'expiresAt', sanitizeExpiry(expiresAt));
+}
+
+/**
+ * Returns a copy of an artist or track entry that matches fuzzily, or only exactly
+ * @param {"artists" | "tracks"} list - List the entry belongs to
+ * @param {*} entry - The entry
+ * @param {number|boolean|null} threshold - Lowest similarity to accept (true for the default, null for exact matching)
+ * @returns {*} - Updated entry
+ */
+function setEntryFuzzy(list, entry, threshold) {
+  return setEntryOption(list, entry, 'fuzzy', sanitizeFuzzyThreshold(threshold));
+}
+
+/**
+ * Returns a copy of a rule entry in dry-run mode, or back to skipping tracks
+ * @param {"artists" | "tracks" | "patterns" | "rules"} list - List the entry belongs to
+ * @param {*} entry - The entry
+ * @param {boolean} dryRun - True to only report matches
+ * @returns {*} - Updated entry
+ */
+function setEntryDryRun(list, entry, dryRun) {
+  return setEntryOption(list, entry, 'dryRun', dryRun === true ? true : null);
+}
+
+/**
+ * Gets every normalized name an artist entry answers to (primary name plus aliases)
+ * @param {string|{name: string, aliases?: Array<string>}} entry - Artist entry
+ * @returns {Array<string>} - Normalized names
+ */
+function getArtistEntryNames(entry) {
+  const names = [normalize(getArtistEntryName(entry))];
+  if (entry && typeof entry === 'object' && Array.isArray(entry.aliases)) {
+    names.push(...entry.aliases.map(normalize));
+  }
+  return names.filter(name => name.length > 0);
+}
+
 /**
  * Sanitizes a blocklist array by removing blanks and deduplicating
- * @param {Array<string>} list - Array of artist names
- * @returns {Array<string>} - Sanitized array
+ * Entries are name strings or objects ({name, aliases?, schedule?, expiresAt?, fuzzy?, dryRun?});
+ * objects with no aliases, schedule, expiry, fuzzy threshold or dry-run flag collapse
+ * back to plain strings. Duplicate names merge their aliases, keep the first schedule and
+ * fuzzy threshold and keep the latest expiry (a permanent entry wins over temporary ones);
+ * they stay in dry-run mode only if every duplicate is
+ * @param {Array<string|{name: string, aliases?: Array<string>, schedule?: Object, expiresAt?: number, fuzzy?: number|boolean, dryRun?: boolean}>} list - Array of artist entries
+ * @returns {Array<string|{name: string, aliases?: Array<string>, schedule?: Object, expiresAt?: number, fuzzy?: number, dryRun?: true}>} - Sanitized array
  */
 function sanitizeBlockedList(list) {
   if (!Array.isArray(list)) {
     return [];
   }
-  const normalized = list
-    .map(normalize)
-    .filter(name => name.length > 0);
-  return [...new Set(normalized)]; // Remove duplicates
+  const byName = new Map();
+  for (const entry of list) {
+    const name = normalize(getArtistEntryName(entry));
+    if (name.length === 0) {
+      continue;
+    }
+    const expiresAt = getEntryExpiry(entry);
+    if (!byName.has(name)) {
+      byName.set(name, { aliases: new Set(), schedule: null, expiresAt, fuzzy: null, dryRun: true });
+    }
+    const merged = byName.get(name);
+    merged.dryRun = merged.dryRun && getEntryDryRun(entry);
+    if (merged.expiresAt !== null) {
+      merged.expiresAt = expiresAt === null ? null : Math.max(merged.expiresAt, expiresAt);
+    }
+    for (const alias of getArtistEntryNames(entry).slice(1)) {
+      if (alias !== name) {
+        merged.aliases.add(alias);
+      }
+    }
+    if (!merged.schedule) {
+      merged.schedule = sanitizeSchedule(getEntrySchedule(entry));
+    }
+    if (merged.fuzzy === null) {
+      merged.fuzzy = getEntryFuzzy(entry);
+    }
+  }
+  return [...byName].map(([name, { aliases, schedule, expiresAt, fuzzy, dryRun }]) => {
+    if (aliases.size === 0 && !schedule && expiresAt === null && fuzzy === null && !dryRun) {
+      return name;
+    }
+    return {
+      name,
+      ...(aliases.size > 0 && { aliases: [...aliases] }),
+      ...(schedule && { schedule }),
+      ...(expiresAt !== null && { expiresAt }),
+      ...(fuzzy !== null && { fuzzy }),
+      ...(dryRun && { dryRun: true })
+    };
+  });
+}
+
+// Words that mark a bracketed or dashed title suffix as a version of the same song
+const VERSION_KEYWORDS = /\b(?:version|remaster(?:ed)?|re-?recorded|edit|mix|remix|live|acoustic|demo|mono|stereo|deluxe|explicit|clean|instrumental|extended|radio|single|bonus|anniversary|feat\.?|ft\.?|featuring|with)\b/;
+const BRACKETED_SUFFIX = /\s*[([]([^)\]]*)[)\]]\s*$/;
+const DASHED_SUFFIX = /\s+-\s+([^-]*)$/;
+
+/**
+ * Reduces a track title to its canonical form by stripping version suffixes
+ * (e.g., "Love Story (Taylor's Version)", "Love Story - Remastered 2019" and
+ * "Love Story [Radio Edit]" all become "love story")
+ * @param {string} title - Track title
+ * @returns {string} - Normalized title without version, remaster, edit or feat suffixes
+ */
+function canonicalizeTitle(title) {
+  let canonical = normalize(title);
+  let previous;
+  do {
+    previous = canonical;
+    for (const suffix of [BRACKETED_SUFFIX, DASHED_SUFFIX]) {
+      const match = suffix.exec(canonical);
+      if (match && VERSION_KEYWORDS.test(match[1]) && match.index > 0) {
+        canonical = canonical.slice(0, match.index).trim();
+      }
+    }
+  } while (canonical !== previous);
+  return canonical;
 }
 
 /**
  * Sanitizes a blocked tracks array by removing invalid entries and deduplicating
- * Artist is optional - if empty or missing, track will match any artist
- * @param {Array<{artist?: string, track: string}>} list - Array of track objects
- * @returns {Array<{artist?: string, track: string}>} - Sanitized array
+ * Artist is optional - if empty or missing, track will match any artist.
+ * allVersions entries match every version of the title (see canonicalizeTitle);
+ * without it only that exact version is blocked. Entries may carry a schedule,
+ * an expiry, a fuzzy threshold and a dry-run flag; of two otherwise identical entries the first is kept,
+ * with the latest expiry (a permanent entry wins over temporary ones). As for
+ * artists, a duplicate stays in dry-run mode only if every copy is.
+ * @param {Array<{artist?: string, track: string, allVersions?: boolean, schedule?: Object, expiresAt?: number, fuzzy?: number|boolean, dryRun?: boolean}>} list - Array of track objects
+ * @returns {Array<{artist?: string, track: string, allVersions?: boolean, schedule?: Object, expiresAt?: number, fuzzy?: number, dryRun?: true}>} - Sanitized array
  */
 function sanitizeBlockedTracks(list) {
   if (!Array.isArray(list)) {
@@ -50,62 +346,476 @@ function sanitizeBlockedTracks(list) {
       const artist = item.artist && item.artist.trim().length > 0 
         ? normalize(item.artist) 
         : undefined;
-      return { track, ...(artist !== undefined && { artist }) };
+      const schedule = sanitizeSchedule(item.schedule);
+      const expiresAt = sanitizeExpiry(item.expiresAt);
+      const fuzzy = getEntryFuzzy(item);
+      return {
+        track,
+        ...(artist !== undefined && { artist }),
+        ...(item.allVersions === true && { allVersions: true }),
+        ...(schedule && { schedule }),
+        ...(expiresAt !== null && { expiresAt }),
+        ...(fuzzy !== null && { fuzzy }),
+        ...(getEntryDryRun(item) && { dryRun: true })
+      };
     })
     .filter(item => item.track.length > 0);
   
-  // Remove duplicates by stringifying and using Set
-  const seen = new Set();
+  // Remove duplicates by stringifying and using a Map, keeping the latest expiry and any live duplicate
+  const seen = new Map();
   return valid.filter(item => {
     // Use empty string for artist if undefined
     const artistKey = item.artist || '';
-    const key = `${artistKey}|||${item.track}`;
-    if (seen.has(key)) {
+    const key = `${artistKey}|||${item.track}|||${item.allVersions ? 'all' : 'exact'}|||${JSON.stringify(item.schedule || null)}`;
+    const kept = seen.get(key);
+    if (kept) {
+      if (kept.expiresAt !== undefined) {
+        if (item.expiresAt === undefined) {
+          delete kept.expiresAt;
+        } else {
+          kept.expiresAt = Math.max(kept.expiresAt, item.expiresAt);
+        }
+      }
+      if (!item.dryRun) {
+        delete kept.dryRun;
+      }
       return false;
     }
-    seen.add(key);
+    seen.set(key, item);
     return true;
   });
 }
 
+// Regex patterns are written as /source/flags, e.g. "/\(live( at .*)?\)/i"
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/s;
+const ALLOWED_REGEX_FLAGS = 'imsu';
+const MAX_REGEX_LENGTH = 200;
+
+// Fields a pattern can be scoped to with a "field:" prefix, e.g. "artist:*tribute*"
+const PATTERN_FIELDS = ['track', 'artist', 'album', 'composer'];
+const DEFAULT_PATTERN_FIELD = 'track';
+const PATTERN_FIELD_PREFIX = new RegExp(`^(${PATTERN_FIELDS.join('|')}):\\s*(.*)$`, 'is');
+
+// Compiled regex cache, keyed by the pattern body
+const regexCache = new Map();
+
+/**
+ * Splits a pattern into the field it applies to and the pattern body
+ * Patterns without a known "field:" prefix apply to the track title
+ * @param {string} pattern - Pattern string (e.g., "album:*christmas*", "*live")
+ * @returns {{field: "track" | "artist" | "album" | "composer", body: string}} - Field and pattern body
+ */
+function parsePatternField(pattern) {
+  const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+  const match = PATTERN_FIELD_PREFIX.exec(trimmed);
+  if (match) {
+    return { field: match[1].toLowerCase(), body: match[2].trim() };
+  }
+  return { field: DEFAULT_PATTERN_FIELD, body: trimmed };
+}
+
+/**
+ * Checks whether a pattern string uses the regex syntax (/source/flags)
+ * @param {string} pattern - Pattern string, optionally field-scoped
+ * @returns {boolean} - True if the pattern is a regex pattern
+ */
+function isRegexPattern(pattern) {
+  return typeof pattern === 'string' && REGEX_PATTERN.test(parsePatternField(pattern).body);
+}
+
+/**
+ * Reads a quantifier starting at the given index
+ * Only counts quantifiers that can repeat more than once (*, +, {n,}, {n,m} with m > 1)
+ * @param {string} source - Regex source
+ * @param {number} index - Index to read from
+ * @returns {boolean} - True if a repeating quantifier starts at index
+ */
+function isRepeatingQuantifierAt(source, index) {
+  const ch = source[index];
+  if (ch === '*' || ch === '+') {
+    return true;
+  }
+  if (ch === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (!match) return false;
+    if (match[2] === undefined) return Number(match[1]) > 1;
+    return match[3] === '' || Number(match[3]) > 1;
+  }
+  return false;
+}
+
+/**
+ * Detects nested repeating quantifiers such as (a+)+ or (.*)*
+ * These take exponential time to fail and would stall the polling loop
+ * @param {string} source - Regex source
+ * @returns {boolean} - True if a repeated group contains a repeating quantifier
+ */
+function hasNestedQuantifier(source) {
+  const groups = [{ repeats: false }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+      if (!inClass && isRepeatingQuantifierAt(source, i + 1)) {
+        groups[groups.length - 1].repeats = true;
+      }
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') {
+        inClass = false;
+        if (isRepeatingQuantifierAt(source, i + 1)) {
+          groups[groups.length - 1].repeats = true;
+        }
+      }
+      continue;
+    }
+    if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push({ repeats: false });
+    } else if (ch === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const groupRepeats = isRepeatingQuantifierAt(source, i + 1);
+      if (group.repeats && groupRepeats) {
+        return true;
+      }
+      if (group.repeats || groupRepeats) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (isRepeatingQuantifierAt(source, i)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads the literal character an alternation branch must start with
+ * @param {string} branch - Branch source, e.g. "live" in (live|acoustic)
+ * @returns {string|null} - Lowercased first character, or null if the branch can start with more than one character or match nothing
+ */
+function getBranchFirstLiteral(branch) {
+  let literal = branch[0];
+  let length = 1;
+  if (literal === '\\') {
+    // Escaped punctuation is a literal; \d, \w, \s, \b and the like are not
+    if (branch.length < 2 || /[a-z0-9]/i.test(branch[1])) return null;
+    literal = branch[1];
+    length = 2;
+  } else if (literal === undefined || '[(.^$|)*+?{'.includes(literal)) {
+    return null;
+  }
+  const next = branch.slice(length);
+  if (/^(?:[?*]|\{0[,}])/.test(next)) {
+    return null;
+  }
+  return literal.toLowerCase();
+}
+
+/**
+ * Detects repeated alternations whose branches can match the same text, such
+ * as (a|a)*, (a|aa)+ or (\w|\d)+. Each repetition can then take either branch,
+ * so a failing match tries exponentially many ways. Alternations inside a
+ * repeated group are only allowed when every branch starts with a different
+ * literal character, like (live|acoustic)+.
+ * @param {string} source - Regex source
+ * @returns {boolean} - True if a repeated group contains an ambiguous alternation
+ */
+function hasAmbiguousAlternation(source) {
+  const groups = [{ start: 0, bars: [], ambiguous: false }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false;
+      continue;
+    }
+    if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      // Skip (?:, (?=, (?!, (?<=, (?<! and (?<name> so branches start at the content
+      const prefix = /^\(\?(?::|=|!|<=|<!|<[^>]*>)/.exec(source.slice(i));
+      groups.push({ start: i + (prefix ? prefix[0].length : 1), bars: [], ambiguous: false });
+      if (prefix) i += prefix[0].length - 1;
+    } else if (ch === '|') {
+      groups[groups.length - 1].bars.push(i);
+    } else if (ch === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.bars.length > 0) {
+        const bounds = [group.start, ...group.bars.map(bar => bar + 1)];
+        const firsts = bounds.map((start, index) =>
+          getBranchFirstLiteral(source.slice(start, index < group.bars.length ? group.bars[index] : i)));
+        if (firsts.includes(null) || new Set(firsts).size < firsts.length) {
+          group.ambiguous = true;
+        }
+      }
+      if (group.ambiguous && isRepeatingQuantifierAt(source, i + 1)) {
+        return true;
+      }
+      if (group.ambiguous) {
+        groups[groups.length - 1].ambiguous = true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Validates a pattern string (glob or regex, optionally field-scoped)
+ * @param {string} pattern - Pattern string
+ * @returns {{valid: boolean, error?: string}} - Validation result and reason when invalid
+ */
+function validatePattern(pattern) {
+  const trimmed = parsePatternField(pattern).body;
+  if (trimmed.length === 0) {
+    return { valid: false, error: 'Pattern is empty' };
+  }
+
+  const regexMatch = REGEX_PATTERN.exec(trimmed);
+  if (!regexMatch) {
+    if (trimmed.replace(/\*/g, '').trim().length === 0) {
+      return { valid: false, error: 'Pattern must contain text besides *' };
+    }
+    return { valid: true };
+  }
+
+  const [, source, flags] = regexMatch;
+  if (source.length > MAX_REGEX_LENGTH) {
+    return { valid: false, error: `Regular expression is longer than ${MAX_REGEX_LENGTH} characters` };
+  }
+  const badFlag = [...flags].find(flag => !ALLOWED_REGEX_FLAGS.includes(flag));
+  if (badFlag) {
+    return { valid: false, error: `Unsupported regex flag "${badFlag}" (allowed: ${ALLOWED_REGEX_FLAGS})` };
+  }
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+  if (hasNestedQuantifier(source)) {
+    return { valid: false, error: 'Nested repetition like (a+)+ can backtrack catastrophically' };
+  }
+  if (hasAmbiguousAlternation(source)) {
+    return { valid: false, error: 'Repeated alternatives that can match the same text, like (a|aa)+, can backtrack catastrophically' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Compiles a regex pattern body, caching the result
+ * @param {string} body - Pattern body in /source/flags form
+ * @returns {RegExp|null} - Compiled expression, or null if the pattern is invalid
+ */
+function compileRegexPattern(body) {
+  if (regexCache.has(body)) {
+    return regexCache.get(body);
+  }
+  let regex = null;
+  if (validatePattern(body).valid) {
+    const [, source, flags] = REGEX_PATTERN.exec(body);
+    // Fold the source like the text it is tested against, so /beyoncé/i matches "Beyonce"
+    regex = new RegExp(foldText(source), flags);
+  }
+  regexCache.set(body, regex);
+  return regex;
+}
+
+/**
+ * Gets the pattern string of a pattern entry
+ * Entries are pattern strings, or {pattern, schedule?, expiresAt?} objects for
+ * scheduled or temporary patterns
+ * @param {string|{pattern: string, schedule?: Object, expiresAt?: number}} entry - Pattern entry
+ * @returns {string} - Pattern string ('' for invalid entries)
+ */
+function getPatternText(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  return entry && typeof entry === 'object' && typeof entry.pattern === 'string' ? entry.pattern : '';
+}
+
 /**
  * Sanitizes a blocked patterns array
- * @param {Array<string>} list - Array of pattern strings
- * @returns {Array<string>} - Sanitized array
+ * Invalid patterns are dropped; pass an array as `rejected` to find out why.
+ * Scheduled, temporary and dry-run patterns are kept as {pattern, schedule?, expiresAt?, dryRun?}
+ * objects; of two otherwise identical entries the first is kept, with the latest
+ * expiry (a permanent entry wins over temporary ones), in dry-run mode only if
+ * every copy is.
+ * @param {Array<string|{pattern: string, schedule?: Object, expiresAt?: number, dryRun?: boolean}>} list - Array of pattern entries
+ * @param {Array<{pattern: string, error: string}>} [rejected] - Collects rejected patterns
+ * @returns {Array<string|{pattern: string, schedule?: Object, expiresAt?: number, dryRun?: true}>} - Sanitized array
  */
-function sanitizeBlockedPatterns(list) {
+function sanitizeBlockedPatterns(list, rejected = []) {
   if (!Array.isArray(list)) {
     return [];
   }
-  const normalized = list
-    .map(pattern => typeof pattern === 'string' ? pattern.trim() : '')
-    .filter(pattern => pattern.length > 0);
-  return [...new Set(normalized)]; // Remove duplicates
+  // Index in sanitized of each pattern and schedule
+  const seen = new Map();
+  const sanitized = [];
+  for (const entry of list) {
+    let pattern = getPatternText(entry).trim();
+    if (pattern.length === 0) {
+      continue;
+    }
+    // Canonicalize "Artist: *x*" to "artist:*x*"
+    const { field, body } = parsePatternField(pattern);
+    if (PATTERN_FIELD_PREFIX.test(pattern)) {
+      pattern = `${field}:${body}`;
+    }
+    const { valid, error } = validatePattern(pattern);
+    if (!valid) {
+      rejected.push({ pattern, error });
+      continue;
+    }
+    
+    const schedule = sanitizeSchedule(getEntrySchedule(entry));
+    const expiresAt = getEntryExpiry(entry);
+    const dryRun = getEntryDryRun(entry);
+    const key = `${pattern}|||${JSON.stringify(schedule)}`;
+    if (seen.has(key)) {
+      const index = seen.get(key);
+      const kept = sanitized[index];
+      if (typeof kept === 'object') {
+        if (kept.expiresAt !== undefined) {
+          if (expiresAt === null) {
+            delete kept.expiresAt;
+          } else {
+            kept.expiresAt = Math.max(kept.expiresAt, expiresAt);
+          }
+        }
+        if (!dryRun) {
+          delete kept.dryRun;
+        }
+        sanitized[index] = kept.schedule || kept.expiresAt !== undefined || kept.dryRun ? kept : kept.pattern;
+      }
+      continue;
+    }
+    seen.set(key, sanitized.length);
+    sanitized.push(schedule || expiresAt !== null || dryRun
+      ? { pattern, ...(schedule && { schedule }), ...(expiresAt !== null && { expiresAt }), ...(dryRun && { dryRun }) }
+      : pattern);
+  }
+  return sanitized;
 }
 
 /**
- * Checks if an artist name matches any entry in the blocked list
- * Uses case-insensitive, trimmed exact match
- * @param {string} artistName - The artist name to check
- * @param {Array<string>} blockedArtists - Array of blocked artist names
- * @returns {boolean} - True if the artist is blocked
+ * Sanitizes an allow-exceptions array
+ * Song exceptions ({track, artist?}) are normalized like blocked tracks; pattern
+ * exceptions ({pattern}) are validated like blocked patterns and invalid ones are
+ * dropped, collected in `rejected` if given. Either kind may carry a schedule.
+ * @param {Array<{artist?: string, track?: string, pattern?: string, schedule?: Object}>} list - Exception entries
+ * @param {Array<{pattern: string, error: string}>} [rejected] - Collects rejected patterns
+ * @returns {Array<{artist?: string, track: string, schedule?: Object}|{pattern: string, schedule?: Object}>} - Sanitized array
  */
-function isBlockedArtist(artistName, blockedArtists) {
+function sanitizeExceptions(list, rejected = []) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  const seen = new Set();
+  const sanitized = [];
+  for (const item of list) {
+    if (!item || typeof item !== 'object') continue;
+    let entry = null;
+    if (typeof item.pattern === 'string') {
+      const [pattern] = sanitizeBlockedPatterns([item.pattern], rejected);
+      entry = pattern ? { pattern } : null;
+    } else if (typeof item.track === 'string') {
+      const [track] = sanitizeBlockedTracks([{ track: item.track, artist: item.artist }]);
+      entry = track || null;
+    }
+    if (!entry) continue;
+    const schedule = sanitizeSchedule(item.schedule);
+    if (schedule) {
+      entry = { ...entry, schedule };
+    }
+    
+    const key = (entry.pattern !== undefined
+      ? `pattern|||${entry.pattern}`
+      : `${entry.artist || ''}|||${entry.track}`) + `|||${JSON.stringify(schedule)}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      sanitized.push(entry);
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Lists the artist names a song exception may be stored under for a track:
+ * each credited artist, and for several artists the joined credit ("A, B")
+ * that earlier versions stored
+ * @param {Array<string>} artistNames - Artist names as reported by the player
+ * @returns {Array<string>} - Normalized names
+ */
+function getExceptionArtistKeys(artistNames) {
+  const names = artistNames.filter(Boolean);
+  const keys = names.map(normalize);
+  if (names.length > 1) {
+    keys.push(normalize(names.join(', ')));
+  }
+  return keys;
+}
+
+/**
+ * Finds the song exception that allows a track
+ * Exceptions without an artist match the title by any artist
+ * @param {string|Array<string>} artistName - The artist name, or every credited artist (optional)
+ * @param {string} trackName - The track name
+ * @param {Array<{artist?: string, track?: string, pattern?: string}>} exceptions - Exception entries
+ * @returns {number} - Index of the matching song exception, or -1
+ */
+function findSongExceptionIndex(artistName, trackName, exceptions) {
+  if (!trackName || !Array.isArray(exceptions)) {
+    return -1;
+  }
+  const artistKeys = getExceptionArtistKeys(Array.isArray(artistName) ? artistName : [artistName]);
+  const normalizedTrack = normalize(trackName);
+  return exceptions.findIndex(entry =>
+    entry && typeof entry.track === 'string' &&
+    normalize(entry.track) === normalizedTrack &&
+    (!entry.artist || artistKeys.includes(normalize(entry.artist)))
+  );
+}
+
+/**
+ * Finds the artist entry that an artist name matches, by primary name or alias
+ * @param {string} artistName - The artist name to look up
+ * @param {Array<string|{name: string, aliases?: Array<string>}>} blockedArtists - Artist entries
+ * @returns {number} - Index of the matching entry, or -1
+ */
+function findArtistEntryIndex(artistName, blockedArtists) {
   if (!artistName || !Array.isArray(blockedArtists)) {
-    return false;
+    return -1;
   }
   
   const normalizedArtist = normalize(artistName);
-  const normalizedBlocked = blockedArtists.map(normalize);
-  
-  return normalizedBlocked.includes(normalizedArtist);
+  return blockedArtists.findIndex(entry => getArtistEntryNames(entry).includes(normalizedArtist));
+}
+
+/**
+ * Checks if an artist name matches any entry in the blocked list
+ * Uses case-insensitive, trimmed exact match against each entry's name and aliases
+ * @param {string} artistName - The artist name to check
+ * @param {Array<string|{name: string, aliases?: Array<string>}>} blockedArtists - Artist entries
+ * @returns {boolean} - True if the artist is blocked
+ */
+function isBlockedArtist(artistName, blockedArtists) {
+  return findArtistEntryIndex(artistName, blockedArtists) !== -1;
 }
 
 /**
  * Checks if any artist in an array of artists is blocked
  * Useful for tracks with multiple artists
  * @param {Array<string>} artistNames - Array of artist names
- * @param {Array<string>} blockedArtists - Array of blocked artist names
+ * @param {Array<string|{name: string, aliases?: Array<string>}>} blockedArtists - Artist entries
  * @returns {boolean} - True if any artist is blocked
  */
 function isAnyArtistBlocked(artistNames, blockedArtists) {
@@ -118,10 +828,10 @@ function isAnyArtistBlocked(artistNames, blockedArtists) {
 
 /**
  * Checks if a track matches any entry in the blocked tracks list
- * Tracks without artist match any artist
+ * Tracks without artist match any artist; allVersions entries compare canonical titles
  * @param {string} artistName - The artist name (optional)
  * @param {string} trackName - The track name
- * @param {Array<{artist?: string, track: string}>} blockedTracks - Array of blocked tracks
+ * @param {Array<{artist?: string, track: string, allVersions?: boolean}>} blockedTracks - Array of blocked tracks
  * @returns {boolean} - True if the track is blocked
  */
 function isBlockedTrack(artistName, trackName, blockedTracks) {
@@ -131,9 +841,13 @@ function isBlockedTrack(artistName, trackName, blockedTracks) {
   
   const normalizedArtist = artistName ? normalize(artistName) : undefined;
   const normalizedTrack = normalize(trackName);
+  const canonicalTrack = canonicalizeTitle(trackName);
   
   return blockedTracks.some(blocked => {
-    if (blocked.track !== normalizedTrack) {
+    const titleMatches = blocked.allVersions
+      ? canonicalizeTitle(blocked.track) === canonicalTrack
+      : normalize(blocked.track) === normalizedTrack;
+    if (!titleMatches) {
       return false;
     }
     // If blocked track has no artist, it matches any artist
@@ -141,140 +855,983 @@ function isBlockedTrack(artistName, trackName, blockedTracks) {
       return true;
     }
     // If blocked track has an artist, it must match
-    return normalizedArtist !== undefined && blocked.artist === normalizedArtist;
+    return normalizedArtist !== undefined && normalize(blocked.artist) === normalizedArtist;
   });
 }
 
 /**
- * Matches a pattern against a string (simple glob-like matching)
- * Supports: "*word", "word*", "*word*", case-insensitive
- * @param {string} pattern - Pattern to match (e.g., "*live", "*acoustic")
- * @param {string} text - Text to match against
- * @returns {boolean} - True if pattern matches
+ * Adds a song block unless the song is already blocked at least as long. Asking
+ * for every version of a song that is blocked in that exact version only
+ * upgrades its entry (keeping the latest expiry, a permanent block winning)
+ * instead of adding a second one. Scheduled and dry-run entries neither count
+ * as blocking the song nor are upgraded, since the song isn't always blocked by
+ * them, and a temporary entry only counts for a block that ends no later.
+ * @param {Array<{artist?: string, track: string, allVersions?: boolean, schedule?: Object, expiresAt?: number, dryRun?: boolean}>} blockedTracks - Blocked tracks
+ * @param {{artist?: string, track: string, allVersions?: boolean, expiresAt?: number}} entry - Song to block
+ * @returns {{tracks: Array<Object>, change: "added" | "upgraded" | null}} - The new list, and what changed (null if the song was already blocked)
  */
-function matchPattern(pattern, text) {
-  if (!pattern || !text) return false;
-  
-  const normalizedPattern = normalize(pattern);
-  const normalizedText = normalize(text);
+function addBlockedTrack(blockedTracks, entry) {
+  const tracks = Array.isArray(blockedTracks) ? [...blockedTracks] : [];
+  const expiresAt = sanitizeExpiry(entry.expiresAt);
+  const covered = tracks.some(blocked => {
+    const blockedUntil = sanitizeExpiry(blocked.expiresAt);
+    const lastsLongEnough = blockedUntil === null || (expiresAt !== null && blockedUntil >= expiresAt);
+    return !blocked.schedule && !blocked.dryRun && lastsLongEnough &&
+      (blocked.allVersions || !entry.allVersions) && isBlockedTrack(entry.artist, entry.track, [blocked]);
+  });
+  if (covered) {
+    return { tracks, change: null };
+  }
+
+  const artistKey = entry.artist ? normalize(entry.artist) : '';
+  const index = entry.allVersions ? tracks.findIndex(blocked =>
+    !blocked.allVersions && !blocked.schedule && !blocked.dryRun &&
+    (blocked.artist ? normalize(blocked.artist) : '') === artistKey &&
+    normalize(blocked.track) === normalize(entry.track)
+  ) : -1;
+  if (index === -1) {
+    tracks.push(entry);
+    return { tracks, change: 'added' };
+  }
+
+  const upgraded = { ...tracks[index], allVersions: true };
+  if (upgraded.expiresAt !== undefined) {
+    if (expiresAt === null) {
+      delete upgraded.expiresAt;
+    } else {
+      upgraded.expiresAt = Math.max(upgraded.expiresAt, expiresAt);
+    }
+  }
+  tracks[index] = upgraded;
+  return { tracks, change: 'upgraded' };
+}
+
+/**
+ * Compiles a pattern into a text matcher, normalizing the pattern once
+ * Glob patterns support "*word", "word*", "*word*" and are case-insensitive.
+ * Regex patterns ("/source/flags") are tested against the folded, trimmed text
+ * (see foldText) and are case-sensitive unless the "i" flag is given.
+ * A "field:" prefix is ignored here; the caller picks the field to test.
+ * @param {string} pattern - Pattern to compile (e.g., "*live", "/\(live( at .*)?\)/i")
+ * @returns {function(string): boolean} - Matcher for a single text value
+ */
+function compilePattern(pattern) {
+  const { body } = parsePatternField(pattern);
+  if (REGEX_PATTERN.test(body)) {
+    const regex = compileRegexPattern(body);
+    return text => !!text && regex !== null && regex.test(foldText(text).trim().replace(/\s+/g, ' '));
+  }
   
+  const normalizedPattern = normalize(body);
   // Remove asterisks and check if pattern is contained
   const cleanPattern = normalizedPattern.replace(/\*/g, '');
-  if (cleanPattern.length === 0) return false;
+  if (cleanPattern.length === 0) return () => false;
   
   if (normalizedPattern.startsWith('*') && normalizedPattern.endsWith('*')) {
     // *word* - contains
-    return normalizedText.includes(cleanPattern);
+    return text => !!text && normalize(text).includes(cleanPattern);
   } else if (normalizedPattern.startsWith('*')) {
     // *word - ends with
-    return normalizedText.endsWith(cleanPattern);
+    return text => !!text && normalize(text).endsWith(cleanPattern);
   } else if (normalizedPattern.endsWith('*')) {
     // word* - starts with
-    return normalizedText.startsWith(cleanPattern);
-  } else {
-    // exact match
-    return normalizedText === normalizedPattern;
+    return text => !!text && normalize(text).startsWith(cleanPattern);
   }
+  // exact match
+  return text => !!text && normalize(text) === normalizedPattern;
+}
+
+/**
+ * Matches a pattern against a string
+ * See compilePattern for the supported syntax; a "field:" prefix is ignored
+ * here, use matchPatternFields to honor it.
+ * @param {string} pattern - Pattern to match (e.g., "*live", "/\(live( at .*)?\)/i")
+ * @param {string} text - Text to match against
+ * @returns {boolean} - True if pattern matches
+ */
+function matchPattern(pattern, text) {
+  if (!pattern || !text) return false;
+  return compilePattern(pattern)(text);
 }
 
 /**
- * Checks if any artist in a list contains a blocked artist (for collaborations)
+ * Matches a field-scoped pattern against the matching field of a track
+ * @param {string} pattern - Pattern, optionally prefixed with "artist:", "album:", "track:" or "composer:"
+ * @param {{track?: string, artists?: Array<string>, album?: string, composer?: string}} fields - Track fields
+ * @returns {boolean} - True if the pattern matches its field
+ */
+function matchPatternFields(pattern, fields) {
+  if (!pattern || !fields) return false;
+  
+  const { field } = parsePatternField(pattern);
+  if (field === 'artist') {
+    return Array.isArray(fields.artists) && fields.artists.some(artist => matchPattern(pattern, artist));
+  }
+  return matchPattern(pattern, fields[field]);
+}
+
+// Separators between credited artists in a joined artist string (matched on normalized text)
+const CREDIT_SEPARATOR = /\s*[,&()[\]]\s*|\s+(?:feat\.?|ft\.?|featuring|with|x|vs\.?|versus)\s+/;
+const LEADING_CREDIT_WORD = /^(?:feat\.?|ft\.?|featuring|with|vs\.?|versus)\s+/;
+
+// Featured-artist credits in a track title: "(feat. X)", "[ft. X]", "(with X)", "- feat. X"
+const TITLE_FEATURE = /[([]\s*(?:feat\.?|ft\.?|featuring|with)\s+([^)\]]+)[)\]]|(?:^|\s)(?:-\s*)?(?:feat\.|ft\.|featuring)\s+(.+)$/g;
+
+/**
+ * Splits a joined artist credit into discrete, normalized artist names
+ * Splits on "feat.", "ft.", "featuring", "with", "&", "x", "vs.", and commas
+ * (e.g., "Taylor Swift feat. Ed Sheeran & Future" -> ["taylor swift", "ed sheeran", "future"])
+ * @param {string} artistString - Artist credit as reported by the player
+ * @returns {Array<string>} - Normalized artist names
+ */
+function parseArtistCredits(artistString) {
+  const normalized = normalize(artistString);
+  if (normalized.length === 0) {
+    return [];
+  }
+  const names = normalized
+    .split(CREDIT_SEPARATOR)
+    .map(name => name.trim().replace(LEADING_CREDIT_WORD, ''))
+    .filter(name => name.length > 0);
+  return [...new Set(names)];
+}
+
+/**
+ * Extracts featured artists credited in a track title
+ * (e.g., "Everything Has Changed (feat. Ed Sheeran)" -> ["ed sheeran"])
+ * @param {string} trackName - Track title
+ * @returns {Array<string>} - Normalized artist names
+ */
+function extractFeaturedArtists(trackName) {
+  const title = normalize(trackName);
+  const names = [];
+  for (const match of title.matchAll(TITLE_FEATURE)) {
+    names.push(...parseArtistCredits(match[1] || match[2]));
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Collects every credited artist for a track: each full artist string, its
+ * individual credits, and featured artists named in the title
+ * @param {Array<string>} artistNames - Artist names as reported by the player
+ * @param {string} [trackName] - Track title
+ * @returns {Array<string>} - Normalized artist names
+ */
+function getCreditedArtists(artistNames, trackName = '') {
+  const credits = new Set();
+  for (const artistName of Array.isArray(artistNames) ? artistNames : []) {
+    const full = normalize(artistName);
+    if (full.length > 0) {
+      // Keep the full credit so duo names like "Simon & Garfunkel" still match
+      credits.add(full);
+    }
+    parseArtistCredits(artistName).forEach(name => credits.add(name));
+  }
+  extractFeaturedArtists(trackName).forEach(name => credits.add(name));
+  return [...credits];
+}
+
+/**
+ * Checks if any credited artist on a track is blocked (for collaborations)
+ * Artist strings and "(feat. …)" titles are parsed into whole artist names, so
+ * blocking "Ava" does not match "Avalanche"
  * @param {Array<string>} artistNames - Array of artist names
- * @param {Array<string>} blockedArtists - Array of blocked artist names
+ * @param {Array<string|{name: string, aliases?: Array<string>}>} blockedArtists - Artist entries
+ * @param {string} [trackName] - Track title, checked for featured artists
  * @returns {boolean} - True if any collaboration is blocked
  */
-function isCollaborationBlocked(artistNames, blockedArtists) {
+function isCollaborationBlocked(artistNames, blockedArtists, trackName = '') {
   if (!Array.isArray(artistNames) || !Array.isArray(blockedArtists)) {
     return false;
   }
   
-  const normalizedBlocked = blockedArtists.map(normalize);
+  const blockedNames = new Set(blockedArtists.flatMap(getArtistEntryNames));
+  return getCreditedArtists(artistNames, trackName).some(name => blockedNames.has(name));
+}
+
+// Composite rules block a track when their condition tree matches, e.g.
+// {name: 'Acoustic X', when: {all: [{field: 'artist', op: 'is', value: 'X'}, {field: 'track', op: 'matches', value: '*acoustic*'}]}}
+// Conditions are {all: [...]}, {any: [...]}, {not: condition} or a {field, op, value} test.
+// The JSON format is described by compositeRule.schema.json.
+const CONDITION_OPERATORS = {
+  artist: ['is', 'matches'],
+  track: ['is', 'matches'],
+  album: ['is', 'matches'],
+  duration: ['lt', 'gt'],
+  source: ['is'],
+  explicit: ['is']
+};
+const CONDITION_SOURCES = ['spotify', 'apple-music'];
+const MAX_CONDITION_DEPTH = 8;
+
+/**
+ * Checks that a composite rule condition is well formed
+ * @param {*} condition - Condition to check
+ * @param {number} [depth] - Nesting depth of this condition
+ * @returns {{valid: boolean, error?: string}} - Validation result
+ */
+function validateCondition(condition, depth = 0) {
+  if (depth > MAX_CONDITION_DEPTH) {
+    return { valid: false, error: `Conditions can be nested at most ${MAX_CONDITION_DEPTH} levels deep` };
+  }
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return { valid: false, error: 'Condition must be an object' };
+  }
   
-  return artistNames.some(artistName => {
-    const normalizedArtist = normalize(artistName);
-    // Check if any blocked artist is contained in this artist name
-    // (e.g., "Taylor Swift feat. Ed Sheeran" contains "Taylor Swift")
-    return normalizedBlocked.some(blocked => normalizedArtist.includes(blocked));
-  });
+  for (const group of ['all', 'any']) {
+    if (condition[group] !== undefined) {
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        return { valid: false, error: `"${group}" must list at least one condition` };
+      }
+      for (const child of condition[group]) {
+        const result = validateCondition(child, depth + 1);
+        if (!result.valid) return result;
+      }
+      return { valid: true };
+    }
+  }
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not, depth + 1);
+  }
+  
+  const { field, op, value } = condition;
+  if (!CONDITION_OPERATORS[field]) {
+    return { valid: false, error: `Unknown field "${field}", use ${Object.keys(CONDITION_OPERATORS).join(', ')}` };
+  }
+  if (!CONDITION_OPERATORS[field].includes(op)) {
+    return { valid: false, error: `The ${field} field supports ${CONDITION_OPERATORS[field].map(o => `"${o}"`).join(' or ')}, not "${op}"` };
+  }
+  if (field === 'duration') {
+    return typeof value === 'number' && value > 0
+      ? { valid: true }
+      : { valid: false, error: 'Duration must be a positive number of seconds' };
+  }
+  if (field === 'explicit') {
+    return typeof value === 'boolean' ? { valid: true } : { valid: false, error: 'Explicit must be true or false' };
+  }
+  if (field === 'source') {
+    return CONDITION_SOURCES.includes(value)
+      ? { valid: true }
+      : { valid: false, error: `Source must be ${CONDITION_SOURCES.map(s => `"${s}"`).join(' or ')}` };
+  }
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return { valid: false, error: `Enter a value for the ${field} condition` };
+  }
+  return op === 'matches' ? validatePattern(value.trim()) : { valid: true };
 }
 
 /**
- * Checks if a playing track should be blocked
- * Priority: reverse mode > track-level blocks > pattern blocks > artist-level blocks
- * @param {string|Array<string>} artistNames - Single artist name or array of artist names
- * @param {string} trackName - The track name
- * @param {Array<string>} blockedArtists - Array of blocked/allowed artist names
- * @param {Array<{artist?: string, track: string}>} blockedTracks - Array of blocked tracks
- * @param {Array<string>} blockedPatterns - Array of blocked patterns
- * @param {boolean} reverseMode - If true, blockedArtists becomes allowed list
- * @param {boolean} blockCollaborations - If true, check collaborations
- * @returns {{blocked: boolean, reason: "artist" | "track" | "pattern" | "reverse" | null}} - Block status and reason
+ * Checks that a composite rule is well formed
+ * @param {*} rule - Rule to check
+ * @returns {{valid: boolean, error?: string}} - Validation result
+ */
+function validateCompositeRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { valid: false, error: 'Rule must be an object' };
+  }
+  if (rule.name !== undefined && typeof rule.name !== 'string') {
+    return { valid: false, error: 'Rule name must be text' };
+  }
+  if (rule.when === undefined) {
+    return { valid: false, error: 'Rule needs a "when" condition' };
+  }
+  return validateCondition(rule.when);
+}
+
+/**
+ * Normalizes a valid condition: trims text values and collapses double negation
+ * @param {Object} condition - Valid condition
+ * @returns {Object} - Sanitized condition
+ */
+function sanitizeCondition(condition) {
+  if (condition.all !== undefined) {
+    return { all: condition.all.map(sanitizeCondition) };
+  }
+  if (condition.any !== undefined) {
+    return { any: condition.any.map(sanitizeCondition) };
+  }
+  if (condition.not !== undefined) {
+    const inner = sanitizeCondition(condition.not);
+    return inner.not !== undefined ? inner.not : { not: inner };
+  }
+  const { field, op, value } = condition;
+  return { field, op, value: typeof value === 'string' ? value.trim() : value };
+}
+
+/**
+ * Sanitizes a composite rules array
+ * Invalid rules are dropped; pass an array as `rejected` to find out why.
+ * Rules may carry a schedule, an expiry and a dry-run flag like other entries.
+ * @param {Array<{name?: string, when: Object, schedule?: Object, expiresAt?: number, dryRun?: boolean}>} list - Composite rules
+ * @param {Array<{rule: *, error: string}>} [rejected] - Collects rejected rules
+ * @returns {Array<{name?: string, when: Object, schedule?: Object, expiresAt?: number, dryRun?: true}>} - Sanitized array
+ */
+function sanitizeCompositeRules(list, rejected = []) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  const seen = new Set();
+  const sanitized = [];
+  for (const rule of list) {
+    const { valid, error } = validateCompositeRule(rule);
+    if (!valid) {
+      rejected.push({ rule, error });
+      continue;
+    }
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    const schedule = sanitizeSchedule(rule.schedule);
+    const expiresAt = getEntryExpiry(rule);
+    const entry = {
+      ...(name && { name }),
+      when: sanitizeCondition(rule.when),
+      ...(schedule && { schedule }),
+      ...(expiresAt !== null && { expiresAt }),
+      ...(getEntryDryRun(rule) && { dryRun: true })
+    };
+    const key = JSON.stringify([entry.when, schedule]);
+    if (!seen.has(key)) {
+      seen.add(key);
+      sanitized.push(entry);
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Compiles a valid condition into a predicate over a playing track
+ * Text tests use the same normalization and pattern syntax as the blocklist; an
+ * artist "is" test also checks parsed collaboration credits. Unknown durations
+ * and explicit flags never satisfy a test.
+ * @param {Object} condition - Sanitized condition
+ * @returns {function(Object): boolean} - Predicate over {artists, credits(), track, album, durationMs, source, explicit}
+ */
+function compileCondition(condition) {
+  if (condition.all !== undefined) {
+    const children = condition.all.map(compileCondition);
+    return track => children.every(child => child(track));
+  }
+  if (condition.any !== undefined) {
+    const children = condition.any.map(compileCondition);
+    return track => children.some(child => child(track));
+  }
+  if (condition.not !== undefined) {
+    const child = compileCondition(condition.not);
+    return track => !child(track);
+  }
+  
+  const { field, op, value } = condition;
+  if (field === 'duration') {
+    const limitMs = value * 1000;
+    return track => track.durationMs > 0 && (op === 'lt' ? track.durationMs < limitMs : track.durationMs > limitMs);
+  }
+  if (field === 'explicit') {
+    return track => track.explicit === value;
+  }
+  if (field === 'source') {
+    return track => track.source === value;
+  }
+  if (op === 'matches') {
+    const matches = compilePattern(value);
+    return field === 'artist'
+      ? track => track.artists.some(matches)
+      : track => matches(track[field]);
+  }
+  const expected = normalize(value);
+  return field === 'artist'
+    ? track => track.credits().includes(expected)
+    : track => normalize(track[field]) === expected;
+}
+
+/**
+ * Gets what identifies a rule within its list: the artist's name, the song's
+ * artist and title, the pattern text, or a composite rule's name and conditions.
+ * Options such as a schedule, an expiry or dry-run mode are left out, so a rule
+ * keeps its identity when they change.
+ * @param {"artists" | "tracks" | "patterns" | "exceptions" | "rules"} list - List the rule is in
+ * @param {*} rule - Rule entry
+ * @returns {string} - Identity key
+ */
+function getRuleKey(list, rule) {
+  if (list === 'artists') {
+    return normalize(getArtistEntryName(rule));
+  }
+  if (list === 'patterns') {
+    return getPatternText(rule).trim();
+  }
+  if (!rule || typeof rule !== 'object') {
+    return '';
+  }
+  if (list === 'tracks' || list === 'exceptions') {
+    if (typeof rule.pattern === 'string') {
+      return `pattern:${rule.pattern.trim()}`;
+    }
+    return rule.track ? trackKey(normalize(rule.artist), normalize(rule.track)) : '';
+  }
+  return `${rule.name || ''}|||${JSON.stringify(rule.when)}`;
+}
+
+/**
+ * Finds a stored rule in a list, preferring its recorded index
+ * Lists can change after a match was recorded, so the rule is compared by its
+ * identity (see getRuleKey) rather than by position or by every option.
+ * @param {"artists" | "tracks" | "patterns" | "exceptions" | "rules"} list - List the rule is in
+ * @param {Array<*>} rules - Artist, track, pattern, exception or composite rule list
+ * @param {*} rule - The rule to find
+ * @param {number} [index] - Index where the rule was last seen
+ * @returns {number} - Current index of the rule, or -1 if it is gone
+ */
+function findRuleIndex(list, rules, rule, index = -1) {
+  if (!Array.isArray(rules)) {
+    return -1;
+  }
+  const key = getRuleKey(list, rule);
+  if (key === '') {
+    return -1;
+  }
+  if (index >= 0 && index < rules.length && getRuleKey(list, rules[index]) === key) {
+    return index;
+  }
+  return rules.findIndex(entry => getRuleKey(list, entry) === key);
+}
+
+/**
+ * Builds the lookup key for a track entry
+ * @param {string} artist - Normalized artist ('' for any artist)
+ * @param {string} title - Normalized or canonical title
+ * @returns {string} - Lookup key
  */
-function isBlocked(artistNames, trackName, blockedArtists, blockedTracks, blockedPatterns = [], reverseMode = false, blockCollaborations = false) {
-  const artistArray = Array.isArray(artistNames) ? artistNames : [artistNames];
+function trackKey(artist, title) {
+  return `${artist}|||${title}`;
+}
+
+/**
+ * Compiles a list of patterns, keeping each one's index in the list
+ * Empty entries and entries rejected by `isActive` (expired, scheduled off) are skipped.
+ * @param {Array<*>} list - Pattern entries
+ * @param {function(*): boolean} isActive - Whether an entry applies right now
+ * @returns {Array<{index: number, field: string, matches: function(string): boolean}>} - Compiled patterns
+ */
+function compilePatternList(list, isActive) {
+  return list
+    .map((entry, index) => ({ pattern: getPatternText(entry), index, active: isActive(entry) }))
+    .filter(({ pattern, active }) => active && pattern.trim().length > 0)
+    .map(({ pattern, index }) => ({
+      index,
+      field: parsePatternField(pattern).field,
+      matches: compilePattern(pattern)
+    }));
+}
+
+/**
+ * The rule that caused a block
+ * @typedef {Object} BlockMatch
+ * @property {"artists" | "tracks" | "patterns" | "exceptions" | "rules"} list - List holding the rule
+ * @property {number} index - Index of the rule in that list
+ * @property {*} rule - The matched entry as stored in the list
+ * @property {"artist" | "track" | "album" | "composer" | null} field - Track field that matched (null for composite rules)
+ * @property {string|null} input - Value of that field which matched (null for composite rules)
+ * @property {boolean} viaCollaboration - True if an artist matched through parsed credits
+ * @property {number} [similarity] - How closely a fuzzy artist or track rule matched (0–1); missing for exact matches
+ */
+
+/**
+ * Result of checking a track
+ * @typedef {Object} BlockResult
+ * @property {boolean} blocked - Whether the track should be skipped
+ * @property {"artist" | "track" | "pattern" | "rule" | "reverse" | "explicit" | "duration" | "exception" | null} reason - Stage that blocked it, or "exception" when an exception allowed it
+ * @property {BlockMatch|null} match - Matched rule or exception (null when nothing matched or blocked by reverse mode, the explicit filter or a duration limit)
+ * @property {true} [dryRun] - Set when only a dry-run rule matched: blocked is false, and reason and match say what would have blocked the track
+ */
+
+/**
+ * Compiles a blocklist into a matcher that can check tracks quickly
+ * Artist names and aliases go into a hash map, track entries into exact and
+ * all-versions hash sets, and patterns are normalized once, so evaluating a
+ * track costs the same whether the lists hold ten entries or ten thousand.
+ * Expired entries and entries whose schedule is inactive at `now` are left
+ * out; the matcher's validUntil says when a schedule next changes or an entry
+ * next expires. Rebuild the matcher whenever the blocklist changes or
+ * validUntil has passed. Entries with a fuzzy threshold also match names that
+ * are alike (see fuzzy.js); they are compared one by one after the exact lookups.
+ * Entries marked dryRun never block: when nothing else blocks a track, the
+ * matcher checks it again with them included and reports what they would have done.
+ * @param {Object} blocklist - Blocklist to compile
+ * @param {Array<string|{name: string, aliases?: Array<string>, schedule?: Object, expiresAt?: number, fuzzy?: number}>} [blocklist.artists] - Blocked/allowed artist entries
+ * @param {Array<{artist?: string, track: string, allVersions?: boolean, schedule?: Object, expiresAt?: number, fuzzy?: number}>} [blocklist.tracks] - Blocked tracks
+ * @param {Array<string|{pattern: string, schedule?: Object, expiresAt?: number}>} [blocklist.patterns] - Blocked patterns (optionally field-scoped)
+ * @param {boolean} [blocklist.reverseMode] - If true, artists becomes the allowed list
+ * @param {boolean} [blocklist.blockCollaborations] - If true, check collaborations
+ * @param {Array<{artist?: string, track: string}|{pattern: string}>} [blocklist.exceptions] - Songs and patterns that are never blocked
+ * @param {Array<{name?: string, when: Object}>} [blocklist.rules] - Composite rules (see sanitizeCompositeRules)
+ * @param {boolean} [blocklist.skipExplicit] - If true, block tracks flagged explicit
+ * @param {{minMs?: number, maxMs?: number}} [blocklist.durationLimits] - Block tracks shorter than minMs or longer than maxMs (0 or missing disables a limit)
+ * @param {{blocklist?: Object, explicit?: Object, duration?: Object}} [blocklist.schedules] - Schedules for the whole blocklist, the explicit filter and the duration limits
+ * @param {Date} [blocklist.now] - Time used to check schedules (defaults to the current time)
+ * @param {boolean} [blocklist.includeDryRun] - If true, dry-run entries block like any other
+ * @returns {{evaluate: function({artists?: Array<string>, track?: string, album?: string, composer?: string, explicit?: boolean|null, durationMs?: number|null, source?: string}): BlockResult, validUntil: number|null}} - Compiled matcher
+ */
+function compileBlocklist(blocklist = {}) {
+  const artists = Array.isArray(blocklist.artists) ? blocklist.artists : [];
+  const tracks = Array.isArray(blocklist.tracks) ? blocklist.tracks : [];
+  const patterns = Array.isArray(blocklist.patterns) ? blocklist.patterns : [];
+  const reverseMode = blocklist.reverseMode === true;
+  const blockCollaborations = blocklist.blockCollaborations === true;
+  const exceptions = Array.isArray(blocklist.exceptions) ? blocklist.exceptions : [];
+  const rules = Array.isArray(blocklist.rules) ? blocklist.rules : [];
+  const schedules = blocklist.schedules || {};
+  const now = blocklist.now instanceof Date ? blocklist.now : new Date();
+  const includeDryRun = blocklist.includeDryRun === true;
+  const isActive = (entry) => isEntryActive(entry, now) && (includeDryRun || !getEntryDryRun(entry));
+  // In reverse mode artists are allowed rather than blocked, so dry run doesn't apply to them
+  const isArtistActive = reverseMode ? (entry) => isEntryActive(entry, now) : isActive;
+  // Dry-run entries get their own pass, run only when the live rules let a track through
+  const dryRunLists = reverseMode ? [tracks, patterns, rules] : [artists, tracks, patterns, rules];
+  const dryRunMatcher = !includeDryRun && dryRunLists.some(list => list.some(getEntryDryRun))
+    ? compileBlocklist({ ...blocklist, now, includeDryRun: true })
+    : null;
+  const blocklistActive = isScheduleActive(schedules.blocklist, now);
+  const skipExplicit = blocklist.skipExplicit === true && isScheduleActive(schedules.explicit, now);
+  const durationLimits = isScheduleActive(schedules.duration, now) ? blocklist.durationLimits || {} : {};
+  const minMs = Number(durationLimits.minMs) > 0 ? Number(durationLimits.minMs) : 0;
+  const maxMs = Number(durationLimits.maxMs) > 0 ? Number(durationLimits.maxMs) : 0;
+  
+  // Every schedule that can change what this matcher does
+  const allSchedules = [schedules.blocklist, schedules.explicit, schedules.duration,
+    ...[artists, tracks, patterns, exceptions, rules].flatMap(list => list.map(getEntrySchedule))];
+  const nextChange = getNextScheduleChange(allSchedules, now);
+  const nextExpiry = [artists, tracks, patterns, rules]
+    .flatMap(list => list.map(getEntryExpiry))
+    .filter(expiresAt => expiresAt !== null && expiresAt > now.getTime())
+    .reduce((earliest, expiresAt) => Math.min(earliest, expiresAt), Infinity);
+  const validUntil = Math.min(nextChange ? nextChange.getTime() : Infinity, nextExpiry);
+  
+  // Normalized artist name or alias -> entry index; fuzzy entries are also scanned
+  const artistNames = new Map();
+  const fuzzyArtists = [];
+  artists.forEach((entry, index) => {
+    if (!isArtistActive(entry)) return;
+    const names = getArtistEntryNames(entry);
+    for (const name of names) {
+      if (!artistNames.has(name)) {
+        artistNames.set(name, index);
+      }
+    }
+    const threshold = getEntryFuzzy(entry);
+    if (threshold !== null) {
+      fuzzyArtists.push({ index, names, threshold });
+    }
+  });
   
-  // 1) REVERSE MODE (whitelist-only) - highest priority
-  if (reverseMode) {
-    // In reverse mode, blocked_artists becomes the allowed list
-    // If artist is NOT in allowed list, block it
-    if (!isAnyArtistBlocked(artistArray, blockedArtists)) {
-      return { blocked: true, reason: 'reverse' };
+  // Track keys for exact titles and for canonical (all-versions) titles -> entry index
+  const exactTracks = new Map();
+  const allVersionTracks = new Map();
+  const fuzzyTracks = [];
+  tracks.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || !entry.track || !isActive(entry)) return;
+    const artist = entry.artist ? normalize(entry.artist) : '';
+    const [keys, title] = entry.allVersions
+      ? [allVersionTracks, canonicalizeTitle(entry.track)]
+      : [exactTracks, normalize(entry.track)];
+    if (!keys.has(trackKey(artist, title))) {
+      keys.set(trackKey(artist, title), index);
     }
-    // If we're in reverse mode and artist IS allowed, continue to check other rules
-    // (patterns and tracks can still block even allowed artists)
+    const threshold = getEntryFuzzy(entry);
+    if (threshold !== null) {
+      fuzzyTracks.push({ index, artist, title, allVersions: entry.allVersions === true, threshold });
+    }
+  });
+  
+  const compiledPatterns = compilePatternList(patterns, isActive);
+  
+  // Song exceptions by track key -> entry index; pattern exceptions compiled like patterns
+  const songExceptions = new Map();
+  exceptions.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.track !== 'string' || !entry.track || !isActive(entry)) return;
+    const key = trackKey(entry.artist ? normalize(entry.artist) : '', normalize(entry.track));
+    if (!songExceptions.has(key)) {
+      songExceptions.set(key, index);
+    }
+  });
+  const patternExceptions = compilePatternList(exceptions.map(entry => entry && entry.pattern ? entry : null), isActive);
+  
+  const compiledRules = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => validateCompositeRule(rule).valid && isActive(rule))
+    .map(({ rule, index }) => ({ index, matches: compileCondition(sanitizeCondition(rule.when)) }));
+  
+  /**
+   * Builds the explanation for a matched rule
+   */
+  function describeMatch(list, index, field, input, viaCollaboration = false, similarity = 1) {
+    const entries = { artists, tracks, patterns, exceptions, rules }[list];
+    const match = { list, index, rule: entries[index], field, input, viaCollaboration };
+    return similarity < 1 ? { ...match, similarity } : match;
   }
   
-  // 2) TRACK-LEVEL BLOCKS
-  for (const artistName of artistArray) {
-    if (isBlockedTrack(artistName, trackName, blockedTracks)) {
-      return { blocked: true, reason: 'track' };
+  /**
+   * Finds the fuzzy artist entry most like one of the given names
+   * Returns the name that matched, its entry index and the similarity
+   */
+  function findFuzzyArtist(names) {
+    let best = null;
+    for (const name of names) {
+      const normalized = normalize(name);
+      for (const { index, names: entryNames, threshold } of fuzzyArtists) {
+        for (const entryName of entryNames) {
+          const score = fuzzyMatch(normalized, entryName, threshold);
+          if (score > 0 && (!best || score > best.similarity)) {
+            best = { name, index, similarity: score };
+          }
+        }
+      }
     }
+    return best;
   }
   
-  // Also check track name directly (handles case where artistArray might be empty/null)
-  const normalizedTrack = normalize(trackName);
-  if (blockedTracks.some(blocked => 
-    blocked.track === normalizedTrack && blocked.artist === undefined
-  )) {
-    return { blocked: true, reason: 'track' };
+  /**
+   * Finds the first of the track's artists that is on the artist list
+   */
+  function findListedArtist(artistArray) {
+    for (const artist of artistArray) {
+      const index = artistNames.get(normalize(artist));
+      if (index !== undefined) {
+        return describeMatch('artists', index, 'artist', artist);
+      }
+    }
+    const fuzzy = fuzzyArtists.length > 0 ? findFuzzyArtist(artistArray) : null;
+    return fuzzy ? describeMatch('artists', fuzzy.index, 'artist', fuzzy.name, false, fuzzy.similarity) : null;
   }
   
-  // 3) PATTERN MATCHING
-  if (Array.isArray(blockedPatterns) && blockedPatterns.length > 0) {
-    for (const pattern of blockedPatterns) {
-      if (matchPattern(pattern, trackName)) {
-        return { blocked: true, reason: 'pattern' };
+  /**
+   * Finds the exact or all-versions track entry matching the track
+   */
+  function findTrackEntry(artistArray, trackName) {
+    if (!trackName) return null;
+    const title = normalize(trackName);
+    const canonical = allVersionTracks.size > 0 ? canonicalizeTitle(trackName) : '';
+    // Entries without an artist match any artist
+    const artistKeys = ['', ...artistArray.map(normalize)];
+    for (const artist of artistKeys) {
+      let index = exactTracks.get(trackKey(artist, title));
+      if (index === undefined && allVersionTracks.size > 0) {
+        index = allVersionTracks.get(trackKey(artist, canonical));
+      }
+      if (index !== undefined) {
+        return describeMatch('tracks', index, 'track', trackName);
       }
     }
+    return fuzzyTracks.length > 0 ? findFuzzyTrack(artistKeys, trackName) : null;
   }
   
-  // 4) ARTIST-LEVEL BLOCKS
-  // In reverse mode, blockedArtists is an allowlist, so allowed artists should
-  // not be blocked again by the normal artist-level rule.
-  if (!reverseMode && isAnyArtistBlocked(artistArray, blockedArtists)) {
-    return { blocked: true, reason: 'artist' };
+  /**
+   * Finds the fuzzy track entry most like the track, by title and (if the entry has one) artist
+   */
+  function findFuzzyTrack(artistKeys, trackName) {
+    const title = normalize(trackName);
+    const canonical = canonicalizeTitle(trackName);
+    let best = null;
+    for (const entry of fuzzyTracks) {
+      const score = fuzzyMatch(entry.allVersions ? canonical : title, entry.title, entry.threshold);
+      if (score === 0 || (best && score <= best.similarity)) continue;
+      const artistMatches = entry.artist === '' ||
+        artistKeys.some(artist => artist !== '' && fuzzyMatch(artist, entry.artist, entry.threshold) > 0);
+      if (artistMatches) {
+        best = { index: entry.index, similarity: score };
+      }
+    }
+    return best ? describeMatch('tracks', best.index, 'track', trackName, false, best.similarity) : null;
+  }
+  
+  /**
+   * Finds the first pattern matching its field on the track
+   */
+  function findPattern(compiled, list, fields) {
+    for (const { index, field, matches } of compiled) {
+      const inputs = field === 'artist' ? fields.artists : [fields[field]];
+      const input = inputs.find(matches);
+      if (input !== undefined) {
+        return describeMatch(list, index, field, input);
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Finds the song or pattern exception that allows the track
+   */
+  function findException(artistArray, fields) {
+    if (fields.track && songExceptions.size > 0) {
+      const title = normalize(fields.track);
+      for (const artist of ['', ...getExceptionArtistKeys(artistArray)]) {
+        const index = songExceptions.get(trackKey(artist, title));
+        if (index !== undefined) {
+          return describeMatch('exceptions', index, 'track', fields.track);
+        }
+      }
+    }
+    return findPattern(patternExceptions, 'exceptions', fields);
+  }
+  
+  /**
+   * Finds the first composite rule whose condition matches the track
+   */
+  function findCompositeRule(artistArray, track) {
+    if (compiledRules.length === 0) return null;
+    let credits = null;
+    const input = {
+      artists: artistArray,
+      credits: () => credits || (credits = getCreditedArtists(artistArray, track.track)),
+      track: track.track,
+      album: track.album,
+      durationMs: Number(track.durationMs),
+      source: track.source,
+      explicit: track.explicit
+    };
+    const found = compiledRules.find(({ matches }) => matches(input));
+    return found ? describeMatch('rules', found.index, null, null) : null;
+  }
+  
+  /**
+   * Finds a listed artist among the track's parsed credits
+   */
+  function findCollaboration(artistArray, trackName) {
+    const credits = getCreditedArtists(artistArray, trackName);
+    for (const name of credits) {
+      const index = artistNames.get(name);
+      if (index !== undefined) {
+        return describeMatch('artists', index, 'artist', name, true);
+      }
+    }
+    const fuzzy = fuzzyArtists.length > 0 ? findFuzzyArtist(credits) : null;
+    return fuzzy ? describeMatch('artists', fuzzy.index, 'artist', fuzzy.name, true, fuzzy.similarity) : null;
+  }
+  
+  /**
+   * Checks if a playing track should be blocked, and which rule matched
+   * Priority: blocklist schedule > exceptions > explicit filter > duration limits > composite rules > reverse mode > track-level blocks > pattern blocks > artist-level blocks > collaborations
+   */
+  function evaluateLive(track) {
+    const artistArray = (Array.isArray(track.artists) ? track.artists : [track.artists]).filter(Boolean);
+    const trackName = track.track;
+    const fields = { track: trackName, artists: artistArray, album: track.album, composer: track.composer };
+    
+    // The whole blocklist can be scheduled off, e.g. to allow everything on weekends
+    if (!blocklistActive) {
+      return { blocked: false, reason: null, match: null };
+    }
+    
+    // 0) ALLOW-EXCEPTIONS override every block stage
+    const exceptionMatch = findException(artistArray, fields);
+    if (exceptionMatch) {
+      return { blocked: false, reason: 'exception', match: exceptionMatch };
+    }
+    
+    // EXPLICIT FILTER (if enabled) - only tracks the player reports as explicit
+    if (skipExplicit && track.explicit === true) {
+      return { blocked: true, reason: 'explicit', match: null };
+    }
+    
+    // DURATION LIMITS (if set) - tracks with an unknown duration are never blocked
+    const durationMs = Number(track.durationMs);
+    if (durationMs > 0 && ((minMs && durationMs < minMs) || (maxMs && durationMs > maxMs))) {
+      return { blocked: true, reason: 'duration', match: null };
+    }
+    
+    // COMPOSITE RULES - AND/OR/NOT conditions over several fields
+    const ruleMatch = findCompositeRule(artistArray, track);
+    if (ruleMatch) {
+      return { blocked: true, reason: 'rule', match: ruleMatch };
+    }
+    
+    // 1) REVERSE MODE (whitelist-only) - highest priority
+    // Artists on the list are allowed; tracks and patterns can still block them
+    if (reverseMode && !findListedArtist(artistArray)) {
+      return { blocked: true, reason: 'reverse', match: null };
+    }
+    
+    // 2) TRACK-LEVEL BLOCKS
+    const trackMatch = findTrackEntry(artistArray, trackName);
+    if (trackMatch) {
+      return { blocked: true, reason: 'track', match: trackMatch };
+    }
+    
+    // 3) PATTERN MATCHING (each pattern checks its own field, track title by default)
+    const patternMatch = findPattern(compiledPatterns, 'patterns', fields);
+    if (patternMatch) {
+      return { blocked: true, reason: 'pattern', match: patternMatch };
+    }
+    
+    // In reverse mode the artist list is an allowlist, so it never blocks
+    if (reverseMode) {
+      return { blocked: false, reason: null, match: null };
+    }
+    
+    // 4) ARTIST-LEVEL BLOCKS
+    const artistMatch = findListedArtist(artistArray);
+    if (artistMatch) {
+      return { blocked: true, reason: 'artist', match: artistMatch };
+    }
+    
+    // 5) COLLABORATION BLOCKS (if enabled)
+    const collaborationMatch = blockCollaborations ? findCollaboration(artistArray, trackName) : null;
+    if (collaborationMatch) {
+      return { blocked: true, reason: 'artist', match: collaborationMatch };
+    }
+    
+    return { blocked: false, reason: null, match: null };
   }
   
-  // 5) COLLABORATION BLOCKS (if enabled)
-  if (blockCollaborations && !reverseMode) {
-    if (isCollaborationBlocked(artistArray, blockedArtists)) {
-      return { blocked: true, reason: 'artist' };
+  /**
+   * Checks a track against the live rules, then against the dry-run rules if it got through
+   */
+  function evaluate(track = {}) {
+    const result = evaluateLive(track);
+    if (result.blocked || !dryRunMatcher) {
+      return result;
     }
+    const dryRunResult = dryRunMatcher.evaluate(track);
+    return dryRunResult.blocked ? { ...dryRunResult, blocked: false, dryRun: true } : result;
   }
   
-  return { blocked: false, reason: null };
+  return { evaluate, validUntil: Number.isFinite(validUntil) ? validUntil : null };
+}
+
+/**
+ * Result of checking a track against layered blocklists
+ * @typedef {BlockResult & {layer: {id: string, name: string}|null}} LayeredBlockResult
+ * layer is the layer that blocked the track, or whose exception allowed it
+ */
+
+/**
+ * Compiles several blocklists that apply at the same time, e.g. a shared
+ * household list plus a personal one
+ * Blocks are a union: a track is blocked if any layer blocks it. Exceptions are
+ * per layer and only lift that layer's own blocks, so one layer's exception
+ * never allows a song another layer blocks. When several layers block a track,
+ * the first one in the list is reported. A dry-run match is only reported when
+ * no layer blocks the track.
+ * @param {Array<Object>} layers - Blocklists as accepted by compileBlocklist, each with an id and name
+ * @param {Date} [now] - Time used to check schedules (defaults to the current time)
+ * @returns {{evaluate: function(Object): LayeredBlockResult, validUntil: number|null}} - Compiled matcher; evaluate takes the same track fields as compileBlocklist's
+ */
+function compileLayeredBlocklist(layers, now = new Date()) {
+  const compiled = (Array.isArray(layers) ? layers : []).map(layer => ({
+    layer: { id: layer.id, name: layer.name },
+    matcher: compileBlocklist({ ...layer, now })
+  }));
+  const validUntil = compiled
+    .map(({ matcher }) => matcher.validUntil)
+    .filter(time => time !== null)
+    .reduce((earliest, time) => Math.min(earliest, time), Infinity);
+  
+  /**
+   * Checks a track against every layer, stopping at the first that blocks it
+   */
+  function evaluate(track = {}) {
+    let allowed = null;
+    let dryRun = null;
+    for (const { layer, matcher } of compiled) {
+      const result = matcher.evaluate(track);
+      if (result.blocked) {
+        return { ...result, layer };
+      }
+      if (!dryRun && result.dryRun) {
+        dryRun = { ...result, layer };
+      }
+      if (!allowed && result.reason === 'exception') {
+        allowed = { ...result, layer };
+      }
+    }
+    return dryRun || allowed || { blocked: false, reason: null, match: null, layer: null };
+  }
+  
+  return { evaluate, validUntil: Number.isFinite(validUntil) ? validUntil : null };
+}
+
+/**
+ * Checks if a playing track should be blocked
+ * Priority: exceptions > explicit filter > duration limits > reverse mode > track-level blocks > pattern blocks > artist-level blocks
+ * Compiles the blocklist on every call; use compileBlocklist to check many tracks
+ * @param {string|Array<string>} artistNames - Single artist name or array of artist names
+ * @param {string} trackName - The track name
+ * @param {Array<string|{name: string, aliases?: Array<string>}>} blockedArtists - Blocked/allowed artist entries
+ * @param {Array<{artist?: string, track: string, allVersions?: boolean}>} blockedTracks - Array of blocked tracks
+ * @param {Array<string>} blockedPatterns - Array of blocked patterns (optionally field-scoped)
+ * @param {boolean} reverseMode - If true, blockedArtists becomes allowed list
+ * @param {boolean} blockCollaborations - If true, check collaborations
+ * @param {{album?: string, composer?: string, explicit?: boolean|null, durationMs?: number|null}} trackDetails - Extra track fields for field-scoped patterns, the explicit filter and duration limits
+ * @param {Array<{artist?: string, track: string}|{pattern: string}>} exceptions - Songs and patterns that are never blocked
+ * @param {boolean} skipExplicit - If true, block tracks flagged explicit
+ * @param {{minMs?: number, maxMs?: number}} durationLimits - Block tracks shorter than minMs or longer than maxMs
+ * @returns {BlockResult} - Block status, reason and matched rule
+ */
+function isBlocked(artistNames, trackName, blockedArtists, blockedTracks, blockedPatterns = [], reverseMode = false, blockCollaborations = false, trackDetails = {}, exceptions = [], skipExplicit = false, durationLimits = {}) {
+  const matcher = compileBlocklist({
+    artists: blockedArtists,
+    tracks: blockedTracks,
+    patterns: blockedPatterns,
+    reverseMode,
+    blockCollaborations,
+    exceptions,
+    skipExplicit,
+    durationLimits
+  });
+  return matcher.evaluate({
+    artists: Array.isArray(artistNames) ? artistNames : [artistNames],
+    track: trackName,
+    album: trackDetails && trackDetails.album,
+    composer: trackDetails && trackDetails.composer,
+    explicit: trackDetails && trackDetails.explicit,
+    durationMs: trackDetails && trackDetails.durationMs
+  });
 }
 
 module.exports = {
+  foldText,
   normalize,
   normalizeName, // For backwards compatibility
   sanitizeBlockedList,
+  getArtistEntryName,
+  getArtistEntryNames,
+  findArtistEntryIndex,
   sanitizeBlockedTracks,
+  canonicalizeTitle,
   sanitizeBlockedPatterns,
+  sanitizeExceptions,
+  findSongExceptionIndex,
+  validatePattern,
+  isRegexPattern,
+  parsePatternField,
+  getPatternText,
+  getEntrySchedule,
+  setEntrySchedule,
+  getEntryExpiry,
+  setEntryExpiry,
+  getEntryFuzzy,
+  setEntryFuzzy,
+  getEntryDryRun,
+  setEntryDryRun,
+  isEntryExpired,
+  PATTERN_FIELDS,
   isBlockedArtist,
   isAnyArtistBlocked,
   isBlockedTrack,
+  addBlockedTrack,
   matchPattern,
+  matchPatternFields,
+  parseArtistCredits,
+  extractFeaturedArtists,
+  getCreditedArtists,
   isCollaborationBlocked,
+  getRuleKey,
+  findRuleIndex,
+  compileBlocklist,
+  compileLayeredBlocklist,
+  validateCondition,
+  validateCompositeRule,
+  sanitizeCompositeRules,
+  CONDITION_OPERATORS,
+  CONDITION_SOURCES,
   isBlocked
 };
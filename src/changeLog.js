@@ -0,0 +1,209 @@
+/**
+ * Versioned change log of blocklist edits, with undo, redo and restore
+ *
+ * Every change that modifies a profile's blocklist is recorded with a copy of the
+ * profile's settings from before the change, so it can be undone or restored
+ * later. Undone changes move to a redo list holding the settings from after the
+ * change, which is cleared by the next new change to that profile. Only the
+ * newest MAX_CHANGES changes are kept.
+ */
+
+// Where a change was made
+const CHANGE_SOURCES = ['dashboard', 'tray', 'history', 'import'];
+
+const MAX_CHANGES = 50;
+
+/**
+ * A recorded change to one profile's blocklist
+ * @typedef {Object} Change
+ * @property {number} version - Increasing change number, never reused
+ * @property {number} timestamp - When the change was made, in ms
+ * @property {string} profileId - Profile that was changed
+ * @property {"dashboard" | "tray" | "history" | "import"} source - Where the change was made
+ * @property {string} action - What changed, e.g. 'Blocked artist "Adele"'
+ * @property {Object<string, *>} [before] - Profile settings before the change (undo list)
+ * @property {Object<string, *>} [after] - Profile settings after the change (redo list)
+ */
+
+/**
+ * Creates an empty change log
+ * @returns {{nextVersion: number, undo: Array<Change>, redo: Array<Change>}} - Empty log
+ */
+function createChangeLog() {
+  return { nextVersion: 1, undo: [], redo: [] };
+}
+
+/**
+ * Checks that a stored change has everything needed to apply it
+ * @param {*} change - Stored change
+ * @param {"before" | "after"} settingsKey - Which settings it must carry
+ * @returns {boolean} - True if the change is usable
+ */
+function isValidChange(change, settingsKey) {
+  return !!change && typeof change === 'object' &&
+    Number.isInteger(change.version) && change.version > 0 &&
+    typeof change.profileId === 'string' &&
+    typeof change.action === 'string' &&
+    !!change[settingsKey] && typeof change[settingsKey] === 'object';
+}
+
+/**
+ * Drops anything unusable from a change log read from disk
+ * @param {*} log - Stored log
+ * @returns {{nextVersion: number, undo: Array<Change>, redo: Array<Change>}} - Usable log
+ */
+function sanitizeChangeLog(log) {
+  if (!log || typeof log !== 'object') {
+    return createChangeLog();
+  }
+  const undo = Array.isArray(log.undo) ? log.undo.filter(change => isValidChange(change, 'before')) : [];
+  const redo = Array.isArray(log.redo) ? log.redo.filter(change => isValidChange(change, 'after')) : [];
+  const highest = Math.max(0, ...undo.map(change => change.version), ...redo.map(change => change.version));
+  const nextVersion = Number.isInteger(log.nextVersion) && log.nextVersion > highest ? log.nextVersion : highest + 1;
+  return { nextVersion, undo: undo.slice(-MAX_CHANGES), redo: redo.slice(-MAX_CHANGES) };
+}
+
+/**
+ * Records a change, dropping the oldest ones past the limit
+ * @param {Object} log - Change log
+ * @param {{profileId: string, source: string, action: string, before: Object}} change - The change
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} - Updated log
+ */
+function recordChange(log, { profileId, source, action, before }, now = Date.now()) {
+  const entry = {
+    version: log.nextVersion,
+    timestamp: now,
+    profileId,
+    source: CHANGE_SOURCES.includes(source) ? source : 'dashboard',
+    action,
+    before
+  };
+  return {
+    nextVersion: log.nextVersion + 1,
+    undo: [...log.undo, entry].slice(-MAX_CHANGES),
+    // A new change makes the profile's undone changes unreachable
+    redo: log.redo.filter(change => change.profileId !== profileId)
+  };
+}
+
+/**
+ * Finds the newest change to a profile in a list
+ * @param {Array<Change>} changes - Undo or redo list
+ * @param {string} profileId - Profile id
+ * @returns {number} - Index of the change, or -1
+ */
+function findLastChangeIndex(changes, profileId) {
+  for (let i = changes.length - 1; i >= 0; i--) {
+    if (changes[i].profileId === profileId) return i;
+  }
+  return -1;
+}
+
+/**
+ * Undoes a profile's newest change
+ * @param {Object} log - Change log
+ * @param {string} profileId - Profile id
+ * @param {Object} current - The profile's settings now, kept for redo
+ * @returns {{log: Object, change: Change, settings: Object}|null} - Updated log and the settings to apply, or null if there is nothing to undo
+ */
+function undoChange(log, profileId, current) {
+  const index = findLastChangeIndex(log.undo, profileId);
+  if (index === -1) return null;
+  const { before, ...change } = log.undo[index];
+  return {
+    log: {
+      ...log,
+      undo: log.undo.filter((_, i) => i !== index),
+      redo: [...log.redo, { ...change, after: current }].slice(-MAX_CHANGES)
+    },
+    change,
+    settings: before
+  };
+}
+
+/**
+ * Redoes a profile's most recently undone change
+ * @param {Object} log - Change log
+ * @param {string} profileId - Profile id
+ * @param {Object} current - The profile's settings now, kept for undo
+ * @returns {{log: Object, change: Change, settings: Object}|null} - Updated log and the settings to apply, or null if there is nothing to redo
+ */
+function redoChange(log, profileId, current) {
+  const index = findLastChangeIndex(log.redo, profileId);
+  if (index === -1) return null;
+  const { after, ...change } = log.redo[index];
+  return {
+    log: {
+      ...log,
+      undo: [...log.undo, { ...change, before: current }].slice(-MAX_CHANGES),
+      redo: log.redo.filter((_, i) => i !== index)
+    },
+    change,
+    settings: after
+  };
+}
+
+/**
+ * Restores a profile to how it was before a recorded change
+ * The restore is itself recorded, so it can be undone like any other change.
+ * @param {Object} log - Change log
+ * @param {number} version - Version of the change to go back to before
+ * @param {string} profileId - Profile id
+ * @param {Object} current - The profile's settings now
+ * @param {{source?: string, now?: number}} [options] - Where the restore was made and the current time
+ * @returns {{log: Object, change: Change, settings: Object}|null} - Updated log and the settings to apply, or null if the version isn't in the profile's log
+ */
+function restoreChange(log, version, profileId, current, { source = 'dashboard', now = Date.now() } = {}) {
+  const change = log.undo.find(entry => entry.version === version && entry.profileId === profileId);
+  if (!change) return null;
+  return {
+    log: recordChange(log, { profileId, source, action: `Restored version ${version}`, before: current }, now),
+    change,
+    settings: change.before
+  };
+}
+
+/**
+ * Removes every change to a profile, e.g. after it is deleted
+ * @param {Object} log - Change log
+ * @param {string} profileId - Profile id
+ * @returns {Object} - Updated log
+ */
+function forgetProfileChanges(log, profileId) {
+  return {
+    ...log,
+    undo: log.undo.filter(change => change.profileId !== profileId),
+    redo: log.redo.filter(change => change.profileId !== profileId)
+  };
+}
+
+/**
+ * Summarizes a profile's changes for the dashboard, without the stored settings
+ * @param {Object} log - Change log
+ * @param {string} profileId - Profile id
+ * @returns {{changes: Array<{version: number, timestamp: number, source: string, action: string}>, undo: string|null, redo: string|null}} - Changes newest first, and the actions undo and redo would reverse or repeat
+ */
+function describeChanges(log, profileId) {
+  const summarize = ({ version, timestamp, source, action }) => ({ version, timestamp, source, action });
+  const undo = log.undo.filter(change => change.profileId === profileId);
+  const redo = log.redo.filter(change => change.profileId === profileId);
+  return {
+    changes: undo.map(summarize).reverse(),
+    undo: undo.length > 0 ? undo[undo.length - 1].action : null,
+    redo: redo.length > 0 ? redo[redo.length - 1].action : null
+  };
+}
+
+module.exports = {
+  CHANGE_SOURCES,
+  MAX_CHANGES,
+  createChangeLog,
+  sanitizeChangeLog,
+  recordChange,
+  undoChange,
+  redoChange,
+  restoreChange,
+  forgetProfileChanges,
+  describeChanges
+};
@@ -0,0 +1,155 @@
+/**
+ * Fuzzy name matching for artist and song rules that opt into it
+ *
+ * Similarity is a score from 0 to 1 between two normalized strings: the better of
+ * the edit-distance ratio (a swapped pair of letters counts as one edit, so
+ * "swfit" is one typo away from "swift") and the same ratio with the words sorted
+ * (so "swift taylor" matches "taylor swift"). A rule's threshold is the lowest
+ * score it accepts. Numbers must be the same in both names.
+ */
+
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+// Lower thresholds start matching unrelated names
+const MIN_FUZZY_THRESHOLD = 0.75;
+
+// Shorter names only match exactly; a single edit already changes too much of them
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Lists the numbers in a name, in order
+ * @param {string} text - Normalized name
+ * @returns {string} - Digit runs joined by spaces
+ */
+function getNumbers(text) {
+  return (text.match(/\d+/g) || []).join(' ');
+}
+
+/**
+ * Counts the edits (insert, delete, substitute, swap adjacent) between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  const left = Array.from(a);
+  const right = Array.from(b);
+  // Rows for the previous two prefixes of left, needed for adjacent swaps
+  let beforePrevious = [];
+  let previous = right.map((_, j) => j + 1);
+  previous.unshift(0);
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j++) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && left[i - 1] === right[j - 2] && left[i - 2] === right[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+/**
+ * Scores how alike two strings are from their edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 1 for equal strings down to 0 for nothing in common
+ */
+function editRatio(a, b) {
+  const length = Math.max(Array.from(a).length, Array.from(b).length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+}
+
+/**
+ * Scores how alike two normalized names are, ignoring word order
+ * @param {string} a - First normalized name
+ * @param {string} b - Second normalized name
+ * @returns {number} - Similarity from 0 to 1
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const sortWords = (text) => text.split(' ').sort().join(' ');
+  return Math.max(editRatio(a, b), editRatio(sortWords(a), sortWords(b)));
+}
+
+/**
+ * Normalizes a rule's fuzzy threshold
+ * @param {*} value - true for the default threshold, or a similarity from 0 to 1
+ * @returns {number|null} - Threshold (raised to MIN_FUZZY_THRESHOLD if lower), or null for exact matching
+ */
+function sanitizeFuzzyThreshold(value) {
+  if (value === true) {
+    return DEFAULT_FUZZY_THRESHOLD;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value >= 1) {
+    return null;
+  }
+  return Math.max(MIN_FUZZY_THRESHOLD, Math.round(value * 100) / 100);
+}
+
+/**
+ * Checks whether two normalized names are equal or alike enough
+ * @param {string} a - First normalized name
+ * @param {string} b - Second normalized name
+ * @param {number} threshold - Lowest similarity that counts as a match
+ * @returns {number} - The similarity if they match, otherwise 0
+ */
+function fuzzyMatch(a, b, threshold) {
+  if (a === b) {
+    return 1;
+  }
+  const lengthA = Array.from(a).length;
+  const lengthB = Array.from(b).length;
+  if (Math.min(lengthA, lengthB) < MIN_FUZZY_LENGTH) {
+    return 0;
+  }
+  // A different number is a different work ("Symphony No. 5", "Chapter 4"), however close the rest
+  if (getNumbers(a) !== getNumbers(b)) {
+    return 0;
+  }
+  // Sorting words keeps the length, so the length difference bounds both scores
+  if (1 - Math.abs(lengthA - lengthB) / Math.max(lengthA, lengthB) < threshold) {
+    return 0;
+  }
+  const score = similarity(a, b);
+  return score >= threshold ? score : 0;
+}
+
+/**
+ * Finds names that are alike but not equal to a name, best match first
+ * Returns nothing if any candidate is an exact match, since a rule for the
+ * name would already fire on it.
+ * @param {string} name - Normalized name to look up
+ * @param {Array<{name: string, normalized: string}>} candidates - Names to compare against
+ * @param {number} [threshold] - Lowest similarity to report
+ * @returns {Array<{name: string, similarity: number}>} - Similar names
+ */
+function findSimilarNames(name, candidates, threshold = DEFAULT_FUZZY_THRESHOLD) {
+  if (!name || candidates.some(candidate => candidate.normalized === name)) {
+    return [];
+  }
+  const found = new Map();
+  for (const candidate of candidates) {
+    const score = fuzzyMatch(name, candidate.normalized, threshold);
+    if (score > 0 && !found.has(candidate.normalized)) {
+      found.set(candidate.normalized, { name: candidate.name, similarity: score });
+    }
+  }
+  return [...found.values()].sort((a, b) => b.similarity - a.similarity);
+}
+
+module.exports = {
+  DEFAULT_FUZZY_THRESHOLD,
+  MIN_FUZZY_THRESHOLD,
+  editDistance,
+  similarity,
+  sanitizeFuzzyThreshold,
+  fuzzyMatch,
+  findSimilarNames
+};
@@ -0,0 +1,310 @@
+/**
+ * Blocklist import and export formats besides JSON
+ *
+ * CSV files have an artist column and a track column (a header row naming them
+ * is optional): a row with only an artist blocks the artist, a row with a track
+ * blocks the song. Text files and pasted text list one artist per line, and
+ * songs as "Artist - Title"; under a "# Songs" heading a line without a dash is
+ * a title by any artist, and a title in double quotes is one even if it has a
+ * dash. Both formats carry artists and songs only; patterns,
+ * exceptions, rules and settings need JSON. iTunes and Apple Music library
+ * exports are read by musicLibrary.js, and M3U, PLS and XSPF playlists by
+ * playlistFiles.js.
+ */
+
+const { getArtistEntryName } = require('./blocklist');
+const { readLibrary, getLibraryEntries } = require('./musicLibrary');
+const { PLAYLIST_FORMATS, SONG_SEPARATOR, formatSongName, parsePlaylist } = require('./playlistFiles');
+
+const IMPORT_FORMATS = ['json', 'csv', 'text', 'library', ...PLAYLIST_FORMATS];
+
+// List markers pasted along with the names, e.g. "- Adele", "• Adele", "3. Adele"
+const LIST_MARKER = /^(?:[-*•]|\d+[.)])\s+/;
+
+/**
+ * Guesses the format of an imported file from its name, or else its contents.
+ * CSV is only read from .csv files: without one, commas are part of the names
+ * (as in "Tyler, The Creator"), so pasted lists are read as text.
+ * @param {string} text - File contents or pasted text
+ * @param {string} [fileName] - File name
+ * @returns {"json" | "csv" | "text" | "library" | "m3u" | "pls" | "xspf"} - Format
+ */
+function detectImportFormat(text, fileName = '') {
+  const extension = /\.([a-z0-9]+)$/i.exec(fileName || '');
+  if (extension) {
+    const format = {
+      json: 'json',
+      csv: 'csv',
+      txt: 'text',
+      xml: 'library',
+      m3u: 'm3u',
+      m3u8: 'm3u',
+      pls: 'pls',
+      xspf: 'xspf'
+    }[extension[1].toLowerCase()];
+    if (format) return format;
+  }
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('{')) return 'json';
+  if (/^#EXTM3U/i.test(trimmed)) return 'm3u';
+  if (/^\[playlist\]/i.test(trimmed)) return 'pls';
+  if (/<playlist[\s>]/.test(trimmed.slice(0, 1000))) return 'xspf';
+  if (/^<(\?xml|!DOCTYPE plist|plist)/.test(trimmed)) return 'library';
+  return 'text';
+}
+
+/**
+ * Splits CSV text into rows of fields. Fields may be quoted with "", with "" for
+ * a quote inside; quoted fields may contain commas and line breaks.
+ * @param {string} text - CSV text
+ * @returns {{rows: Array<{line: number, fields: Array<string>}>, unterminated: boolean}} - Rows with their starting line number, and whether a quote was left open
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      rows.push({ line: rowLine, fields: [...fields, field] });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    rows.push({ line: rowLine, fields: [...fields, field] });
+  }
+  return { rows, unterminated: quoted };
+}
+
+/**
+ * Reads artists and songs from CSV text
+ * @param {string} text - CSV text
+ * @returns {{data: {artists?: Array<string>, tracks?: Array<{artist?: string, track: string}>}, warnings: Array<string>}} - Lists found (only those with entries) and problems with rows that were skipped
+ */
+function parseCsvBlocklist(text) {
+  const { rows, unterminated } = parseCsvRows(text);
+  const warnings = unterminated ? ['A quoted field is never closed, so the end of the file may be read wrongly'] : [];
+  const nonEmpty = rows.filter(row => row.fields.some(field => field.trim() !== ''));
+  let artistColumn = 0;
+  let trackColumn = 1;
+  let headed = false;
+  if (nonEmpty.length > 0) {
+    const header = nonEmpty[0].fields.map(field => field.trim().toLowerCase());
+    const artistIndex = header.findIndex(name => name === 'artist' || name === 'artists');
+    const trackIndex = header.findIndex(name => ['track', 'title', 'song', 'name'].includes(name));
+    if (artistIndex !== -1 || trackIndex !== -1) {
+      artistColumn = artistIndex;
+      trackColumn = trackIndex;
+      headed = true;
+      const ignored = header.filter((name, index) => name && index !== artistIndex && index !== trackIndex);
+      if (ignored.length > 0) {
+        warnings.push(`Column${ignored.length === 1 ? '' : 's'} ${ignored.map(name => `"${name}"`).join(', ')} ignored`);
+      }
+      nonEmpty.shift();
+    }
+  }
+
+  const artists = [];
+  const tracks = [];
+  for (const { line, fields } of nonEmpty) {
+    const artist = artistColumn === -1 ? '' : (fields[artistColumn] || '').trim();
+    const track = trackColumn === -1 ? '' : (fields[trackColumn] || '').trim();
+    // Without a header, a third column usually means a name with an unquoted comma
+    const extra = fields.filter((field, index) => index !== artistColumn && index !== trackColumn && field.trim() !== '');
+    if (!headed && extra.length > 0) {
+      warnings.push(`Line ${line}: ${fields.length} columns, only the first two (artist, track) are read; quote names that contain commas`);
+    }
+    if (track) {
+      tracks.push(artist ? { artist, track } : { track });
+    } else if (artist) {
+      artists.push(artist);
+    } else {
+      warnings.push(`Line ${line}: no artist or track, skipped`);
+    }
+  }
+  return { data: withEntries({ artists, tracks }), warnings };
+}
+
+/**
+ * Reads artists and songs from a text file or pasted text
+ * @param {string} text - One artist or "Artist - Title" per line
+ * @returns {{data: {artists?: Array<string>, tracks?: Array<{artist?: string, track: string}>}, warnings: Array<string>}} - Lists found (only those with entries) and problems with lines that were skipped
+ */
+function parseTextBlocklist(text) {
+  const artists = [];
+  const tracks = [];
+  const warnings = [];
+  // Before any heading, a line is a song if it has a separator and an artist otherwise
+  let section = null;
+  String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const content = raw.trim();
+    if (content.startsWith('#')) {
+      const heading = content.replace(/^#+/, '').trim().toLowerCase();
+      if (heading === 'artists') section = 'artists';
+      if (heading === 'songs' || heading === 'tracks') section = 'tracks';
+      return;
+    }
+    const entry = content.replace(LIST_MARKER, '').trim();
+    if (!entry) return;
+
+    // A quoted title with a dash, as written by formatTextBlocklist, has no artist
+    const quoted = /^"(.+)"$/.exec(entry);
+    if (quoted && section !== 'artists' && (section === 'tracks' || SONG_SEPARATOR.test(quoted[1]))) {
+      tracks.push({ track: quoted[1].trim() });
+      return;
+    }
+
+    const separator = SONG_SEPARATOR.exec(entry);
+    if (section === 'artists' || (section === null && !separator)) {
+      artists.push(entry);
+      return;
+    }
+    if (!separator) {
+      tracks.push({ track: entry });
+      return;
+    }
+    const artist = entry.slice(0, separator.index).trim();
+    const track = entry.slice(separator.index + separator[0].length).trim();
+    if (!track) {
+      warnings.push(`Line ${index + 1}: "${entry}" has no title, skipped`);
+      return;
+    }
+    tracks.push(artist ? { artist, track } : { track });
+  });
+  return { data: withEntries({ artists, tracks }), warnings };
+}
+
+/**
+ * Drops lists with no entries, so importing them replaces nothing
+ * @param {Object<string, Array<*>>} lists - Lists by export field
+ * @returns {Object<string, Array<*>>} - Lists that have entries
+ */
+function withEntries(lists) {
+  return Object.fromEntries(Object.entries(lists).filter(([, entries]) => entries.length > 0));
+}
+
+/**
+ * Parses the text of an imported file
+ * @param {string} text - File contents or pasted text
+ * @param {"json" | "csv" | "text" | "library" | "m3u" | "pls" | "xspf"} format - Format of the text
+ * @param {{library?: {playlists: Array<string>, target: string}, playlist?: {target: string}}} [options] - For a library, the playlists to import and what to add their songs as (see getLibraryEntries); for a playlist file, what to add its songs as
+ * @returns {{valid: boolean, data?: Object, warnings?: Array<string>, error?: string}} - Blocklist in export form, or why it can't be read
+ */
+function parseImportText(text, format, options = {}) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { valid: false, error: `Unknown import format "${format}"` };
+  }
+  if (format === 'library') {
+    const library = readLibrary(text);
+    return library.valid ? getLibraryEntries(library, options.library) : library;
+  }
+  if (PLAYLIST_FORMATS.includes(format)) {
+    return parsePlaylist(text, format, options.playlist);
+  }
+  if (format === 'json') {
+    try {
+      return { valid: true, data: JSON.parse(text), warnings: [] };
+    } catch (error) {
+      return { valid: false, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+  const { data, warnings } = format === 'csv' ? parseCsvBlocklist(text) : parseTextBlocklist(text);
+  if (Object.keys(data).length === 0) {
+    return { valid: false, error: 'No artists or songs found' };
+  }
+  return { valid: true, data, warnings };
+}
+
+/**
+ * Quotes a CSV field if it needs it
+ * @param {string} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes artists and songs as CSV with an artist,track header
+ * @param {{artists?: Array<*>, tracks?: Array<{artist?: string, track: string}>}} data - Exported blocklist
+ * @returns {string} - CSV text
+ */
+function formatCsvBlocklist(data) {
+  const rows = [
+    ['artist', 'track'],
+    ...(data.artists || []).map(entry => [getArtistEntryName(entry), '']),
+    ...(data.tracks || []).map(entry => [entry.artist || '', entry.track])
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Writes artists and songs as text, under "# Artists" and "# Songs" headings.
+ * Titles without an artist are quoted if they have a dash, so they read back the same.
+ * @param {{profile?: string, artists?: Array<*>, tracks?: Array<{artist?: string, track: string}>}} data - Exported blocklist
+ * @returns {string} - Text
+ */
+function formatTextBlocklist(data) {
+  const lines = [
+    ...(data.profile ? [`# SwiftBeGone blocklist: ${data.profile}`, ''] : []),
+    '# Artists',
+    ...(data.artists || []).map(getArtistEntryName),
+    '',
+    '# Songs',
+    ...(data.tracks || []).map(formatSongName)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Compares a list before and after an import
+ * @param {Array<*>} previous - Entries before
+ * @param {Array<*>} next - Entries after
+ * @returns {{added: Array<*>, removed: Array<*>, unchanged: number}} - Entries only in next, entries only in previous, and how many are in both
+ */
+function diffEntries(previous, next) {
+  const previousKeys = new Set(previous.map(entry => JSON.stringify(entry)));
+  const nextKeys = new Set(next.map(entry => JSON.stringify(entry)));
+  return {
+    added: next.filter(entry => !previousKeys.has(JSON.stringify(entry))),
+    removed: previous.filter(entry => !nextKeys.has(JSON.stringify(entry))),
+    unchanged: next.filter(entry => previousKeys.has(JSON.stringify(entry))).length
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseCsvRows,
+  parseImportText,
+  formatCsvBlocklist,
+  formatTextBlocklist,
+  diffEntries
+};
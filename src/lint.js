@@ -0,0 +1,225 @@
+/**
+ * Blocklist lint: finds rules that are redundant, contradictory or can never fire
+ *
+ * Each issue has a severity:
+ *   error   - the blocklist doesn't do what it looks like it does (e.g. it blocks everything)
+ *   warning - a rule never fires, or two rules say the same thing
+ *   info    - a rule is harmless but probably not what was meant
+ * Issues that have an obvious repair carry a fix describing it; main.js applies fixes.
+ */
+
+const {
+  normalize,
+  getArtistEntryNames,
+  getEntrySchedule,
+  getEntryExpiry,
+  getEntryDryRun,
+  isEntryExpired,
+  getPatternText,
+  parsePatternField,
+  isRegexPattern,
+  validatePattern
+} = require('./blocklist');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * A problem found in the blocklist
+ * @typedef {Object} LintIssue
+ * @property {string} code - Kind of issue, e.g. "duplicate-pattern"
+ * @property {"error" | "warning" | "info"} severity - How much it matters
+ * @property {string} message - Plain-text explanation
+ * @property {"artists" | "tracks" | "patterns" | "exceptions" | null} list - List holding the offending rule
+ * @property {number|null} index - Index of the rule in that list
+ * @property {*} rule - The rule as stored, used to find it again before fixing
+ * @property {{label: string, action: "remove" | "replace" | "disable-reverse-mode", entry?: *}|null} fix - One-click repair, if there is one
+ */
+
+/**
+ * Builds an issue
+ * @param {string} code - Kind of issue
+ * @param {"error" | "warning" | "info"} severity - How much it matters
+ * @param {string} message - Plain-text explanation
+ * @param {{list?: string, index?: number, rule?: *, fix?: Object}} [target] - Offending rule and its fix
+ * @returns {LintIssue} - The issue
+ */
+function createIssue(code, severity, message, { list = null, index = null, rule = null, fix = null } = {}) {
+  return { code, severity, message, list, index, rule, fix };
+}
+
+/**
+ * Checks whether an entry always applies: no schedule, no expiry and not in dry run
+ * @param {*} entry - Rule entry
+ * @returns {boolean} - True if the entry blocks at all times
+ */
+function isAlwaysOn(entry) {
+  return !getEntrySchedule(entry) && getEntryExpiry(entry) === null && !getEntryDryRun(entry);
+}
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Rewrites a wildcard pattern with a * in the middle as the regex it was meant to be,
+ * e.g. "live*version" -> "/^live.*version$/i"
+ * @param {string} pattern - Wildcard pattern, optionally field-scoped
+ * @returns {string|null} - Equivalent regex pattern, or null if it wouldn't be valid
+ */
+function wildcardToRegex(pattern) {
+  const { field, body } = parsePatternField(pattern);
+  const parts = normalize(body).split('*');
+  const source = parts.map(escapeRegex).join('.*')
+    .replace(/^(?:\.\*)+/, '')
+    .replace(/(?:\.\*)+$/, '');
+  const anchored = `${body.startsWith('*') ? '' : '^'}${source}${body.endsWith('*') ? '' : '$'}`;
+  const prefix = /^(track|artist|album|composer):/i.test(pattern.trim()) ? `${field}:` : '';
+  const regex = `${prefix}/${anchored}/i`;
+  return validatePattern(regex).valid ? regex : null;
+}
+
+/**
+ * Copies a pattern entry with new pattern text, keeping its schedule and other options
+ * @param {*} entry - Pattern entry
+ * @param {string} pattern - New pattern text
+ * @returns {*} - Updated entry
+ */
+function withPattern(entry, pattern) {
+  return typeof entry === 'string' ? pattern : { ...entry, pattern };
+}
+
+/**
+ * Key under which two patterns match exactly the same tracks
+ * Wildcard patterns are case-insensitive, so their key is normalized; regex
+ * patterns are compared as written.
+ * @param {*} entry - Pattern entry
+ * @returns {string} - Comparison key
+ */
+function patternKey(entry) {
+  const pattern = getPatternText(entry);
+  const { field, body } = parsePatternField(pattern);
+  return `${field}:${isRegexPattern(pattern) ? body : normalize(body)}`;
+}
+
+/**
+ * Finds rules in a blocklist that are redundant, contradictory or can never fire
+ * @param {Object} blocklist - Blocklist in the shape compileBlocklist takes
+ * @param {Array<*>} [blocklist.artists] - Blocked (or, in reverse mode, allowed) artists
+ * @param {Array<Object>} [blocklist.tracks] - Blocked tracks
+ * @param {Array<*>} [blocklist.patterns] - Blocked patterns
+ * @param {Array<Object>} [blocklist.exceptions] - Always-allowed songs and patterns
+ * @param {boolean} [blocklist.reverseMode] - Whether artists is an allowed list
+ * @param {number} [now] - Current time in ms, to ignore expired entries
+ * @returns {Array<LintIssue>} - Issues, most severe first
+ */
+function lintBlocklist(blocklist = {}, now = Date.now()) {
+  const artists = Array.isArray(blocklist.artists) ? blocklist.artists : [];
+  const tracks = Array.isArray(blocklist.tracks) ? blocklist.tracks : [];
+  const patterns = Array.isArray(blocklist.patterns) ? blocklist.patterns : [];
+  const exceptions = Array.isArray(blocklist.exceptions) ? blocklist.exceptions : [];
+  const reverseMode = blocklist.reverseMode === true;
+  const issues = [];
+
+  // Reverse mode with nobody on the allowed list skips every song
+  if (reverseMode && !artists.some(entry => !isEntryExpired(entry, now))) {
+    issues.push(createIssue('reverse-mode-empty', 'error',
+      'Reverse mode is on but no artists are allowed, so every song is skipped',
+      { fix: { label: 'Turn off reverse mode', action: 'disable-reverse-mode' } }));
+  }
+
+  // Song blocks for an artist who is already blocked at all times
+  if (!reverseMode) {
+    const alwaysBlocked = new Set(artists.filter(isAlwaysOn).flatMap(getArtistEntryNames));
+    tracks.forEach((entry, index) => {
+      if (entry && entry.artist && alwaysBlocked.has(normalize(entry.artist))) {
+        issues.push(createIssue('track-covered-by-artist', 'info',
+          `"${entry.track}" is blocked, but every song by ${entry.artist} already is`,
+          { list: 'tracks', index, rule: entry, fix: { label: 'Remove song', action: 'remove' } }));
+      }
+    });
+  }
+
+  // Song blocks that an identical exception always lets through
+  tracks.forEach((entry, index) => {
+    if (!entry || entry.allVersions) return;
+    const title = normalize(entry.track);
+    const artist = entry.artist ? normalize(entry.artist) : '';
+    const exception = exceptions.find(allowed => allowed && typeof allowed.track === 'string' &&
+      !getEntrySchedule(allowed) && normalize(allowed.track) === title &&
+      (!allowed.artist || normalize(allowed.artist) === artist));
+    if (exception) {
+      issues.push(createIssue('track-always-allowed', 'warning',
+        `"${entry.track}" is blocked and always allowed, so the block never applies`,
+        { list: 'tracks', index, rule: entry, fix: { label: 'Remove block', action: 'remove' } }));
+    }
+  });
+
+  const exceptionPatterns = new Set(exceptions
+    .filter(allowed => allowed && typeof allowed.pattern === 'string' && !getEntrySchedule(allowed))
+    .map(patternKey));
+  const seenPatterns = new Map();
+  patterns.forEach((entry, index) => {
+    const pattern = getPatternText(entry);
+    const { body } = parsePatternField(pattern);
+    const key = patternKey(entry);
+    const target = { list: 'patterns', index, rule: entry };
+
+    // Same pattern twice, e.g. "*Live" and "*live"
+    const duplicateKey = `${key}|||${JSON.stringify(getEntrySchedule(entry))}`;
+    if (seenPatterns.has(duplicateKey)) {
+      issues.push(createIssue('duplicate-pattern', 'warning',
+        `"${pattern}" matches the same songs as "${seenPatterns.get(duplicateKey)}"`,
+        { ...target, fix: { label: 'Remove duplicate', action: 'remove' } }));
+      return;
+    }
+    seenPatterns.set(duplicateKey, pattern);
+
+    if (exceptionPatterns.has(key)) {
+      issues.push(createIssue('pattern-always-allowed', 'warning',
+        `"${pattern}" is also an always-allowed pattern, so it never blocks anything`,
+        { ...target, fix: { label: 'Remove pattern', action: 'remove' } }));
+      return;
+    }
+
+    if (isRegexPattern(pattern)) {
+      // Titles keep their case, so a regex without the i flag misses "Live" when written /live/
+      const flags = body.slice(body.lastIndexOf('/') + 1);
+      const letters = body.slice(1, body.lastIndexOf('/')).replace(/\\./g, '');
+      if (!flags.includes('i') && /[a-z]/i.test(letters)) {
+        const withFlag = `${pattern}i`;
+        issues.push(createIssue('regex-case-sensitive', 'info',
+          `"${pattern}" is case-sensitive; add the i flag to also match other capitalizations`,
+          { ...target, fix: validatePattern(withFlag).valid ? { label: 'Ignore case', action: 'replace', entry: withPattern(entry, withFlag) } : null }));
+      }
+      return;
+    }
+
+    // A * only works at the start or end. With one there, any * in the middle is
+    // ignored; without, the whole title has to equal the pattern, * included
+    if (!body.replace(/^\*+|\*+$/g, '').includes('*')) return;
+    const regex = wildcardToRegex(pattern);
+    const fix = regex ? { label: `Change to ${regex}`, action: 'replace', entry: withPattern(entry, regex) } : null;
+    if (body.startsWith('*') || body.endsWith('*')) {
+      issues.push(createIssue('pattern-inner-wildcard', 'info',
+        `The * in the middle of "${pattern}" is ignored, so it matches "${normalize(body).replace(/\*/g, '')}" rather than text in between`,
+        { ...target, fix }));
+    } else {
+      issues.push(createIssue('pattern-never-matches', 'warning',
+        `"${pattern}" has a * in the middle, which only matches a literal *, so it never matches`,
+        { ...target, fix: fix || { label: 'Remove pattern', action: 'remove' } }));
+    }
+  });
+
+  return issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+module.exports = {
+  SEVERITIES,
+  lintBlocklist,
+  wildcardToRegex
+};
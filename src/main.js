@@ -6,62 +6,28 @@
 const { app, Tray, Menu, shell, BrowserWindow, ipcMain, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const Store = require('electron-store');
 const spotify = require('./spotify');
 const appleMusic = require('./appleMusic');
-const { isBlocked, sanitizeBlockedList, sanitizeBlockedTracks, sanitizeBlockedPatterns, normalize } = require('./blocklist');
+const { compileLayeredBlocklist, findRuleIndex, getEntrySchedule, setEntrySchedule, setEntryDryRun, getEntryExpiry, setEntryExpiry, isEntryExpired, getPatternText, getArtistEntryName, sanitizeBlockedList, sanitizeBlockedTracks, sanitizeBlockedPatterns, sanitizeExceptions, sanitizeCompositeRules, validateCompositeRule, parseArtistCredits, findSongExceptionIndex, validatePattern, findArtistEntryIndex, addBlockedTrack, normalize } = require('./blocklist');
+const { validateSchedule, sanitizeSchedule, isScheduleActive, describeSchedule } = require('./schedule');
+const { findSimilarNames } = require('./fuzzy');
+const { lintBlocklist } = require('./lint');
+const { sanitizeChangeLog, recordChange, undoChange, redoChange, restoreChange, forgetProfileChanges, describeChanges } = require('./changeLog');
+const { readTestTrack, parseTestList } = require('./trackTester');
+const { PROFILE_KEYS, DEFAULT_PROFILE_ID, DEFAULT_PROFILE_NAME, validateProfileName, getUniqueProfileName, hasProfile, createProfileId, createProfile, listProfiles } = require('./profiles');
+const { store, openStore } = require('./settingsStore');
+const { DEFAULT_SETTINGS, STATS_REASONS, EXPORT_VERSION, migrateExport } = require('./settingsSchema');
+const { detectImportFormat, parseImportText, formatCsvBlocklist, formatTextBlocklist, diffEntries } = require('./importExport');
+const { readLibrary, listLibraryPlaylists } = require('./musicLibrary');
+const { formatM3uBlocklist } = require('./playlistFiles');
 const crypto = require('crypto');
 
-const store = new Store();
+// Blocklist snapshots for undo/redo, kept out of the main config file (see changeLog.js)
+const changeStore = openStore({ name: 'blocklist-changes' });
 const RELEASES_URL = 'https://github.com/swiftbegone/swiftbegonesongskip/releases';
 
 console.log("SwiftBeGone starting…", process.platform);
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  blocked_artists: ['Taylor Swift'],
-  blocked_tracks: [],
-  blocked_patterns: [], // Examples: "*live", "*acoustic", "*remix"
-  block_collaborations: false,
-  reverse_mode: false
-};
-
-// Initialize settings with defaults
-if (!store.has('enabled')) {
-  store.set('enabled', DEFAULT_SETTINGS.enabled);
-}
-if (!store.has('blocked_artists')) {
-  store.set('blocked_artists', DEFAULT_SETTINGS.blocked_artists);
-}
-if (!store.has('blocked_tracks')) {
-  store.set('blocked_tracks', DEFAULT_SETTINGS.blocked_tracks);
-}
-if (!store.has('blocked_patterns')) {
-  store.set('blocked_patterns', DEFAULT_SETTINGS.blocked_patterns);
-}
-if (!store.has('block_collaborations')) {
-  store.set('block_collaborations', DEFAULT_SETTINGS.block_collaborations);
-}
-if (!store.has('reverse_mode')) {
-  store.set('reverse_mode', DEFAULT_SETTINGS.reverse_mode);
-}
-if (!store.has('stats_total_blocks')) {
-  store.set('stats_total_blocks', 0);
-}
-if (!store.has('stats_total_blocks_artist')) {
-  store.set('stats_total_blocks_artist', 0);
-}
-if (!store.has('stats_total_blocks_track')) {
-  store.set('stats_total_blocks_track', 0);
-}
-if (!store.has('stats_total_blocks_pattern')) {
-  store.set('stats_total_blocks_pattern', 0);
-}
-if (!store.has('stats_total_blocks_reverse')) {
-  store.set('stats_total_blocks_reverse', 0);
-}
-
 // Settings window management
 let settingsWindow = null;
 
@@ -77,6 +43,8 @@ let currentStatus = {
   source: 'idle',
   artist: null,
   track: null,
+  album: null,
+  composer: null,
   error: null
 };
 
@@ -90,12 +58,479 @@ let sessionStats = {
   artist: 0,
   track: 0,
   pattern: 0,
-  reverse: 0
+  reverse: 0,
+  explicit: 0,
+  duration: 0,
+  rule: 0
 };
 
+// Tracks dry run would have skipped this session, counted apart from real skips
+let sessionDryRunCount = 0;
+
 // Canonical now playing object
 let nowPlaying = null;
 
+// Compiled blocklist matcher, rebuilt lazily after any blocklist setting changes
+// and whenever a schedule switches a rule on or off or a temporary block expires
+let compiledBlocklist = null;
+let scheduledRefreshTimer = null;
+
+// Longest delay setTimeout supports (~24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// How long "block for…" options in the tray and dashboard last
+const BLOCK_DURATIONS = {
+  hour: { label: 'For 1 Hour', ms: 60 * 60 * 1000 },
+  day: { label: 'For 1 Day', ms: 24 * 60 * 60 * 1000 },
+  week: { label: 'For 1 Week', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+const MAX_EXPIRED_RULES = 50;
+
+// Schedule targets that are settings rather than blocklist entries
+const SCHEDULE_SETTINGS = {
+  blocklist: 'Whole blocklist',
+  explicit: 'Skip explicit tracks',
+  duration: 'Duration rules'
+};
+
+// Store keys, sanitizers and change log labels for each rule list that can carry a schedule
+const RULE_LISTS = {
+  artists: { key: 'blocked_artists', sanitize: sanitizeBlockedList, label: 'blocked artists' },
+  tracks: { key: 'blocked_tracks', sanitize: sanitizeBlockedTracks, label: 'blocked songs' },
+  patterns: { key: 'blocked_patterns', sanitize: sanitizeBlockedPatterns, label: 'blocked patterns' },
+  exceptions: { key: 'allowed_exceptions', sanitize: sanitizeExceptions, label: 'always-allowed songs' },
+  rules: { key: 'composite_rules', sanitize: sanitizeCompositeRules, label: 'rules' }
+};
+
+/**
+ * Keeps only known, valid setting schedules.
+ * @param {Object} schedules - Schedules keyed by setting name
+ * @returns {{blocklist?: Object, explicit?: Object, duration?: Object}} Sanitized schedules
+ */
+function sanitizeRuleSchedules(schedules) {
+  const sanitized = {};
+  if (!schedules || typeof schedules !== 'object') {
+    return sanitized;
+  }
+  for (const setting of Object.keys(SCHEDULE_SETTINGS)) {
+    const schedule = sanitizeSchedule(schedules[setting]);
+    if (schedule) {
+      sanitized[setting] = schedule;
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Reads a profile's blocklist in the shape compileBlocklist expects.
+ * @param {string} profileId - Profile to read
+ * @returns {Object} Blocklist with the profile's id and name
+ */
+function getProfileBlocklist(profileId) {
+  const get = (key, defaultValue) => getBlocklistValue(key, defaultValue, profileId);
+  return {
+    id: profileId,
+    name: store.get(`profiles.${profileId}.name`),
+    artists: sanitizeBlockedList(get('blocked_artists', [])),
+    tracks: sanitizeBlockedTracks(get('blocked_tracks', [])),
+    patterns: sanitizeBlockedPatterns(get('blocked_patterns', [])),
+    reverseMode: get('reverse_mode', false),
+    blockCollaborations: get('block_collaborations', false),
+    exceptions: sanitizeExceptions(get('allowed_exceptions', [])),
+    rules: sanitizeCompositeRules(get('composite_rules', [])),
+    skipExplicit: get('skip_explicit', false),
+    durationLimits: {
+      minMs: get('skip_shorter_than_seconds', 0) * 1000,
+      maxMs: get('skip_longer_than_minutes', 0) * 60 * 1000
+    },
+    schedules: sanitizeRuleSchedules(get('rule_schedules', {}))
+  };
+}
+
+/**
+ * Returns the profiles whose blocklists apply: the active profile first, then
+ * the profiles layered on top of it.
+ * @returns {Array<string>} Profile ids in evaluation order
+ */
+function getLayerProfileIds() {
+  const activeId = getActiveProfileId();
+  const layered = store.get('layered_profiles', [])
+    .filter(id => id !== activeId && hasProfile(store.get('profiles'), id));
+  return [activeId, ...new Set(layered)];
+}
+
+/**
+ * Returns the compiled matcher for the active profile and any layered profiles,
+ * compiling it on first use and again once a schedule has changed which rules are active.
+ * @returns {{evaluate: Function, validUntil: number|null}} Compiled blocklist matcher
+ */
+function getCompiledBlocklist() {
+  if (compiledBlocklist && compiledBlocklist.validUntil !== null && Date.now() >= compiledBlocklist.validUntil) {
+    compiledBlocklist = null;
+  }
+  if (!compiledBlocklist) {
+    compiledBlocklist = compileLayeredBlocklist(getLayerProfileIds().map(getProfileBlocklist));
+    scheduleRulesRefresh(compiledBlocklist.validUntil);
+  }
+  return compiledBlocklist;
+}
+
+/**
+ * Arms a timer that refreshes the rules when the next schedule change or expiry is due.
+ * @param {number|null} validUntil - When the compiled matcher goes stale (null if never)
+ */
+function scheduleRulesRefresh(validUntil) {
+  clearTimeout(scheduledRefreshTimer);
+  scheduledRefreshTimer = null;
+  if (validUntil !== null) {
+    const delay = Math.min(Math.max(validUntil - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    scheduledRefreshTimer = setTimeout(refreshScheduledRules, delay);
+  }
+}
+
+/**
+ * Rebuilds the matcher once a scheduled change or expiry is due, moving expired
+ * temporary blocks aside and refreshing the tray and dashboard.
+ */
+function refreshScheduledRules() {
+  getLayerProfileIds().forEach(removeExpiredRules);
+  compiledBlocklist = null;
+  updateMenu();
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('blocklist-updated');
+  }
+}
+
+/**
+ * Moves expired temporary blocks out of the blocklist into the expired list,
+ * where they can be blocked again with one click.
+ * @param {string} [profileId] - Profile to clean up (defaults to the active one)
+ * @returns {boolean} True if any rule expired
+ */
+function removeExpiredRules(profileId = getActiveProfileId()) {
+  const now = Date.now();
+  const expired = [];
+  for (const list of ['artists', 'tracks', 'patterns', 'rules']) {
+    const { key, sanitize } = RULE_LISTS[list];
+    const rules = sanitize(getBlocklistValue(key, [], profileId));
+    const remaining = rules.filter(rule => !isEntryExpired(rule, now));
+    if (remaining.length === rules.length) {
+      continue;
+    }
+    for (const rule of rules) {
+      if (isEntryExpired(rule, now)) {
+        expired.push({ list, rule: setEntryExpiry(list, rule, null), expiredAt: getEntryExpiry(rule) });
+      }
+    }
+    setBlocklistValue(key, remaining, profileId);
+  }
+  if (expired.length === 0) {
+    return false;
+  }
+  expired.sort((a, b) => b.expiredAt - a.expiredAt);
+  setBlocklistValue('expired_rules', [...expired, ...getBlocklistValue('expired_rules', [], profileId)].slice(0, MAX_EXPIRED_RULES), profileId);
+  return true;
+}
+
+/**
+ * Turns a "block for…" choice into an expiry timestamp.
+ * @param {string|null} duration - A BLOCK_DURATIONS key, or null to block permanently
+ * @returns {number|null} Expiry time in ms, or null for a permanent block
+ */
+function getExpiryForDuration(duration) {
+  return BLOCK_DURATIONS[duration] ? Date.now() + BLOCK_DURATIONS[duration].ms : null;
+}
+
+/**
+ * Formats the time of the next schedule change for the tray, e.g. "Mon 17:00".
+ * @param {number} timestamp - Time of the change in ms
+ * @returns {string} Formatted time
+ */
+function formatScheduleChange(timestamp) {
+  const date = new Date(timestamp);
+  const withinWeek = timestamp - Date.now() < 6 * 24 * 60 * 60 * 1000;
+  return date.toLocaleString([], withinWeek
+    ? { weekday: 'short', hour: '2-digit', minute: '2-digit' }
+    : { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Describes a scheduled rule for the dashboard.
+ * @param {string} list - Rule list name
+ * @param {*} entry - Rule entry
+ * @returns {string} Label
+ */
+function describeScheduledRule(list, entry) {
+  if (list === 'artists') {
+    return `Artist: ${getArtistEntryName(entry)}`;
+  }
+  if (list === 'tracks') {
+    return `Song: ${entry.artist ? `${entry.artist} — ` : ''}${entry.track}`;
+  }
+  if (list === 'patterns') {
+    return `Pattern: ${getPatternText(entry)}`;
+  }
+  if (list === 'rules') {
+    return `Rule: ${entry.name || 'Unnamed rule'}`;
+  }
+  return entry.pattern !== undefined
+    ? `Allowed pattern: ${entry.pattern}`
+    : `Allowed song: ${entry.artist ? `${entry.artist} — ` : ''}${entry.track}`;
+}
+
+/**
+ * Describes an edit to a rule list for the change log, e.g. "Added Artist: Adele".
+ * @param {string} list - Rule list name
+ * @param {Array<*>} previous - Entries before the edit
+ * @param {Array<*>} next - Entries after the edit
+ * @returns {string} Action
+ */
+function describeListEdit(list, previous, next) {
+  const previousKeys = previous.map(entry => JSON.stringify(entry));
+  const nextKeys = next.map(entry => JSON.stringify(entry));
+  const added = next.filter((entry, index) => !previousKeys.includes(nextKeys[index]));
+  const removed = previous.filter((entry, index) => !nextKeys.includes(previousKeys[index]));
+  if (added.length === 1 && removed.length === 0) {
+    return `Added ${describeScheduledRule(list, added[0])}`;
+  }
+  if (removed.length === 1 && added.length === 0) {
+    return `Removed ${describeScheduledRule(list, removed[0])}`;
+  }
+  if (added.length === 1 && removed.length === 1) {
+    return `Changed ${describeScheduledRule(list, added[0])}`;
+  }
+  return `Edited ${RULE_LISTS[list].label}`;
+}
+
+/**
+ * Lists every scheduled setting and rule with whether it is active right now.
+ * @returns {Array<{target: Object, label: string, description: string, schedule: Object, active: boolean}>} Scheduled rules
+ */
+function getScheduledRules() {
+  const now = new Date();
+  const rules = [];
+  const schedules = sanitizeRuleSchedules(getBlocklistValue('rule_schedules', {}));
+  for (const [setting, label] of Object.entries(SCHEDULE_SETTINGS)) {
+    if (schedules[setting]) {
+      rules.push({
+        target: { setting },
+        label,
+        description: describeSchedule(schedules[setting]),
+        schedule: schedules[setting],
+        active: isScheduleActive(schedules[setting], now)
+      });
+    }
+  }
+  for (const [list, { key, sanitize }] of Object.entries(RULE_LISTS)) {
+    sanitize(getBlocklistValue(key, [])).forEach((entry, index) => {
+      const schedule = getEntrySchedule(entry);
+      if (schedule) {
+        rules.push({
+          target: { list, index, rule: entry },
+          label: describeScheduledRule(list, entry),
+          description: describeSchedule(schedule),
+          schedule,
+          active: isScheduleActive(schedule, now)
+        });
+      }
+    });
+  }
+  return rules;
+}
+
+/**
+ * Clamps duration limits from the renderer or an import to whole, non-negative numbers.
+ * @param {{shorterThanSeconds?: number, longerThanMinutes?: number}} limits - Requested limits (0 disables a limit)
+ * @returns {{shorterThanSeconds: number, longerThanMinutes: number}} Sanitized limits
+ */
+function sanitizeDurationLimits(limits = {}) {
+  const clamp = (value) => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  };
+  return {
+    shorterThanSeconds: clamp(limits.shorterThanSeconds),
+    longerThanMinutes: clamp(limits.longerThanMinutes)
+  };
+}
+
+/**
+ * Rebuilds the matcher and refreshes the tray and dashboard after the active
+ * profile or the list of profiles changed.
+ */
+function notifyProfilesChanged() {
+  compiledBlocklist = null;
+  updateMenu();
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('blocklist-updated');
+  }
+}
+
+/**
+ * Makes a profile's blocklist the one in use.
+ * @param {string} id - Profile id
+ * @returns {boolean} True if the profile exists
+ */
+function switchProfile(id) {
+  if (!hasProfile(store.get('profiles'), id)) {
+    return false;
+  }
+  store.set('active_profile', id);
+  removeExpiredRules();
+  notifyProfilesChanged();
+  return true;
+}
+
+/**
+ * Turns a profile's blocklist on or off as a layer on top of the active profile.
+ * @param {string} id - Profile id
+ * @param {boolean} layered - Whether the profile's rules should apply
+ * @returns {boolean} True if the profile exists
+ */
+function setProfileLayered(id, layered) {
+  if (!hasProfile(store.get('profiles'), id)) {
+    return false;
+  }
+  const others = store.get('layered_profiles', []).filter(other => other !== id);
+  store.set('layered_profiles', layered ? [...others, id] : others);
+  if (layered) {
+    removeExpiredRules(id);
+  }
+  notifyProfilesChanged();
+  return true;
+}
+
+/**
+ * Returns the stored duration limits.
+ * @param {string} [profileId] - Profile to read (defaults to the active one)
+ * @returns {{shorterThanSeconds: number, longerThanMinutes: number}} Duration limits (0 means disabled)
+ */
+function getDurationLimits(profileId = getActiveProfileId()) {
+  return {
+    shorterThanSeconds: getBlocklistValue('skip_shorter_than_seconds', 0, profileId),
+    longerThanMinutes: getBlocklistValue('skip_longer_than_minutes', 0, profileId)
+  };
+}
+
+/**
+ * Returns the id of the profile whose blocklist is in use.
+ * @returns {string} Active profile id
+ */
+function getActiveProfileId() {
+  const id = store.get('active_profile', DEFAULT_PROFILE_ID);
+  return hasProfile(store.get('profiles'), id) ? id : Object.keys(store.get('profiles', {}))[0];
+}
+
+/**
+ * Reads a blocklist setting from a profile.
+ * @param {string} key - Store key (one of PROFILE_KEYS)
+ * @param {*} defaultValue - Value if the setting is missing
+ * @param {string} [profileId] - Profile to read (defaults to the active one)
+ * @returns {*} Stored value
+ */
+function getBlocklistValue(key, defaultValue, profileId = getActiveProfileId()) {
+  return store.get(`profiles.${profileId}.settings.${key}`, defaultValue);
+}
+
+/**
+ * Stores a blocklist setting in a profile and invalidates the compiled matcher.
+ * @param {string} key - Store key (one of PROFILE_KEYS)
+ * @param {*} value - New value
+ * @param {string} [profileId] - Profile to change (defaults to the active one)
+ */
+function setBlocklistValue(key, value, profileId = getActiveProfileId()) {
+  store.set(`profiles.${profileId}.settings.${key}`, value);
+  compiledBlocklist = null;
+}
+
+/**
+ * Copies all of a profile's blocklist settings, for the change log.
+ * @param {string} [profileId] - Profile to read (defaults to the active one)
+ * @returns {Object<string, *>} Settings by store key
+ */
+function getProfileSettings(profileId = getActiveProfileId()) {
+  const settings = {};
+  for (const key of PROFILE_KEYS) {
+    settings[key] = getBlocklistValue(key, DEFAULT_SETTINGS[key], profileId);
+  }
+  return JSON.parse(JSON.stringify(settings));
+}
+
+/**
+ * Reads the change log from disk.
+ * @returns {{nextVersion: number, undo: Array<Object>, redo: Array<Object>}} Change log
+ */
+function getChangeLog() {
+  return sanitizeChangeLog(changeStore.get('log'));
+}
+
+/**
+ * Saves the change log and refreshes the tray's undo item and the dashboard's change list.
+ * @param {Object} log - Change log
+ */
+function saveChangeLog(log) {
+  changeStore.set('log', log);
+  updateMenu();
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('changes-updated', describeChanges(log, getActiveProfileId()));
+  }
+}
+
+/**
+ * Records a change to a profile's blocklist so it can be undone. Does nothing if
+ * the settings are the same as before.
+ * @param {"dashboard" | "tray" | "history" | "import"} source - Where the change was made
+ * @param {string} action - What changed, e.g. 'Blocked artist "Adele"'
+ * @param {Object<string, *>} before - Settings from getProfileSettings before the change
+ * @param {string} [profileId] - Profile that changed (defaults to the active one)
+ */
+function logBlocklistChange(source, action, before, profileId = getActiveProfileId()) {
+  if (JSON.stringify(getProfileSettings(profileId)) === JSON.stringify(before)) {
+    return;
+  }
+  saveChangeLog(recordChange(getChangeLog(), { profileId, source, action, before }));
+}
+
+/**
+ * Applies an undo, redo or restore from the change log to the active profile.
+ * @param {function(Object, string, Object): ({log: Object, change: Object, settings: Object}|null)} step - undoChange, redoChange or a restore
+ * @param {string} verb - Past tense for the message, e.g. "Undid"
+ * @param {string} emptyMessage - Message when there is nothing to apply
+ * @returns {{success: boolean, message: string}} Result
+ */
+function applyChangeLogStep(step, verb, emptyMessage) {
+  const profileId = getActiveProfileId();
+  const result = step(getChangeLog(), profileId, getProfileSettings(profileId));
+  if (!result) {
+    return { success: false, message: emptyMessage };
+  }
+  for (const key of PROFILE_KEYS) {
+    if (result.settings[key] !== undefined) {
+      setBlocklistValue(key, result.settings[key], profileId);
+    }
+  }
+  removeExpiredRules(profileId);
+  saveChangeLog(result.log);
+  notifyProfilesChanged();
+  return { success: true, message: `${verb}: ${result.change.action}` };
+}
+
+/**
+ * Undoes the active profile's newest blocklist change.
+ * @returns {{success: boolean, message: string}} Result
+ */
+function undoBlocklistChange() {
+  return applyChangeLogStep(undoChange, 'Undid', 'Nothing to undo');
+}
+
+/**
+ * Redoes the active profile's most recently undone blocklist change.
+ * @returns {{success: boolean, message: string}} Result
+ */
+function redoBlocklistChange() {
+  return applyChangeLogStep(redoChange, 'Redid', 'Nothing to redo');
+}
+
 /**
  * Gets the tray icon based on platform.
  */
@@ -155,7 +590,8 @@ async function getActiveNowPlaying() {
     return {
       source: currentStatus.source,
       artist: formatArtist(currentStatus.artist),
-      track: currentStatus.track
+      track: currentStatus.track,
+      album: currentStatus.album || ''
     };
   }
 
@@ -166,7 +602,8 @@ async function getActiveNowPlaying() {
         return {
           source: 'spotify',
           artist: formatArtist(spotifyTrack.artists),
-          track: spotifyTrack.track
+          track: spotifyTrack.track,
+          album: spotifyTrack.album || ''
         };
       }
     } catch (error) {
@@ -181,7 +618,8 @@ async function getActiveNowPlaying() {
         return {
           source: 'apple-music',
           artist: appleTrack.artist,
-          track: appleTrack.track
+          track: appleTrack.track,
+          album: appleTrack.album || ''
         };
       }
     } catch (error) {
@@ -197,13 +635,19 @@ async function getActiveNowPlaying() {
  */
 function createMenu() {
   const enabled = store.get('enabled', true);
+  const dryRun = store.get('dry_run', false);
   const hasNowPlaying = nowPlaying && nowPlaying.artist && nowPlaying.track;
   const nowPlayingText = formatNowPlayingForTray();
   const canSkip = hasNowPlaying && (currentStatus.source === 'apple-music' || currentStatus.source === 'spotify');
+  const nextScheduleChange = getCompiledBlocklist().validUntil;
+  const profiles = listProfiles(store.get('profiles'), getActiveProfileId());
+  const activeProfile = profiles.find(profile => profile.active);
+  const layerIds = getLayerProfileIds();
+  const { undo } = describeChanges(getChangeLog(), getActiveProfileId());
   
   const template = [
     {
-      label: `SwiftBeGone — ${enabled ? 'ENABLED' : 'DISABLED'}`,
+      label: `SwiftBeGone — ${enabled ? 'ENABLED' : 'DISABLED'}${dryRun ? ' (DRY RUN)' : ''}`,
       click: () => {
         store.set('enabled', !enabled);
         updateMenu();
@@ -214,19 +658,56 @@ function createMenu() {
       label: `Now Playing: ${nowPlayingText}`,
       enabled: false
     },
+    ...(nextScheduleChange !== null ? [{
+      label: `Next Schedule Change: ${formatScheduleChange(nextScheduleChange)}`,
+      enabled: false
+    }] : []),
     { type: 'separator' },
+    {
+      label: `Profile: ${activeProfile ? activeProfile.name : DEFAULT_PROFILE_NAME}`,
+      submenu: profiles.map(profile => ({
+        label: profile.name,
+        type: 'radio',
+        checked: profile.active,
+        click: () => {
+          switchProfile(profile.id);
+        }
+      }))
+    },
+    ...(profiles.length > 1 ? [{
+      label: `Layers: ${layerIds.length} On`,
+      submenu: profiles.map(profile => ({
+        label: profile.active ? `${profile.name} (active profile)` : profile.name,
+        type: 'checkbox',
+        checked: layerIds.includes(profile.id),
+        enabled: !profile.active,
+        click: (menuItem) => {
+          setProfileLayered(profile.id, menuItem.checked);
+        }
+      }))
+    }] : []),
     {
       label: 'Block Current Song',
       enabled: hasNowPlaying,
-      click: async () => {
-        await blockCurrentSongFromTray();
-      }
+      submenu: createBlockDurationMenu(blockCurrentSongFromTray)
     },
     {
       label: 'Block Current Artist',
       enabled: hasNowPlaying,
-      click: async () => {
-        await blockCurrentArtistFromTray();
+      submenu: createBlockDurationMenu(blockCurrentArtistFromTray)
+    },
+    {
+      label: 'Always Allow This Song',
+      enabled: hasNowPlaying,
+      click: () => {
+        allowCurrentSongFromTray();
+      }
+    },
+    {
+      label: undo ? `Undo ${truncateString(undo, 40)}` : 'Undo',
+      enabled: undo !== null,
+      click: () => {
+        undoBlocklistChange();
       }
     },
     {
@@ -236,6 +717,28 @@ function createMenu() {
         await skipTrackFromTray();
       }
     },
+    {
+      label: 'Dry Run (Don\'t Skip)',
+      type: 'checkbox',
+      checked: dryRun,
+      click: (menuItem) => {
+        setDryRun(menuItem.checked);
+      }
+    },
+    {
+      label: 'Skip Explicit Tracks',
+      type: 'checkbox',
+      checked: getBlocklistValue('skip_explicit', false),
+      click: (menuItem) => {
+        const before = getProfileSettings();
+        setBlocklistValue('skip_explicit', menuItem.checked);
+        logBlocklistChange('tray', `${menuItem.checked ? 'Turned on' : 'Turned off'} skipping explicit tracks`, before);
+        updateMenu();
+        if (settingsWindow && !settingsWindow.isDestroyed()) {
+          settingsWindow.webContents.send('blocklist-updated');
+        }
+      }
+    },
     { type: 'separator' },
     {
       label: 'Dashboard…',
@@ -260,6 +763,28 @@ function createMenu() {
   return Menu.buildFromTemplate(template);
 }
 
+/**
+ * Creates the "Forever / For 1 Hour / …" submenu for a tray block item
+ * @param {function(string|null): Promise<void>} block - Blocks the current song or artist for a duration
+ * @returns {Array<Object>} Menu template items
+ */
+function createBlockDurationMenu(block) {
+  return [
+    {
+      label: 'Forever',
+      click: async () => {
+        await block(null);
+      }
+    },
+    ...Object.entries(BLOCK_DURATIONS).map(([duration, { label }]) => ({
+      label,
+      click: async () => {
+        await block(duration);
+      }
+    }))
+  ];
+}
+
 /**
  * Updates the tray menu
  */
@@ -271,32 +796,33 @@ function updateMenu() {
 
 /**
  * Block current song from tray menu
+ * @param {string|null} [duration] - A BLOCK_DURATIONS key for a temporary block, or null to block permanently
  */
-async function blockCurrentSongFromTray() {
+async function blockCurrentSongFromTray(duration = null) {
   if (!nowPlaying || !nowPlaying.track) {
     return;
   }
   
   try {
-    const blockedTracks = sanitizeBlockedTracks(store.get('blocked_tracks', []));
+    const blockedTracks = sanitizeBlockedTracks(getBlocklistValue('blocked_tracks', []));
+    const expiresAt = getExpiryForDuration(duration);
     const normalized = {
       artist: nowPlaying.artist ? normalize(nowPlaying.artist) : undefined,
-      track: normalize(nowPlaying.track)
+      track: normalize(nowPlaying.track),
+      ...(expiresAt !== null && { expiresAt })
     };
     
     // Check if already blocked
-    if (blockedTracks.some(t => {
-      if (t.track !== normalized.track) return false;
-      if (t.artist === undefined) return true;
-      return normalized.artist !== undefined && t.artist === normalized.artist;
-    })) {
+    const { tracks, change } = addBlockedTrack(blockedTracks, normalized);
+    if (!change) {
       console.log('Song is already blocked');
       return;
     }
     
     // Add the normalized track
-    blockedTracks.push(normalized);
-    store.set('blocked_tracks', sanitizeBlockedTracks(blockedTracks));
+    const before = getProfileSettings();
+    setBlocklistValue('blocked_tracks', sanitizeBlockedTracks(tracks));
+    logBlocklistChange('tray', `Blocked song "${nowPlaying.track}"`, before);
     
     // Update menu and notify settings window
     updateMenu();
@@ -312,26 +838,28 @@ async function blockCurrentSongFromTray() {
 
 /**
  * Block current artist from tray menu
+ * @param {string|null} [duration] - A BLOCK_DURATIONS key for a temporary block, or null to block permanently
  */
-async function blockCurrentArtistFromTray() {
+async function blockCurrentArtistFromTray(duration = null) {
   if (!nowPlaying || !nowPlaying.artist) {
     return;
   }
   
   try {
-    const blockedArtists = sanitizeBlockedList(store.get('blocked_artists', []));
+    const blockedArtists = sanitizeBlockedList(getBlocklistValue('blocked_artists', []));
     const artistName = typeof nowPlaying.artist === 'string' ? nowPlaying.artist : nowPlaying.artist[0];
-    const normalizedArtist = normalize(artistName);
     
-    // Check if already blocked
-    if (blockedArtists.some(a => normalize(a) === normalizedArtist)) {
+    // Check if already blocked (by name or alias)
+    if (findArtistEntryIndex(artistName, blockedArtists) !== -1) {
       console.log('Artist is already blocked');
       return;
     }
     
     // Add the artist
-    blockedArtists.push(artistName);
-    store.set('blocked_artists', sanitizeBlockedList(blockedArtists));
+    const before = getProfileSettings();
+    blockedArtists.push(setEntryExpiry('artists', artistName, getExpiryForDuration(duration)));
+    setBlocklistValue('blocked_artists', sanitizeBlockedList(blockedArtists));
+    logBlocklistChange('tray', `Blocked artist "${artistName}"`, before);
     
     // Update menu and notify settings window
     updateMenu();
@@ -345,6 +873,53 @@ async function blockCurrentArtistFromTray() {
   }
 }
 
+/**
+ * Adds a song exception so the song is never skipped
+ * @param {Array<string>} artists - Credited artists, primary first (empty allows the title by any artist)
+ * @param {string} track - Track name
+ * @param {"tray" | "history"} source - Where the song was allowed, for the change log
+ * @returns {{success: boolean, message?: string}} - Result
+ */
+function addSongException(artists, track, source) {
+  if (!track || !track.trim()) {
+    return { success: false, message: 'Track name is required' };
+  }
+  
+  const exceptions = sanitizeExceptions(getBlocklistValue('allowed_exceptions', []));
+  if (findSongExceptionIndex(artists, track, exceptions) !== -1) {
+    return { success: false, message: 'This song is already allowed' };
+  }
+  
+  // Exceptions match credited artists one by one, so store the primary artist
+  // rather than the joined credit of a collaboration
+  const artist = artists.find(Boolean);
+  const before = getProfileSettings();
+  exceptions.push({ artist: artist || undefined, track });
+  setBlocklistValue('allowed_exceptions', sanitizeExceptions(exceptions));
+  logBlocklistChange(source, `Always allowed "${track}"`, before);
+  updateMenu();
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('blocklist-updated');
+  }
+  return { success: true, message: artist ? `${artist} — ${track}` : track };
+}
+
+/**
+ * Always allow current song from tray menu
+ */
+function allowCurrentSongFromTray() {
+  if (!nowPlaying || !nowPlaying.track) {
+    return;
+  }
+  
+  const result = addSongException(nowPlaying.artists, nowPlaying.track, 'tray');
+  if (result.success) {
+    console.log(`Always allowing song from tray: ${nowPlaying.track}`);
+  } else {
+    console.log(result.message);
+  }
+}
+
 /**
  * Skip track from tray menu (manual skip, doesn't increment stats)
  */
@@ -376,9 +951,14 @@ async function skipTrackFromTray() {
 
 /**
  * Updates now playing and adds to history if changed
+ * @param {string} source - The music source ('spotify' or 'apple-music')
+ * @param {string|Array<string>} artist - Artist name(s)
+ * @param {string} track - Track name
+ * @param {{album?: string, explicit?: boolean|null, durationMs?: number|null}} details - Extra track fields
  */
-function updateNowPlayingAndHistory(source, artist, track) {
+function updateNowPlayingAndHistory(source, artist, track, details = {}) {
   const artistStr = Array.isArray(artist) ? artist.join(', ') : artist;
+  const artistList = (Array.isArray(artist) ? artist : [artist]).filter(Boolean);
   
   // Check if now playing has changed
   if (nowPlaying && 
@@ -392,7 +972,9 @@ function updateNowPlayingAndHistory(source, artist, track) {
   nowPlaying = {
     source,
     artist: artistStr,
+    artists: artistList,
     track: track || '',
+    album: details.album || '',
     timestamp: Date.now()
   };
   
@@ -402,7 +984,11 @@ function updateNowPlayingAndHistory(source, artist, track) {
     ts: Date.now(),
     source: source,
     artist: artistStr,
-    track: track || ''
+    artists: artistList,
+    track: track || '',
+    album: details.album || '',
+    explicit: details.explicit === true,
+    durationMs: details.durationMs || null
   };
   
   history.unshift(historyEntry);
@@ -434,18 +1020,18 @@ function incrementStats(reason) {
     sessionStats.pattern++;
   } else if (reason === 'reverse') {
     sessionStats.reverse++;
+  } else if (reason === 'explicit') {
+    sessionStats.explicit++;
+  } else if (reason === 'duration') {
+    sessionStats.duration++;
+  } else if (reason === 'rule') {
+    sessionStats.rule++;
   }
   
   // Persisted stats
-  store.set('stats_total_blocks', store.get('stats_total_blocks', 0) + 1);
-  if (reason === 'artist') {
-    store.set('stats_total_blocks_artist', store.get('stats_total_blocks_artist', 0) + 1);
-  } else if (reason === 'track') {
-    store.set('stats_total_blocks_track', store.get('stats_total_blocks_track', 0) + 1);
-  } else if (reason === 'pattern') {
-    store.set('stats_total_blocks_pattern', store.get('stats_total_blocks_pattern', 0) + 1);
-  } else if (reason === 'reverse') {
-    store.set('stats_total_blocks_reverse', store.get('stats_total_blocks_reverse', 0) + 1);
+  store.set('stats_total.total', store.get('stats_total.total', 0) + 1);
+  if (STATS_REASONS.includes(reason)) {
+    store.set(`stats_total.${reason}`, store.get(`stats_total.${reason}`, 0) + 1);
   }
   
   // Update menu to show new counters
@@ -455,13 +1041,68 @@ function incrementStats(reason) {
   if (settingsWindow && !settingsWindow.isDestroyed()) {
     settingsWindow.webContents.send('stats-updated', {
       session: sessionStats,
-      total: {
-        total: store.get('stats_total_blocks', 0),
-        artist: store.get('stats_total_blocks_artist', 0),
-        track: store.get('stats_total_blocks_track', 0),
-        pattern: store.get('stats_total_blocks_pattern', 0),
-        reverse: store.get('stats_total_blocks_reverse', 0)
-      }
+      total: getTotalStats(),
+      dryRun: getDryRunStats()
+    });
+  }
+}
+
+/**
+ * Gets the all-time skip counters
+ * @returns {{total: number, artist: number, track: number, pattern: number, reverse: number, explicit: number, duration: number, rule: number}} Skips overall and by reason
+ */
+function getTotalStats() {
+  return store.get('stats_total');
+}
+
+/**
+ * Gets the dry-run counters, kept apart from real skips
+ * @returns {{session: number, total: number}} Tracks that would have been skipped
+ */
+function getDryRunStats() {
+  return { session: sessionDryRunCount, total: store.get('stats_total_dry_run', 0) };
+}
+
+/**
+ * Turns dry-run mode on or off for every rule
+ * @param {boolean} enabled - True to only record what would be skipped
+ */
+function setDryRun(enabled) {
+  store.set('dry_run', enabled === true);
+  updateMenu();
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('blocklist-updated');
+  }
+}
+
+/**
+ * Records that a track would have been skipped, once per play
+ * @param {string} reason - The reason it would have been blocked
+ * @param {Object|null} match - The rule that matched
+ * @param {{id: string, name: string}|null} layer - The profile layer whose rule matched
+ */
+function recordDryRun(reason, match, layer) {
+  if (history.length === 0 || !nowPlaying) {
+    return;
+  }
+  const latestEntry = history[0];
+  if (latestEntry.artist !== nowPlaying.artist || latestEntry.track !== nowPlaying.track || latestEntry.reasonWouldSkip !== undefined) {
+    return; // Already recorded while this track keeps playing
+  }
+  console.log(`Dry run: would have skipped (reason: ${reason}).`);
+  latestEntry.reasonWouldSkip = reason;
+  latestEntry.matchedRule = match;
+  latestEntry.matchedLayer = layer;
+  
+  sessionDryRunCount++;
+  store.set('stats_total_dry_run', store.get('stats_total_dry_run', 0) + 1);
+  
+  if (settingsWindow && !settingsWindow.isDestroyed()) {
+    settingsWindow.webContents.send('history-updated', history);
+    settingsWindow.webContents.send('stats-updated', {
+      session: sessionStats,
+      total: getTotalStats(),
+      dryRun: getDryRunStats()
     });
   }
 }
@@ -515,9 +1156,17 @@ function openSettingsWindow() {
 /**
  * Handles skipping a track based on the current source
  * @param {string} source - The music source ('spotify' or 'apple-music')
- * @param {string} reason - The reason for blocking ('artist', 'track', 'pattern', 'reverse')
+ * @param {string} reason - The reason for blocking ('artist', 'track', 'pattern', 'rule', 'reverse', 'explicit', 'duration')
+ * @param {Object|null} [match] - The rule that caused the block, as returned by the compiled blocklist
+ * @param {{id: string, name: string}|null} [layer] - The profile layer whose rule fired
+ * @param {boolean} [dryRun] - Only record that the track would have been skipped
  */
-async function handleSkip(source, reason) {
+async function handleSkip(source, reason, match = null, layer = null, dryRun = false) {
+  if (dryRun) {
+    recordDryRun(reason, match, layer);
+    return;
+  }
+  
   const now = Date.now();
   if (now - lastSkipTime < SKIP_COOLDOWN_MS) {
     console.log(`Skip cooldown active (${now - lastSkipTime}ms < ${SKIP_COOLDOWN_MS}ms)`);
@@ -542,6 +1191,8 @@ async function handleSkip(source, reason) {
       const latestEntry = history[0];
       if (latestEntry.artist === nowPlaying.artist && latestEntry.track === nowPlaying.track) {
         latestEntry.reasonBlocked = reason;
+        latestEntry.matchedRule = match;
+        latestEntry.matchedLayer = layer;
         // Notify settings window
         if (settingsWindow && !settingsWindow.isDestroyed()) {
           settingsWindow.webContents.send('history-updated', history);
@@ -574,6 +1225,8 @@ async function pollNowPlaying() {
     currentStatus.source = 'idle';
     currentStatus.artist = null;
     currentStatus.track = null;
+    currentStatus.album = null;
+    currentStatus.composer = null;
     updateMenu();
     return;
   }
@@ -594,31 +1247,28 @@ async function pollNowPlaying() {
           currentStatus.source = 'spotify';
           currentStatus.artist = spotifyTrack.artists;
           currentStatus.track = spotifyTrack.track;
+          currentStatus.album = spotifyTrack.album || null;
+          currentStatus.composer = null;
           currentStatus.error = null;
           
           // Update now playing and history
-          updateNowPlayingAndHistory('spotify', spotifyTrack.artists, spotifyTrack.track);
+          updateNowPlayingAndHistory('spotify', spotifyTrack.artists, spotifyTrack.track, { album: spotifyTrack.album, explicit: spotifyTrack.explicit, durationMs: spotifyTrack.durationMs });
           
           // Check if track or artist is blocked
-          const blockedArtists = sanitizeBlockedList(store.get('blocked_artists', []));
-          const blockedTracks = sanitizeBlockedTracks(store.get('blocked_tracks', []));
-          const blockedPatterns = sanitizeBlockedPatterns(store.get('blocked_patterns', []));
-          const reverseMode = store.get('reverse_mode', false);
-          const blockCollaborations = store.get('block_collaborations', false);
+          const blocked = getCompiledBlocklist().evaluate({
+            artists: spotifyTrack.artists,
+            track: spotifyTrack.track,
+            album: spotifyTrack.album,
+            explicit: spotifyTrack.explicit,
+            durationMs: spotifyTrack.durationMs,
+            source: 'spotify'
+          });
           
-          const blocked = isBlocked(
-            spotifyTrack.artists, 
-            spotifyTrack.track, 
-            blockedArtists, 
-            blockedTracks,
-            blockedPatterns,
-            reverseMode,
-            blockCollaborations
-          );
-          
-          if (blocked.blocked) {
-            console.log(`Blocked ${blocked.reason}: ${spotifyTrack.track}`);
-            await handleSkip('spotify', blocked.reason);
+          if (blocked.blocked || blocked.dryRun) {
+            // Dry-run rules never skip; with dry run on globally, no rule does
+            const dryRun = blocked.dryRun === true || store.get('dry_run', false);
+            console.log(`${dryRun ? 'Would have blocked' : 'Blocked'} ${blocked.reason}: ${spotifyTrack.track}`);
+            await handleSkip('spotify', blocked.reason, blocked.match, blocked.layer, dryRun);
           }
           
           updateMenu();
@@ -644,31 +1294,29 @@ async function pollNowPlaying() {
           currentStatus.source = 'apple-music';
           currentStatus.artist = appleTrack.artist;
           currentStatus.track = appleTrack.track;
+          currentStatus.album = appleTrack.album || null;
+          currentStatus.composer = appleTrack.composer || null;
           currentStatus.error = null;
           
           // Update now playing and history
-          updateNowPlayingAndHistory('apple-music', appleTrack.artist, appleTrack.track);
+          updateNowPlayingAndHistory('apple-music', appleTrack.artist, appleTrack.track, { album: appleTrack.album, explicit: appleTrack.explicit, durationMs: appleTrack.durationMs });
           
           // Check if track or artist is blocked
-          const blockedArtists = sanitizeBlockedList(store.get('blocked_artists', []));
-          const blockedTracks = sanitizeBlockedTracks(store.get('blocked_tracks', []));
-          const blockedPatterns = sanitizeBlockedPatterns(store.get('blocked_patterns', []));
-          const reverseMode = store.get('reverse_mode', false);
-          const blockCollaborations = store.get('block_collaborations', false);
-          
-          const blocked = isBlocked(
-            [appleTrack.artist], 
-            appleTrack.track, 
-            blockedArtists, 
-            blockedTracks,
-            blockedPatterns,
-            reverseMode,
-            blockCollaborations
-          );
+          const blocked = getCompiledBlocklist().evaluate({
+            artists: [appleTrack.artist],
+            track: appleTrack.track,
+            album: appleTrack.album,
+            composer: appleTrack.composer,
+            explicit: appleTrack.explicit,
+            durationMs: appleTrack.durationMs,
+            source: 'apple-music'
+          });
           
-          if (blocked.blocked) {
-            console.log(`Blocked ${blocked.reason}: ${appleTrack.track}`);
-            await handleSkip('apple-music', blocked.reason);
+          if (blocked.blocked || blocked.dryRun) {
+            // Dry-run rules never skip; with dry run on globally, no rule does
+            const dryRun = blocked.dryRun === true || store.get('dry_run', false);
+            console.log(`${dryRun ? 'Would have blocked' : 'Blocked'} ${blocked.reason}: ${appleTrack.track}`);
+            await handleSkip('apple-music', blocked.reason, blocked.match, blocked.layer, dryRun);
           }
           
           updateMenu();
@@ -690,6 +1338,8 @@ async function pollNowPlaying() {
     currentStatus.source = 'idle';
     currentStatus.artist = null;
     currentStatus.track = null;
+    currentStatus.album = null;
+    currentStatus.composer = null;
     currentStatus.error = null;
     console.log("No active music source detected (paused or idle).");
     updateMenu();
@@ -764,78 +1414,301 @@ function stopPolling() {
 // IPC handlers for settings window
 ipcMain.handle('blocklist:get', async () => {
   return {
-    artists: store.get('blocked_artists', []),
-    tracks: store.get('blocked_tracks', []),
-    patterns: store.get('blocked_patterns', []),
-    blockCollaborations: store.get('block_collaborations', false),
-    reverseMode: store.get('reverse_mode', false)
+    profileId: getActiveProfileId(),
+    artists: getBlocklistValue('blocked_artists', []),
+    tracks: getBlocklistValue('blocked_tracks', []),
+    patterns: getBlocklistValue('blocked_patterns', []),
+    exceptions: getBlocklistValue('allowed_exceptions', []),
+    rules: getBlocklistValue('composite_rules', []),
+    blockCollaborations: getBlocklistValue('block_collaborations', false),
+    reverseMode: getBlocklistValue('reverse_mode', false),
+    skipExplicit: getBlocklistValue('skip_explicit', false),
+    dryRun: store.get('dry_run', false),
+    durationLimits: getDurationLimits(),
+    schedules: sanitizeRuleSchedules(getBlocklistValue('rule_schedules', {})),
+    expiredRules: getBlocklistValue('expired_rules', [])
   };
 });
 
+ipcMain.handle('blocklist:reblock-expired', async (event, index, options = {}) => {
+  const expiredRules = getBlocklistValue('expired_rules', []);
+  const expired = expiredRules[index];
+  if (!expired || !RULE_LISTS[expired.list]) {
+    return { success: false, message: 'This rule is no longer in the expired list' };
+  }
+  
+  const { key, sanitize } = RULE_LISTS[expired.list];
+  const before = getProfileSettings();
+  const rules = sanitize(getBlocklistValue(key, []));
+  rules.push(setEntryExpiry(expired.list, expired.rule, options && options.expiresAt));
+  setBlocklistValue(key, sanitize(rules));
+  expiredRules.splice(index, 1);
+  setBlocklistValue('expired_rules', expiredRules);
+  logBlocklistChange('dashboard', `Blocked again ${describeScheduledRule(expired.list, expired.rule)}`, before);
+  updateMenu();
+  return { success: true };
+});
+
+ipcMain.handle('blocklist:clear-expired', async () => {
+  const before = getProfileSettings();
+  setBlocklistValue('expired_rules', []);
+  logBlocklistChange('dashboard', 'Cleared expired blocks', before);
+  return;
+});
+
 ipcMain.handle('blocklist:set-artists', async (event, artists) => {
+  const before = getProfileSettings();
   const sanitized = sanitizeBlockedList(artists);
-  store.set('blocked_artists', sanitized);
+  setBlocklistValue('blocked_artists', sanitized);
+  logBlocklistChange('dashboard', describeListEdit('artists', before.blocked_artists, sanitized), before);
   updateMenu();
   return;
 });
 
 ipcMain.handle('blocklist:set-tracks', async (event, tracks) => {
+  const before = getProfileSettings();
   const sanitized = sanitizeBlockedTracks(tracks);
-  store.set('blocked_tracks', sanitized);
+  setBlocklistValue('blocked_tracks', sanitized);
+  logBlocklistChange('dashboard', describeListEdit('tracks', before.blocked_tracks, sanitized), before);
   updateMenu();
   return;
 });
 
 ipcMain.handle('blocklist:set-patterns', async (event, patterns) => {
-  const sanitized = sanitizeBlockedPatterns(patterns);
-  store.set('blocked_patterns', sanitized);
+  const rejected = [];
+  const before = getProfileSettings();
+  const sanitized = sanitizeBlockedPatterns(patterns, rejected);
+  setBlocklistValue('blocked_patterns', sanitized);
+  logBlocklistChange('dashboard', describeListEdit('patterns', before.blocked_patterns, sanitized), before);
   updateMenu();
-  return;
+  return { rejected };
+});
+
+ipcMain.handle('blocklist:set-exceptions', async (event, exceptions) => {
+  const rejected = [];
+  const before = getProfileSettings();
+  const sanitized = sanitizeExceptions(exceptions, rejected);
+  setBlocklistValue('allowed_exceptions', sanitized);
+  logBlocklistChange('dashboard', describeListEdit('exceptions', before.allowed_exceptions, sanitized), before);
+  updateMenu();
+  return { rejected };
+});
+
+ipcMain.handle('blocklist:set-rules', async (event, rules) => {
+  const rejected = [];
+  const before = getProfileSettings();
+  const sanitized = sanitizeCompositeRules(rules, rejected);
+  setBlocklistValue('composite_rules', sanitized);
+  logBlocklistChange('dashboard', describeListEdit('rules', before.composite_rules, sanitized), before);
+  updateMenu();
+  return { rejected };
+});
+
+ipcMain.handle('blocklist:validate-rule', async (event, rule) => {
+  return validateCompositeRule(rule);
+});
+
+ipcMain.handle('blocklist:validate-pattern', async (event, pattern) => {
+  return validatePattern(pattern);
+});
+
+/**
+ * Runs a tester track through the active blocklist
+ * @param {Object} track - Track from readTestTrack
+ * @returns {Object} What playback would do, so global dry run turns blocks into dry-run matches
+ */
+function evaluateTestTrack(track) {
+  const result = getCompiledBlocklist().evaluate(track);
+  if (result.blocked && store.get('dry_run', false)) {
+    return { ...result, blocked: false, dryRun: true };
+  }
+  return result;
+}
+
+ipcMain.handle('blocklist:test', async (event, track = {}) => {
+  return evaluateTestTrack(readTestTrack(track));
+});
+
+ipcMain.handle('blocklist:test-list', async (event, text, options = {}) => {
+  return parseTestList(text, options).map(track => ({ track, result: evaluateTestTrack(track) }));
+});
+
+ipcMain.handle('blocklist:lint', async () => {
+  return lintBlocklist(getProfileBlocklist(getActiveProfileId()));
+});
+
+ipcMain.handle('blocklist:fix-lint', async (event, issue) => {
+  if (!issue || typeof issue !== 'object') {
+    return { success: false, message: 'Unknown issue' };
+  }
+  // Lint again so the fix matches the blocklist as it is now
+  const current = lintBlocklist(getProfileBlocklist(getActiveProfileId())).find(found =>
+    found.code === issue.code && found.list === issue.list && JSON.stringify(found.rule) === JSON.stringify(issue.rule));
+  if (!current) {
+    return { success: false, message: 'This issue has already been fixed' };
+  }
+  if (!current.fix) {
+    return { success: false, message: 'This issue has no automatic fix' };
+  }
+  
+  const before = getProfileSettings();
+  if (current.fix.action === 'disable-reverse-mode') {
+    setBlocklistValue('reverse_mode', false);
+    logBlocklistChange('dashboard', `Fixed: ${current.message}`, before);
+    updateMenu();
+    return { success: true };
+  }
+  
+  const ruleList = RULE_LISTS[current.list];
+  const rules = ruleList.sanitize(getBlocklistValue(ruleList.key, []));
+  const ruleIndex = findRuleIndex(current.list, rules, current.rule, current.index);
+  if (ruleIndex === -1) {
+    return { success: false, message: 'This rule is no longer in the blocklist' };
+  }
+  if (current.fix.action === 'replace') {
+    rules[ruleIndex] = current.fix.entry;
+  } else {
+    rules.splice(ruleIndex, 1);
+  }
+  setBlocklistValue(ruleList.key, ruleList.sanitize(rules));
+  logBlocklistChange('dashboard', `Fixed: ${current.message}`, before);
+  updateMenu();
+  return { success: true };
 });
 
 ipcMain.handle('blocklist:set-collabs', async (event, enabled) => {
-  store.set('block_collaborations', !!enabled);
+  const before = getProfileSettings();
+  setBlocklistValue('block_collaborations', !!enabled);
+  logBlocklistChange('dashboard', `${enabled ? 'Turned on' : 'Turned off'} blocking collaborations`, before);
   updateMenu();
   return;
 });
 
 ipcMain.handle('blocklist:set-reverse-mode', async (event, enabled) => {
-  store.set('reverse_mode', !!enabled);
+  const before = getProfileSettings();
+  setBlocklistValue('reverse_mode', !!enabled);
+  logBlocklistChange('dashboard', `${enabled ? 'Turned on' : 'Turned off'} reverse mode`, before);
+  updateMenu();
+  return;
+});
+
+ipcMain.handle('blocklist:set-skip-explicit', async (event, enabled) => {
+  const before = getProfileSettings();
+  setBlocklistValue('skip_explicit', !!enabled);
+  logBlocklistChange('dashboard', `${enabled ? 'Turned on' : 'Turned off'} skipping explicit tracks`, before);
   updateMenu();
   return;
 });
 
-ipcMain.handle('blocklist:block-current-song', async () => {
+ipcMain.handle('blocklist:set-dry-run', async (event, enabled) => {
+  setDryRun(!!enabled);
+  return;
+});
+
+ipcMain.handle('blocklist:set-rule-dry-run', async (event, target, dryRun) => {
+  const ruleList = target && RULE_LISTS[target.list];
+  if (!ruleList || target.list === 'exceptions') {
+    return { success: false, message: 'Unknown rule list' };
+  }
+  const rules = ruleList.sanitize(getBlocklistValue(ruleList.key, []));
+  const ruleIndex = findRuleIndex(target.list, rules, target.rule, target.index);
+  if (ruleIndex === -1) {
+    return { success: false, message: 'This rule is no longer in the blocklist' };
+  }
+  
+  const before = getProfileSettings();
+  rules[ruleIndex] = setEntryDryRun(target.list, rules[ruleIndex], dryRun);
+  setBlocklistValue(ruleList.key, ruleList.sanitize(rules));
+  logBlocklistChange('dashboard', `${dryRun ? 'Put in dry run' : 'Made live'} ${describeScheduledRule(target.list, rules[ruleIndex])}`, before);
+  updateMenu();
+  return { success: true };
+});
+
+ipcMain.handle('blocklist:set-duration-limits', async (event, limits) => {
+  const before = getProfileSettings();
+  const sanitized = sanitizeDurationLimits(limits);
+  setBlocklistValue('skip_shorter_than_seconds', sanitized.shorterThanSeconds);
+  setBlocklistValue('skip_longer_than_minutes', sanitized.longerThanMinutes);
+  logBlocklistChange('dashboard', 'Changed duration limits', before);
+  updateMenu();
+  return sanitized;
+});
+
+ipcMain.handle('schedule:set', async (event, target, schedule) => {
+  const validation = validateSchedule(schedule);
+  if (!validation.valid) {
+    return { success: false, message: validation.error };
+  }
+  if (!target || typeof target !== 'object') {
+    return { success: false, message: 'Unknown schedule target' };
+  }
+  
+  const before = getProfileSettings();
+  if (SCHEDULE_SETTINGS[target.setting]) {
+    const schedules = sanitizeRuleSchedules(getBlocklistValue('rule_schedules', {}));
+    const sanitized = sanitizeSchedule(schedule);
+    if (sanitized) {
+      schedules[target.setting] = sanitized;
+    } else {
+      delete schedules[target.setting];
+    }
+    setBlocklistValue('rule_schedules', schedules);
+    logBlocklistChange('dashboard', `${sanitized ? 'Scheduled' : 'Unscheduled'} ${SCHEDULE_SETTINGS[target.setting]}`, before);
+    updateMenu();
+    return { success: true };
+  }
+  
+  const ruleList = RULE_LISTS[target.list];
+  if (!ruleList) {
+    return { success: false, message: 'Unknown schedule target' };
+  }
+  const rules = ruleList.sanitize(getBlocklistValue(ruleList.key, []));
+  const ruleIndex = findRuleIndex(target.list, rules, target.rule, target.index);
+  if (ruleIndex === -1) {
+    return { success: false, message: 'This rule is no longer in the blocklist' };
+  }
+  
+  rules[ruleIndex] = setEntrySchedule(target.list, rules[ruleIndex], schedule);
+  setBlocklistValue(ruleList.key, ruleList.sanitize(rules));
+  logBlocklistChange('dashboard', `${schedule ? 'Scheduled' : 'Unscheduled'} ${describeScheduledRule(target.list, rules[ruleIndex])}`, before);
+  updateMenu();
+  return { success: true };
+});
+
+ipcMain.handle('schedule:get-status', async () => {
+  return {
+    nextChange: getCompiledBlocklist().validUntil,
+    rules: getScheduledRules()
+  };
+});
+
+ipcMain.handle('blocklist:block-current-song', async (event, options = {}) => {
   try {
     const activeTrack = await getActiveNowPlaying();
     if (!activeTrack || !activeTrack.track) {
       return { success: false, message: 'No music is currently playing' };
     }
     
-    const blockedTracks = sanitizeBlockedTracks(store.get('blocked_tracks', []));
+    const blockedTracks = sanitizeBlockedTracks(getBlocklistValue('blocked_tracks', []));
     
     // Normalize the track for comparison
-    const normalized = {
+    const normalized = setEntryExpiry('tracks', {
       artist: activeTrack.artist ? normalize(activeTrack.artist) : undefined,
-      track: normalize(activeTrack.track)
-    };
+      track: normalize(activeTrack.track),
+      ...(options && options.allVersions === true && { allVersions: true })
+    }, options && options.expiresAt);
     
-    // Check if already blocked (including tracks without artist)
-    if (blockedTracks.some(t => {
-      if (t.track !== normalized.track) return false;
-      // Track matches - check artist
-      // If blocked track has no artist, it matches any artist
-      if (t.artist === undefined) return true;
-      // If blocked track has an artist, it must match
-      return t.artist === normalized.artist;
-    })) {
+    // Check if already blocked (including tracks without artist and all-versions blocks)
+    const { tracks, change } = addBlockedTrack(blockedTracks, normalized);
+    if (!change) {
       return { success: false, message: 'This song is already blocked' };
     }
     
-    // Add the normalized track and sanitize the entire list
-    blockedTracks.push(normalized);
-    const sanitized = sanitizeBlockedTracks(blockedTracks);
-    store.set('blocked_tracks', sanitized);
+    // Add the normalized track (or upgrade its entry) and sanitize the entire list
+    const before = getProfileSettings();
+    const sanitized = sanitizeBlockedTracks(tracks);
+    setBlocklistValue('blocked_tracks', sanitized);
+    logBlocklistChange('dashboard', `${change === 'upgraded' ? 'Blocked every version of' : 'Blocked song'} "${activeTrack.track}"`, before);
     
     return { 
       success: true, 
@@ -847,25 +1720,26 @@ ipcMain.handle('blocklist:block-current-song', async () => {
   }
 });
 
-ipcMain.handle('blocklist:block-current-artist', async () => {
+ipcMain.handle('blocklist:block-current-artist', async (event, options = {}) => {
   try {
     const activeTrack = await getActiveNowPlaying();
     if (!activeTrack || !activeTrack.artist) {
       return { success: false, message: 'No music is currently playing' };
     }
     
-    const blockedArtists = sanitizeBlockedList(store.get('blocked_artists', []));
+    const blockedArtists = sanitizeBlockedList(getBlocklistValue('blocked_artists', []));
     const artistName = activeTrack.artist;
-    const normalizedArtist = normalize(artistName);
     
-    // Check if already blocked (compare normalized)
-    if (blockedArtists.some(a => normalize(a) === normalizedArtist)) {
+    // Check if already blocked (by name or alias)
+    if (findArtistEntryIndex(artistName, blockedArtists) !== -1) {
       return { success: false, message: 'This artist is already blocked' };
     }
     
     // Add the original artist name and sanitize the entire list
-    blockedArtists.push(artistName);
-    store.set('blocked_artists', sanitizeBlockedList(blockedArtists));
+    const before = getProfileSettings();
+    blockedArtists.push(setEntryExpiry('artists', artistName, options && options.expiresAt));
+    setBlocklistValue('blocked_artists', sanitizeBlockedList(blockedArtists));
+    logBlocklistChange('dashboard', `Blocked artist "${artistName}"`, before);
     
     return { 
       success: true, 
@@ -887,6 +1761,7 @@ ipcMain.handle('blocklist:get-now-playing', async () => {
     return {
       artist: formatArtist(currentStatus.artist),
       track: currentStatus.track,
+      album: currentStatus.album || '',
       source: currentStatus.source
     };
   }
@@ -907,29 +1782,47 @@ ipcMain.handle('history:clear', async () => {
   return;
 });
 
+// Warn before adding a rule that is close to, but not exactly, something recently played
+ipcMain.handle('history:find-similar', async (event, { artist, track } = {}) => {
+  const artistCandidates = [];
+  const trackCandidates = [];
+  for (const entry of history) {
+    if (entry.artist) {
+      for (const name of new Set([entry.artist, ...parseArtistCredits(entry.artist)])) {
+        artistCandidates.push({ name, normalized: normalize(name) });
+      }
+    }
+    if (entry.track) {
+      trackCandidates.push({ name: entry.track, normalized: normalize(entry.track) });
+    }
+  }
+  return {
+    artist: artist ? findSimilarNames(normalize(artist), artistCandidates) : [],
+    track: track ? findSimilarNames(normalize(track), trackCandidates) : []
+  };
+});
+
 ipcMain.handle('history:block-track', async (event, id) => {
   const entry = history.find(e => e.id === id);
   if (!entry) {
     return { success: false, message: 'History entry not found' };
   }
   
-  const blockedTracks = sanitizeBlockedTracks(store.get('blocked_tracks', []));
+  const blockedTracks = sanitizeBlockedTracks(getBlocklistValue('blocked_tracks', []));
   const normalized = {
     artist: entry.artist ? normalize(entry.artist) : undefined,
     track: normalize(entry.track)
   };
   
   // Check if already blocked
-  if (blockedTracks.some(t => {
-    if (t.track !== normalized.track) return false;
-    if (t.artist === undefined) return true;
-    return normalized.artist !== undefined && t.artist === normalized.artist;
-  })) {
+  const { tracks, change } = addBlockedTrack(blockedTracks, normalized);
+  if (!change) {
     return { success: false, message: 'This song is already blocked' };
   }
   
-  blockedTracks.push(normalized);
-  store.set('blocked_tracks', sanitizeBlockedTracks(blockedTracks));
+  const before = getProfileSettings();
+  setBlocklistValue('blocked_tracks', sanitizeBlockedTracks(tracks));
+  logBlocklistChange('history', `Blocked song "${entry.track}"`, before);
   updateMenu();
   return { success: true };
 });
@@ -940,30 +1833,90 @@ ipcMain.handle('history:block-artist', async (event, id) => {
     return { success: false, message: 'History entry not found or no artist' };
   }
   
-  const blockedArtists = sanitizeBlockedList(store.get('blocked_artists', []));
-  const normalizedArtist = normalize(entry.artist);
+  const blockedArtists = sanitizeBlockedList(getBlocklistValue('blocked_artists', []));
   
-  if (blockedArtists.some(a => normalize(a) === normalizedArtist)) {
+  if (findArtistEntryIndex(entry.artist, blockedArtists) !== -1) {
     return { success: false, message: 'This artist is already blocked' };
   }
   
+  const before = getProfileSettings();
   blockedArtists.push(entry.artist);
-  store.set('blocked_artists', sanitizeBlockedList(blockedArtists));
+  setBlocklistValue('blocked_artists', sanitizeBlockedList(blockedArtists));
+  logBlocklistChange('history', `Blocked artist "${entry.artist}"`, before);
   updateMenu();
   return { success: true };
 });
 
+/**
+ * Returns the profile holding the rule that caused a history entry's skip.
+ * @param {Object} entry - History entry
+ * @returns {string} The layer that fired, or the active profile if it is gone
+ */
+function getMatchedRuleProfileId(entry) {
+  return entry.matchedLayer && hasProfile(store.get('profiles'), entry.matchedLayer.id)
+    ? entry.matchedLayer.id
+    : getActiveProfileId();
+}
+
+ipcMain.handle('history:find-rule', async (event, id) => {
+  const entry = history.find(e => e.id === id);
+  if (!entry || !entry.matchedRule || !RULE_LISTS[entry.matchedRule.list]) {
+    return { success: false, message: 'No matched rule recorded for this entry' };
+  }
+  
+  const { list, index, rule } = entry.matchedRule;
+  const profileId = getMatchedRuleProfileId(entry);
+  const { key, sanitize } = RULE_LISTS[list];
+  const ruleIndex = findRuleIndex(list, sanitize(getBlocklistValue(key, [], profileId)), rule, index);
+  if (ruleIndex === -1) {
+    return { success: false, message: 'This rule is no longer in the blocklist' };
+  }
+  return { success: true, list, index: ruleIndex, profileId, profileName: store.get(`profiles.${profileId}.name`) };
+});
+
+ipcMain.handle('history:remove-rule', async (event, id) => {
+  const entry = history.find(e => e.id === id);
+  if (!entry || !entry.matchedRule) {
+    return { success: false, message: 'No matched rule recorded for this entry' };
+  }
+  
+  const { list, index, rule } = entry.matchedRule;
+  if (!RULE_LISTS[list] || list === 'exceptions') {
+    return { success: false, message: 'Unknown rule list' };
+  }
+  
+  // The rule lives in the layer that fired, which may not be the active profile
+  const profileId = getMatchedRuleProfileId(entry);
+  const { key, sanitize } = RULE_LISTS[list];
+  const rules = sanitize(getBlocklistValue(key, [], profileId));
+  const ruleIndex = findRuleIndex(list, rules, rule, index);
+  if (ruleIndex === -1) {
+    return { success: false, message: 'This rule is no longer in the blocklist' };
+  }
+  
+  const before = getProfileSettings(profileId);
+  const [removed] = rules.splice(ruleIndex, 1);
+  setBlocklistValue(key, rules, profileId);
+  logBlocklistChange('history', `Removed ${describeScheduledRule(list, removed)}`, before, profileId);
+  updateMenu();
+  return { success: true };
+});
+
+ipcMain.handle('history:allow-track', async (event, id) => {
+  const entry = history.find(e => e.id === id);
+  if (!entry) {
+    return { success: false, message: 'History entry not found' };
+  }
+  
+  return addSongException(entry.artists, entry.track, 'history');
+});
+
 // Stats IPC handlers
 ipcMain.handle('stats:get', async () => {
   return {
     session: sessionStats,
-    total: {
-      total: store.get('stats_total_blocks', 0),
-      artist: store.get('stats_total_blocks_artist', 0),
-      track: store.get('stats_total_blocks_track', 0),
-      pattern: store.get('stats_total_blocks_pattern', 0),
-      reverse: store.get('stats_total_blocks_reverse', 0)
-    }
+    total: getTotalStats(),
+    dryRun: getDryRunStats()
   };
 });
 
@@ -973,84 +1926,310 @@ ipcMain.handle('stats:reset-session', async () => {
     artist: 0,
     track: 0,
     pattern: 0,
-    reverse: 0
+    reverse: 0,
+    explicit: 0,
+    duration: 0,
+    rule: 0
   };
+  sessionDryRunCount = 0;
   updateMenu();
   if (settingsWindow && !settingsWindow.isDestroyed()) {
     settingsWindow.webContents.send('stats-updated', {
       session: sessionStats,
-      total: {
-        total: store.get('stats_total_blocks', 0),
-        artist: store.get('stats_total_blocks_artist', 0),
-        track: store.get('stats_total_blocks_track', 0),
-        pattern: store.get('stats_total_blocks_pattern', 0),
-        reverse: store.get('stats_total_blocks_reverse', 0)
-      }
+      total: getTotalStats(),
+      dryRun: getDryRunStats()
     });
   }
   return;
 });
 
 ipcMain.handle('stats:reset-total', async () => {
-  store.set('stats_total_blocks', 0);
-  store.set('stats_total_blocks_artist', 0);
-  store.set('stats_total_blocks_track', 0);
-  store.set('stats_total_blocks_pattern', 0);
-  store.set('stats_total_blocks_reverse', 0);
+  store.set('stats_total', Object.fromEntries(['total', ...STATS_REASONS].map(reason => [reason, 0])));
+  store.set('stats_total_dry_run', 0);
   updateMenu();
   if (settingsWindow && !settingsWindow.isDestroyed()) {
     settingsWindow.webContents.send('stats-updated', {
       session: sessionStats,
-      total: {
-        total: 0,
-        artist: 0,
-        track: 0,
-        pattern: 0,
-        reverse: 0
-      }
+      total: getTotalStats(),
+      dryRun: getDryRunStats()
     });
   }
   return;
 });
 
+// Profile IPC handlers
+ipcMain.handle('profiles:get', async () => {
+  const layerIds = getLayerProfileIds();
+  return listProfiles(store.get('profiles'), getActiveProfileId())
+    .map(profile => ({ ...profile, layered: !profile.active && layerIds.includes(profile.id) }));
+});
+
+ipcMain.handle('profiles:set-layered', async (event, id, layered) => {
+  if (!setProfileLayered(id, !!layered)) {
+    return { success: false, message: 'Profile not found' };
+  }
+  return { success: true };
+});
+
+ipcMain.handle('profiles:switch', async (event, id) => {
+  if (!switchProfile(id)) {
+    return { success: false, message: 'Profile not found' };
+  }
+  return { success: true };
+});
+
+ipcMain.handle('profiles:create', async (event, name, copyFromId = null) => {
+  const profiles = store.get('profiles');
+  const validation = validateProfileName(name, profiles);
+  if (!validation.valid) {
+    return { success: false, message: validation.error };
+  }
+  if (copyFromId !== null && !hasProfile(profiles, copyFromId)) {
+    return { success: false, message: 'Profile not found' };
+  }
+  
+  // A copy starts with the other profile's settings, a new profile with the defaults
+  const values = copyFromId !== null ? profiles[copyFromId].settings : { blocked_artists: [] };
+  const id = createProfileId(name, profiles);
+  store.set(`profiles.${id}`, createProfile(name, values, DEFAULT_SETTINGS));
+  notifyProfilesChanged();
+  return { success: true, id };
+});
+
+ipcMain.handle('profiles:rename', async (event, id, name) => {
+  const profiles = store.get('profiles');
+  if (!hasProfile(profiles, id)) {
+    return { success: false, message: 'Profile not found' };
+  }
+  const validation = validateProfileName(name, profiles, id);
+  if (!validation.valid) {
+    return { success: false, message: validation.error };
+  }
+  store.set(`profiles.${id}.name`, name.trim());
+  notifyProfilesChanged();
+  return { success: true };
+});
+
+ipcMain.handle('profiles:delete', async (event, id) => {
+  const profiles = store.get('profiles');
+  if (!hasProfile(profiles, id)) {
+    return { success: false, message: 'Profile not found' };
+  }
+  if (Object.keys(profiles).length === 1) {
+    return { success: false, message: 'The last profile cannot be deleted' };
+  }
+  
+  const wasActive = id === getActiveProfileId();
+  store.delete(`profiles.${id}`);
+  store.set('layered_profiles', store.get('layered_profiles', []).filter(other => other !== id));
+  changeStore.set('log', forgetProfileChanges(getChangeLog(), id));
+  if (wasActive) {
+    switchProfile(Object.keys(store.get('profiles'))[0]);
+  } else {
+    notifyProfilesChanged();
+  }
+  return { success: true };
+});
+
 // Export/Import IPC handlers
-ipcMain.handle('blocklist:export', async () => {
-  return {
-    artists: store.get('blocked_artists', []),
-    tracks: store.get('blocked_tracks', []),
-    patterns: store.get('blocked_patterns', []),
-    blockCollaborations: store.get('block_collaborations', false),
-    reverseMode: store.get('reverse_mode', false),
-    version: '1.0'
+ipcMain.handle('blocklist:export', async (event, profileId, format = 'json') => {
+  const id = hasProfile(store.get('profiles'), profileId) ? profileId : getActiveProfileId();
+  const data = {
+    profile: store.get(`profiles.${id}.name`),
+    artists: getBlocklistValue('blocked_artists', [], id),
+    tracks: getBlocklistValue('blocked_tracks', [], id),
+    patterns: getBlocklistValue('blocked_patterns', [], id),
+    exceptions: getBlocklistValue('allowed_exceptions', [], id),
+    rules: getBlocklistValue('composite_rules', [], id),
+    blockCollaborations: getBlocklistValue('block_collaborations', false, id),
+    reverseMode: getBlocklistValue('reverse_mode', false, id),
+    skipExplicit: getBlocklistValue('skip_explicit', false, id),
+    durationLimits: getDurationLimits(id),
+    schedules: sanitizeRuleSchedules(getBlocklistValue('rule_schedules', {}, id)),
+    version: EXPORT_VERSION
   };
+  // CSV and text carry artists and songs only
+  if (format === 'csv') {
+    return { profile: data.profile, format, text: formatCsvBlocklist(data) };
+  }
+  if (format === 'text') {
+    return { profile: data.profile, format, text: formatTextBlocklist(data) };
+  }
+  // M3U is a "do not play" list of the blocked songs
+  if (format === 'm3u') {
+    return { profile: data.profile, format, text: formatM3uBlocklist(data) };
+  }
+  return data;
 });
 
-ipcMain.handle('blocklist:import', async (event, data) => {
-  try {
-    // Validate data structure
-    if (!data || typeof data !== 'object') {
-      return { success: false, message: 'Invalid data format' };
+// Profile settings an import can change besides the rule lists, with labels for the preview
+const IMPORT_SETTING_LABELS = {
+  block_collaborations: 'Block collaborations',
+  reverse_mode: 'Reverse mode',
+  skip_explicit: 'Skip explicit tracks',
+  skip_shorter_than_seconds: 'Skip tracks shorter than (seconds)',
+  skip_longer_than_minutes: 'Skip tracks longer than (minutes)',
+  rule_schedules: 'Schedules'
+};
+
+/**
+ * Works out a profile's settings after an import, without changing anything.
+ * Lists in the import replace the profile's lists, or in merge mode are added to
+ * them; lists missing from the import are left unchanged. Other settings are only
+ * taken from the import when replacing.
+ * @param {Object} data - Blocklist in export form
+ * @param {Object<string, *>} current - The profile's settings now (see getProfileSettings)
+ * @param {boolean} merge - Whether to keep existing entries
+ * @param {Array<string>} warnings - Collects entries that were skipped
+ * @returns {Object<string, *>} Settings after the import
+ */
+function getImportedSettings(data, current, merge, warnings) {
+  const settings = { ...current };
+  for (const [list, { key, sanitize }] of Object.entries(RULE_LISTS)) {
+    if (!Array.isArray(data[list])) continue;
+    const rejected = [];
+    settings[key] = sanitize(merge ? [...current[key], ...data[list]] : data[list], rejected);
+    for (const { pattern, rule, error } of rejected) {
+      warnings.push(pattern !== undefined
+        ? `Skipped pattern "${pattern}": ${error}`
+        : `Skipped rule "${(rule && rule.name) || 'Unnamed rule'}": ${error}`);
     }
-    
-    // Import with validation
-    if (Array.isArray(data.artists)) {
-      store.set('blocked_artists', sanitizeBlockedList(data.artists));
+  }
+  if (merge) {
+    return settings;
+  }
+  if (typeof data.blockCollaborations === 'boolean') {
+    settings.block_collaborations = data.blockCollaborations;
+  }
+  if (typeof data.reverseMode === 'boolean') {
+    settings.reverse_mode = data.reverseMode;
+  }
+  if (typeof data.skipExplicit === 'boolean') {
+    settings.skip_explicit = data.skipExplicit;
+  }
+  if (data.durationLimits && typeof data.durationLimits === 'object') {
+    const limits = sanitizeDurationLimits(data.durationLimits);
+    settings.skip_shorter_than_seconds = limits.shorterThanSeconds;
+    settings.skip_longer_than_minutes = limits.longerThanMinutes;
+  }
+  if (data.schedules && typeof data.schedules === 'object') {
+    settings.rule_schedules = sanitizeRuleSchedules(data.schedules);
+  }
+  return settings;
+}
+
+/**
+ * Reads an import and works out what it would do, without changing anything.
+ * @param {Object|string} content - Parsed JSON export, or the text of a JSON, CSV, text, library or playlist file
+ * @param {{format?: string, fileName?: string, mode?: "replace" | "merge", asNewProfile?: boolean, library?: {playlists: Array<string>, target: string}, playlist?: {target: string}}} [options] - Format (guessed from the file name or text if missing), whether to keep existing entries, whether to create a profile, for a library the playlists to import and what to add their songs as, and for a playlist file what to add its songs as
+ * @returns {{success: boolean, message?: string, format?: string, data?: Object, current?: Object, settings?: Object, warnings?: Array<string>}} The import, the target profile's settings before and after, and entries that will be skipped
+ */
+function planImport(content, options = {}) {
+  let format = 'json';
+  let parsed = { data: content, warnings: [] };
+  if (typeof content === 'string') {
+    format = options.format || detectImportFormat(content, options.fileName);
+    parsed = parseImportText(content, format, options);
+    if (!parsed.valid) {
+      return { success: false, message: parsed.error };
     }
-    if (Array.isArray(data.tracks)) {
-      store.set('blocked_tracks', sanitizeBlockedTracks(data.tracks));
+  }
+  let { data } = parsed;
+  // Check the version and bring older exports up to the current format
+  if (format === 'json') {
+    const migrated = migrateExport(data);
+    if (!migrated.valid) {
+      return { success: false, message: migrated.error };
     }
-    if (Array.isArray(data.patterns)) {
-      store.set('blocked_patterns', sanitizeBlockedPatterns(data.patterns));
+    data = migrated.data;
+  }
+  
+  const current = options.asNewProfile
+    ? createProfile(DEFAULT_PROFILE_NAME, {}, DEFAULT_SETTINGS).settings
+    : getProfileSettings();
+  const warnings = [...parsed.warnings];
+  const settings = getImportedSettings(data, current, !options.asNewProfile && options.mode === 'merge', warnings);
+  return { success: true, format, data, current, settings, warnings };
+}
+
+/**
+ * Formats a setting's value for the import preview.
+ * @param {*} value - Setting value
+ * @returns {string} Label
+ */
+function formatSettingValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'on' : 'off';
+  }
+  if (typeof value === 'number') {
+    return value > 0 ? String(value) : 'off';
+  }
+  return `${Object.keys(value || {}).length} set`;
+}
+
+ipcMain.handle('blocklist:read-library', async (event, xml) => {
+  try {
+    const library = readLibrary(xml);
+    if (!library.valid) {
+      return { success: false, message: library.error };
     }
-    if (typeof data.blockCollaborations === 'boolean') {
-      store.set('block_collaborations', data.blockCollaborations);
+    return { success: true, playlists: listLibraryPlaylists(library) };
+  } catch (error) {
+    console.error('Library read error:', error);
+    return { success: false, message: error.message || 'Could not read the library' };
+  }
+});
+
+ipcMain.handle('blocklist:preview-import', async (event, content, options = {}) => {
+  try {
+    const plan = planImport(content, options || {});
+    if (!plan.success) {
+      return plan;
+    }
+    const label = (list) => (entry) => describeScheduledRule(list, entry);
+    const lists = {};
+    for (const [list, { key }] of Object.entries(RULE_LISTS)) {
+      const { added, removed, unchanged } = diffEntries(plan.current[key], plan.settings[key]);
+      lists[list] = { added: added.map(label(list)), removed: removed.map(label(list)), unchanged };
+    }
+    const settings = Object.entries(IMPORT_SETTING_LABELS)
+      .filter(([key]) => JSON.stringify(plan.current[key]) !== JSON.stringify(plan.settings[key]))
+      .map(([key, name]) => `${name}: ${formatSettingValue(plan.current[key])} → ${formatSettingValue(plan.settings[key])}`);
+    return { success: true, format: plan.format, lists, settings, warnings: plan.warnings };
+  } catch (error) {
+    console.error('Import preview error:', error);
+    return { success: false, message: error.message || 'Could not read the import' };
+  }
+});
+
+ipcMain.handle('blocklist:import', async (event, content, options = {}) => {
+  try {
+    const plan = planImport(content, options || {});
+    if (!plan.success) {
+      return plan;
     }
-    if (typeof data.reverseMode === 'boolean') {
-      store.set('reverse_mode', data.reverseMode);
+    
+    // Import into a new profile named after the exported one (or the file), or into the active profile
+    if (options && options.asNewProfile) {
+      const profiles = store.get('profiles');
+      const fileName = typeof options.fileName === 'string' ? options.fileName.replace(/\.[a-z0-9]+$/i, '') : '';
+      const name = getUniqueProfileName(typeof plan.data.profile === 'string' ? plan.data.profile : fileName || 'Imported', profiles);
+      const id = createProfileId(name, profiles);
+      store.set(`profiles.${id}`, createProfile(name, plan.settings, DEFAULT_SETTINGS));
+      notifyProfilesChanged();
+      return { success: true, profileId: id, profileName: name, warnings: plan.warnings, issues: lintBlocklist(getProfileBlocklist(id)) };
     }
     
+    for (const key of PROFILE_KEYS) {
+      if (JSON.stringify(plan.settings[key]) !== JSON.stringify(plan.current[key])) {
+        setBlocklistValue(key, plan.settings[key]);
+      }
+    }
+    const name = typeof plan.data.profile === 'string' ? plan.data.profile : options.fileName;
+    const verb = options.mode === 'merge' ? 'Merged' : 'Imported';
+    logBlocklistChange('import', name ? `${verb} blocklist "${name}"` : `${verb} pasted ${plan.format === 'text' ? 'text' : plan.format.toUpperCase()}`, plan.current);
     updateMenu();
-    return { success: true };
+    return { success: true, warnings: plan.warnings, issues: lintBlocklist(getProfileBlocklist(getActiveProfileId())) };
   } catch (error) {
     console.error('Import error:', error);
     return { success: false, message: error.message || 'Import failed' };
@@ -1058,41 +2237,62 @@ ipcMain.handle('blocklist:import', async (event, data) => {
 });
 
 // Block track/artist helpers
-ipcMain.handle('blocklist:block-track', async (event, artist, track) => {
-  const blockedTracks = sanitizeBlockedTracks(store.get('blocked_tracks', []));
-  const normalized = {
+ipcMain.handle('blocklist:block-track', async (event, artist, track, options = {}) => {
+  const blockedTracks = sanitizeBlockedTracks(getBlocklistValue('blocked_tracks', []));
+  const normalized = setEntryExpiry('tracks', {
     artist: artist ? normalize(artist) : undefined,
-    track: normalize(track)
-  };
+    track: normalize(track),
+    ...(options && options.allVersions === true && { allVersions: true })
+  }, options && options.expiresAt);
   
-  if (blockedTracks.some(t => {
-    if (t.track !== normalized.track) return false;
-    if (t.artist === undefined) return true;
-    return normalized.artist !== undefined && t.artist === normalized.artist;
-  })) {
+  // An exact-version block of the same song is upgraded when every version is asked for
+  const { tracks, change } = addBlockedTrack(blockedTracks, normalized);
+  if (!change) {
     return { success: false, message: 'This song is already blocked' };
   }
   
-  blockedTracks.push(normalized);
-  store.set('blocked_tracks', sanitizeBlockedTracks(blockedTracks));
+  const before = getProfileSettings();
+  setBlocklistValue('blocked_tracks', sanitizeBlockedTracks(tracks));
+  logBlocklistChange('dashboard', `${change === 'upgraded' ? 'Blocked every version of' : 'Blocked song'} "${track}"`, before);
   updateMenu();
   return { success: true };
 });
 
-ipcMain.handle('blocklist:block-artist', async (event, artist) => {
-  const blockedArtists = sanitizeBlockedList(store.get('blocked_artists', []));
-  const normalizedArtist = normalize(artist);
+ipcMain.handle('blocklist:block-artist', async (event, artist, options = {}) => {
+  const blockedArtists = sanitizeBlockedList(getBlocklistValue('blocked_artists', []));
   
-  if (blockedArtists.some(a => normalize(a) === normalizedArtist)) {
+  if (findArtistEntryIndex(artist, blockedArtists) !== -1) {
     return { success: false, message: 'This artist is already blocked' };
   }
   
-  blockedArtists.push(artist);
-  store.set('blocked_artists', sanitizeBlockedList(blockedArtists));
+  const before = getProfileSettings();
+  blockedArtists.push(setEntryExpiry('artists', artist, options && options.expiresAt));
+  setBlocklistValue('blocked_artists', sanitizeBlockedList(blockedArtists));
+  logBlocklistChange('dashboard', `Blocked artist "${artist}"`, before);
   updateMenu();
   return { success: true };
 });
 
+ipcMain.handle('changes:get', async () => {
+  return describeChanges(getChangeLog(), getActiveProfileId());
+});
+
+ipcMain.handle('changes:undo', async () => {
+  return undoBlocklistChange();
+});
+
+ipcMain.handle('changes:redo', async () => {
+  return redoBlocklistChange();
+});
+
+ipcMain.handle('changes:restore', async (event, version) => {
+  return applyChangeLogStep(
+    (log, profileId, current) => restoreChange(log, Number(version), profileId, current),
+    'Restored to before',
+    'This version is no longer in the change log'
+  );
+});
+
 // Open external URL handler
 ipcMain.handle('open-external', async (event, url) => {
   await shell.openExternal(url);
@@ -1104,6 +2304,7 @@ app.whenReady().then(() => {
   if (process.platform === 'darwin') {
     app.dock.hide();
   }
+  removeExpiredRules();
   createTray();
   startPolling();
   
@@ -0,0 +1,218 @@
+/**
+ * Reads an iTunes or Apple Music library export (File > Library > Export Library,
+ * saved as Library.xml) on this computer
+ *
+ * The export is an XML property list with a Tracks dictionary keyed by track id
+ * and a Playlists array whose items refer to those ids. Only names are read;
+ * nothing is sent anywhere. Songs from the chosen playlists become artist
+ * blocks, song blocks or always-allowed songs in blocklist export form, so they
+ * go through the same preview and sanitizers as any other import.
+ */
+
+const { SONG_TARGETS, decodeXmlText, getSongEntries } = require('./playlistFiles');
+
+// Id standing for every song in the library rather than one playlist
+const LIBRARY_PLAYLIST_ID = 'library';
+
+/**
+ * Parses an XML property list into plain values: dict becomes an object, array
+ * an array, integer and real numbers, true and false booleans, and string, date
+ * and data strings
+ * @param {string} xml - Property list XML
+ * @returns {*} - The root value
+ * @throws {Error} If the XML isn't a well-formed property list
+ */
+function parsePlist(xml) {
+  // Tags (skipping declarations and comments) and the text between them
+  const tokens = /<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([a-zA-Z]+)[^>]*?(\/?)>|([^<]+)/g;
+  const stack = [{ tag: 'root', values: [] }];
+  let match;
+  while ((match = tokens.exec(xml)) !== null) {
+    const [, closing, tag, selfClosing, text] = match;
+    const top = stack[stack.length - 1];
+    if (text !== undefined) {
+      top.text = (top.text || '') + text;
+    } else if (!tag) {
+      continue;
+    } else if (selfClosing) {
+      top.values.push(plistValue({ tag, values: [] }));
+    } else if (!closing) {
+      stack.push({ tag, values: [] });
+    } else {
+      if (top.tag !== tag || stack.length === 1) {
+        throw new Error(`Unexpected </${tag}>`);
+      }
+      stack.pop();
+      stack[stack.length - 1].values.push(plistValue(top));
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`<${stack[stack.length - 1].tag}> is never closed`);
+  }
+  const [root] = stack[0].values;
+  return root && root.plist !== undefined ? root.plist : root;
+}
+
+/**
+ * Turns a closed property list element into its value
+ * @param {{tag: string, values: Array<*>, text?: string}} element - Element with its children's values and its text
+ * @returns {*} - Value; keys are returned as {key} so the enclosing dict can pair them up
+ */
+function plistValue({ tag, values, text = '' }) {
+  switch (tag) {
+    case 'plist':
+      return { plist: values[0] };
+    case 'dict': {
+      const dict = {};
+      for (let i = 0; i < values.length; i += 2) {
+        if (!values[i] || typeof values[i].key !== 'string') {
+          throw new Error('A <dict> value has no <key>');
+        }
+        dict[values[i].key] = values[i + 1];
+      }
+      return dict;
+    }
+    case 'array':
+      return values;
+    case 'key':
+      return { key: decodeXmlText(text) };
+    case 'integer':
+    case 'real':
+      return Number(text.trim());
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    default:
+      return decodeXmlText(text);
+  }
+}
+
+/**
+ * Reads the songs and playlists of a library export
+ * @param {string} xml - Contents of Library.xml
+ * @returns {{valid: boolean, tracks?: Map<string, {artist: string, name: string}>, playlists?: Array<{id: string, name: string, trackIds: Array<string>}>, error?: string}} - Songs by track id and playlists (folders and the whole-library playlist left out), or why the file can't be read
+ */
+function parseLibrary(xml) {
+  let root;
+  try {
+    root = parsePlist(String(xml));
+  } catch (error) {
+    return { valid: false, error: `Invalid library file: ${error.message}` };
+  }
+  if (!root || typeof root !== 'object' || !root.Tracks || typeof root.Tracks !== 'object') {
+    return { valid: false, error: 'This is not an iTunes or Apple Music library export' };
+  }
+
+  const tracks = new Map();
+  for (const [id, track] of Object.entries(root.Tracks)) {
+    if (!track || typeof track !== 'object' || typeof track.Name !== 'string') continue;
+    const artist = typeof track.Artist === 'string' ? track.Artist : track['Album Artist'];
+    tracks.set(String(id), { artist: typeof artist === 'string' ? artist.trim() : '', name: track.Name.trim() });
+  }
+
+  const playlists = [];
+  for (const playlist of Array.isArray(root.Playlists) ? root.Playlists : []) {
+    if (!playlist || typeof playlist !== 'object' || playlist.Master || playlist.Folder) continue;
+    const items = Array.isArray(playlist['Playlist Items']) ? playlist['Playlist Items'] : [];
+    playlists.push({
+      id: String(playlist['Playlist Persistent ID'] ?? playlist['Playlist ID']),
+      name: typeof playlist.Name === 'string' ? playlist.Name : 'Untitled playlist',
+      trackIds: items.filter(item => item && item['Track ID'] !== undefined).map(item => String(item['Track ID']))
+    });
+  }
+  return { valid: true, tracks, playlists };
+}
+
+// The last library read, since the preview reads the same file again whenever an option changes
+let lastLibrary = { xml: null, library: null };
+
+/**
+ * Reads a library export, reusing the result if it is the one read last
+ * @param {string} xml - Contents of Library.xml
+ * @returns {Object} - As for parseLibrary
+ */
+function readLibrary(xml) {
+  if (lastLibrary.xml !== xml) {
+    lastLibrary = { xml, library: parseLibrary(xml) };
+  }
+  return lastLibrary.library;
+}
+
+/**
+ * Lists the playlists a library export offers, starting with the whole library
+ * @param {{tracks: Map<string, Object>, playlists: Array<{id: string, name: string, trackIds: Array<string>}>}} library - Library from parseLibrary
+ * @returns {Array<{id: string, name: string, count: number}>} - Playlists with their number of songs
+ */
+function listLibraryPlaylists(library) {
+  return [
+    { id: LIBRARY_PLAYLIST_ID, name: 'Entire library', count: library.tracks.size },
+    ...library.playlists.map(({ id, name, trackIds }) => ({ id, name, count: trackIds.length }))
+  ];
+}
+
+/**
+ * Turns the songs of some playlists into blocklist entries
+ * @param {{tracks: Map<string, {artist: string, name: string}>, playlists: Array<{id: string, name: string, trackIds: Array<string>}>}} library - Library from parseLibrary
+ * @param {{playlists: Array<string>, target: "artists" | "tracks" | "exceptions"}} options - Ids of the chosen playlists, and what to add the songs as
+ * @returns {{valid: boolean, data?: Object, warnings?: Array<string>, error?: string}} - Blocklist in export form, named after the playlist when only one was chosen, and songs that were skipped
+ */
+function getLibraryEntries(library, options = {}) {
+  const target = options.target;
+  if (!SONG_TARGETS.includes(target)) {
+    return { valid: false, error: `Unknown library import target "${target}"` };
+  }
+  const chosen = Array.isArray(options.playlists) ? options.playlists : [];
+  if (chosen.length === 0) {
+    return { valid: false, error: 'Choose at least one playlist' };
+  }
+
+  const ids = new Set();
+  const names = [];
+  for (const id of chosen) {
+    if (id === LIBRARY_PLAYLIST_ID) {
+      library.tracks.forEach((track, trackId) => ids.add(trackId));
+      continue;
+    }
+    const playlist = library.playlists.find(candidate => candidate.id === id);
+    if (playlist) {
+      playlist.trackIds.forEach(trackId => ids.add(trackId));
+      names.push(playlist.name);
+    }
+  }
+
+  const songs = [];
+  let missing = 0;
+  for (const id of ids) {
+    const track = library.tracks.get(id);
+    if (track && track.name) {
+      songs.push({ artist: track.artist, title: track.name });
+    } else {
+      missing++;
+    }
+  }
+  const { entries, warnings: entryWarnings } = getSongEntries(songs, target);
+
+  const warnings = [];
+  if (missing > 0) {
+    warnings.push(`${missing} playlist song${missing === 1 ? ' is' : 's are'} missing from the library, skipped`);
+  }
+  warnings.push(...entryWarnings);
+  if (entries.length === 0) {
+    return { valid: false, error: 'The chosen playlists have no songs to import' };
+  }
+  const data = { [target]: entries };
+  if (names.length === 1 && !chosen.includes(LIBRARY_PLAYLIST_ID)) {
+    data.profile = names[0];
+  }
+  return { valid: true, data, warnings };
+}
+
+module.exports = {
+  LIBRARY_PLAYLIST_ID,
+  parsePlist,
+  parseLibrary,
+  readLibrary,
+  listLibraryPlaylists,
+  getLibraryEntries
+};
@@ -0,0 +1,290 @@
+/**
+ * Playlist files from local players: M3U/M3U8, PLS and XSPF
+ *
+ * Playlists list files, so the artist and title of each song come from the
+ * playlist's own metadata where it has some (#EXTINF lines, TitleN entries,
+ * <creator> and <title>) and otherwise from the file name, read as
+ * "Artist - Title". Songs become artist blocks, song blocks or always-allowed
+ * songs in blocklist export form, as for library imports (see musicLibrary.js).
+ */
+
+// What imported songs are added as, by export field
+const SONG_TARGETS = ['artists', 'tracks', 'exceptions'];
+
+const PLAYLIST_FORMATS = ['m3u', 'pls', 'xspf'];
+
+// Separators between artist and title, as in "Adele - Hello"; a trailing one means the title is missing
+const SONG_SEPARATOR = /\s+[-–—](?:\s+|$)/;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Replaces XML character and entity references in text
+ * @param {string} text - Text from the XML
+ * @returns {string} - Decoded text
+ */
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : reference;
+    }
+    return XML_ENTITIES[name.toLowerCase()] || reference;
+  });
+}
+
+/**
+ * Splits "Artist - Title" into its parts. A name in double quotes is a title by
+ * any artist, so titles like "Song - Live" can be written without an artist.
+ * @param {string} text - Song name
+ * @returns {{artist: string, title: string}} - Parts; the artist is empty if there is no separator
+ */
+function splitSongName(text) {
+  const name = text.trim();
+  const quoted = /^"(.+)"$/.exec(name);
+  if (quoted) {
+    return { artist: '', title: quoted[1].trim() };
+  }
+  const separator = SONG_SEPARATOR.exec(name);
+  if (!separator) {
+    return { artist: '', title: name };
+  }
+  return {
+    artist: name.slice(0, separator.index).trim(),
+    title: name.slice(separator.index + separator[0].length).trim()
+  };
+}
+
+/**
+ * Writes a song as "Artist - Title", quoting titles without an artist that
+ * would otherwise read back as an artist and title (see splitSongName)
+ * @param {{artist?: string, track: string}} entry - Song entry
+ * @returns {string} - Song name
+ */
+function formatSongName(entry) {
+  if (entry.artist) {
+    return `${entry.artist} - ${entry.track}`;
+  }
+  return SONG_SEPARATOR.test(entry.track) || /^".*"$/.test(entry.track) ? `"${entry.track}"` : entry.track;
+}
+
+/**
+ * Decodes a percent-encoded file name or folder, leaving other text as it is
+ * @param {string} segment - Path segment
+ * @returns {string} - Decoded segment
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Reads a song's name from the file it points to, e.g.
+ * "/Music/Adele/25/01 Adele - Hello.mp3" becomes Adele, Hello. A leading
+ * track number is dropped unless it belongs to the artist's name, which is
+ * told by a folder of that name ("/Music/50 Cent/50 Cent - In Da Club.mp3").
+ * @param {string} location - File path or URL
+ * @returns {{artist: string, title: string}} - Artist (empty if the name has none) and title
+ */
+function songFromLocation(location) {
+  const segments = location.trim().split(/[\\/]/).filter(Boolean).map(decodePathSegment);
+  const name = (segments.pop() || '').replace(/\.[a-z0-9]{1,5}$/i, '').replace(/_/g, ' ').trim();
+  const folders = segments.map(folder => folder.trim().toLowerCase());
+
+  // "3. Intro" and "03 - Intro" are always numbered
+  const marked = /^\d{1,3}(?:\.\s*|\s+-\s+)(.+)$/.exec(name);
+  if (marked) {
+    return splitSongName(marked[1]);
+  }
+  // "12 Adele - Water" is numbered, "50 Cent - In Da Club" is not
+  const numbered = /^\d{1,3}\s+(.+)$/.exec(name);
+  if (numbered) {
+    const song = splitSongName(name);
+    if (song.artist && !folders.includes(song.artist.toLowerCase())) {
+      return splitSongName(numbered[1]);
+    }
+    // Without an artist, only zero-padded numbers are taken as track numbers, so "99 Problems" stays
+    if (!song.artist && /^0\d/.test(name)) {
+      return splitSongName(numbered[1]);
+    }
+  }
+  return splitSongName(name);
+}
+
+/**
+ * Reads an M3U or M3U8 playlist
+ * @param {string} text - Playlist contents
+ * @returns {Array<{artist: string, title: string, line: number}>} - Songs, with the line of the file each comes from
+ */
+function parseM3u(text) {
+  const songs = [];
+  let info = null;
+  let artist = '';
+  String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    if (/^#EXTINF:/i.test(line)) {
+      // Duration and attributes (which may be quoted and contain commas) come before the first unquoted comma
+      let quoted = false;
+      let comma = -1;
+      for (let i = 8; i < line.length && comma === -1; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ',' && !quoted) comma = i;
+      }
+      info = comma === -1 ? null : line.slice(comma + 1).trim();
+      return;
+    }
+    if (/^#EXTART:/i.test(line)) {
+      artist = line.slice(8).trim();
+      return;
+    }
+    if (line.startsWith('#')) return;
+
+    const song = info ? splitSongName(info) : songFromLocation(line);
+    songs.push({ artist: song.artist || artist, title: song.title, line: index + 1 });
+    info = null;
+    artist = '';
+  });
+  return songs;
+}
+
+/**
+ * Reads a PLS playlist
+ * @param {string} text - Playlist contents
+ * @returns {Array<{artist: string, title: string, line: number}>} - Songs in entry order, with the line of each FileN entry
+ */
+function parsePls(text) {
+  const entries = new Map();
+  String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const match = /^\s*(File|Title)(\d+)\s*=(.*)$/i.exec(raw);
+    if (!match) return;
+    const number = Number(match[2]);
+    const entry = entries.get(number) || { line: index + 1 };
+    entry[match[1].toLowerCase()] = match[3].trim();
+    if (match[1].toLowerCase() === 'file') entry.line = index + 1;
+    entries.set(number, entry);
+  });
+  return [...entries.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, entry]) => {
+      const song = entry.title ? splitSongName(entry.title) : songFromLocation(entry.file || '');
+      return { artist: song.artist, title: song.title, line: entry.line };
+    });
+}
+
+/**
+ * Reads an XSPF playlist
+ * @param {string} text - Playlist XML
+ * @returns {Array<{artist: string, title: string, line: number}>} - Songs, with the line each <track> starts on
+ */
+function parseXspf(text) {
+  const xml = String(text).replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ''));
+  const field = (track, tag) => {
+    const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`).exec(track);
+    return match ? decodeXmlText(match[1].replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')).trim() : '';
+  };
+  const songs = [];
+  const tracks = /<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/g;
+  let match;
+  while ((match = tracks.exec(xml)) !== null) {
+    const line = xml.slice(0, match.index).split('\n').length;
+    const title = field(match[1], 'title');
+    const creator = field(match[1], 'creator');
+    const song = title ? { artist: creator, title } : songFromLocation(field(match[1], 'location'));
+    songs.push({ artist: song.artist || creator, title: song.title, line });
+  }
+  return songs;
+}
+
+/**
+ * Turns songs into blocklist entries
+ * @param {Array<{artist: string, title: string}>} songs - Songs
+ * @param {"artists" | "tracks" | "exceptions"} target - What to add them as
+ * @returns {{entries: Array<*>, warnings: Array<string>}} - Entries (duplicates are left to the sanitizers), and a warning about songs without an artist: skipped when adding artists, and matching the title by any artist otherwise
+ */
+function getSongEntries(songs, target) {
+  const entries = [];
+  const withoutArtist = [];
+  for (const { artist, title } of songs) {
+    if (!artist) {
+      withoutArtist.push(title);
+    }
+    if (target === 'artists') {
+      if (artist) entries.push(artist);
+    } else {
+      entries.push(artist ? { artist, track: title } : { track: title });
+    }
+  }
+
+  const warnings = [];
+  const count = withoutArtist.length;
+  if (count > 0 && target === 'artists') {
+    warnings.push(`${count} song${count === 1 ? ' has' : 's have'} no artist, skipped`);
+  } else if (count > 0) {
+    const titles = withoutArtist.slice(0, 3).map(title => `"${title}"`).join(', ');
+    warnings.push(`${count} song${count === 1 ? ' has' : 's have'} no artist and will match the title by any artist: ${titles}${count > 3 ? ', …' : ''}`);
+  }
+  return { entries, warnings };
+}
+
+/**
+ * Reads a playlist file into blocklist entries
+ * @param {string} text - Playlist contents
+ * @param {"m3u" | "pls" | "xspf"} format - Playlist format
+ * @param {{target: "artists" | "tracks" | "exceptions"}} options - What to add the songs as
+ * @returns {{valid: boolean, data?: Object, warnings?: Array<string>, error?: string}} - Blocklist in export form and songs that were skipped, or why nothing can be imported
+ */
+function parsePlaylist(text, format, options = {}) {
+  const target = options.target;
+  if (!SONG_TARGETS.includes(target)) {
+    return { valid: false, error: `Unknown playlist import target "${target}"` };
+  }
+  const parse = { m3u: parseM3u, pls: parsePls, xspf: parseXspf }[format];
+  if (!parse) {
+    return { valid: false, error: `Unknown playlist format "${format}"` };
+  }
+
+  const warnings = [];
+  const songs = parse(text).filter(song => {
+    if (song.title) return true;
+    warnings.push(`Line ${song.line}: no title found, skipped`);
+    return false;
+  });
+  const { entries, warnings: entryWarnings } = getSongEntries(songs, target);
+  warnings.push(...entryWarnings);
+  if (entries.length === 0) {
+    return { valid: false, error: songs.length === 0 ? 'No songs found in the playlist' : 'No songs in the playlist name an artist' };
+  }
+  return { valid: true, data: { [target]: entries }, warnings };
+}
+
+/**
+ * Writes the song blocklist as an M3U8 "do not play" list. There are no files
+ * to point to, so each entry names the song as "Artist - Title" (see formatSongName).
+ * @param {{profile?: string, tracks?: Array<{artist?: string, track: string}>}} data - Exported blocklist
+ * @returns {string} - Playlist text
+ */
+function formatM3uBlocklist(data) {
+  const lines = ['#EXTM3U', `#PLAYLIST:Do not play${data.profile ? ` (${data.profile})` : ''}`];
+  for (const entry of data.tracks || []) {
+    const name = formatSongName(entry);
+    lines.push(`#EXTINF:-1,${name}`, name);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  SONG_TARGETS,
+  PLAYLIST_FORMATS,
+  SONG_SEPARATOR,
+  decodeXmlText,
+  splitSongName,
+  formatSongName,
+  songFromLocation,
+  getSongEntries,
+  parsePlaylist,
+  formatM3uBlocklist
+};
@@ -0,0 +1,149 @@
+/**
+ * Named blocklist profiles (e.g. "Work", "Gym", "Kids' room")
+ *
+ * Each profile keeps its own copy of the settings in PROFILE_KEYS, stored as
+ * profiles.<id>.settings.<key>. Everything else - whether skipping is enabled,
+ * stats and history - is shared by all profiles.
+ */
+
+// Settings that belong to a profile
+const PROFILE_KEYS = [
+  'blocked_artists',
+  'blocked_tracks',
+  'blocked_patterns',
+  'block_collaborations',
+  'reverse_mode',
+  'skip_explicit',
+  'skip_shorter_than_seconds',
+  'skip_longer_than_minutes',
+  'allowed_exceptions',
+  'rule_schedules',
+  'expired_rules',
+  'composite_rules'
+];
+
+// Profile that settings from before profiles existed are moved into
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Default';
+
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+// Ids that would clash with plain-object properties when used as store keys
+const RESERVED_PROFILE_IDS = ['constructor', 'prototype', '__proto__'];
+
+/**
+ * Checks whether a profile with the given id exists
+ * Only own keys count, so ids like "constructor" aren't found on every object.
+ * @param {Object<string, *>} profiles - Existing profiles by id
+ * @param {*} id - Profile id
+ * @returns {boolean} - True if the profile exists
+ */
+function hasProfile(profiles, id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(profiles || {}, id);
+}
+
+/**
+ * Checks that a profile name is usable and not taken by another profile
+ * @param {string} name - Proposed name
+ * @param {Object<string, {name: string}>} profiles - Existing profiles by id
+ * @param {string|null} [exceptId] - Profile being renamed, which may keep its own name
+ * @returns {{valid: boolean, error?: string}} - Validation result
+ */
+function validateProfileName(name, profiles, exceptId = null) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return { valid: false, error: 'Enter a profile name' };
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    return { valid: false, error: `Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters` };
+  }
+  const taken = Object.entries(profiles || {}).some(([id, profile]) =>
+    id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (taken) {
+    return { valid: false, error: `A profile named "${trimmed}" already exists` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Picks a free name based on a wanted one, e.g. "Gym (2)" if "Gym" is taken
+ * @param {string} name - Wanted name
+ * @param {Object<string, {name: string}>} profiles - Existing profiles by id
+ * @returns {string} - A name no other profile uses
+ */
+function getUniqueProfileName(name, profiles) {
+  const base = (typeof name === 'string' && name.trim()) || 'Profile';
+  const shortened = base.trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+  if (validateProfileName(shortened, profiles).valid) {
+    return shortened;
+  }
+  for (let number = 2; ; number++) {
+    const suffix = ` (${number})`;
+    const candidate = shortened.slice(0, MAX_PROFILE_NAME_LENGTH - suffix.length) + suffix;
+    if (validateProfileName(candidate, profiles).valid) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Builds a store id for a new profile from its name, e.g. "Kids' Room" -> "kids-room"
+ * Ids are used as store key paths, so they only contain a-z, 0-9 and dashes,
+ * and names like "Constructor" get a suffix ("constructor-profile").
+ * @param {string} name - Profile name
+ * @param {Object<string, *>} profiles - Existing profiles by id
+ * @returns {string} - An id no other profile uses
+ */
+function createProfileId(name, profiles) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'profile';
+  const base = RESERVED_PROFILE_IDS.includes(slug) ? `${slug}-profile` : slug;
+  let id = base;
+  for (let number = 2; hasProfile(profiles, id); number++) {
+    id = `${base}-${number}`;
+  }
+  return id;
+}
+
+/**
+ * Creates a profile, taking settings from the given values and defaults for the rest
+ * @param {string} name - Profile name
+ * @param {Object<string, *>} values - Settings by store key (keys outside PROFILE_KEYS are ignored)
+ * @param {Object<string, *>} defaults - Default value for every key in PROFILE_KEYS
+ * @returns {{name: string, settings: Object<string, *>}} - The new profile
+ */
+function createProfile(name, values, defaults) {
+  const settings = {};
+  for (const key of PROFILE_KEYS) {
+    const value = values && values[key] !== undefined ? values[key] : defaults[key];
+    // Copy so profiles never share arrays or objects
+    settings[key] = value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+  return { name: name.trim(), settings };
+}
+
+/**
+ * Lists profiles for menus and the dashboard
+ * @param {Object<string, {name: string}>} profiles - Profiles by id
+ * @param {string} activeId - Id of the active profile
+ * @returns {Array<{id: string, name: string, active: boolean}>} - Profiles in creation order
+ */
+function listProfiles(profiles, activeId) {
+  return Object.entries(profiles || {}).map(([id, profile]) => ({ id, name: profile.name, active: id === activeId }));
+}
+
+module.exports = {
+  PROFILE_KEYS,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_PROFILE_NAME,
+  validateProfileName,
+  getUniqueProfileName,
+  hasProfile,
+  createProfileId,
+  createProfile,
+  listProfiles
+};
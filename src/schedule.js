@@ -0,0 +1,304 @@
+/**
+ * Schedules that limit when a rule is active, evaluated against the local clock
+ *
+ * A schedule is an object with any of:
+ *   days  - weekdays the rule is active, 0 = Sunday … 6 = Saturday
+ *   start - "HH:MM" time the rule turns on each active day
+ *   end   - "HH:MM" time the rule turns off (exclusive); an end before the start wraps past midnight
+ *   from  - first active date, "MM-DD" every year or "YYYY-MM-DD" once
+ *   to    - last active date (inclusive), same format as from; a yearly range may wrap past New Year
+ * Missing parts don't restrict anything, and a missing schedule means always active.
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const TIME_FORMAT = /^(\d{1,2}):(\d{2})$/;
+const DATE_FORMAT = /^(?:(\d{4})-)?(\d{1,2})-(\d{1,2})$/;
+
+// How far ahead getNextScheduleChange looks; covers every yearly range
+const LOOKAHEAD_DAYS = 400;
+
+/**
+ * Parses an "HH:MM" time into minutes after midnight ("24:00" is allowed as an end time)
+ * @param {string} value - Time string
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+function parseTime(value) {
+  const match = typeof value === 'string' ? TIME_FORMAT.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parses a "MM-DD" or "YYYY-MM-DD" date
+ * @param {string} value - Date string
+ * @returns {{year: number|null, month: number, day: number}|null} - Parsed date, or null if invalid
+ */
+function parseDate(value) {
+  const match = typeof value === 'string' ? DATE_FORMAT.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  const year = match[1] ? Number(match[1]) : null;
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  // Feb 29 is allowed for yearly ranges
+  const daysInMonth = new Date(year === null ? 2000 : year, month, 0).getDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+/**
+ * Checks that a schedule is well formed
+ * @param {Object|null} schedule - Schedule to check (null means always active)
+ * @returns {{valid: boolean, error?: string}} - Validation result
+ */
+function validateSchedule(schedule) {
+  if (schedule === null || schedule === undefined) {
+    return { valid: true };
+  }
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { valid: false, error: 'Schedule must be an object' };
+  }
+  if (schedule.days !== undefined) {
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+        !schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { valid: false, error: 'Days must list at least one weekday from 0 (Sunday) to 6 (Saturday)' };
+    }
+  }
+  for (const key of ['start', 'end']) {
+    if (schedule[key] !== undefined && parseTime(schedule[key]) === null) {
+      return { valid: false, error: `Invalid ${key} time "${schedule[key]}", use HH:MM` };
+    }
+  }
+  if ((schedule.start === undefined) !== (schedule.end === undefined)) {
+    return { valid: false, error: 'Set both a start and an end time' };
+  }
+  if (schedule.start !== undefined && parseTime(schedule.start) === parseTime(schedule.end)) {
+    return { valid: false, error: 'Start and end time must differ' };
+  }
+  for (const key of ['from', 'to']) {
+    if (schedule[key] !== undefined && parseDate(schedule[key]) === null) {
+      return { valid: false, error: `Invalid ${key} date "${schedule[key]}", use MM-DD or YYYY-MM-DD` };
+    }
+  }
+  if (schedule.from !== undefined && schedule.to !== undefined) {
+    const from = parseDate(schedule.from);
+    const to = parseDate(schedule.to);
+    if ((from.year === null) !== (to.year === null)) {
+      return { valid: false, error: 'From and to dates must both include a year or both leave it out' };
+    }
+    if (from.year !== null && dateKey(from) > dateKey(to)) {
+      return { valid: false, error: 'From date must not be after the to date' };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Normalizes a schedule, dropping empty parts
+ * @param {Object|null} schedule - Schedule to normalize
+ * @returns {Object|null} - Normalized schedule, or null if it is invalid or doesn't restrict anything
+ */
+function sanitizeSchedule(schedule) {
+  if (!schedule || !validateSchedule(schedule).valid) {
+    return null;
+  }
+  const sanitized = {};
+  if (Array.isArray(schedule.days) && schedule.days.length < 7) {
+    sanitized.days = [...new Set(schedule.days)].sort((a, b) => a - b);
+  }
+  if (schedule.start !== undefined) {
+    sanitized.start = formatTime(parseTime(schedule.start));
+    sanitized.end = formatTime(parseTime(schedule.end));
+  }
+  for (const key of ['from', 'to']) {
+    if (schedule[key] !== undefined) {
+      sanitized[key] = formatDate(parseDate(schedule[key]));
+    }
+  }
+  return Object.keys(sanitized).length > 0 ? sanitized : null;
+}
+
+/**
+ * Formats minutes after midnight as "HH:MM"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - Time string
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a parsed date as "MM-DD" or "YYYY-MM-DD"
+ * @param {{year: number|null, month: number, day: number}} date - Parsed date
+ * @returns {string} - Date string
+ */
+function formatDate(date) {
+  const monthDay = `${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  return date.year === null ? monthDay : `${date.year}-${monthDay}`;
+}
+
+/**
+ * Builds a sortable number for a date (the year is left out for yearly dates)
+ * @param {{year: number|null, month: number, day: number}} date - Parsed date
+ * @returns {number} - Sortable key
+ */
+function dateKey(date) {
+  return (date.year || 0) * 10000 + date.month * 100 + date.day;
+}
+
+/**
+ * Checks whether a date falls inside the schedule's date range
+ * @param {Object} schedule - Valid schedule
+ * @param {Date} now - Local time to check
+ * @returns {boolean} - True if inside the range
+ */
+function isInDateRange(schedule, now) {
+  if (schedule.from === undefined && schedule.to === undefined) {
+    return true;
+  }
+  const from = schedule.from !== undefined ? parseDate(schedule.from) : null;
+  const to = schedule.to !== undefined ? parseDate(schedule.to) : null;
+  const yearly = (from || to).year === null;
+  const today = dateKey({ year: yearly ? null : now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+  const start = from ? dateKey(from) : -Infinity;
+  const end = to ? dateKey(to) : Infinity;
+  // A yearly range like 12-20 … 01-06 wraps past New Year
+  if (yearly && from && to && start > end) {
+    return today >= start || today <= end;
+  }
+  return today >= start && today <= end;
+}
+
+/**
+ * Checks whether a schedule is active at a given time
+ * @param {Object|null} schedule - Schedule (null or undefined means always active)
+ * @param {Date} [now] - Local time to check
+ * @returns {boolean} - True if the schedule is active
+ */
+function isScheduleActive(schedule, now = new Date()) {
+  if (!schedule || !validateSchedule(schedule).valid) {
+    return true;
+  }
+  if (Array.isArray(schedule.days) && !schedule.days.includes(now.getDay())) {
+    return false;
+  }
+  if (schedule.start !== undefined) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const inWindow = start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    if (!inWindow) {
+      return false;
+    }
+  }
+  return isInDateRange(schedule, now);
+}
+
+/**
+ * Finds when a single schedule next switches between active and inactive
+ * @param {Object} schedule - Sanitized schedule
+ * @param {Date} now - Local time to start from
+ * @param {Date|null} before - Stop searching at this time (an earlier change is already known)
+ * @returns {Date|null} - Time of the next change, or null if none before the cutoff
+ */
+function findNextChange(schedule, now, before) {
+  const activeNow = isScheduleActive(schedule, now);
+  const times = schedule.start !== undefined
+    ? [0, parseTime(schedule.start), parseTime(schedule.end)].sort((a, b) => a - b)
+    : [0];
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    for (const minutes of times) {
+      const candidate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, 0, minutes);
+      if (before && candidate >= before) {
+        return null;
+      }
+      if (candidate > now && isScheduleActive(schedule, candidate) !== activeNow) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds when any of the schedules next switches between active and inactive
+ * Schedules only change at midnight or at their start/end times, so those are the
+ * only instants checked.
+ * @param {Array<Object|null>} schedules - Schedules to watch
+ * @param {Date} [now] - Local time to start from
+ * @returns {Date|null} - Time of the next change, or null if none is coming
+ */
+function getNextScheduleChange(schedules, now = new Date()) {
+  const unique = new Map();
+  for (const schedule of Array.isArray(schedules) ? schedules : []) {
+    const sanitized = sanitizeSchedule(schedule);
+    if (sanitized) {
+      unique.set(JSON.stringify(sanitized), sanitized);
+    }
+  }
+  if (unique.size === 0) {
+    return null;
+  }
+
+  let next = null;
+  for (const schedule of unique.values()) {
+    const change = findNextChange(schedule, now, next);
+    if (change) {
+      next = change;
+    }
+  }
+  return next;
+}
+
+/**
+ * Describes a schedule for display, e.g. "Mon–Fri 09:00–17:00, Jan 01 – Nov 30"
+ * @param {Object|null} schedule - Schedule to describe
+ * @returns {string} - Human-readable summary
+ */
+function describeSchedule(schedule) {
+  const sanitized = sanitizeSchedule(schedule);
+  if (!sanitized) {
+    return 'Always';
+  }
+  const parts = [];
+  if (sanitized.days) {
+    const days = sanitized.days.join(',');
+    parts.push(days === '1,2,3,4,5' ? 'Mon–Fri' : days === '0,6' ? 'Weekends' : sanitized.days.map(day => DAY_NAMES[day]).join(', '));
+  }
+  if (sanitized.start !== undefined) {
+    parts.push(`${sanitized.start}–${sanitized.end}`);
+  }
+  if (sanitized.from !== undefined || sanitized.to !== undefined) {
+    const describeDate = (value) => {
+      const date = parseDate(value);
+      const monthDay = `${MONTH_NAMES[date.month - 1]} ${String(date.day).padStart(2, '0')}`;
+      return date.year === null ? monthDay : `${monthDay} ${date.year}`;
+    };
+    const from = sanitized.from !== undefined ? describeDate(sanitized.from) : '';
+    const to = sanitized.to !== undefined ? describeDate(sanitized.to) : '';
+    parts.push(from && to ? `${from} – ${to}` : from ? `from ${from}` : `until ${to}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  DAY_NAMES,
+  validateSchedule,
+  sanitizeSchedule,
+  isScheduleActive,
+  getNextScheduleChange,
+  describeSchedule
+};
@@ -6,15 +6,36 @@
 let blockedArtists = [];
 let blockedTracks = [];
 let blockedPatterns = [];
+let allowedExceptions = [];
+let compositeRules = [];
+let ruleDraft = null;
+let editingRuleIndex = -1;
 let blockCollaborations = false;
 let reverseMode = false;
+let skipExplicit = false;
+let dryRun = false;
+let durationLimits = { shorterThanSeconds: 0, longerThanMinutes: 0 };
+let ruleSchedules = {};
+let expiredRules = [];
+let profiles = [];
+let activeProfileId = null;
+let scheduleStatus = { nextChange: null, rules: [] };
+// Issues from the last blocklist check, or null before the first check
+let lintIssues = null;
+let changeLog = { changes: [], undo: null, redo: null };
 let history = [];
 let stats = {
-  session: { total: 0, artist: 0, track: 0, pattern: 0, reverse: 0 },
-  total: { total: 0, artist: 0, track: 0, pattern: 0, reverse: 0 }
+  session: { total: 0, artist: 0, track: 0, pattern: 0, reverse: 0, explicit: 0, duration: 0, rule: 0 },
+  total: { total: 0, artist: 0, track: 0, pattern: 0, reverse: 0, explicit: 0, duration: 0, rule: 0 },
+  dryRun: { session: 0, total: 0 }
 };
 let nowPlaying = null;
 let currentPage = 'dashboard';
+let expandedArtistIndex = -1;
+// Input the user was already warned about; adding it again goes ahead
+let confirmedSimilarInput = null;
+// Increases with every tester run so stale results are dropped
+let trackTestRun = 0;
 
 // Navigation
 const navItems = document.querySelectorAll('.nav-item');
@@ -29,6 +50,8 @@ const sessionTotalDisplay = document.getElementById('session-total-display');
 const totalBlocksDisplay = document.getElementById('total-blocks-display');
 const reverseToggleLarge = document.getElementById('reverse-toggle-large');
 const collabsToggleLarge = document.getElementById('collabs-toggle-large');
+const explicitToggleLarge = document.getElementById('explicit-toggle-large');
+const dryRunToggleLarge = document.getElementById('dry-run-toggle-large');
 
 // DOM elements - History
 const historyListEl = document.getElementById('history-list');
@@ -39,19 +62,72 @@ const artistsListEl = document.getElementById('artists-list');
 const tracksListEl = document.getElementById('tracks-list');
 const artistsSectionTitle = document.getElementById('artists-section-title');
 const newArtistInputEl = document.getElementById('new-artist-input');
+const newArtistExpirySelectEl = document.getElementById('new-artist-expiry-select');
+const newArtistExpiryDateEl = document.getElementById('new-artist-expiry-date');
+const newArtistMatchSelectEl = document.getElementById('new-artist-match-select');
+const artistSimilarWarningEl = document.getElementById('artist-similar-warning');
 const addArtistBtn = document.getElementById('add-artist-btn');
 const newSongArtistInputEl = document.getElementById('new-song-artist-input');
 const newSongTrackInputEl = document.getElementById('new-song-track-input');
+const newSongVersionsSelectEl = document.getElementById('new-song-versions-select');
+const newSongExpirySelectEl = document.getElementById('new-song-expiry-select');
+const newSongExpiryDateEl = document.getElementById('new-song-expiry-date');
+const newSongMatchSelectEl = document.getElementById('new-song-match-select');
+const songSimilarWarningEl = document.getElementById('song-similar-warning');
 const addSongBtn = document.getElementById('add-song-btn');
+const exceptionsListEl = document.getElementById('exceptions-list');
+const newExceptionArtistInputEl = document.getElementById('new-exception-artist-input');
+const newExceptionTrackInputEl = document.getElementById('new-exception-track-input');
+const addExceptionSongBtn = document.getElementById('add-exception-song-btn');
+const newExceptionPatternInputEl = document.getElementById('new-exception-pattern-input');
+const addExceptionPatternBtn = document.getElementById('add-exception-pattern-btn');
+const exceptionPatternErrorEl = document.getElementById('exception-pattern-error');
+const expiredListEl = document.getElementById('expired-list');
+const clearExpiredBtn = document.getElementById('clear-expired-btn');
 const exportBtn = document.getElementById('export-btn');
 const importBtn = document.getElementById('import-btn');
+const importProfileBtn = document.getElementById('import-profile-btn');
 const importFileInput = document.getElementById('import-file-input');
+const exportFormatSelect = document.getElementById('export-format-select');
+const pasteImportBtn = document.getElementById('paste-import-btn');
+const importPreviewEl = document.getElementById('import-preview');
+const importPreviewTitleEl = document.getElementById('import-preview-title');
+const importPasteInputEl = document.getElementById('import-paste-input');
+const importModeRowEl = document.getElementById('import-mode-row');
+const importTargetRowEl = document.getElementById('import-target-row');
+const importTargetSelect = document.getElementById('import-target-select');
+const importLibraryPlaylistsEl = document.getElementById('import-library-playlists');
+const importModeSelect = document.getElementById('import-mode-select');
+const importSummaryEl = document.getElementById('import-summary');
+const importWarningsEl = document.getElementById('import-warnings');
+const applyImportBtn = document.getElementById('apply-import-btn');
+const cancelImportBtn = document.getElementById('cancel-import-btn');
 
 // DOM elements - Patterns
 const patternsListEl = document.getElementById('patterns-list');
 const newPatternInputEl = document.getElementById('new-pattern-input');
+const newPatternExpirySelectEl = document.getElementById('new-pattern-expiry-select');
+const newPatternExpiryDateEl = document.getElementById('new-pattern-expiry-date');
 const addPatternBtn = document.getElementById('add-pattern-btn');
+const patternErrorEl = document.getElementById('pattern-error');
+const testArtistInputEl = document.getElementById('test-artist-input');
+const testTitleInputEl = document.getElementById('test-title-input');
+const testAlbumInputEl = document.getElementById('test-album-input');
+const testLengthInputEl = document.getElementById('test-length-input');
+const testExplicitCheckboxEl = document.getElementById('test-explicit-checkbox');
+const testSourceSelectEl = document.getElementById('test-source-select');
+const testResultEl = document.getElementById('test-result');
+const testBatchInputEl = document.getElementById('test-batch-input');
+const testBatchBtn = document.getElementById('test-batch-btn');
+const testBatchResultsEl = document.getElementById('test-batch-results');
 const collabsTogglePatterns = document.getElementById('collabs-toggle-patterns');
+const rulesListEl = document.getElementById('rules-list');
+const ruleBuilderEl = document.getElementById('rule-builder');
+const ruleBuilderTitleEl = document.getElementById('rule-builder-title');
+const ruleNameInputEl = document.getElementById('rule-name-input');
+const ruleErrorEl = document.getElementById('rule-error');
+const saveRuleBtn = document.getElementById('save-rule-btn');
+const cancelRuleBtn = document.getElementById('cancel-rule-btn');
 const reverseTogglePatterns = document.getElementById('reverse-toggle-patterns');
 
 // DOM elements - Statistics
@@ -63,6 +139,33 @@ const githubLink = document.getElementById('github-link');
 const releasesLink = document.getElementById('releases-link');
 const donateLink = document.getElementById('donate-link');
 const helpLink = document.getElementById('help-link');
+const minDurationInputEl = document.getElementById('min-duration-input');
+const maxDurationInputEl = document.getElementById('max-duration-input');
+const saveDurationBtn = document.getElementById('save-duration-btn');
+const scheduleNextChangeEl = document.getElementById('schedule-next-change');
+const scheduleStatusListEl = document.getElementById('schedule-status-list');
+const scheduleTargetSelectEl = document.getElementById('schedule-target-select');
+const scheduleDaysEl = document.getElementById('schedule-days');
+const scheduleStartInputEl = document.getElementById('schedule-start-input');
+const scheduleEndInputEl = document.getElementById('schedule-end-input');
+const scheduleFromInputEl = document.getElementById('schedule-from-input');
+const scheduleToInputEl = document.getElementById('schedule-to-input');
+const scheduleErrorEl = document.getElementById('schedule-error');
+const saveScheduleBtn = document.getElementById('save-schedule-btn');
+const removeScheduleBtn = document.getElementById('remove-schedule-btn');
+const profileSelectEl = document.getElementById('profile-select');
+const profileNameInputEl = document.getElementById('profile-name-input');
+const profileErrorEl = document.getElementById('profile-error');
+const profileLayersEl = document.getElementById('profile-layers');
+const lintListEl = document.getElementById('lint-list');
+const lintBtn = document.getElementById('lint-btn');
+const changesListEl = document.getElementById('changes-list');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const createProfileBtn = document.getElementById('create-profile-btn');
+const duplicateProfileBtn = document.getElementById('duplicate-profile-btn');
+const renameProfileBtn = document.getElementById('rename-profile-btn');
+const deleteProfileBtn = document.getElementById('delete-profile-btn');
 
 /**
  * Navigation
@@ -124,17 +227,42 @@ function showToast(message, duration = 2000) {
 async function loadBlocklist() {
   try {
     const data = await window.blocklistAPI.getBlocklist();
+    // Indices being edited belong to the previous profile's lists
+    if (activeProfileId !== null && data.profileId !== activeProfileId) {
+      ruleDraft = null;
+      expandedArtistIndex = -1;
+    }
+    activeProfileId = data.profileId;
     blockedArtists = data.artists || [];
     blockedTracks = data.tracks || [];
     blockedPatterns = data.patterns || [];
+    allowedExceptions = data.exceptions || [];
+    compositeRules = data.rules || [];
     blockCollaborations = data.blockCollaborations || false;
     reverseMode = data.reverseMode || false;
+    skipExplicit = data.skipExplicit || false;
+    dryRun = data.dryRun || false;
+    durationLimits = data.durationLimits || { shorterThanSeconds: 0, longerThanMinutes: 0 };
+    ruleSchedules = data.schedules || {};
+    expiredRules = data.expiredRules || [];
     
     renderArtists();
     renderTracks();
+    renderExceptions();
     renderPatterns();
+    renderRules();
+    renderExpired();
     updateToggles();
+    renderDurationLimits();
+    renderScheduleTargets();
     updateArtistsSectionTitle();
+    loadScheduleStatus();
+    loadProfiles();
+    runTrackTest();
+    if (lintIssues !== null) {
+      checkBlocklist();
+    }
+    loadChanges();
   } catch (error) {
     console.error('Failed to load blocklist:', error);
     showToast('Failed to load blocklist', 3000);
@@ -193,6 +321,7 @@ async function updateNowPlaying() {
         <div><strong>Source:</strong> ${escapeHtml(nowPlaying.source || 'Unknown')}</div>
         <div><strong>Artist:</strong> ${escapeHtml(artistStr)}</div>
         <div><strong>Track:</strong> ${escapeHtml(nowPlaying.track)}</div>
+        ${nowPlaying.album ? `<div><strong>Album:</strong> ${escapeHtml(nowPlaying.album)}</div>` : ''}
       `;
       if (blockCurrentSongBtn) blockCurrentSongBtn.disabled = false;
       if (blockCurrentArtistBtn) blockCurrentArtistBtn.disabled = false;
@@ -223,16 +352,29 @@ function renderHistory() {
   historyListEl.innerHTML = history.map(entry => {
     const time = new Date(entry.ts).toLocaleTimeString();
     const isBlocked = entry.reasonBlocked !== undefined;
+    const wouldSkip = entry.reasonWouldSkip !== undefined;
     const blockedClass = isBlocked ? 'blocked' : '';
-    const blockedBadge = isBlocked ? `<span style="color: #ff4444; font-size: 10px; margin-left: 8px;">[Blocked: ${entry.reasonBlocked}]</span>` : '';
+    let blockedBadge = '';
+    if (isBlocked) {
+      blockedBadge = `<span style="color: #ff4444; font-size: 10px; margin-left: 8px;">[Blocked: ${entry.reasonBlocked}]</span>`;
+    } else if (wouldSkip) {
+      blockedBadge = `<span style="color: #ff9500; font-size: 10px; margin-left: 8px;">[Dry run: ${entry.reasonWouldSkip}]</span>`;
+    }
+    const explanation = isBlocked || wouldSkip ? describeBlockReason(entry) : '';
+    const explicitBadge = entry.explicit ? '<span class="list-item-badge">explicit</span>' : '';
+    const ruleActions = entry.matchedRule ? `
+          <button class="block-btn-small" onclick="showRuleFromHistory('${entry.id}')">Show Rule</button>
+          <button class="block-btn-small" onclick="removeRuleFromHistory('${entry.id}')">Remove Rule</button>` : '';
     
     return `
       <div class="history-item ${blockedClass}">
         <div class="history-item-content">
-          <div class="history-item-title">${escapeHtml(entry.artist || 'Unknown')} — ${escapeHtml(entry.track || 'Unknown')}</div>
+          <div class="history-item-title">${escapeHtml(entry.artist || 'Unknown')} — ${escapeHtml(entry.track || 'Unknown')}${explicitBadge}</div>
           <div class="history-item-meta">${time} • ${escapeHtml(entry.source || 'Unknown')}${blockedBadge}</div>
+          ${explanation ? `<div class="history-item-reason">${explanation}</div>` : ''}
         </div>
-        <div class="history-item-actions">
+        <div class="history-item-actions">${ruleActions}
+          <button class="block-btn-small" onclick="allowTrackFromHistory('${entry.id}')">Always Allow</button>
           <button class="block-btn-small" onclick="blockTrackFromHistory('${entry.id}')" ${isBlocked ? 'disabled' : ''}>Block Song</button>
           <button class="block-btn-small" onclick="blockArtistFromHistory('${entry.id}')" ${isBlocked ? 'disabled' : ''}>Block Artist</button>
         </div>
@@ -241,6 +383,404 @@ function renderHistory() {
   }).join('');
 }
 
+/**
+ * Describe why a history entry was skipped, e.g. "Skipped because of pattern `*live*` on title",
+ * or why dry run would have skipped it
+ * Returns escaped HTML, or '' when no rule was recorded
+ */
+function describeBlockReason(entry, skipped = entry.reasonBlocked ? 'Skipped' : 'Would have skipped') {
+  const reason = entry.reasonBlocked || entry.reasonWouldSkip;
+  if (reason === 'reverse') {
+    return `${skipped} because no artist is on the allowed list`;
+  }
+  if (reason === 'explicit') {
+    return `${skipped} because the track is marked explicit`;
+  }
+  if (reason === 'duration') {
+    return entry.durationMs
+      ? `${skipped} because of its length (${formatDuration(entry.durationMs)})`
+      : `${skipped} because of its length`;
+  }
+  
+  const match = entry.matchedRule;
+  if (!match) return '';
+  if (match.list === 'rules') {
+    return `${skipped} because of rule <code>${escapeHtml(match.rule.name || describeCondition(match.rule.when))}</code>${describeLayer(entry)}`;
+  }
+  
+  const fieldLabels = { track: 'title', artist: 'artist', album: 'album', composer: 'composer' };
+  let ruleText;
+  if (match.list === 'artists') {
+    ruleText = `artist <code>${escapeHtml(getArtistName(match.rule))}</code>`;
+  } else if (match.list === 'tracks') {
+    const song = match.rule.artist ? `${match.rule.artist} — ${match.rule.track}` : match.rule.track;
+    ruleText = `song <code>${escapeHtml(song)}</code>`;
+  } else {
+    ruleText = `pattern <code>${escapeHtml(getPatternText(match.rule))}</code>`;
+  }
+  
+  const via = match.viaCollaboration
+    ? ` (credited as <code>${escapeHtml(match.input)}</code>)`
+    : ` on ${fieldLabels[match.field] || match.field}`;
+  const fuzzy = match.similarity ? `, a ${Math.round(match.similarity * 100)}% similar name` : '';
+  return `${skipped} because of ${ruleText}${via}${fuzzy}${describeLayer(entry)}`;
+}
+
+/**
+ * Name the profile layer whose rule skipped a history entry, when several profiles are in use
+ */
+function describeLayer(entry) {
+  return entry.matchedLayer && profiles.length > 1
+    ? ` in profile <code>${escapeHtml(entry.matchedLayer.name)}</code>`
+    : '';
+}
+
+/**
+ * Describe the exception that let a track play
+ */
+function describeException(match) {
+  const exception = match.rule || {};
+  const text = exception.pattern !== undefined
+    ? `pattern <code>${escapeHtml(exception.pattern)}</code>`
+    : `song <code>${escapeHtml(exception.artist ? `${exception.artist} — ${exception.track}` : exception.track)}</code>`;
+  return `Plays: always allowed by ${text}`;
+}
+
+/**
+ * Format a duration in milliseconds as m:ss
+ */
+function formatDuration(durationMs) {
+  const totalSeconds = Math.round(durationMs / 1000);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+}
+
+/**
+ * Parse a tester length like "3:45" or "225" (seconds) into milliseconds, or null
+ */
+function parseTestLength(text) {
+  const match = /^\s*(?:(\d+):)?(\d+)\s*$/.exec(text || '');
+  if (!match) return null;
+  const seconds = Number(match[1] || 0) * 60 + Number(match[2]);
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Describe a tester result as escaped HTML with its state ('blocked', 'dry-run' or 'allowed')
+ */
+function describeTestResult(result, durationMs = null) {
+  const entry = { reasonBlocked: result.reason, matchedRule: result.match, matchedLayer: result.layer, durationMs };
+  if (result.blocked) {
+    return { state: 'blocked', label: 'Skip', html: describeBlockReason(entry, 'Skipped') || 'Skipped' };
+  }
+  if (result.dryRun) {
+    return { state: 'dry-run', label: 'Dry run', html: `Dry run, not skipped: ${describeBlockReason(entry, 'would be skipped')}` };
+  }
+  if (result.reason === 'exception') {
+    return { state: 'allowed', label: 'Plays', html: `${describeException(result.match)}${describeLayer(entry)}` };
+  }
+  return { state: 'allowed', label: 'Plays', html: 'Plays: no rule matches' };
+}
+
+/**
+ * Run the track in the tester through the blocklist and show the decision
+ * Called as the fields change and whenever the blocklist changes
+ */
+async function runTrackTest() {
+  if (!testResultEl) return;
+  const artists = testArtistInputEl.value;
+  const track = testTitleInputEl.value.trim();
+  if (!artists.replace(/,/g, '').trim() && !track) {
+    testResultEl.className = 'test-result';
+    testResultEl.textContent = 'Type an artist or title to see what the blocklist would do.';
+    return;
+  }
+  
+  const durationMs = parseTestLength(testLengthInputEl.value);
+  const run = ++trackTestRun;
+  try {
+    const result = await window.blocklistAPI.testTrack({
+      artists,
+      track,
+      album: testAlbumInputEl.value.trim(),
+      explicit: testExplicitCheckboxEl.checked,
+      durationMs,
+      source: testSourceSelectEl ? testSourceSelectEl.value : ''
+    });
+    // A newer keystroke started another test
+    if (run !== trackTestRun) return;
+    const { state, html } = describeTestResult(result, durationMs);
+    testResultEl.className = `test-result ${state}`;
+    testResultEl.innerHTML = html;
+  } catch (error) {
+    console.error('Failed to test track:', error);
+    testResultEl.className = 'test-result';
+    testResultEl.textContent = 'Failed to test track';
+  }
+}
+
+/**
+ * Test every "Artist - Title" line pasted into the tester
+ */
+async function runBatchTest() {
+  if (!testBatchInputEl || !testBatchResultsEl) return;
+  const text = testBatchInputEl.value;
+  testBatchResultsEl.hidden = false;
+  if (!text.trim()) {
+    testBatchResultsEl.innerHTML = '<div class="list-empty">Paste one Artist - Title per line</div>';
+    return;
+  }
+  
+  try {
+    const tested = await window.blocklistAPI.testTrackList(text, { source: testSourceSelectEl ? testSourceSelectEl.value : '' });
+    const tracks = tested.map(({ track }) => track);
+    const results = tested.map(({ result }) => result);
+    const skipCount = results.filter(result => result.blocked).length;
+    testBatchResultsEl.innerHTML = `<div class="setting-hint">${skipCount} of ${results.length} would be skipped</div>` +
+      results.map((result, index) => {
+        const { state, label, html } = describeTestResult(result);
+        const song = [tracks[index].artists.join(', '), tracks[index].track].filter(Boolean).join(' — ');
+        return `
+          <div class="list-item">
+            <span class="list-item-text">${escapeHtml(song)}<span class="alias-summary">${html}</span></span>
+            <span class="list-item-badge${state === 'blocked' ? ' active' : ''}">${label}</span>
+          </div>
+        `;
+      }).join('');
+  } catch (error) {
+    console.error('Failed to test list:', error);
+    showToast('Failed to test list', 2000);
+  }
+}
+
+/**
+ * Jump to the blocklist entry that caused a skip and highlight it
+ */
+async function showRuleFromHistory(id) {
+  const entry = history.find(e => e.id === id);
+  if (!entry || !entry.matchedRule) return;
+  
+  await loadBlocklist();
+  const found = await window.blocklistAPI.findRuleFromHistory(id);
+  if (!found.success) {
+    showToast(found.message || 'This rule is no longer in the blocklist', 2000);
+    return;
+  }
+  if (found.profileId !== activeProfileId) {
+    showToast(`This rule is in profile "${found.profileName}"; switch to it to see the rule`, 3000);
+    return;
+  }
+  
+  const listEls = { artists: artistsListEl, tracks: tracksListEl, patterns: patternsListEl, rules: rulesListEl };
+  const pages = { patterns: 'patterns', rules: 'rules' };
+  navigateToPage(pages[found.list] || 'blocklist');
+  
+  const itemEl = listEls[found.list] && listEls[found.list].children[found.index];
+  if (itemEl) {
+    itemEl.classList.add('list-item-highlight');
+    itemEl.scrollIntoView({ block: 'center' });
+    setTimeout(() => itemEl.classList.remove('list-item-highlight'), 2000);
+  }
+}
+
+/**
+ * Remove the blocklist entry that caused a skip
+ */
+async function removeRuleFromHistory(id) {
+  try {
+    const result = await window.blocklistAPI.removeRuleFromHistory(id);
+    if (result.success) {
+      showToast('Rule removed', 1500);
+      await loadBlocklist();
+    } else {
+      showToast(result.message || 'Failed to remove rule', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to remove rule from history:', error);
+    showToast('Failed to remove rule', 2000);
+  }
+}
+
+/**
+ * Get the primary name of an artist entry (string or {name, aliases})
+ */
+function getArtistName(entry) {
+  return typeof entry === 'string' ? entry : (entry && entry.name) || '';
+}
+
+/**
+ * Get the text of a pattern entry (string or {pattern, schedule})
+ */
+function getPatternText(entry) {
+  return typeof entry === 'string' ? entry : (entry && entry.pattern) || '';
+}
+
+/**
+ * Badge shown on list entries that only apply on a schedule
+ */
+function scheduleBadge(entry) {
+  return entry && typeof entry === 'object' && entry.schedule
+    ? '<span class="list-item-badge">scheduled</span>'
+    : '';
+}
+
+/**
+ * Whether a rule only records what it would skip
+ */
+function isDryRun(entry) {
+  return Boolean(entry && typeof entry === 'object' && entry.dryRun);
+}
+
+/**
+ * Badge shown on rules in dry-run mode
+ */
+function dryRunBadge(entry) {
+  return isDryRun(entry)
+    ? '<span class="list-item-badge" title="Recorded in history but not skipped">dry run</span>'
+    : '';
+}
+
+/**
+ * Button that puts a rule in dry-run mode or takes it out
+ */
+function dryRunButton(list, index, entry) {
+  return `<button class="alias-btn" onclick="toggleRuleDryRun('${list}', ${index})">${isDryRun(entry) ? 'Go Live' : 'Dry Run'}</button>`;
+}
+
+/**
+ * Badge for artist and song rules that also match similar names
+ */
+function fuzzyBadge(entry) {
+  return entry && typeof entry === 'object' && entry.fuzzy
+    ? `<span class="list-item-badge" title="Also matches similar names">≈ ${Math.round(entry.fuzzy * 100)}%</span>`
+    : '';
+}
+
+/**
+ * Read a "how closely names must match" choice as a fuzzy threshold (null for exact)
+ */
+function readFuzzy(selectEl) {
+  const threshold = selectEl ? Number(selectEl.value) : 0;
+  return threshold > 0 ? threshold : null;
+}
+
+/**
+ * Show or clear a warning under an add form
+ */
+function showSimilarWarning(warningEl, message) {
+  if (!warningEl) return;
+  warningEl.textContent = message || '';
+  warningEl.classList.toggle('visible', !!message);
+}
+
+/**
+ * Warn when a new rule is close to, but not exactly, a recently played artist or title
+ * Returns true if a warning was shown; adding the same input again goes ahead
+ */
+async function warnIfSimilarInHistory(names, warningEl) {
+  const key = JSON.stringify(names);
+  if (confirmedSimilarInput === key) {
+    confirmedSimilarInput = null;
+    showSimilarWarning(warningEl, '');
+    return false;
+  }
+  
+  let similar;
+  try {
+    similar = await window.blocklistAPI.findSimilarInHistory(names);
+  } catch (error) {
+    console.error('Failed to check history for similar names:', error);
+    return false;
+  }
+  
+  const [field, found] = similar.artist.length > 0 ? ['artist', similar.artist[0]] : ['track', similar.track[0]];
+  if (!found) {
+    confirmedSimilarInput = null;
+    showSimilarWarning(warningEl, '');
+    return false;
+  }
+  
+  confirmedSimilarInput = key;
+  showSimilarWarning(warningEl,
+    `"${names[field]}" won't match "${found.name}" from your recent history (${Math.round(found.similarity * 100)}% similar). ` +
+    'Fix the spelling, choose "Similar names", or click Add again to add it as typed.');
+  return true;
+}
+
+// How long the "block for…" choices in the add forms last
+const BLOCK_DURATIONS_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Read a "block for…" choice as an expiry timestamp
+ * Returns {expiresAt: null} for permanent blocks and {error} for an invalid date
+ */
+function readExpiry(selectEl, dateEl) {
+  const choice = selectEl ? selectEl.value : '';
+  if (BLOCK_DURATIONS_MS[choice]) {
+    return { expiresAt: Date.now() + BLOCK_DURATIONS_MS[choice] };
+  }
+  if (choice === 'until') {
+    const [year, month, day] = dateEl.value.split('-').map(Number);
+    // Blocked through the chosen day, until local midnight after it
+    const expiresAt = year ? new Date(year, month - 1, day + 1).getTime() : NaN;
+    if (!(expiresAt > Date.now())) {
+      return { error: 'Pick a date in the future' };
+    }
+    return { expiresAt };
+  }
+  return { expiresAt: null };
+}
+
+/**
+ * Reset a "block for…" choice back to Forever
+ */
+function resetExpiry(selectEl, dateEl) {
+  if (selectEl) selectEl.value = '';
+  if (dateEl) {
+    dateEl.value = '';
+    dateEl.hidden = true;
+  }
+}
+
+/**
+ * Format an expiry timestamp, e.g. "Oct 26, 14:00"
+ */
+function formatExpiry(timestamp) {
+  return new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Badge shown on temporary list entries
+ */
+function expiryBadge(entry) {
+  return entry && typeof entry === 'object' && entry.expiresAt
+    ? `<span class="list-item-badge">until ${escapeHtml(formatExpiry(entry.expiresAt))}</span>`
+    : '';
+}
+
+/**
+ * Describe a rule from any list, e.g. "Song: Artist — Title"
+ */
+function describeRule(list, rule) {
+  const songLabel = (entry) => entry.artist ? `${entry.artist} — ${entry.track}` : entry.track;
+  if (list === 'artists') return `Artist: ${getArtistName(rule)}`;
+  if (list === 'tracks') return `Song: ${songLabel(rule)}`;
+  if (list === 'patterns') return `Pattern: ${getPatternText(rule)}`;
+  if (list === 'rules') return `Rule: ${rule.name || describeCondition(rule.when)}`;
+  return rule.pattern !== undefined ? `Allowed pattern: ${rule.pattern}` : `Allowed song: ${songLabel(rule)}`;
+}
+
+/**
+ * Get the aliases of an artist entry
+ */
+function getArtistAliases(entry) {
+  return entry && typeof entry === 'object' && Array.isArray(entry.aliases) ? entry.aliases : [];
+}
+
 /**
  * Render blocked artists list
  */
@@ -252,12 +792,42 @@ function renderArtists() {
     return;
   }
   
-  artistsListEl.innerHTML = blockedArtists.map((artist, index) => `
-    <div class="list-item">
-      <span class="list-item-text">${escapeHtml(artist)}</span>
-      <button class="remove-btn" onclick="removeArtist(${index})">Remove</button>
-    </div>
-  `).join('');
+  artistsListEl.innerHTML = blockedArtists.map((artist, index) => {
+    const aliases = getArtistAliases(artist);
+    const expanded = index === expandedArtistIndex;
+    const aliasSummary = aliases.length > 0
+      ? `<span class="alias-summary">also ${aliases.map(escapeHtml).join(', ')}</span>`
+      : '';
+    const aliasEditor = expanded ? `
+      <div class="alias-editor">
+        ${aliases.map((alias, aliasIndex) => `
+          <span class="alias-chip">${escapeHtml(alias)}<button class="alias-remove" onclick="removeAlias(${index}, ${aliasIndex})" title="Remove alias">×</button></span>
+        `).join('')}
+        <div class="add-form alias-add-form">
+          <input type="text" id="new-alias-input" placeholder="Add alias (e.g., other spelling or stage name)">
+          <button class="add-btn" onclick="addAlias(${index})">Add Alias</button>
+        </div>
+      </div>
+    ` : '';
+    return `
+      <div class="list-item list-item-expandable">
+        <div class="list-item-row">
+          <span class="list-item-text">${escapeHtml(getArtistName(artist))}${fuzzyBadge(artist)}${scheduleBadge(artist)}${expiryBadge(artist)}${reverseMode ? '' : dryRunBadge(artist)}${aliasSummary}</span>
+          ${reverseMode ? '' : dryRunButton('artists', index, artist)}
+          <button class="alias-btn" onclick="toggleArtistAliases(${index})">${expanded ? 'Done' : `Aliases (${aliases.length})`}</button>
+          <button class="remove-btn" onclick="removeArtist(${index})">Remove</button>
+        </div>
+        ${aliasEditor}
+      </div>
+    `;
+  }).join('');
+  
+  const aliasInput = document.getElementById('new-alias-input');
+  if (aliasInput) {
+    aliasInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') addAlias(expandedArtistIndex);
+    });
+  }
 }
 
 /**
@@ -275,15 +845,46 @@ function renderTracks() {
     const displayText = track.artist 
       ? `${escapeHtml(track.artist)} — ${escapeHtml(track.track)}`
       : escapeHtml(track.track);
+    const versionsBadge = track.allVersions ? '<span class="list-item-badge">all versions</span>' : '';
     return `
       <div class="list-item">
-        <span class="list-item-text">${displayText}</span>
+        <span class="list-item-text">${displayText}${versionsBadge}${fuzzyBadge(track)}${scheduleBadge(track)}${expiryBadge(track)}${dryRunBadge(track)}</span>
+        ${dryRunButton('tracks', index, track)}
         <button class="remove-btn" onclick="removeTrack(${index})">Remove</button>
       </div>
     `;
   }).join('');
 }
 
+/**
+ * Render allow-exceptions list
+ */
+function renderExceptions() {
+  if (!exceptionsListEl) return;
+  
+  if (allowedExceptions.length === 0) {
+    exceptionsListEl.innerHTML = '<div class="list-empty">No exceptions</div>';
+    return;
+  }
+  
+  exceptionsListEl.innerHTML = allowedExceptions.map((exception, index) => {
+    let displayText;
+    if (exception.pattern !== undefined) {
+      displayText = `${escapeHtml(exception.pattern)}<span class="list-item-badge">pattern</span>`;
+    } else {
+      displayText = exception.artist
+        ? `${escapeHtml(exception.artist)} — ${escapeHtml(exception.track)}`
+        : escapeHtml(exception.track);
+    }
+    return `
+      <div class="list-item">
+        <span class="list-item-text">${displayText}${scheduleBadge(exception)}</span>
+        <button class="remove-btn" onclick="removeException(${index})">Remove</button>
+      </div>
+    `;
+  }).join('');
+}
+
 /**
  * Render blocked patterns list
  */
@@ -297,101 +898,525 @@ function renderPatterns() {
   
   patternsListEl.innerHTML = blockedPatterns.map((pattern, index) => `
     <div class="list-item">
-      <span class="list-item-text">${escapeHtml(pattern)}</span>
+      <span class="list-item-text">${escapeHtml(getPatternText(pattern))}${scheduleBadge(pattern)}${expiryBadge(pattern)}${dryRunBadge(pattern)}</span>
+      ${dryRunButton('patterns', index, pattern)}
       <button class="remove-btn" onclick="removePattern(${index})">Remove</button>
     </div>
   `).join('');
 }
 
 /**
- * Render stats
+ * Render temporary blocks that have run out
  */
-function renderStats() {
-  if (document.getElementById('session-total')) {
-    document.getElementById('session-total').textContent = stats.session.total || 0;
-    document.getElementById('session-artist').textContent = stats.session.artist || 0;
-    document.getElementById('session-track').textContent = stats.session.track || 0;
-    document.getElementById('session-pattern').textContent = stats.session.pattern || 0;
-    document.getElementById('session-reverse').textContent = stats.session.reverse || 0;
-  }
+function renderExpired() {
+  if (!expiredListEl) return;
   
-  if (document.getElementById('total-total')) {
-    document.getElementById('total-total').textContent = stats.total.total || 0;
-    document.getElementById('total-artist').textContent = stats.total.artist || 0;
-    document.getElementById('total-track').textContent = stats.total.track || 0;
-    document.getElementById('total-pattern').textContent = stats.total.pattern || 0;
-    document.getElementById('total-reverse').textContent = stats.total.reverse || 0;
+  if (expiredRules.length === 0) {
+    expiredListEl.innerHTML = '<div class="list-empty">No expired blocks</div>';
+    return;
   }
   
-  updateDashboardStats();
+  expiredListEl.innerHTML = expiredRules.map((expired, index) => `
+    <div class="list-item">
+      <span class="list-item-text">${escapeHtml(describeRule(expired.list, expired.rule))}<span class="alias-summary">expired ${escapeHtml(formatExpiry(expired.expiredAt))}</span></span>
+      <button class="add-btn" onclick="reblockExpired(${index})">Block Again</button>
+    </div>
+  `).join('');
 }
 
+// Fields and operators a rule condition can test (mirrors CONDITION_OPERATORS in blocklist.js)
+const RULE_FIELDS = {
+  artist: { label: 'Artist', operators: ['is', 'matches'], defaultValue: '' },
+  track: { label: 'Title', operators: ['is', 'matches'], defaultValue: '' },
+  album: { label: 'Album', operators: ['is', 'matches'], defaultValue: '' },
+  duration: { label: 'Length (seconds)', operators: ['lt', 'gt'], defaultValue: 60 },
+  source: { label: 'Player', operators: ['is'], defaultValue: 'spotify' },
+  explicit: { label: 'Explicit', operators: ['is'], defaultValue: true }
+};
+const RULE_OPERATOR_LABELS = { is: 'is', matches: 'matches pattern', lt: 'shorter than', gt: 'longer than' };
+const RULE_SOURCE_LABELS = { spotify: 'Spotify', 'apple-music': 'Apple Music' };
+
 /**
- * Update toggles UI
+ * Describe a rule condition as text, e.g. 'artist is "X" AND title matches "*acoustic*"'
  */
-function updateToggles() {
-  if (reverseToggleLarge) {
-    reverseToggleLarge.classList.toggle('active', reverseMode);
+function describeCondition(condition, nested = false) {
+  if (!condition || typeof condition !== 'object') return '';
+  if (condition.all || condition.any) {
+    const text = (condition.all || condition.any)
+      .map(child => describeCondition(child, true))
+      .join(condition.all ? ' AND ' : ' OR ');
+    return nested ? `(${text})` : text;
   }
-  if (collabsToggleLarge) {
-    collabsToggleLarge.classList.toggle('active', blockCollaborations);
+  if (condition.not) {
+    return `NOT ${describeCondition(condition.not, true)}`;
   }
-  if (reverseTogglePatterns) {
-    reverseTogglePatterns.classList.toggle('active', reverseMode);
+  const field = condition.field === 'track' ? 'title' : condition.field;
+  if (condition.field === 'duration') {
+    return `${RULE_OPERATOR_LABELS[condition.op]} ${condition.value}s`;
   }
-  if (collabsTogglePatterns) {
-    collabsTogglePatterns.classList.toggle('active', blockCollaborations);
+  if (condition.field === 'explicit') {
+    return condition.value ? 'explicit' : 'not explicit';
   }
-}
-
-/**
- * Update artists section title based on reverse mode
- */
-function updateArtistsSectionTitle() {
-  if (artistsSectionTitle) {
-    artistsSectionTitle.textContent = reverseMode ? 'Allowed Artists (Whitelist)' : 'Blocked Artists';
+  if (condition.field === 'source') {
+    return `player is ${RULE_SOURCE_LABELS[condition.value] || condition.value}`;
   }
+  return `${field} ${RULE_OPERATOR_LABELS[condition.op] || condition.op} "${condition.value}"`;
 }
 
 /**
- * Add an artist to the blocklist
+ * Render composite rules list
  */
-async function addArtist() {
-  const artist = newArtistInputEl.value.trim();
-  if (!artist) {
-    showToast('Please enter an artist name', 2000);
-    return;
-  }
+function renderRules() {
+  if (!rulesListEl) return;
   
-  if (blockedArtists.some(a => a.toLowerCase() === artist.toLowerCase())) {
-    showToast('This artist is already blocked', 2000);
-    newArtistInputEl.value = '';
-    return;
+  if (compositeRules.length === 0) {
+    rulesListEl.innerHTML = '<div class="list-empty">No rules</div>';
+  } else {
+    rulesListEl.innerHTML = compositeRules.map((rule, index) => `
+      <div class="list-item">
+        <span class="list-item-text">${escapeHtml(rule.name || 'Unnamed rule')}${scheduleBadge(rule)}${expiryBadge(rule)}${dryRunBadge(rule)}<span class="alias-summary">${escapeHtml(describeCondition(rule.when))}</span></span>
+        ${dryRunButton('rules', index, rule)}
+        <button class="alias-btn" onclick="editRule(${index})">Edit</button>
+        <button class="remove-btn" onclick="removeRule(${index})">Remove</button>
+      </div>
+    `).join('');
   }
   
-  blockedArtists.push(artist);
-  newArtistInputEl.value = '';
-  
-  try {
-    await window.blocklistAPI.setBlockedArtists(blockedArtists);
-    renderArtists();
-    showToast('Artist added', 1500);
-  } catch (error) {
-    console.error('Failed to save artist:', error);
-    showToast('Failed to save artist', 2000);
-    blockedArtists.pop();
-    renderArtists();
+  if (!ruleDraft) {
+    resetRuleDraft();
   }
 }
 
 /**
- * Remove an artist from the blocklist
+ * Start a new, empty rule in the builder
  */
-async function removeArtist(index) {
-  blockedArtists.splice(index, 1);
-  
-  try {
-    await window.blocklistAPI.setBlockedArtists(blockedArtists);
+function resetRuleDraft() {
+  ruleDraft = { all: [createRuleCondition('artist')] };
+  editingRuleIndex = -1;
+  if (ruleNameInputEl) ruleNameInputEl.value = '';
+  if (ruleBuilderTitleEl) ruleBuilderTitleEl.textContent = 'New Rule';
+  showRuleError('');
+  renderRuleBuilder();
+}
+
+/**
+ * Create a condition testing a field, with that field's default operator and value
+ */
+function createRuleCondition(field) {
+  return { field, op: RULE_FIELDS[field].operators[0], value: RULE_FIELDS[field].defaultValue };
+}
+
+/**
+ * Get the condition at a path of child indices (the empty path is the root group)
+ */
+function getRuleNode(path) {
+  let node = ruleDraft;
+  for (const index of path) {
+    const group = node.not || node;
+    node = (group.all || group.any)[index];
+  }
+  return node;
+}
+
+/**
+ * Replace the condition at a path
+ */
+function setRuleNode(path, value) {
+  if (path.length === 0) {
+    ruleDraft = value;
+    return;
+  }
+  const parent = getRuleNode(path.slice(0, -1));
+  const group = parent.not || parent;
+  (group.all || group.any)[path[path.length - 1]] = value;
+}
+
+/**
+ * Parse a path key from the builder markup, e.g. "0.2" -> [0, 2]
+ */
+function parseRulePath(key) {
+  return key === '' ? [] : key.split('.').map(Number);
+}
+
+/**
+ * Render the rule builder from the draft condition tree
+ */
+function renderRuleBuilder() {
+  if (!ruleBuilderEl || !ruleDraft) return;
+  ruleBuilderEl.innerHTML = renderRuleNode(ruleDraft, []);
+}
+
+/**
+ * Render one condition or group of the builder
+ */
+function renderRuleNode(node, path) {
+  const key = path.join('.');
+  const negated = node.not !== undefined;
+  const inner = negated ? node.not : node;
+  const controls = path.length === 0 ? { not: '', remove: '' } : {
+    not: `<label class="rule-not"><input type="checkbox" ${negated ? 'checked' : ''} onchange="toggleRuleNot('${key}')"> NOT</label>`,
+    remove: `<button class="alias-remove" onclick="removeRuleCondition('${key}')" title="Remove">×</button>`
+  };
+  
+  if (inner.all || inner.any) {
+    const children = inner.all || inner.any;
+    return `
+      <div class="rule-group">
+        <div class="rule-row">
+          ${controls.not}
+          <select onchange="setRuleGroupType('${key}', this.value)">
+            <option value="all" ${inner.all ? 'selected' : ''}>All of these (AND)</option>
+            <option value="any" ${inner.any ? 'selected' : ''}>Any of these (OR)</option>
+          </select>
+          ${controls.remove}
+        </div>
+        ${children.map((child, index) => renderRuleNode(child, [...path, index])).join('')}
+        <div class="rule-row">
+          <button class="alias-btn" onclick="addRuleCondition('${key}')">+ Condition</button>
+          <button class="alias-btn" onclick="addRuleGroup('${key}')">+ Group</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  const field = RULE_FIELDS[inner.field] ? inner.field : 'artist';
+  const fieldOptions = Object.entries(RULE_FIELDS).map(([name, { label }]) =>
+    `<option value="${name}" ${name === field ? 'selected' : ''}>${label}</option>`
+  ).join('');
+  const operatorOptions = RULE_FIELDS[field].operators.map(op =>
+    `<option value="${op}" ${op === inner.op ? 'selected' : ''}>${RULE_OPERATOR_LABELS[op]}</option>`
+  ).join('');
+  let valueInput;
+  if (field === 'source') {
+    valueInput = `<select onchange="setRuleConditionValue('${key}', this.value)">${Object.entries(RULE_SOURCE_LABELS).map(([value, label]) =>
+      `<option value="${value}" ${value === inner.value ? 'selected' : ''}>${label}</option>`).join('')}</select>`;
+  } else if (field === 'explicit') {
+    valueInput = `<select onchange="setRuleConditionValue('${key}', this.value === 'true')">
+      <option value="true" ${inner.value === true ? 'selected' : ''}>Yes</option>
+      <option value="false" ${inner.value === false ? 'selected' : ''}>No</option>
+    </select>`;
+  } else if (field === 'duration') {
+    valueInput = `<input type="number" min="1" value="${Number(inner.value) || ''}" oninput="setRuleConditionValue('${key}', Number(this.value))">`;
+  } else {
+    valueInput = `<input type="text" value="${escapeHtml(inner.value || '')}" placeholder="${inner.op === 'matches' ? 'e.g. *acoustic*' : 'Exact value'}" oninput="setRuleConditionValue('${key}', this.value)">`;
+  }
+  
+  return `
+    <div class="rule-row">
+      ${controls.not}
+      <select onchange="setRuleConditionField('${key}', this.value)">${fieldOptions}</select>
+      <select onchange="setRuleConditionOperator('${key}', this.value)">${operatorOptions}</select>
+      ${valueInput}
+      ${controls.remove}
+    </div>
+  `;
+}
+
+/**
+ * Update a condition in the draft, keeping its NOT wrapper
+ */
+function updateRuleCondition(key, update) {
+  const path = parseRulePath(key);
+  const node = getRuleNode(path);
+  if (node.not !== undefined) {
+    node.not = update(node.not);
+  } else {
+    setRuleNode(path, update(node));
+  }
+}
+
+/**
+ * Switch a condition to test another field
+ */
+function setRuleConditionField(key, field) {
+  updateRuleCondition(key, () => createRuleCondition(field));
+  renderRuleBuilder();
+}
+
+/**
+ * Change a condition's operator
+ */
+function setRuleConditionOperator(key, op) {
+  updateRuleCondition(key, condition => ({ ...condition, op }));
+  renderRuleBuilder();
+}
+
+/**
+ * Change a condition's value (no re-render, so text inputs keep focus)
+ */
+function setRuleConditionValue(key, value) {
+  updateRuleCondition(key, condition => ({ ...condition, value }));
+}
+
+/**
+ * Switch a group between AND and OR
+ */
+function setRuleGroupType(key, type) {
+  updateRuleCondition(key, group => ({ [type]: group.all || group.any }));
+  renderRuleBuilder();
+}
+
+/**
+ * Negate a condition or group, or remove its negation
+ */
+function toggleRuleNot(key) {
+  const path = parseRulePath(key);
+  const node = getRuleNode(path);
+  setRuleNode(path, node.not !== undefined ? node.not : { not: node });
+  renderRuleBuilder();
+}
+
+/**
+ * Add a condition to a group
+ */
+function addRuleCondition(key) {
+  updateRuleCondition(key, group => {
+    (group.all || group.any).push(createRuleCondition('track'));
+    return group;
+  });
+  renderRuleBuilder();
+}
+
+/**
+ * Add a nested group to a group
+ */
+function addRuleGroup(key) {
+  updateRuleCondition(key, group => {
+    (group.all || group.any).push({ any: [createRuleCondition('artist')] });
+    return group;
+  });
+  renderRuleBuilder();
+}
+
+/**
+ * Remove a condition or group from its parent group
+ */
+function removeRuleCondition(key) {
+  const path = parseRulePath(key);
+  const parent = getRuleNode(path.slice(0, -1));
+  const group = parent.not || parent;
+  const children = group.all || group.any;
+  if (children.length === 1) {
+    showRuleError('A group needs at least one condition');
+    return;
+  }
+  children.splice(path[path.length - 1], 1);
+  renderRuleBuilder();
+}
+
+/**
+ * Show or clear the rule builder error
+ */
+function showRuleError(message) {
+  if (!ruleErrorEl) return;
+  ruleErrorEl.textContent = message || '';
+  ruleErrorEl.classList.toggle('visible', !!message);
+}
+
+/**
+ * Load a rule into the builder for editing
+ */
+function editRule(index) {
+  const rule = compositeRules[index];
+  if (!rule) return;
+  
+  // The builder's root is always a group
+  const when = JSON.parse(JSON.stringify(rule.when));
+  ruleDraft = when.all || when.any ? when : { all: [when] };
+  editingRuleIndex = index;
+  ruleNameInputEl.value = rule.name || '';
+  ruleBuilderTitleEl.textContent = 'Edit Rule';
+  showRuleError('');
+  renderRuleBuilder();
+}
+
+/**
+ * Save the rule in the builder, adding it or replacing the one being edited
+ */
+async function saveRule() {
+  const existing = compositeRules[editingRuleIndex];
+  const rule = {
+    ...(existing || {}),
+    name: ruleNameInputEl.value.trim(),
+    when: ruleDraft
+  };
+  if (!rule.name) delete rule.name;
+  
+  try {
+    const validation = await window.blocklistAPI.validateRule(rule);
+    if (!validation.valid) {
+      showRuleError(validation.error);
+      return;
+    }
+    
+    const rules = [...compositeRules];
+    if (existing) {
+      rules[editingRuleIndex] = rule;
+    } else {
+      rules.push(rule);
+    }
+    const result = await window.blocklistAPI.setRules(rules);
+    if (result.rejected.length > 0) {
+      showRuleError(result.rejected[0].error);
+      return;
+    }
+    
+    showToast(existing ? 'Rule updated' : 'Rule added', 1500);
+    ruleDraft = null;
+    await loadBlocklist();
+  } catch (error) {
+    console.error('Failed to save rule:', error);
+    showToast('Failed to save rule', 2000);
+  }
+}
+
+/**
+ * Remove a composite rule
+ */
+async function removeRule(index) {
+  const previous = [...compositeRules];
+  compositeRules.splice(index, 1);
+  if (editingRuleIndex === index) {
+    ruleDraft = null;
+  } else if (editingRuleIndex > index) {
+    editingRuleIndex--;
+  }
+  
+  try {
+    await window.blocklistAPI.setRules(compositeRules);
+    renderRules();
+    showToast('Rule removed', 1500);
+  } catch (error) {
+    console.error('Failed to remove rule:', error);
+    showToast('Failed to remove rule', 2000);
+    compositeRules = previous;
+    renderRules();
+  }
+}
+
+/**
+ * Render stats
+ */
+function renderStats() {
+  if (document.getElementById('session-total')) {
+    document.getElementById('session-total').textContent = stats.session.total || 0;
+    document.getElementById('session-artist').textContent = stats.session.artist || 0;
+    document.getElementById('session-track').textContent = stats.session.track || 0;
+    document.getElementById('session-pattern').textContent = stats.session.pattern || 0;
+    document.getElementById('session-reverse').textContent = stats.session.reverse || 0;
+    document.getElementById('session-explicit').textContent = stats.session.explicit || 0;
+    document.getElementById('session-duration').textContent = stats.session.duration || 0;
+    document.getElementById('session-rule').textContent = stats.session.rule || 0;
+  }
+  
+  if (document.getElementById('total-total')) {
+    document.getElementById('total-total').textContent = stats.total.total || 0;
+    document.getElementById('total-artist').textContent = stats.total.artist || 0;
+    document.getElementById('total-track').textContent = stats.total.track || 0;
+    document.getElementById('total-pattern').textContent = stats.total.pattern || 0;
+    document.getElementById('total-reverse').textContent = stats.total.reverse || 0;
+    document.getElementById('total-explicit').textContent = stats.total.explicit || 0;
+    document.getElementById('total-duration').textContent = stats.total.duration || 0;
+    document.getElementById('total-rule').textContent = stats.total.rule || 0;
+  }
+  
+  if (document.getElementById('dry-run-session') && stats.dryRun) {
+    document.getElementById('dry-run-session').textContent = stats.dryRun.session || 0;
+    document.getElementById('dry-run-total').textContent = stats.dryRun.total || 0;
+  }
+  
+  updateDashboardStats();
+}
+
+/**
+ * Update toggles UI
+ */
+function updateToggles() {
+  if (reverseToggleLarge) {
+    reverseToggleLarge.classList.toggle('active', reverseMode);
+  }
+  if (collabsToggleLarge) {
+    collabsToggleLarge.classList.toggle('active', blockCollaborations);
+  }
+  if (explicitToggleLarge) {
+    explicitToggleLarge.classList.toggle('active', skipExplicit);
+  }
+  if (dryRunToggleLarge) {
+    dryRunToggleLarge.classList.toggle('active', dryRun);
+  }
+  if (reverseTogglePatterns) {
+    reverseTogglePatterns.classList.toggle('active', reverseMode);
+  }
+  if (collabsTogglePatterns) {
+    collabsTogglePatterns.classList.toggle('active', blockCollaborations);
+  }
+}
+
+/**
+ * Update artists section title based on reverse mode
+ */
+function updateArtistsSectionTitle() {
+  if (artistsSectionTitle) {
+    artistsSectionTitle.textContent = reverseMode ? 'Allowed Artists (Whitelist)' : 'Blocked Artists';
+  }
+}
+
+/**
+ * Add an artist to the blocklist
+ */
+async function addArtist() {
+  const artist = newArtistInputEl.value.trim();
+  if (!artist) {
+    showToast('Please enter an artist name', 2000);
+    return;
+  }
+  
+  if (blockedArtists.some(a =>
+    [getArtistName(a), ...getArtistAliases(a)].some(name => name.toLowerCase() === artist.toLowerCase())
+  )) {
+    showToast('This artist is already blocked', 2000);
+    newArtistInputEl.value = '';
+    return;
+  }
+  
+  const { expiresAt, error } = readExpiry(newArtistExpirySelectEl, newArtistExpiryDateEl);
+  if (error) {
+    showToast(error, 2000);
+    return;
+  }
+  
+  const fuzzy = readFuzzy(newArtistMatchSelectEl);
+  if (!fuzzy && await warnIfSimilarInHistory({ artist }, artistSimilarWarningEl)) {
+    return;
+  }
+  showSimilarWarning(artistSimilarWarningEl, '');
+  
+  blockedArtists.push(expiresAt || fuzzy ? { name: artist, ...(expiresAt && { expiresAt }), ...(fuzzy && { fuzzy }) } : artist);
+  newArtistInputEl.value = '';
+  newArtistMatchSelectEl.value = '';
+  resetExpiry(newArtistExpirySelectEl, newArtistExpiryDateEl);
+  
+  try {
+    await window.blocklistAPI.setBlockedArtists(blockedArtists);
+    renderArtists();
+    showToast('Artist added', 1500);
+  } catch (error) {
+    console.error('Failed to save artist:', error);
+    showToast('Failed to save artist', 2000);
+    blockedArtists.pop();
+    renderArtists();
+  }
+}
+
+/**
+ * Remove an artist from the blocklist
+ */
+async function removeArtist(index) {
+  blockedArtists.splice(index, 1);
+  expandedArtistIndex = -1;
+  
+  try {
+    await window.blocklistAPI.setBlockedArtists(blockedArtists);
     renderArtists();
     showToast('Artist removed', 1500);
   } catch (error) {
@@ -401,6 +1426,72 @@ async function removeArtist(index) {
   }
 }
 
+/**
+ * Expand or collapse the alias editor for an artist entry
+ */
+function toggleArtistAliases(index) {
+  expandedArtistIndex = expandedArtistIndex === index ? -1 : index;
+  renderArtists();
+  const aliasInput = document.getElementById('new-alias-input');
+  if (aliasInput) aliasInput.focus();
+}
+
+/**
+ * Save artist entries after an alias change, reverting on failure
+ */
+async function saveArtistAliases(previous, successMessage) {
+  try {
+    await window.blocklistAPI.setBlockedArtists(blockedArtists);
+    await loadBlocklist();
+    showToast(successMessage, 1500);
+  } catch (error) {
+    console.error('Failed to save aliases:', error);
+    showToast('Failed to save aliases', 2000);
+    blockedArtists = previous;
+    renderArtists();
+  }
+}
+
+/**
+ * Add an alias to an artist entry
+ */
+async function addAlias(index) {
+  const aliasInput = document.getElementById('new-alias-input');
+  const entry = blockedArtists[index];
+  if (!aliasInput || entry === undefined) return;
+  
+  const alias = aliasInput.value.trim();
+  if (!alias) {
+    showToast('Please enter an alias', 2000);
+    return;
+  }
+  
+  const name = getArtistName(entry);
+  const aliases = getArtistAliases(entry);
+  if ([name, ...aliases].some(existing => existing.toLowerCase() === alias.toLowerCase())) {
+    showToast('This alias is already listed', 2000);
+    aliasInput.value = '';
+    return;
+  }
+  
+  const previous = blockedArtists.slice();
+  blockedArtists[index] = { name, aliases: [...aliases, alias] };
+  await saveArtistAliases(previous, 'Alias added');
+}
+
+/**
+ * Remove an alias from an artist entry
+ */
+async function removeAlias(index, aliasIndex) {
+  const entry = blockedArtists[index];
+  if (entry === undefined) return;
+  
+  const previous = blockedArtists.slice();
+  const aliases = getArtistAliases(entry).filter((_, i) => i !== aliasIndex);
+  blockedArtists[index] = { name: getArtistName(entry), aliases };
+  await saveArtistAliases(previous, 'Alias removed');
+}
+
 /**
  * Add a track to the blocklist
  */
@@ -413,12 +1504,20 @@ async function addSong() {
     return;
   }
   
-  const newTrack = { artist: artist.length > 0 ? artist : undefined, track: track };
+  const allVersions = newSongVersionsSelectEl ? newSongVersionsSelectEl.value === 'all' : false;
+  const { expiresAt, error } = readExpiry(newSongExpirySelectEl, newSongExpiryDateEl);
+  if (error) {
+    showToast(error, 2000);
+    return;
+  }
+  const fuzzy = readFuzzy(newSongMatchSelectEl);
+  const newTrack = { artist: artist.length > 0 ? artist : undefined, track: track, allVersions, ...(expiresAt && { expiresAt }), ...(fuzzy && { fuzzy }) };
   
   // Check for duplicates
   const isDuplicate = blockedTracks.some(t =>
     (t.artist || '').toLowerCase() === (newTrack.artist || '').toLowerCase() &&
-    t.track.toLowerCase() === newTrack.track.toLowerCase()
+    t.track.toLowerCase() === newTrack.track.toLowerCase() &&
+    !!t.allVersions === allVersions
   );
   
   if (isDuplicate) {
@@ -428,9 +1527,16 @@ async function addSong() {
     return;
   }
   
+  if (!fuzzy && await warnIfSimilarInHistory({ artist: newTrack.artist, track }, songSimilarWarningEl)) {
+    return;
+  }
+  showSimilarWarning(songSimilarWarningEl, '');
+  
   blockedTracks.push(newTrack);
   newSongArtistInputEl.value = '';
   newSongTrackInputEl.value = '';
+  newSongMatchSelectEl.value = '';
+  resetExpiry(newSongExpirySelectEl, newSongExpiryDateEl);
   
   try {
     await window.blocklistAPI.setBlockedTracks(blockedTracks);
@@ -445,269 +1551,1190 @@ async function addSong() {
 }
 
 /**
- * Remove a track from the blocklist
+ * Save the exceptions list, reverting to the previous list on failure
+ * Returns the rejected patterns reported by the main process
+ */
+async function saveExceptions(previous, successMessage) {
+  try {
+    const result = await window.blocklistAPI.setExceptions(allowedExceptions);
+    const rejected = result && Array.isArray(result.rejected) ? result.rejected : [];
+    if (rejected.length > 0) {
+      allowedExceptions = previous;
+    } else {
+      showToast(successMessage, 1500);
+    }
+    renderExceptions();
+    return rejected;
+  } catch (error) {
+    console.error('Failed to save exceptions:', error);
+    showToast('Failed to save exceptions', 2000);
+    allowedExceptions = previous;
+    renderExceptions();
+    return [];
+  }
+}
+
+/**
+ * Add a song to the allow-exceptions list
+ */
+async function addExceptionSong() {
+  const artist = newExceptionArtistInputEl.value.trim();
+  const track = newExceptionTrackInputEl.value.trim();
+  
+  if (!track) {
+    showToast('Please enter a track name', 2000);
+    return;
+  }
+  
+  const isDuplicate = allowedExceptions.some(e =>
+    e.track !== undefined &&
+    (e.artist || '').toLowerCase() === artist.toLowerCase() &&
+    e.track.toLowerCase() === track.toLowerCase()
+  );
+  newExceptionArtistInputEl.value = '';
+  newExceptionTrackInputEl.value = '';
+  if (isDuplicate) {
+    showToast('This song is already allowed', 2000);
+    return;
+  }
+  
+  const previous = allowedExceptions.slice();
+  allowedExceptions.push({ artist: artist.length > 0 ? artist : undefined, track });
+  await saveExceptions(previous, 'Exception added');
+  await loadBlocklist();
+}
+
+/**
+ * Show or clear the inline error for the exception pattern input
+ */
+function showExceptionPatternError(message) {
+  if (!exceptionPatternErrorEl) return;
+  exceptionPatternErrorEl.textContent = message || '';
+  exceptionPatternErrorEl.classList.toggle('visible', !!message);
+  newExceptionPatternInputEl.classList.toggle('invalid', !!message);
+}
+
+/**
+ * Add a pattern to the allow-exceptions list
+ */
+async function addExceptionPattern() {
+  const pattern = newExceptionPatternInputEl.value.trim();
+  if (!pattern) {
+    showToast('Please enter a pattern', 2000);
+    return;
+  }
+  
+  if (allowedExceptions.some(e => e.pattern === pattern)) {
+    showToast('This pattern is already allowed', 2000);
+    newExceptionPatternInputEl.value = '';
+    return;
+  }
+  
+  const previous = allowedExceptions.slice();
+  allowedExceptions.push({ pattern });
+  const rejected = await saveExceptions(previous, 'Exception added');
+  if (rejected.length > 0) {
+    showExceptionPatternError(rejected[0].error);
+    return;
+  }
+  showExceptionPatternError(null);
+  newExceptionPatternInputEl.value = '';
+  await loadBlocklist();
+}
+
+/**
+ * Remove an entry from the allow-exceptions list
+ */
+async function removeException(index) {
+  const previous = allowedExceptions.slice();
+  allowedExceptions.splice(index, 1);
+  await saveExceptions(previous, 'Exception removed');
+}
+
+/**
+ * Remove a track from the blocklist
+ */
+async function removeTrack(index) {
+  blockedTracks.splice(index, 1);
+  
+  try {
+    await window.blocklistAPI.setBlockedTracks(blockedTracks);
+    renderTracks();
+    showToast('Song removed', 1500);
+  } catch (error) {
+    console.error('Failed to remove track:', error);
+    showToast('Failed to remove track', 2000);
+    loadBlocklist();
+  }
+}
+
+/**
+ * Show or clear the inline pattern parse error
+ */
+function showPatternError(message) {
+  if (!patternErrorEl) return;
+  patternErrorEl.textContent = message || '';
+  patternErrorEl.classList.toggle('visible', !!message);
+  newPatternInputEl.classList.toggle('invalid', !!message);
+}
+
+/**
+ * Validate the pattern input as the user types
+ */
+async function validatePatternInput() {
+  const pattern = newPatternInputEl.value.trim();
+  if (!pattern) {
+    showPatternError(null);
+    return true;
+  }
+  
+  try {
+    const result = await window.blocklistAPI.validatePattern(pattern);
+    // Ignore stale results if the input changed while validating
+    if (newPatternInputEl.value.trim() !== pattern) return result.valid;
+    showPatternError(result.valid ? null : result.error);
+    return result.valid;
+  } catch (error) {
+    console.error('Failed to validate pattern:', error);
+    return true;
+  }
+}
+
+/**
+ * Add a pattern to the blocklist
+ */
+async function addPattern() {
+  const pattern = newPatternInputEl.value.trim();
+  if (!pattern) {
+    showToast('Please enter a pattern', 2000);
+    return;
+  }
+  
+  if (!(await validatePatternInput())) {
+    return;
+  }
+  
+  if (blockedPatterns.some(entry => getPatternText(entry) === pattern)) {
+    showToast('This pattern is already blocked', 2000);
+    newPatternInputEl.value = '';
+    return;
+  }
+  
+  const { expiresAt, error } = readExpiry(newPatternExpirySelectEl, newPatternExpiryDateEl);
+  if (error) {
+    showToast(error, 2000);
+    return;
+  }
+  
+  blockedPatterns.push(expiresAt ? { pattern, expiresAt } : pattern);
+  newPatternInputEl.value = '';
+  resetExpiry(newPatternExpirySelectEl, newPatternExpiryDateEl);
+  
+  try {
+    const result = await window.blocklistAPI.setBlockedPatterns(blockedPatterns);
+    const rejected = result && Array.isArray(result.rejected) ? result.rejected : [];
+    if (rejected.length > 0) {
+      blockedPatterns = blockedPatterns.filter(p => !rejected.some(r => r.pattern === getPatternText(p)));
+      newPatternInputEl.value = pattern;
+      showPatternError(rejected[0].error);
+      renderPatterns();
+      return;
+    }
+    renderPatterns();
+    showToast('Pattern added', 1500);
+  } catch (error) {
+    console.error('Failed to save pattern:', error);
+    showToast('Failed to save pattern', 2000);
+    blockedPatterns.pop();
+    renderPatterns();
+  }
+}
+
+/**
+ * Remove a pattern from the blocklist
+ */
+async function removePattern(index) {
+  blockedPatterns.splice(index, 1);
+  
+  try {
+    await window.blocklistAPI.setBlockedPatterns(blockedPatterns);
+    renderPatterns();
+    showToast('Pattern removed', 1500);
+  } catch (error) {
+    console.error('Failed to remove pattern:', error);
+    showToast('Failed to remove pattern', 2000);
+    loadBlocklist();
+  }
+}
+
+/**
+ * Block the currently playing song
+ */
+async function blockCurrentSong() {
+  try {
+    const result = await window.blocklistAPI.blockCurrentSong();
+    if (result.success) {
+      showToast(`Blocked: ${result.message || 'Current song'}`, 2000);
+      await loadBlocklist();
+      await loadHistory();
+    } else {
+      showToast(result.message || 'Failed to block current song', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to block current song:', error);
+    showToast('Failed to block current song', 2000);
+  }
+}
+
+/**
+ * Block the currently playing artist
+ */
+async function blockCurrentArtist() {
+  try {
+    const result = await window.blocklistAPI.blockCurrentArtist();
+    if (result.success) {
+      showToast(`Blocked: ${result.message || 'Current artist'}`, 2000);
+      await loadBlocklist();
+      await loadHistory();
+    } else {
+      showToast(result.message || 'Failed to block current artist', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to block current artist:', error);
+    showToast('Failed to block current artist', 2000);
+  }
+}
+
+/**
+ * Block track from history
+ */
+async function blockTrackFromHistory(id) {
+  try {
+    const result = await window.blocklistAPI.blockTrackFromHistory(id);
+    if (result.success) {
+      showToast('Song blocked from history', 2000);
+      await loadBlocklist();
+      await loadHistory();
+    } else {
+      showToast(result.message || 'Failed to block song', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to block track from history:', error);
+    showToast('Failed to block song', 2000);
+  }
+}
+
+/**
+ * Always allow the song from a history entry
+ */
+async function allowTrackFromHistory(id) {
+  try {
+    const result = await window.blocklistAPI.allowTrackFromHistory(id);
+    if (result.success) {
+      showToast('Song will always be allowed', 2000);
+      await loadBlocklist();
+    } else {
+      showToast(result.message || 'Failed to allow song', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to allow track from history:', error);
+    showToast('Failed to allow song', 2000);
+  }
+}
+
+/**
+ * Block artist from history
+ */
+async function blockArtistFromHistory(id) {
+  try {
+    const result = await window.blocklistAPI.blockArtistFromHistory(id);
+    if (result.success) {
+      showToast('Artist blocked from history', 2000);
+      await loadBlocklist();
+      await loadHistory();
+    } else {
+      showToast(result.message || 'Failed to block artist', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to block artist from history:', error);
+    showToast('Failed to block artist', 2000);
+  }
+}
+
+/**
+ * Clear history
+ */
+async function clearHistory() {
+  if (!confirm('Clear all history?')) return;
+  
+  try {
+    await window.blocklistAPI.clearHistory();
+    history = [];
+    renderHistory();
+    showToast('History cleared', 1500);
+  } catch (error) {
+    console.error('Failed to clear history:', error);
+    showToast('Failed to clear history', 2000);
+  }
+}
+
+/**
+ * Reset session stats
+ */
+async function resetSessionStats() {
+  if (!confirm('Reset session statistics?')) return;
+  
+  try {
+    await window.blocklistAPI.resetSessionStats();
+    await loadStats();
+    showToast('Session stats reset', 1500);
+  } catch (error) {
+    console.error('Failed to reset session stats:', error);
+    showToast('Failed to reset session stats', 2000);
+  }
+}
+
+/**
+ * Reset total stats
+ */
+async function resetTotalStats() {
+  if (!confirm('Reset all-time statistics? This cannot be undone.')) return;
+  
+  try {
+    await window.blocklistAPI.resetTotalStats();
+    await loadStats();
+    showToast('All-time stats reset', 1500);
+  } catch (error) {
+    console.error('Failed to reset total stats:', error);
+    showToast('Failed to reset total stats', 2000);
+  }
+}
+
+// File types and extensions for each export format
+const EXPORT_FILE_TYPES = {
+  json: { type: 'application/json', extension: 'json' },
+  csv: { type: 'text/csv', extension: 'csv' },
+  text: { type: 'text/plain', extension: 'txt' },
+  m3u: { type: 'audio/x-mpegurl', extension: 'm3u8' }
+};
+
+/**
+ * Export blocklist in the selected format
+ */
+async function exportBlocklist() {
+  try {
+    const format = exportFormatSelect ? exportFormatSelect.value : 'json';
+    const data = await window.blocklistAPI.exportBlocklist(undefined, format);
+    const content = format === 'json' ? JSON.stringify(data, null, 2) : data.text;
+    const { type, extension } = EXPORT_FILE_TYPES[format];
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    const profileSlug = (data.profile || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    a.download = `swiftbegone-blocklist-${profileSlug ? `${profileSlug}-` : ''}${new Date().toISOString().split('T')[0]}.${extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast('Blocklist exported', 1500);
+  } catch (error) {
+    console.error('Failed to export blocklist:', error);
+    showToast('Failed to export blocklist', 2000);
+  }
+}
+
+// Import being previewed: {content, fileName?, asNewProfile, library?: {playlists}, playlistFile?}, or null
+let pendingImport = null;
+
+// Whether the file being chosen should become a new profile
+let importAsNewProfile = false;
+
+// Headings for each list in the import preview
+const IMPORT_LIST_LABELS = {
+  artists: 'Artists',
+  tracks: 'Songs',
+  patterns: 'Patterns',
+  exceptions: 'Exceptions',
+  rules: 'Rules'
+};
+
+/**
+ * Import blocklist into the active profile
+ */
+async function importBlocklist() {
+  importAsNewProfile = false;
+  importFileInput.click();
+}
+
+/**
+ * Import blocklist as a new profile
+ */
+async function importBlocklistAsProfile() {
+  importAsNewProfile = true;
+  importFileInput.click();
+}
+
+/**
+ * Start an import from pasted text into the active profile
+ */
+function pasteImport() {
+  pendingImport = { content: '', asNewProfile: false };
+  importPasteInputEl.value = '';
+  importPasteInputEl.hidden = false;
+  showImportPreview();
+  importPasteInputEl.focus();
+}
+
+/**
+ * Handle file import by previewing it
+ */
+async function handleFileImport(event) {
+  const file = event.target.files[0];
+  importFileInput.value = '';
+  if (!file) return;
+  
+  try {
+    pendingImport = { content: await file.text(), fileName: file.name, asNewProfile: importAsNewProfile };
+    importPasteInputEl.hidden = true;
+    if (/\.(m3u8?|pls|xspf)$/i.test(file.name)) {
+      pendingImport.playlistFile = true;
+      importTargetSelect.value = 'tracks';
+    } else if (/\.xml$/i.test(file.name)) {
+      const library = await window.blocklistAPI.readLibrary(pendingImport.content);
+      if (!library.success) {
+        pendingImport = null;
+        showToast(library.message || 'Could not read the library', 3000);
+        return;
+      }
+      // Playlists offered (looked up by index, so ids from the file never go into markup) and the ids chosen
+      pendingImport.library = { offered: library.playlists, playlists: [] };
+      importTargetSelect.value = 'artists';
+      renderLibraryPlaylists(library.playlists);
+    }
+    await showImportPreview();
+  } catch (error) {
+    console.error('Failed to read import file:', error);
+    showToast('Failed to read the file', 2000);
+  }
+}
+
+/**
+ * Open the import preview for the pending import
+ */
+async function showImportPreview() {
+  const activeProfile = profiles.find(profile => profile.active);
+  importPreviewTitleEl.textContent = pendingImport.asNewProfile
+    ? `Import ${pendingImport.fileName ? `"${pendingImport.fileName}" ` : ''}as a new profile`
+    : `Import ${pendingImport.fileName ? `"${pendingImport.fileName}" ` : ''}into "${activeProfile ? activeProfile.name : 'Default'}"`;
+  importModeRowEl.hidden = pendingImport.asNewProfile;
+  importTargetRowEl.hidden = !pendingImport.library && !pendingImport.playlistFile;
+  importLibraryPlaylistsEl.hidden = !pendingImport.library;
+  importPreviewEl.hidden = false;
+  importPreviewEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  await previewImport();
+}
+
+/**
+ * Show what the pending import would change
+ */
+async function previewImport() {
+  if (!pendingImport) return;
+  if (!importPasteInputEl.hidden) {
+    pendingImport.content = importPasteInputEl.value;
+  }
+  applyImportBtn.disabled = true;
+  importWarningsEl.textContent = '';
+  if (!pendingImport.content.trim()) {
+    importSummaryEl.innerHTML = '<div class="list-empty">Paste artists or songs above</div>';
+    return;
+  }
+  if (pendingImport.library && pendingImport.library.playlists.length === 0) {
+    importSummaryEl.innerHTML = '<div class="list-empty">Choose playlists above</div>';
+    return;
+  }
+  
+  try {
+    const result = await window.blocklistAPI.previewImport(pendingImport.content, getImportOptions());
+    if (!result.success) {
+      importSummaryEl.innerHTML = `<div class="list-empty">${escapeHtml(result.message || 'Could not read the import')}</div>`;
+      return;
+    }
+    renderImportPreview(result);
+    applyImportBtn.disabled = false;
+  } catch (error) {
+    console.error('Failed to preview import:', error);
+    importSummaryEl.innerHTML = '<div class="list-empty">Could not read the import</div>';
+  }
+}
+
+/**
+ * Options for the pending import
+ */
+function getImportOptions() {
+  return {
+    fileName: pendingImport.fileName,
+    mode: importModeSelect.value,
+    asNewProfile: pendingImport.asNewProfile,
+    library: pendingImport.library && { playlists: pendingImport.library.playlists, target: importTargetSelect.value },
+    playlist: pendingImport.playlistFile ? { target: importTargetSelect.value } : undefined
+  };
+}
+
+/**
+ * Render the playlists of a library being imported
+ */
+function renderLibraryPlaylists(playlists) {
+  importLibraryPlaylistsEl.innerHTML = playlists.map((playlist, index) => `
+    <label class="profile-layer">
+      <input type="checkbox" onchange="toggleLibraryPlaylist(${index}, this.checked)">
+      ${escapeHtml(playlist.name)} <span class="library-playlist-count">${playlist.count} song${playlist.count === 1 ? '' : 's'}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Choose or unchoose a playlist of the library being imported, by its position in the list
+ */
+async function toggleLibraryPlaylist(index, checked) {
+  if (!pendingImport || !pendingImport.library || !pendingImport.library.offered[index]) return;
+  const id = pendingImport.library.offered[index].id;
+  const chosen = pendingImport.library.playlists.filter(playlistId => playlistId !== id);
+  pendingImport.library.playlists = checked ? [...chosen, id] : chosen;
+  await previewImport();
+}
+
+/**
+ * Render the changes an import would make
+ */
+function renderImportPreview(preview) {
+  const rows = Object.entries(preview.lists)
+    .filter(([, diff]) => diff.added.length > 0 || diff.removed.length > 0)
+    .map(([list, diff]) => `
+      <div class="list-item">
+        <span class="list-item-text">
+          <strong>${IMPORT_LIST_LABELS[list]}</strong>: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.unchanged} unchanged
+          ${diff.added.map(label => `<div class="import-diff-added">+ ${escapeHtml(label)}</div>`).join('')}
+          ${diff.removed.map(label => `<div class="import-diff-removed">− ${escapeHtml(label)}</div>`).join('')}
+        </span>
+      </div>
+    `);
+  rows.push(...preview.settings.map(setting => `
+    <div class="list-item"><span class="list-item-text">${escapeHtml(setting)}</span></div>
+  `));
+  importSummaryEl.innerHTML = rows.length > 0 ? rows.join('') : '<div class="list-empty">Nothing would change</div>';
+  
+  importWarningsEl.textContent = preview.warnings.length > 0
+    ? `${preview.warnings.length} skipped: ${preview.warnings.join('; ')}`
+    : '';
+}
+
+/**
+ * Apply the pending import
+ */
+async function applyImport() {
+  if (!pendingImport) return;
+  
+  try {
+    const result = await window.blocklistAPI.importBlocklist(pendingImport.content, getImportOptions());
+    if (result.success) {
+      const issueCount = (result.issues || []).length;
+      const skippedCount = (result.warnings || []).length;
+      let message = result.profileName ? `Imported as profile "${result.profileName}"` : 'Blocklist imported';
+      if (skippedCount > 0) {
+        message += `. Skipped ${skippedCount} entr${skippedCount === 1 ? 'y' : 'ies'}`;
+      }
+      if (issueCount > 0) {
+        message += `. Found ${issueCount} possible problem${issueCount === 1 ? '' : 's'}; see Blocklist Check on the Dashboard`;
+      }
+      showToast(message, issueCount > 0 || skippedCount > 0 ? 4000 : 2000);
+      if (issueCount > 0 && !result.profileName) {
+        lintIssues = result.issues;
+        renderLintIssues();
+      }
+      cancelImport();
+      await loadBlocklist();
+    } else {
+      showToast(result.message || 'Failed to import blocklist', 2000);
+    }
+  } catch (error) {
+    console.error('Failed to import blocklist:', error);
+    showToast('Failed to import blocklist', 2000);
+  }
+}
+
+/**
+ * Close the import preview without importing
+ */
+function cancelImport() {
+  pendingImport = null;
+  importPreviewEl.hidden = true;
+  importLibraryPlaylistsEl.innerHTML = '';
+  importPasteInputEl.value = '';
+  importSummaryEl.innerHTML = '';
+  importWarningsEl.textContent = '';
+}
+
+/**
+ * Load the list of profiles
+ */
+async function loadProfiles() {
+  try {
+    profiles = await window.blocklistAPI.getProfiles();
+    renderProfiles();
+  } catch (error) {
+    console.error('Failed to load profiles:', error);
+  }
+}
+
+/**
+ * Render the profile picker
+ */
+function renderProfiles() {
+  if (!profileSelectEl) return;
+  profileSelectEl.innerHTML = profiles.map(profile =>
+    `<option value="${escapeHtml(profile.id)}" ${profile.active ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`
+  ).join('');
+  deleteProfileBtn.disabled = profiles.length <= 1;
+  
+  if (!profileLayersEl) return;
+  const others = profiles.filter(profile => !profile.active);
+  profileLayersEl.innerHTML = others.length === 0
+    ? '<div class="setting-hint">Create another profile to layer it on top of this one.</div>'
+    : others.map(profile => `
+      <label class="profile-layer">
+        <input type="checkbox" ${profile.layered ? 'checked' : ''} onchange="setProfileLayered('${escapeHtml(profile.id)}', this.checked)">
+        ${escapeHtml(profile.name)}
+      </label>
+    `).join('');
+}
+
+/**
+ * Apply another profile's blocklist on top of the active one, or stop applying it
+ */
+async function setProfileLayered(id, layered) {
+  try {
+    const result = await window.blocklistAPI.setProfileLayered(id, layered);
+    if (!result.success) {
+      showToast(result.message || 'Failed to update layers', 2000);
+    }
+    await loadProfiles();
+  } catch (error) {
+    console.error('Failed to update layers:', error);
+    showToast('Failed to update layers', 2000);
+  }
+}
+
+/**
+ * Show or clear the profile card error
+ */
+function showProfileError(message) {
+  if (!profileErrorEl) return;
+  profileErrorEl.textContent = message || '';
+  profileErrorEl.classList.toggle('visible', !!message);
+}
+
+/**
+ * Switch to the profile picked in the select
+ */
+async function switchProfile() {
+  const profile = profiles.find(p => p.id === profileSelectEl.value);
+  if (!profile) return;
+  
+  try {
+    const result = await window.blocklistAPI.switchProfile(profile.id);
+    if (!result.success) {
+      showToast(result.message || 'Failed to switch profile', 2000);
+    } else {
+      showProfileError('');
+      showToast(`Switched to ${profile.name}`, 1500);
+    }
+    await loadBlocklist();
+  } catch (error) {
+    console.error('Failed to switch profile:', error);
+    showToast('Failed to switch profile', 2000);
+  }
+}
+
+/**
+ * Run a profile action that takes the name typed in the profile card
+ */
+async function runProfileAction(action, successMessage) {
+  const name = profileNameInputEl.value.trim();
+  try {
+    const result = await action(name);
+    if (!result.success) {
+      showProfileError(result.message);
+      return;
+    }
+    showProfileError('');
+    profileNameInputEl.value = '';
+    showToast(successMessage, 1500);
+    await loadProfiles();
+  } catch (error) {
+    console.error('Failed to update profile:', error);
+    showToast('Failed to update profile', 2000);
+  }
+}
+
+/**
+ * Create an empty profile
+ */
+function createProfile() {
+  return runProfileAction(name => window.blocklistAPI.createProfile(name), 'Profile created');
+}
+
+/**
+ * Create a profile as a copy of the selected one ("<name> copy" if no name is typed)
+ */
+function duplicateProfile() {
+  const source = profiles.find(p => p.id === profileSelectEl.value);
+  if (source && !profileNameInputEl.value.trim()) {
+    profileNameInputEl.value = `${source.name} copy`;
+  }
+  return runProfileAction(name => window.blocklistAPI.createProfile(name, profileSelectEl.value), 'Profile duplicated');
+}
+
+/**
+ * Rename the selected profile
+ */
+function renameProfile() {
+  return runProfileAction(name => window.blocklistAPI.renameProfile(profileSelectEl.value, name), 'Profile renamed');
+}
+
+/**
+ * Delete the selected profile
+ */
+async function deleteProfile() {
+  const profile = profiles.find(p => p.id === profileSelectEl.value);
+  if (!profile) return;
+  if (!confirm(`Delete profile "${profile.name}" and its blocklist? This cannot be undone.`)) return;
+  
+  try {
+    const result = await window.blocklistAPI.deleteProfile(profile.id);
+    if (!result.success) {
+      showProfileError(result.message);
+      return;
+    }
+    showProfileError('');
+    showToast('Profile deleted', 1500);
+    await loadBlocklist();
+  } catch (error) {
+    console.error('Failed to delete profile:', error);
+    showToast('Failed to delete profile', 2000);
+  }
+}
+
+/**
+ * Toggle block collaborations
+ */
+async function toggleCollabs() {
+  blockCollaborations = !blockCollaborations;
+  updateToggles();
+  
+  try {
+    await window.blocklistAPI.setBlockCollabs(blockCollaborations);
+    showToast(blockCollaborations ? 'Collaborations blocking enabled' : 'Collaborations blocking disabled', 1500);
+  } catch (error) {
+    console.error('Failed to toggle collabs:', error);
+    blockCollaborations = !blockCollaborations;
+    updateToggles();
+    showToast('Failed to update setting', 2000);
+  }
+}
+
+/**
+ * Toggle skipping explicit tracks
  */
-async function removeTrack(index) {
-  blockedTracks.splice(index, 1);
+async function toggleExplicit() {
+  skipExplicit = !skipExplicit;
+  updateToggles();
   
   try {
-    await window.blocklistAPI.setBlockedTracks(blockedTracks);
-    renderTracks();
-    showToast('Song removed', 1500);
+    await window.blocklistAPI.setSkipExplicit(skipExplicit);
+    showToast(skipExplicit ? 'Explicit tracks will be skipped' : 'Explicit tracks allowed', 1500);
   } catch (error) {
-    console.error('Failed to remove track:', error);
-    showToast('Failed to remove track', 2000);
-    loadBlocklist();
+    console.error('Failed to toggle explicit filter:', error);
+    skipExplicit = !skipExplicit;
+    updateToggles();
+    showToast('Failed to update setting', 2000);
   }
 }
 
 /**
- * Add a pattern to the blocklist
+ * Toggle dry-run mode for every rule
  */
-async function addPattern() {
-  const pattern = newPatternInputEl.value.trim();
-  if (!pattern) {
-    showToast('Please enter a pattern', 2000);
-    return;
-  }
-  
-  if (blockedPatterns.includes(pattern)) {
-    showToast('This pattern is already blocked', 2000);
-    newPatternInputEl.value = '';
-    return;
-  }
-  
-  blockedPatterns.push(pattern);
-  newPatternInputEl.value = '';
+async function toggleDryRun() {
+  dryRun = !dryRun;
+  updateToggles();
   
   try {
-    await window.blocklistAPI.setBlockedPatterns(blockedPatterns);
-    renderPatterns();
-    showToast('Pattern added', 1500);
+    await window.blocklistAPI.setDryRun(dryRun);
+    showToast(dryRun ? 'Dry run: matches are recorded but not skipped' : 'Dry run off: matches will be skipped', 2000);
   } catch (error) {
-    console.error('Failed to save pattern:', error);
-    showToast('Failed to save pattern', 2000);
-    blockedPatterns.pop();
-    renderPatterns();
+    console.error('Failed to toggle dry run:', error);
+    dryRun = !dryRun;
+    updateToggles();
+    showToast('Failed to update setting', 2000);
   }
 }
 
 /**
- * Remove a pattern from the blocklist
+ * Put one artist, song, pattern or composite rule in dry-run mode, or back to skipping
  */
-async function removePattern(index) {
-  blockedPatterns.splice(index, 1);
-  
+async function toggleRuleDryRun(list, index) {
+  const entries = { artists: blockedArtists, tracks: blockedTracks, patterns: blockedPatterns, rules: compositeRules }[list];
+  const rule = entries && entries[index];
+  if (rule === undefined) return;
+  const enable = !isDryRun(rule);
   try {
-    await window.blocklistAPI.setBlockedPatterns(blockedPatterns);
-    renderPatterns();
-    showToast('Pattern removed', 1500);
+    const result = await window.blocklistAPI.setRuleDryRun({ list, index, rule }, enable);
+    if (!result.success) {
+      showToast(result.message || 'Failed to update rule', 2000);
+      return;
+    }
+    await loadBlocklist();
+    showToast(enable ? 'Rule will only record what it would skip' : 'Rule will skip tracks again', 1500);
   } catch (error) {
-    console.error('Failed to remove pattern:', error);
-    showToast('Failed to remove pattern', 2000);
-    loadBlocklist();
+    console.error('Failed to update rule:', error);
+    showToast('Failed to update rule', 2000);
   }
 }
 
 /**
- * Block the currently playing song
+ * Show the saved duration limits in the Settings page inputs (empty when off)
  */
-async function blockCurrentSong() {
+function renderDurationLimits() {
+  if (minDurationInputEl) {
+    minDurationInputEl.value = durationLimits.shorterThanSeconds || '';
+  }
+  if (maxDurationInputEl) {
+    maxDurationInputEl.value = durationLimits.longerThanMinutes || '';
+  }
+}
+
+/**
+ * Save duration limits from the Settings page
+ */
+async function saveDurationLimits() {
   try {
-    const result = await window.blocklistAPI.blockCurrentSong();
-    if (result.success) {
-      showToast(`Blocked: ${result.message || 'Current song'}`, 2000);
-      await loadBlocklist();
-      await loadHistory();
-    } else {
-      showToast(result.message || 'Failed to block current song', 2000);
-    }
+    durationLimits = await window.blocklistAPI.setDurationLimits({
+      shorterThanSeconds: Number(minDurationInputEl.value) || 0,
+      longerThanMinutes: Number(maxDurationInputEl.value) || 0
+    });
+    renderDurationLimits();
+    showToast('Duration rules saved', 1500);
   } catch (error) {
-    console.error('Failed to block current song:', error);
-    showToast('Failed to block current song', 2000);
+    console.error('Failed to save duration rules:', error);
+    showToast('Failed to save duration rules', 2000);
   }
 }
 
 /**
- * Block the currently playing artist
+ * Put an expired temporary block back on the blocklist permanently
  */
-async function blockCurrentArtist() {
+async function reblockExpired(index) {
   try {
-    const result = await window.blocklistAPI.blockCurrentArtist();
-    if (result.success) {
-      showToast(`Blocked: ${result.message || 'Current artist'}`, 2000);
-      await loadBlocklist();
-      await loadHistory();
+    const result = await window.blocklistAPI.reblockExpired(index);
+    if (!result.success) {
+      showToast(result.message || 'Failed to block again', 2000);
     } else {
-      showToast(result.message || 'Failed to block current artist', 2000);
+      showToast('Blocked again', 1500);
     }
+    await loadBlocklist();
   } catch (error) {
-    console.error('Failed to block current artist:', error);
-    showToast('Failed to block current artist', 2000);
+    console.error('Failed to block expired rule again:', error);
+    showToast('Failed to block again', 2000);
   }
 }
 
 /**
- * Block track from history
+ * Clear the list of expired temporary blocks
  */
-async function blockTrackFromHistory(id) {
+async function clearExpired() {
   try {
-    const result = await window.blocklistAPI.blockTrackFromHistory(id);
-    if (result.success) {
-      showToast('Song blocked from history', 2000);
-      await loadBlocklist();
-      await loadHistory();
-    } else {
-      showToast(result.message || 'Failed to block song', 2000);
-    }
+    await window.blocklistAPI.clearExpired();
+    expiredRules = [];
+    renderExpired();
   } catch (error) {
-    console.error('Failed to block track from history:', error);
-    showToast('Failed to block song', 2000);
+    console.error('Failed to clear expired blocks:', error);
+    showToast('Failed to clear expired blocks', 2000);
   }
 }
 
 /**
- * Block artist from history
+ * Load scheduled rules and the next schedule change from the main process
  */
-async function blockArtistFromHistory(id) {
+async function loadScheduleStatus() {
   try {
-    const result = await window.blocklistAPI.blockArtistFromHistory(id);
-    if (result.success) {
-      showToast('Artist blocked from history', 2000);
-      await loadBlocklist();
-      await loadHistory();
-    } else {
-      showToast(result.message || 'Failed to block artist', 2000);
-    }
+    scheduleStatus = await window.blocklistAPI.getScheduleStatus();
+    renderScheduleStatus();
   } catch (error) {
-    console.error('Failed to block artist from history:', error);
-    showToast('Failed to block artist', 2000);
+    console.error('Failed to load schedules:', error);
   }
 }
 
 /**
- * Clear history
+ * Show which scheduled rules are active right now on the dashboard
  */
-async function clearHistory() {
-  if (!confirm('Clear all history?')) return;
+function renderScheduleStatus() {
+  if (scheduleNextChangeEl) {
+    scheduleNextChangeEl.textContent = scheduleStatus.nextChange
+      ? `Next change: ${new Date(scheduleStatus.nextChange).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`
+      : 'No scheduled rules';
+  }
+  if (!scheduleStatusListEl) return;
+  
+  if (scheduleStatus.rules.length === 0) {
+    scheduleStatusListEl.innerHTML = '<div class="list-empty">Rules without a schedule are always active</div>';
+    return;
+  }
   
+  scheduleStatusListEl.innerHTML = scheduleStatus.rules.map(rule => `
+    <div class="list-item">
+      <span class="list-item-text">${escapeHtml(rule.label)}<span class="alias-summary">${escapeHtml(rule.description)}</span></span>
+      <span class="list-item-badge${rule.active ? ' active' : ''}">${rule.active ? 'Active' : 'Inactive'}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Check the blocklist for redundant, contradictory or unreachable rules
+ */
+async function checkBlocklist() {
   try {
-    await window.blocklistAPI.clearHistory();
-    history = [];
-    renderHistory();
-    showToast('History cleared', 1500);
+    lintIssues = await window.blocklistAPI.lintBlocklist();
+    renderLintIssues();
   } catch (error) {
-    console.error('Failed to clear history:', error);
-    showToast('Failed to clear history', 2000);
+    console.error('Failed to check blocklist:', error);
+    showToast('Failed to check blocklist', 2000);
   }
 }
 
 /**
- * Reset session stats
+ * Render the issues from the last blocklist check
  */
-async function resetSessionStats() {
-  if (!confirm('Reset session statistics?')) return;
+function renderLintIssues() {
+  if (!lintListEl || lintIssues === null) return;
+  
+  if (lintIssues.length === 0) {
+    lintListEl.innerHTML = '<div class="list-empty">No problems found</div>';
+    return;
+  }
   
+  lintListEl.innerHTML = lintIssues.map((issue, index) => `
+    <div class="list-item">
+      <span class="list-item-badge lint-${issue.severity}">${issue.severity}</span>
+      <span class="list-item-text">${escapeHtml(issue.message)}</span>
+      ${issue.fix ? `<button class="alias-btn" onclick="fixLintIssue(${index})">${escapeHtml(issue.fix.label)}</button>` : ''}
+    </div>
+  `).join('');
+}
+
+/**
+ * Apply the one-click fix for a blocklist check issue
+ */
+async function fixLintIssue(index) {
+  const issue = lintIssues && lintIssues[index];
+  if (!issue) return;
   try {
-    await window.blocklistAPI.resetSessionStats();
-    await loadStats();
-    showToast('Session stats reset', 1500);
+    const result = await window.blocklistAPI.fixLintIssue(issue);
+    if (!result.success) {
+      showToast(result.message || 'Failed to fix issue', 2000);
+    }
+    // Reloading the blocklist runs the check again
+    await loadBlocklist();
   } catch (error) {
-    console.error('Failed to reset session stats:', error);
-    showToast('Failed to reset session stats', 2000);
+    console.error('Failed to fix issue:', error);
+    showToast('Failed to fix issue', 2000);
   }
 }
 
+// Where a change was made, as shown in the change list
+const CHANGE_SOURCE_LABELS = {
+  dashboard: 'Dashboard',
+  tray: 'Tray',
+  history: 'History',
+  import: 'Import'
+};
+
 /**
- * Reset total stats
+ * Load the active profile's recorded blocklist changes
  */
-async function resetTotalStats() {
-  if (!confirm('Reset all-time statistics? This cannot be undone.')) return;
-  
+async function loadChanges() {
   try {
-    await window.blocklistAPI.resetTotalStats();
-    await loadStats();
-    showToast('All-time stats reset', 1500);
+    changeLog = await window.blocklistAPI.getChanges();
+    renderChanges();
   } catch (error) {
-    console.error('Failed to reset total stats:', error);
-    showToast('Failed to reset total stats', 2000);
+    console.error('Failed to load changes:', error);
   }
 }
 
 /**
- * Export blocklist
+ * Render the change list and the undo and redo buttons
  */
-async function exportBlocklist() {
+function renderChanges() {
+  if (undoBtn) {
+    undoBtn.disabled = !changeLog.undo;
+    undoBtn.title = changeLog.undo ? `Undo ${changeLog.undo}` : '';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !changeLog.redo;
+    redoBtn.title = changeLog.redo ? `Redo ${changeLog.redo}` : '';
+  }
+  if (!changesListEl) return;
+  
+  if (changeLog.changes.length === 0) {
+    changesListEl.innerHTML = '<div class="list-empty">No changes yet</div>';
+    return;
+  }
+  
+  changesListEl.innerHTML = changeLog.changes.map(change => `
+    <div class="list-item">
+      <span class="list-item-text">${escapeHtml(change.action)}</span>
+      <span class="change-meta">v${change.version} · ${CHANGE_SOURCE_LABELS[change.source] || change.source} · ${formatExpiry(change.timestamp)}</span>
+      <button class="alias-btn" onclick="restoreChange(${change.version})" title="Put the blocklist back the way it was before this change">Restore</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Run an undo, redo or restore and show what it did
+ */
+async function runChangeAction(action, failureMessage) {
   try {
-    const data = await window.blocklistAPI.exportBlocklist();
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `swiftbegone-blocklist-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast('Blocklist exported', 1500);
+    const result = await action();
+    showToast(result.message, 2000);
   } catch (error) {
-    console.error('Failed to export blocklist:', error);
-    showToast('Failed to export blocklist', 2000);
+    console.error(failureMessage, error);
+    showToast(failureMessage, 2000);
   }
 }
 
 /**
- * Import blocklist
+ * Undo the newest blocklist change
  */
-async function importBlocklist() {
-  importFileInput.click();
+function undoChange() {
+  return runChangeAction(() => window.blocklistAPI.undoChange(), 'Failed to undo');
 }
 
 /**
- * Handle file import
+ * Redo the most recently undone blocklist change
  */
-async function handleFileImport(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+function redoChange() {
+  return runChangeAction(() => window.blocklistAPI.redoChange(), 'Failed to redo');
+}
+
+/**
+ * Put the blocklist back the way it was before a change
+ */
+function restoreChange(version) {
+  return runChangeAction(() => window.blocklistAPI.restoreChange(version), 'Failed to restore');
+}
+
+/**
+ * List everything a schedule can be attached to: settings first, then every rule
+ */
+function getScheduleTargets() {
+  const targets = [
+    { value: 'setting:blocklist', label: 'Whole blocklist', target: { setting: 'blocklist' }, schedule: ruleSchedules.blocklist },
+    { value: 'setting:explicit', label: 'Skip explicit tracks', target: { setting: 'explicit' }, schedule: ruleSchedules.explicit },
+    { value: 'setting:duration', label: 'Duration rules', target: { setting: 'duration' }, schedule: ruleSchedules.duration }
+  ];
+  const lists = {
+    artists: blockedArtists,
+    tracks: blockedTracks,
+    patterns: blockedPatterns,
+    exceptions: allowedExceptions,
+    rules: compositeRules
+  };
+  for (const [list, rules] of Object.entries(lists)) {
+    rules.forEach((rule, index) => {
+      targets.push({
+        value: `${list}:${index}`,
+        label: describeRule(list, rule),
+        target: { list, index, rule },
+        schedule: rule && typeof rule === 'object' ? rule.schedule : null
+      });
+    });
+  }
+  return targets;
+}
+
+/**
+ * Fill the schedule target dropdown, keeping the current selection if it still exists
+ */
+function renderScheduleTargets() {
+  if (!scheduleTargetSelectEl) return;
   
-  try {
-    const text = await file.text();
-    const data = JSON.parse(text);
-    
-    if (!confirm('Import blocklist? This will replace your current blocklist.')) {
-      importFileInput.value = '';
-      return;
-    }
-    
-    const result = await window.blocklistAPI.importBlocklist(data);
-    if (result.success) {
-      showToast('Blocklist imported', 2000);
-      await loadBlocklist();
-    } else {
-      showToast(result.message || 'Failed to import blocklist', 2000);
-    }
-  } catch (error) {
-    console.error('Failed to import blocklist:', error);
-    showToast('Failed to import blocklist. Invalid file format.', 3000);
+  const selected = scheduleTargetSelectEl.value;
+  const targets = getScheduleTargets();
+  scheduleTargetSelectEl.innerHTML = targets.map(target => `
+    <option value="${escapeHtml(target.value)}">${escapeHtml(target.label)}${target.schedule ? ' (scheduled)' : ''}</option>
+  `).join('');
+  if (targets.some(target => target.value === selected)) {
+    scheduleTargetSelectEl.value = selected;
   }
+  showScheduleForTarget();
+}
+
+/**
+ * Show the selected target's schedule in the editor
+ */
+function showScheduleForTarget() {
+  if (!scheduleTargetSelectEl) return;
   
-  importFileInput.value = '';
+  const target = getScheduleTargets().find(t => t.value === scheduleTargetSelectEl.value);
+  const schedule = (target && target.schedule) || {};
+  scheduleDaysEl.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = Array.isArray(schedule.days) && schedule.days.includes(Number(checkbox.value));
+  });
+  scheduleStartInputEl.value = schedule.start || '';
+  scheduleEndInputEl.value = schedule.end || '';
+  scheduleFromInputEl.value = schedule.from || '';
+  scheduleToInputEl.value = schedule.to || '';
+  showScheduleError('');
 }
 
 /**
- * Toggle block collaborations
+ * Read the schedule editor inputs, leaving out empty parts
  */
-async function toggleCollabs() {
-  blockCollaborations = !blockCollaborations;
-  updateToggles();
+function readScheduleInputs() {
+  const schedule = {};
+  const days = [...scheduleDaysEl.querySelectorAll('input[type="checkbox"]:checked')].map(checkbox => Number(checkbox.value));
+  if (days.length > 0) schedule.days = days;
+  if (scheduleStartInputEl.value) schedule.start = scheduleStartInputEl.value;
+  if (scheduleEndInputEl.value) schedule.end = scheduleEndInputEl.value;
+  if (scheduleFromInputEl.value.trim()) schedule.from = scheduleFromInputEl.value.trim();
+  if (scheduleToInputEl.value.trim()) schedule.to = scheduleToInputEl.value.trim();
+  return schedule;
+}
+
+/**
+ * Show or clear the schedule editor error
+ */
+function showScheduleError(message) {
+  if (!scheduleErrorEl) return;
+  scheduleErrorEl.textContent = message || '';
+  scheduleErrorEl.classList.toggle('visible', !!message);
+}
+
+/**
+ * Save the schedule for the selected rule (null removes it)
+ */
+async function saveSchedule(schedule) {
+  const target = getScheduleTargets().find(t => t.value === scheduleTargetSelectEl.value);
+  if (!target) return;
   
   try {
-    await window.blocklistAPI.setBlockCollabs(blockCollaborations);
-    showToast(blockCollaborations ? 'Collaborations blocking enabled' : 'Collaborations blocking disabled', 1500);
+    const result = await window.blocklistAPI.setSchedule(target.target, schedule);
+    if (!result.success) {
+      showScheduleError(result.message);
+      return;
+    }
+    await loadBlocklist();
+    showToast(schedule ? 'Schedule saved' : 'Schedule removed', 1500);
   } catch (error) {
-    console.error('Failed to toggle collabs:', error);
-    blockCollaborations = !blockCollaborations;
-    updateToggles();
-    showToast('Failed to update setting', 2000);
+    console.error('Failed to save schedule:', error);
+    showToast('Failed to save schedule', 2000);
   }
 }
 
@@ -733,41 +2760,112 @@ async function toggleReverse() {
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Escape HTML to prevent XSS, including quotes so the result is safe in attribute values
  */
 function escapeHtml(text) {
   if (text == null) return '';
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Expose functions to global scope for onclick handlers
 window.removeArtist = removeArtist;
+window.toggleArtistAliases = toggleArtistAliases;
+window.addAlias = addAlias;
+window.removeAlias = removeAlias;
 window.removeTrack = removeTrack;
+window.removeException = removeException;
 window.removePattern = removePattern;
+window.reblockExpired = reblockExpired;
+window.editRule = editRule;
+window.setProfileLayered = setProfileLayered;
+window.toggleRuleDryRun = toggleRuleDryRun;
+window.fixLintIssue = fixLintIssue;
+window.restoreChange = restoreChange;
+window.removeRule = removeRule;
+window.setRuleConditionField = setRuleConditionField;
+window.setRuleConditionOperator = setRuleConditionOperator;
+window.setRuleConditionValue = setRuleConditionValue;
+window.setRuleGroupType = setRuleGroupType;
+window.toggleRuleNot = toggleRuleNot;
+window.addRuleCondition = addRuleCondition;
+window.addRuleGroup = addRuleGroup;
+window.removeRuleCondition = removeRuleCondition;
 window.blockTrackFromHistory = blockTrackFromHistory;
+window.allowTrackFromHistory = allowTrackFromHistory;
+window.showRuleFromHistory = showRuleFromHistory;
+window.removeRuleFromHistory = removeRuleFromHistory;
 window.blockArtistFromHistory = blockArtistFromHistory;
+window.toggleLibraryPlaylist = toggleLibraryPlaylist;
 
 // Event listeners
 if (addArtistBtn) addArtistBtn.addEventListener('click', addArtist);
 if (addSongBtn) addSongBtn.addEventListener('click', addSong);
+if (addExceptionSongBtn) addExceptionSongBtn.addEventListener('click', addExceptionSong);
+if (addExceptionPatternBtn) addExceptionPatternBtn.addEventListener('click', addExceptionPattern);
 if (addPatternBtn) addPatternBtn.addEventListener('click', addPattern);
 if (blockCurrentSongBtn) blockCurrentSongBtn.addEventListener('click', blockCurrentSong);
 if (blockCurrentArtistBtn) blockCurrentArtistBtn.addEventListener('click', blockCurrentArtist);
 if (clearHistoryBtn) clearHistoryBtn.addEventListener('click', clearHistory);
 if (resetSessionBtn) resetSessionBtn.addEventListener('click', resetSessionStats);
 if (resetTotalBtn) resetTotalBtn.addEventListener('click', resetTotalStats);
+if (clearExpiredBtn) clearExpiredBtn.addEventListener('click', clearExpired);
+if (saveRuleBtn) saveRuleBtn.addEventListener('click', saveRule);
+if (cancelRuleBtn) cancelRuleBtn.addEventListener('click', resetRuleDraft);
 if (exportBtn) exportBtn.addEventListener('click', exportBlocklist);
 if (importBtn) importBtn.addEventListener('click', importBlocklist);
 if (importFileInput) importFileInput.addEventListener('change', handleFileImport);
+if (importProfileBtn) importProfileBtn.addEventListener('click', importBlocklistAsProfile);
+if (pasteImportBtn) pasteImportBtn.addEventListener('click', pasteImport);
+if (importModeSelect) importModeSelect.addEventListener('change', previewImport);
+if (importTargetSelect) importTargetSelect.addEventListener('change', previewImport);
+if (importPasteInputEl) importPasteInputEl.addEventListener('input', previewImport);
+if (applyImportBtn) applyImportBtn.addEventListener('click', applyImport);
+if (cancelImportBtn) cancelImportBtn.addEventListener('click', cancelImport);
+if (lintBtn) lintBtn.addEventListener('click', checkBlocklist);
+if (undoBtn) undoBtn.addEventListener('click', undoChange);
+if (redoBtn) redoBtn.addEventListener('click', redoChange);
+
+// Cmd/Ctrl+Z undoes and Shift+Cmd/Ctrl+Z redoes, except while typing
+document.addEventListener('keydown', (e) => {
+  if (!(e.metaKey || e.ctrlKey) || e.key.toLowerCase() !== 'z') return;
+  if (e.target.closest('input, textarea, select')) return;
+  e.preventDefault();
+  if (e.shiftKey) {
+    redoChange();
+  } else {
+    undoChange();
+  }
+});
+
+// Profile listeners
+if (profileSelectEl) profileSelectEl.addEventListener('change', switchProfile);
+if (createProfileBtn) createProfileBtn.addEventListener('click', createProfile);
+if (duplicateProfileBtn) duplicateProfileBtn.addEventListener('click', duplicateProfile);
+if (renameProfileBtn) renameProfileBtn.addEventListener('click', renameProfile);
+if (deleteProfileBtn) deleteProfileBtn.addEventListener('click', deleteProfile);
 
 // Toggle listeners
 if (collabsToggleLarge) collabsToggleLarge.addEventListener('click', toggleCollabs);
 if (reverseToggleLarge) reverseToggleLarge.addEventListener('click', toggleReverse);
+if (explicitToggleLarge) explicitToggleLarge.addEventListener('click', toggleExplicit);
+if (dryRunToggleLarge) dryRunToggleLarge.addEventListener('click', toggleDryRun);
+if (saveDurationBtn) saveDurationBtn.addEventListener('click', saveDurationLimits);
+if (scheduleTargetSelectEl) scheduleTargetSelectEl.addEventListener('change', showScheduleForTarget);
+if (saveScheduleBtn) saveScheduleBtn.addEventListener('click', () => saveSchedule(readScheduleInputs()));
+if (removeScheduleBtn) removeScheduleBtn.addEventListener('click', () => saveSchedule(null));
 if (collabsTogglePatterns) collabsTogglePatterns.addEventListener('click', toggleCollabs);
 if (reverseTogglePatterns) reverseTogglePatterns.addEventListener('click', toggleReverse);
 
+// Rule tester listeners
+[testArtistInputEl, testTitleInputEl, testAlbumInputEl, testLengthInputEl].forEach(inputEl => {
+  if (inputEl) inputEl.addEventListener('input', runTrackTest);
+});
+if (testExplicitCheckboxEl) testExplicitCheckboxEl.addEventListener('change', runTrackTest);
+if (testSourceSelectEl) testSourceSelectEl.addEventListener('change', runTrackTest);
+if (testBatchBtn) testBatchBtn.addEventListener('click', runBatchTest);
+
 // Settings page links
 if (githubLink) {
   githubLink.addEventListener('click', (e) => {
@@ -797,6 +2895,18 @@ if (helpLink) {
   });
 }
 
+// Show the date picker when "Until date…" is chosen
+[
+  [newArtistExpirySelectEl, newArtistExpiryDateEl],
+  [newSongExpirySelectEl, newSongExpiryDateEl],
+  [newPatternExpirySelectEl, newPatternExpiryDateEl]
+].forEach(([selectEl, dateEl]) => {
+  if (!selectEl || !dateEl) return;
+  selectEl.addEventListener('change', () => {
+    dateEl.hidden = selectEl.value !== 'until';
+  });
+});
+
 // Allow Enter key to trigger add
 if (newArtistInputEl) {
   newArtistInputEl.addEventListener('keypress', (e) => {
@@ -816,10 +2926,29 @@ if (newSongTrackInputEl) {
   });
 }
 
+if (newExceptionArtistInputEl) {
+  newExceptionArtistInputEl.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') newExceptionTrackInputEl.focus();
+  });
+}
+
+if (newExceptionTrackInputEl) {
+  newExceptionTrackInputEl.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addExceptionSong();
+  });
+}
+
+if (newExceptionPatternInputEl) {
+  newExceptionPatternInputEl.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addExceptionPattern();
+  });
+}
+
 if (newPatternInputEl) {
   newPatternInputEl.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') addPattern();
   });
+  newPatternInputEl.addEventListener('input', validatePatternInput);
 }
 
 // Listen for updates from main process
@@ -839,6 +2968,15 @@ window.addEventListener('stats-updated', (event) => {
   updateDashboardStats();
 });
 
+window.addEventListener('blocklist-updated', () => {
+  loadBlocklist();
+});
+
+window.addEventListener('changes-updated', (event) => {
+  changeLog = event.detail;
+  renderChanges();
+});
+
 // Load data on page load
 document.addEventListener('DOMContentLoaded', async () => {
   await loadBlocklist();
@@ -849,5 +2987,6 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Refresh periodically
   setInterval(updateNowPlaying, 2000);
   setInterval(loadHistory, 3000);
+  setInterval(loadScheduleStatus, 60000);
   setInterval(loadStats, 3000);
 });
@@ -8,21 +8,21 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Expose a safe API to the renderer process
 contextBridge.exposeInMainWorld('blocklistAPI', {
   /**
-   * Get current blocklist data
-   * @returns {Promise<{artists: string[], tracks: Array<{artist?: string, track: string}>, patterns: string[], blockCollaborations: boolean, reverseMode: boolean}>}
+   * Get the active profile's blocklist data
+   * @returns {Promise<{profileId: string, artists: Array<string|{name: string, aliases?: string[], fuzzy?: number}>, tracks: Array<{artist?: string, track: string, allVersions?: boolean, fuzzy?: number}>, patterns: Array<string|{pattern: string, schedule: Object}>, exceptions: Array<{artist?: string, track: string}|{pattern: string}>, rules: Array<{name?: string, when: Object}>, blockCollaborations: boolean, reverseMode: boolean, skipExplicit: boolean, dryRun: boolean, durationLimits: {shorterThanSeconds: number, longerThanMinutes: number}, schedules: Object, expiredRules: Array<{list: string, rule: *, expiredAt: number}>}>}
    */
   getBlocklist: () => ipcRenderer.invoke('blocklist:get'),
   
   /**
    * Set blocked artists list
-   * @param {string[]} artists - Array of artist names
+   * @param {Array<string|{name: string, aliases?: string[], fuzzy?: number}>} artists - Artist names or alias groups
    * @returns {Promise<void>}
    */
   setBlockedArtists: (artists) => ipcRenderer.invoke('blocklist:set-artists', artists),
   
   /**
    * Set blocked tracks list
-   * @param {Array<{artist?: string, track: string}>} tracks - Array of track objects
+   * @param {Array<{artist?: string, track: string, allVersions?: boolean, fuzzy?: number}>} tracks - Array of track objects
    * @returns {Promise<void>}
    */
   setBlockedTracks: (tracks) => ipcRenderer.invoke('blocklist:set-tracks', tracks),
@@ -30,10 +30,38 @@ contextBridge.exposeInMainWorld('blocklistAPI', {
   /**
    * Set blocked patterns list
    * @param {string[]} patterns - Array of pattern strings
-   * @returns {Promise<void>}
+   * @returns {Promise<{rejected: Array<{pattern: string, error: string}>}>}
    */
   setBlockedPatterns: (patterns) => ipcRenderer.invoke('blocklist:set-patterns', patterns),
   
+  /**
+   * Set allow-exceptions list
+   * @param {Array<{artist?: string, track: string}|{pattern: string}>} exceptions - Songs and patterns that are never blocked
+   * @returns {Promise<{rejected: Array<{pattern: string, error: string}>}>}
+   */
+  setExceptions: (exceptions) => ipcRenderer.invoke('blocklist:set-exceptions', exceptions),
+  
+  /**
+   * Set composite rules list
+   * @param {Array<{name?: string, when: Object}>} rules - Rules with AND/OR/NOT conditions
+   * @returns {Promise<{rejected: Array<{rule: *, error: string}>}>}
+   */
+  setRules: (rules) => ipcRenderer.invoke('blocklist:set-rules', rules),
+  
+  /**
+   * Validate a composite rule
+   * @param {{name?: string, when: Object}} rule - Rule to check
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  validateRule: (rule) => ipcRenderer.invoke('blocklist:validate-rule', rule),
+  
+  /**
+   * Validate a pattern string (glob or /regex/flags)
+   * @param {string} pattern - Pattern string
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  validatePattern: (pattern) => ipcRenderer.invoke('blocklist:validate-pattern', pattern),
+  
   /**
    * Set block collaborations flag
    * @param {boolean} enabled - Whether to block collaborations
@@ -48,30 +76,149 @@ contextBridge.exposeInMainWorld('blocklistAPI', {
    */
   setReverseMode: (enabled) => ipcRenderer.invoke('blocklist:set-reverse-mode', enabled),
   
+  /**
+   * Set skip explicit tracks flag
+   * @param {boolean} enabled - Whether to skip tracks flagged explicit
+   * @returns {Promise<void>}
+   */
+  setSkipExplicit: (enabled) => ipcRenderer.invoke('blocklist:set-skip-explicit', enabled),
+  
+  /**
+   * Check what the blocklist would do with a track, without it playing
+   * @param {{artists?: string|Array<string>, track?: string, album?: string, composer?: string, explicit?: boolean, durationMs?: number, source?: "spotify"|"apple-music"}} track - Track to check; artists may be one string separated by commas
+   * @returns {Promise<{blocked: boolean, reason: string|null, match: {list: string, index: number, rule: *, field: string|null, input: string|null, viaCollaboration: boolean, similarity?: number}|null, layer: {id: string, name: string}|null, dryRun?: boolean}>}
+   */
+  testTrack: (track) => ipcRenderer.invoke('blocklist:test', track),
+  
+  /**
+   * Check what the blocklist would do with each "Artist - Title" line of a pasted list
+   * @param {string} text - Pasted lines (up to 500 are tested)
+   * @param {{source?: "spotify"|"apple-music"}} [options] - Player to test the songs as playing on
+   * @returns {Promise<Array<{track: {artists: Array<string>, track: string}, result: Object}>>} - Each song as read, with its result as for testTrack
+   */
+  testTrackList: (text, options) => ipcRenderer.invoke('blocklist:test-list', text, options),
+  
+  /**
+   * Check the active profile's blocklist for redundant, contradictory or unreachable rules
+   * @returns {Promise<Array<{code: string, severity: "error"|"warning"|"info", message: string, list: string|null, index: number|null, rule: *, fix: {label: string, action: string, entry?: *}|null}>>}
+   */
+  lintBlocklist: () => ipcRenderer.invoke('blocklist:lint'),
+  
+  /**
+   * Apply the one-click fix of a lint issue
+   * @param {Object} issue - Issue as returned by lintBlocklist
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  fixLintIssue: (issue) => ipcRenderer.invoke('blocklist:fix-lint', issue),
+  
+  /**
+   * List the active profile's recorded blocklist changes
+   * @returns {Promise<{changes: Array<{version: number, timestamp: number, source: string, action: string}>, undo: string|null, redo: string|null}>} - Changes newest first, and what undo and redo would do
+   */
+  getChanges: () => ipcRenderer.invoke('changes:get'),
+  
+  /**
+   * Undo the active profile's newest blocklist change
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  undoChange: () => ipcRenderer.invoke('changes:undo'),
+  
+  /**
+   * Redo the active profile's most recently undone blocklist change
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  redoChange: () => ipcRenderer.invoke('changes:redo'),
+  
+  /**
+   * Restore the active profile's blocklist to how it was before a recorded change
+   * @param {number} version - Version of the change
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  restoreChange: (version) => ipcRenderer.invoke('changes:restore', version),
+  
+  /**
+   * Set dry-run mode, which records what would be skipped without skipping
+   * @param {boolean} enabled - Whether every rule runs dry
+   * @returns {Promise<void>}
+   */
+  setDryRun: (enabled) => ipcRenderer.invoke('blocklist:set-dry-run', enabled),
+  
+  /**
+   * Put a single rule in dry-run mode, or back to skipping tracks
+   * @param {{list: "artists"|"tracks"|"patterns"|"rules", index: number, rule: *}} target - The rule to change
+   * @param {boolean} dryRun - True to only record what the rule would skip
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  setRuleDryRun: (target, dryRun) => ipcRenderer.invoke('blocklist:set-rule-dry-run', target, dryRun),
+  
+  /**
+   * Set duration limits (0 disables a limit)
+   * @param {{shorterThanSeconds: number, longerThanMinutes: number}} limits - Skip tracks shorter/longer than these
+   * @returns {Promise<{shorterThanSeconds: number, longerThanMinutes: number}>} - The limits as saved
+   */
+  setDurationLimits: (limits) => ipcRenderer.invoke('blocklist:set-duration-limits', limits),
+  
+  /**
+   * Attach a schedule to a rule or setting, or remove it
+   * @param {{setting: "blocklist"|"explicit"|"duration"}|{list: "artists"|"tracks"|"patterns"|"exceptions"|"rules", index: number, rule: *}} target - What to schedule
+   * @param {{days?: number[], start?: string, end?: string, from?: string, to?: string}|null} schedule - Schedule (null removes it)
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  setSchedule: (target, schedule) => ipcRenderer.invoke('schedule:set', target, schedule),
+  
+  /**
+   * Get scheduled rules, whether each is active now, and when the next change happens
+   * @returns {Promise<{nextChange: number|null, rules: Array<{target: Object, label: string, description: string, schedule: Object, active: boolean}>}>}
+   */
+  getScheduleStatus: () => ipcRenderer.invoke('schedule:get-status'),
+  
   /**
    * Block the currently playing song
+   * @param {{allVersions?: boolean, expiresAt?: number}} [options] - Block every version of the title, or until a time in ms
    * @returns {Promise<{success: boolean, message?: string}>}
    */
-  blockCurrentSong: () => ipcRenderer.invoke('blocklist:block-current-song'),
+  blockCurrentSong: (options) => ipcRenderer.invoke('blocklist:block-current-song', options),
   
   /**
    * Block the currently playing artist
+   * @param {{expiresAt?: number}} [options] - Expiry time in ms for a temporary block
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  blockCurrentArtist: (options) => ipcRenderer.invoke('blocklist:block-current-artist', options),
+  
+  /**
+   * Put an expired temporary block back on the blocklist
+   * @param {number} index - Index in the expired list
+   * @param {{expiresAt?: number}} [options] - Expiry time in ms to block it temporarily again
    * @returns {Promise<{success: boolean, message?: string}>}
    */
-  blockCurrentArtist: () => ipcRenderer.invoke('blocklist:block-current-artist'),
+  reblockExpired: (index, options) => ipcRenderer.invoke('blocklist:reblock-expired', index, options),
+  
+  /**
+   * Clear the list of expired temporary blocks
+   * @returns {Promise<void>}
+   */
+  clearExpired: () => ipcRenderer.invoke('blocklist:clear-expired'),
   
   /**
    * Get currently playing track info
-   * @returns {Promise<{artist?: string|string[], track?: string, source?: string} | null>}
+   * @returns {Promise<{artist?: string|string[], track?: string, album?: string, source?: string} | null>}
    */
   getNowPlaying: () => ipcRenderer.invoke('blocklist:get-now-playing'),
   
   /**
    * Get history of last 10 songs
-   * @returns {Promise<Array<{id: string, ts: number, source: string, artist: string, track: string, reasonBlocked?: string}>>}
+   * @returns {Promise<Array<{id: string, ts: number, source: string, artist: string, track: string, album?: string, explicit?: boolean, durationMs?: number|null, reasonBlocked?: string, reasonWouldSkip?: string, matchedRule?: {list: string, index: number, rule: *, field: string, input: string, viaCollaboration: boolean, similarity?: number}|null, matchedLayer?: {id: string, name: string}|null}>>}
    */
   getHistory: () => ipcRenderer.invoke('history:get'),
   
+  /**
+   * Find recently played artists and titles that are close to, but not exactly, the given names
+   * @param {{artist?: string, track?: string}} names - Names about to be added as a rule
+   * @returns {Promise<{artist: Array<{name: string, similarity: number}>, track: Array<{name: string, similarity: number}>}>}
+   */
+  findSimilarInHistory: (names) => ipcRenderer.invoke('history:find-similar', names),
+  
   /**
    * Clear history
    * @returns {Promise<void>}
@@ -93,8 +240,29 @@ contextBridge.exposeInMainWorld('blocklistAPI', {
   blockArtistFromHistory: (id) => ipcRenderer.invoke('history:block-artist', id),
   
   /**
-   * Get stats (session and total)
-   * @returns {Promise<{session: {total: number, artist: number, track: number, pattern: number, reverse: number}, total: {total: number, artist: number, track: number, pattern: number, reverse: number}}>}
+   * Find the rule that caused a history entry to be skipped, in the profile layer that fired
+   * @param {string} id - History entry ID
+   * @returns {Promise<{success: boolean, list?: string, index?: number, profileId?: string, profileName?: string, message?: string}>}
+   */
+  findRuleFromHistory: (id) => ipcRenderer.invoke('history:find-rule', id),
+  
+  /**
+   * Remove the rule that caused a history entry to be skipped
+   * @param {string} id - History entry ID
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  removeRuleFromHistory: (id) => ipcRenderer.invoke('history:remove-rule', id),
+  
+  /**
+   * Always allow the song from a history entry
+   * @param {string} id - History entry ID
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  allowTrackFromHistory: (id) => ipcRenderer.invoke('history:allow-track', id),
+  
+  /**
+   * Get stats (session and total, plus tracks dry run would have skipped)
+   * @returns {Promise<{session: {total: number, artist: number, track: number, pattern: number, reverse: number, explicit: number, duration: number, rule: number}, total: {total: number, artist: number, track: number, pattern: number, reverse: number, explicit: number, duration: number, rule: number}, dryRun: {session: number, total: number}}>}
    */
   getStats: () => ipcRenderer.invoke('stats:get'),
   
@@ -111,32 +279,96 @@ contextBridge.exposeInMainWorld('blocklistAPI', {
   resetTotalStats: () => ipcRenderer.invoke('stats:reset-total'),
   
   /**
-   * Export blocklist to JSON
-   * @returns {Promise<object>}
+   * Export a profile's blocklist as JSON, CSV, text or M3U
+   * @param {string} [profileId] - Profile to export (defaults to the active one)
+   * @param {"json" | "csv" | "text" | "m3u"} [format] - Format; CSV and text hold artists and songs only, M3U the blocked songs only
+   * @returns {Promise<object|{profile: string, format: string, text: string}>} - The blocklist object for JSON, the file text for the others
+   */
+  exportBlocklist: (profileId, format) => ipcRenderer.invoke('blocklist:export', profileId, format),
+  
+  /**
+   * Read the playlists of an iTunes or Apple Music library export
+   * @param {string} xml - Contents of Library.xml
+   * @returns {Promise<{success: boolean, message?: string, playlists?: Array<{id: string, name: string, count: number}>}>} - Playlists with their number of songs, starting with the entire library
+   */
+  readLibrary: (xml) => ipcRenderer.invoke('blocklist:read-library', xml),
+  
+  /**
+   * Show what an import would change, without changing anything
+   * @param {object|string} content - Parsed JSON export, or the text of a JSON, CSV, text, library or playlist file or pasted text
+   * @param {{format?: "json" | "csv" | "text" | "library" | "m3u" | "pls" | "xspf", fileName?: string, mode?: "replace" | "merge", asNewProfile?: boolean, library?: {playlists: Array<string>, target: "artists" | "tracks" | "exceptions"}, playlist?: {target: "artists" | "tracks" | "exceptions"}}} [options] - Format (guessed if missing), whether to keep existing entries, whether to create a profile, for a library the playlists to import and what to add their songs as, and for a playlist file what to add its songs as
+   * @returns {Promise<{success: boolean, message?: string, format?: string, lists?: Object<string, {added: Array<string>, removed: Array<string>, unchanged: number}>, settings?: Array<string>, warnings?: Array<string>}>} - Changes per list, changed settings and skipped entries
    */
-  exportBlocklist: () => ipcRenderer.invoke('blocklist:export'),
+  previewImport: (content, options) => ipcRenderer.invoke('blocklist:preview-import', content, options),
   
   /**
-   * Import blocklist from JSON
-   * @param {object} data - Blocklist data
+   * Import a blocklist into the active profile, or into a new profile
+   * @param {object|string} content - Parsed JSON export, or the text of a JSON, CSV, text, library or playlist file or pasted text
+   * @param {{format?: "json" | "csv" | "text" | "library" | "m3u" | "pls" | "xspf", fileName?: string, mode?: "replace" | "merge", asNewProfile?: boolean, library?: {playlists: Array<string>, target: "artists" | "tracks" | "exceptions"}, playlist?: {target: "artists" | "tracks" | "exceptions"}}} [options] - As for previewImport; mode defaults to replace
+   * @returns {Promise<{success: boolean, message?: string, profileId?: string, profileName?: string, warnings?: Array<string>, issues?: Array<Object>}>} - warnings are skipped entries, issues are lint issues found in the imported blocklist
+   */
+  importBlocklist: (content, options) => ipcRenderer.invoke('blocklist:import', content, options),
+  
+  /**
+   * List blocklist profiles
+   * @returns {Promise<Array<{id: string, name: string, active: boolean, layered: boolean}>>}
+   */
+  getProfiles: () => ipcRenderer.invoke('profiles:get'),
+  
+  /**
+   * Apply another profile's blocklist on top of the active one, or stop applying it
+   * @param {string} id - Profile id
+   * @param {boolean} layered - Whether the profile's rules should apply
    * @returns {Promise<{success: boolean, message?: string}>}
    */
-  importBlocklist: (data) => ipcRenderer.invoke('blocklist:import', data),
+  setProfileLayered: (id, layered) => ipcRenderer.invoke('profiles:set-layered', id, layered),
+  
+  /**
+   * Make a profile the active one
+   * @param {string} id - Profile id
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  switchProfile: (id) => ipcRenderer.invoke('profiles:switch', id),
+  
+  /**
+   * Create a profile, empty or as a copy of another
+   * @param {string} name - Profile name
+   * @param {string|null} [copyFromId] - Profile to copy settings from
+   * @returns {Promise<{success: boolean, message?: string, id?: string}>}
+   */
+  createProfile: (name, copyFromId = null) => ipcRenderer.invoke('profiles:create', name, copyFromId),
+  
+  /**
+   * Rename a profile
+   * @param {string} id - Profile id
+   * @param {string} name - New name
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  renameProfile: (id, name) => ipcRenderer.invoke('profiles:rename', id, name),
+  
+  /**
+   * Delete a profile (the last one cannot be deleted)
+   * @param {string} id - Profile id
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  deleteProfile: (id) => ipcRenderer.invoke('profiles:delete', id),
   
   /**
    * Block a specific track
    * @param {string} artist - Artist name (optional)
    * @param {string} track - Track name
+   * @param {{allVersions?: boolean, expiresAt?: number}} options - Block every version of the title instead of this one only (upgrading an exact-version block of it), or until a time in ms
    * @returns {Promise<{success: boolean, message?: string}>}
    */
-  blockTrack: (artist, track) => ipcRenderer.invoke('blocklist:block-track', artist, track),
+  blockTrack: (artist, track, options) => ipcRenderer.invoke('blocklist:block-track', artist, track, options),
   
   /**
    * Block a specific artist
    * @param {string} artist - Artist name
+   * @param {{expiresAt?: number}} [options] - Expiry time in ms for a temporary block
    * @returns {Promise<{success: boolean, message?: string}>}
    */
-  blockArtist: (artist) => ipcRenderer.invoke('blocklist:block-artist', artist),
+  blockArtist: (artist, options) => ipcRenderer.invoke('blocklist:block-artist', artist, options),
   
   /**
    * Open external URL
@@ -157,3 +389,11 @@ ipcRenderer.on('history-updated', (event, data) => {
 ipcRenderer.on('stats-updated', (event, data) => {
   window.dispatchEvent(new CustomEvent('stats-updated', { detail: data }));
 });
+
+ipcRenderer.on('blocklist-updated', () => {
+  window.dispatchEvent(new CustomEvent('blocklist-updated'));
+});
+
+ipcRenderer.on('changes-updated', (event, data) => {
+  window.dispatchEvent(new CustomEvent('changes-updated', { detail: data }));
+});
@@ -0,0 +1,325 @@
+/**
+ * Settings file layout: defaults, schema version, migrations and validation
+ *
+ * The settings file records the schema_version it was written with. On startup
+ * settingsStore.js runs every migration newer than that version, in order, then
+ * checks the result against settings.schema.json and resets any section that
+ * fails to its default. Blocklist exports carry their own version and are
+ * migrated the same way when imported.
+ */
+
+const schema = require('./settings.schema.json');
+const { PROFILE_KEYS, DEFAULT_PROFILE_ID, DEFAULT_PROFILE_NAME, createProfile } = require('./profiles');
+const { sanitizeBlockedList, sanitizeBlockedTracks } = require('./blocklist');
+
+// Default settings; everything but `enabled`, `dry_run` and `layered_profiles` is kept per profile (see profiles.js)
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  dry_run: false, // Record what would be skipped without skipping
+  blocked_artists: ['Taylor Swift'],
+  blocked_tracks: [],
+  blocked_patterns: [], // Examples: "*live", "*acoustic", "*remix"
+  block_collaborations: false,
+  reverse_mode: false,
+  skip_explicit: false,
+  skip_shorter_than_seconds: 0, // 0 disables the limit
+  skip_longer_than_minutes: 0, // 0 disables the limit
+  allowed_exceptions: [], // Songs ({artist?, track}) and patterns ({pattern}) that are never blocked
+  rule_schedules: {}, // Schedules for the whole blocklist, the explicit filter and duration rules
+  expired_rules: [], // Temporary blocks that ran out ({list, rule, expiredAt}), newest first
+  composite_rules: [], // Rules with AND/OR/NOT conditions ({name?, when}), see compositeRule.schema.json
+  layered_profiles: [] // Other profiles applied on top of the active one
+};
+
+// Settings shared by all profiles
+const GLOBAL_DEFAULTS = {
+  enabled: DEFAULT_SETTINGS.enabled,
+  dry_run: DEFAULT_SETTINGS.dry_run,
+  layered_profiles: DEFAULT_SETTINGS.layered_profiles,
+  stats_total: { total: 0, artist: 0, track: 0, pattern: 0, reverse: 0, explicit: 0, duration: 0, rule: 0 },
+  stats_total_dry_run: 0
+};
+
+// Reasons counted in stats_total, in the order of the old flat keys
+const STATS_REASONS = ['artist', 'track', 'pattern', 'reverse', 'explicit', 'duration', 'rule'];
+
+// Changes to the settings layout, oldest first. Each migration takes the data
+// written by the previous version and returns data for its own version.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move settings saved before profiles existed into a "Default" profile',
+    migrate(data) {
+      if (data.profiles) return data;
+      const migrated = { ...data };
+      const legacy = {};
+      for (const key of PROFILE_KEYS) {
+        if (key in migrated) {
+          legacy[key] = migrated[key];
+          delete migrated[key];
+        }
+      }
+      migrated.profiles = { [DEFAULT_PROFILE_ID]: createProfile(DEFAULT_PROFILE_NAME, legacy, DEFAULT_SETTINGS) };
+      migrated.active_profile = DEFAULT_PROFILE_ID;
+      return migrated;
+    }
+  },
+  {
+    version: 2,
+    description: 'Collect the flat stats_total_blocks_* counters into stats_total',
+    migrate(data) {
+      const migrated = { ...data };
+      const stats = { total: migrated.stats_total_blocks };
+      delete migrated.stats_total_blocks;
+      for (const reason of STATS_REASONS) {
+        stats[reason] = migrated[`stats_total_blocks_${reason}`];
+        delete migrated[`stats_total_blocks_${reason}`];
+      }
+      migrated.stats_total = Object.fromEntries(Object.entries(stats).filter(([, count]) => count !== undefined));
+      return migrated;
+    }
+  },
+  {
+    version: 3,
+    description: 'Re-normalize saved artists and songs now that accents, quotes and look-alike characters are folded',
+    migrate(data) {
+      const migrated = { ...data };
+      // Earlier versions tracked this separately and re-normalized in main.js
+      delete migrated.normalization_version;
+      if (!isPlainObject(migrated.profiles)) return migrated;
+      migrated.profiles = Object.fromEntries(Object.entries(migrated.profiles).map(([id, profile]) => {
+        if (!isPlainObject(profile) || !isPlainObject(profile.settings)) return [id, profile];
+        const settings = { ...profile.settings };
+        if ('blocked_artists' in settings) settings.blocked_artists = sanitizeBlockedList(settings.blocked_artists);
+        if ('blocked_tracks' in settings) settings.blocked_tracks = sanitizeBlockedTracks(settings.blocked_tracks);
+        return [id, { ...profile, settings }];
+      }));
+      return migrated;
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Version written to blocklist exports; 1 is the original format with version "1.0"
+const EXPORT_VERSION = 2;
+
+// Changes to the export format, oldest first, applied on import
+const EXPORT_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'The version became a number; the blocklist fields are unchanged',
+    migrate: (data) => data
+  }
+];
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks a value against a JSON schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON schema type
+ * @returns {boolean} - True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validates a value against the subset of JSON schema used by settings.schema.json:
+ * type, properties, required, additionalProperties, items, minimum, minLength and
+ * local $refs
+ * @param {*} value - Value to check
+ * @param {Object} node - Schema for the value
+ * @param {Array<string>} [path] - Keys leading to the value
+ * @param {Object} [root] - Schema that $refs resolve against
+ * @returns {Array<{path: Array<string>, message: string}>} - Problems found, empty if valid
+ */
+function validateSchema(value, node, path = [], root = node) {
+  if (node.$ref) {
+    const resolved = node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], root);
+    return validateSchema(value, resolved, path, root);
+  }
+  const at = path.join('.') || 'settings';
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => hasType(value, type))) {
+      return [{ path, message: `${at} should be ${types.join(' or ')}` }];
+    }
+  }
+  const errors = [];
+  if (typeof node.minimum === 'number' && typeof value === 'number' && value < node.minimum) {
+    errors.push({ path, message: `${at} should be at least ${node.minimum}` });
+  }
+  if (typeof node.minLength === 'number' && typeof value === 'string' && value.length < node.minLength) {
+    errors.push({ path, message: `${at} is too short` });
+  }
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, node.items, [...path, String(index)], root)));
+  }
+  if (isPlainObject(value)) {
+    for (const key of node.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: [...path, key], message: `${at}.${key} is missing` });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const properties = node.properties || {};
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validateSchema(item, properties[key], [...path, key], root));
+      } else if (node.additionalProperties === false) {
+        errors.push({ path: [...path, key], message: `${at}.${key} is not a known setting` });
+      } else if (isPlainObject(node.additionalProperties)) {
+        errors.push(...validateSchema(item, node.additionalProperties, [...path, key], root));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Runs every migration newer than the data's schema_version, in order
+ * @param {Object} data - Settings as read from disk
+ * @returns {{data: Object, applied: Array<number>, newer: boolean}} - Migrated settings, the versions applied, and whether the data came from a newer version of the app (and was left alone)
+ */
+function migrateSettings(data) {
+  const from = Number.isInteger(data.schema_version) ? data.schema_version : 0;
+  if (from > SCHEMA_VERSION) {
+    return { data, applied: [], newer: true };
+  }
+  let migrated = data;
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) {
+      migrated = { ...migration.migrate(migrated), schema_version: migration.version };
+      applied.push(migration.version);
+    }
+  }
+  return { data: migrated, applied, newer: false };
+}
+
+/**
+ * Finds the sections of the settings that fail validation. A section is a
+ * top-level key, except inside profiles, where it is a single profile setting
+ * (or the profile's name), so one bad list doesn't cost every blocklist.
+ * @param {Object} data - Migrated settings
+ * @returns {Array<{section: Array<string>, message: string}>} - Invalid sections with the first problem found in each
+ */
+function findInvalidSections(data) {
+  const sections = new Map();
+  for (const error of validateSchema(data, schema)) {
+    const section = error.path.slice(0, error.path[0] === 'profiles' ? 4 : 1);
+    const key = section.join('.');
+    if (!sections.has(key)) {
+      sections.set(key, { section, message: error.message });
+    }
+  }
+  return [...sections.values()];
+}
+
+/**
+ * Removes sections from the settings so applySettingsDefaults fills them in again
+ * @param {Object} data - Settings
+ * @param {Array<Array<string>>} sections - Paths of the sections to reset
+ * @returns {Object} - Settings without those sections
+ */
+function resetSections(data, sections) {
+  const reset = JSON.parse(JSON.stringify(data));
+  for (const section of sections) {
+    if (section.length === 0) {
+      return {};
+    }
+    const parent = section.slice(0, -1).reduce((target, key) => (isPlainObject(target) ? target[key] : undefined), reset);
+    if (isPlainObject(parent)) {
+      delete parent[section[section.length - 1]];
+    }
+  }
+  return reset;
+}
+
+/**
+ * Fills in every missing setting with its default, including settings added to
+ * profiles after they were created, and makes sure there is an active profile
+ * @param {Object} data - Migrated, valid settings
+ * @returns {Object} - Complete settings
+ */
+function applySettingsDefaults(data) {
+  const settings = { ...data };
+  for (const [key, value] of Object.entries(GLOBAL_DEFAULTS)) {
+    if (settings[key] === undefined) {
+      settings[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+  settings.stats_total = { ...GLOBAL_DEFAULTS.stats_total, ...settings.stats_total };
+
+  const profiles = {};
+  for (const [id, profile] of Object.entries(isPlainObject(settings.profiles) ? settings.profiles : {})) {
+    if (!isPlainObject(profile)) continue;
+    const name = typeof profile.name === 'string' && profile.name.trim() ? profile.name : id;
+    const filled = createProfile(name, profile.settings, DEFAULT_SETTINGS);
+    // Keep anything this version doesn't know about, e.g. from a newer version
+    profiles[id] = { ...profile, name: filled.name, settings: { ...profile.settings, ...filled.settings } };
+  }
+  if (Object.keys(profiles).length === 0) {
+    profiles[DEFAULT_PROFILE_ID] = createProfile(DEFAULT_PROFILE_NAME, {}, DEFAULT_SETTINGS);
+  }
+  settings.profiles = profiles;
+  if (!profiles[settings.active_profile]) {
+    settings.active_profile = Object.keys(profiles)[0];
+  }
+  return settings;
+}
+
+/**
+ * Brings an imported blocklist export up to the current export format
+ * @param {Object} data - Parsed export
+ * @returns {{valid: boolean, data?: Object, error?: string}} - Migrated export, or why it can't be imported
+ */
+function migrateExport(data) {
+  if (!isPlainObject(data)) {
+    return { valid: false, error: 'Invalid data format' };
+  }
+  // Version 1 exports wrote "1.0"; very old ones wrote nothing
+  const version = data.version === undefined || data.version === '1.0' ? 1 : data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    return { valid: false, error: `Unknown export version "${data.version}"` };
+  }
+  if (version > EXPORT_VERSION) {
+    return { valid: false, error: 'This blocklist was exported by a newer version of SwiftBeGone. Update the app to import it.' };
+  }
+  let migrated = data;
+  for (const migration of EXPORT_MIGRATIONS) {
+    if (migration.version > version) {
+      migrated = { ...migration.migrate(migrated), version: migration.version };
+    }
+  }
+  return { valid: true, data: migrated };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  STATS_REASONS,
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  EXPORT_VERSION,
+  validateSchema,
+  migrateSettings,
+  findInvalidSections,
+  resetSections,
+  applySettingsDefaults,
+  migrateExport
+};
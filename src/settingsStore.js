@@ -0,0 +1,83 @@
+/**
+ * Opens the settings file, upgrading and repairing it on the way
+ *
+ * A file that isn't valid JSON is moved aside and started over. Otherwise it is
+ * migrated to the current schema (see settingsSchema.js), and any section that
+ * fails validation is reset to its default. Whenever data would be changed or
+ * lost, the file is copied to a timestamped backup next to it first.
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const Store = require('electron-store');
+const { SCHEMA_VERSION, migrateSettings, findInvalidSections, resetSections, applySettingsDefaults } = require('./settingsSchema');
+
+/**
+ * Copies a settings file to e.g. config.backup-2026-10-19T14-03-00-000Z.json
+ * @param {string} file - Path of the file
+ * @returns {string} - Path of the backup
+ */
+function backupStoreFile(file) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backup = path.join(path.dirname(file), `${path.basename(file, '.json')}.backup-${stamp}.json`);
+  fs.copyFileSync(file, backup);
+  return backup;
+}
+
+/**
+ * Opens an electron-store file, starting it over if it can't be read
+ * @param {Object} [options] - electron-store options
+ * @returns {Store} - The store
+ */
+function openStore(options = {}) {
+  try {
+    return new Store(options);
+  } catch (error) {
+    const file = path.join(app.getPath('userData'), `${options.name || 'config'}.json`);
+    if (!fs.existsSync(file)) {
+      throw error;
+    }
+    const backup = backupStoreFile(file);
+    fs.unlinkSync(file);
+    console.error(`Could not read ${file} (${error.message}); moved it to ${backup} and started over`);
+    return new Store(options);
+  }
+}
+
+/**
+ * Migrates the settings to the current schema, resets invalid sections and
+ * fills in defaults, backing the file up first if anything but defaults changes
+ * @param {Store} store - Settings store
+ */
+function upgradeSettings(store) {
+  const stored = store.store;
+  const { data, applied, newer } = migrateSettings(stored);
+  if (newer) {
+    console.warn(`Settings were saved by a newer version of SwiftBeGone (schema ${stored.schema_version}, this version understands ${SCHEMA_VERSION}); leaving them as they are`);
+  }
+  // Data from a newer version may be valid in a way this version doesn't know
+  const invalid = newer ? [] : findInvalidSections(data);
+  if ((applied.length > 0 || invalid.length > 0) && Object.keys(stored).length > 0) {
+    console.log(`Backed up settings to ${backupStoreFile(store.path)}`);
+  }
+  if (applied.length > 0) {
+    console.log(`Migrated settings to schema ${SCHEMA_VERSION} (${applied.join(', ')})`);
+  }
+  for (const { section, message } of invalid) {
+    console.error(`Resetting invalid settings section ${section.join('.')}: ${message}`);
+  }
+
+  const upgraded = applySettingsDefaults(resetSections(data, invalid.map(({ section }) => section)));
+  if (JSON.stringify(upgraded) !== JSON.stringify(stored)) {
+    store.store = upgraded;
+  }
+}
+
+const store = openStore();
+upgradeSettings(store);
+
+module.exports = {
+  store,
+  openStore
+};
@@ -6,9 +6,7 @@
 const https = require('https');
 const { URL } = require('url');
 const { startOAuthServer, stopOAuthServer } = require('./oauthServer');
-const Store = require('electron-store');
-
-const store = new Store();
+const { store } = require('./settingsStore');
 
 const SPOTIFY_AUTH_URL = 'https://accounts.spotify.com/authorize';
 const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
@@ -256,6 +254,9 @@ async function getCurrentlyPlaying() {
     const trackInfo = {
       artists,
       track: trackName,
+      album: item.album ? item.album.name : '',
+      explicit: item.explicit === true,
+      durationMs: typeof item.duration_ms === 'number' ? item.duration_ms : null,
       isPlaying: response.data.is_playing === true
     };
     console.log(`Spotify playing: ${artists.join(', ')} — ${trackName}`);
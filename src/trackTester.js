@@ -0,0 +1,78 @@
+/**
+ * Tracks typed or pasted into the rule tester (Test a Track on the Patterns page)
+ *
+ * The tester runs made-up tracks through the compiled blocklist, so its input is
+ * read here into the shape the player integrations report. Pasted lines use the
+ * same "Artist - Title" reading as playlist and text imports (see splitSongName).
+ */
+
+const { CONDITION_SOURCES } = require('./blocklist');
+const { splitSongName } = require('./playlistFiles');
+
+// Most lines a pasted list is tested for
+const MAX_TEST_LINES = 500;
+
+/**
+ * Splits a tester artist field into separate artists, the way Spotify reports them
+ * @param {string|Array<string>} value - Artists separated by commas, or a list of artists
+ * @returns {Array<string>} - Trimmed, non-empty artist names
+ */
+function splitTestArtists(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return names
+    .filter(artist => typeof artist === 'string')
+    .map(artist => artist.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads a track from the tester fields
+ * @param {{artists?: string|Array<string>, track?: string, album?: string, composer?: string, explicit?: boolean, durationMs?: number, source?: string}} input - Tester fields
+ * @returns {{artists: Array<string>, track: string, album: string, composer: string, explicit: boolean|null, durationMs: number|null, source: string|null}} - Track to evaluate
+ */
+function readTestTrack(input = {}) {
+  const durationMs = Number(input.durationMs);
+  return {
+    artists: splitTestArtists(input.artists),
+    track: typeof input.track === 'string' ? input.track.trim() : '',
+    album: typeof input.album === 'string' ? input.album.trim() : '',
+    composer: typeof input.composer === 'string' ? input.composer.trim() : '',
+    explicit: typeof input.explicit === 'boolean' ? input.explicit : null,
+    durationMs: durationMs > 0 ? durationMs : null,
+    source: CONDITION_SOURCES.includes(input.source) ? input.source : null
+  };
+}
+
+/**
+ * Reads a pasted "Artist - Title" line; a line without a dash is a title by any
+ * artist, and several artists are separated by commas
+ * @param {string} line - Pasted line
+ * @returns {{artists: Array<string>, track: string}} - Artists and title
+ */
+function parseTestLine(line) {
+  const { artist, title } = splitSongName(String(line || ''));
+  return { artists: splitTestArtists(artist), track: title };
+}
+
+/**
+ * Reads the tracks of a pasted list, one per line
+ * @param {string} text - Pasted lines
+ * @param {{source?: string}} [options] - Player the tracks are tested as playing on
+ * @returns {Array<Object>} - Tracks to evaluate (as for readTestTrack), at most MAX_TEST_LINES
+ */
+function parseTestList(text, options = {}) {
+  return String(text || '')
+    .split(/\r\n|\r|\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .slice(0, MAX_TEST_LINES)
+    .map(line => readTestTrack({ ...parseTestLine(line), source: options.source }));
+}
+
+module.exports = {
+  MAX_TEST_LINES,
+  splitTestArtists,
+  readTestTrack,
+  parseTestLine,
+  parseTestList
+};
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDurationSeconds, parseContentRating } = require('../src/appleMusic');
+
+test('durations are read with either decimal separator and are unknown when missing', () => {
+  assert.equal(parseDurationSeconds('215.5\n'), 215500);
+  assert.equal(parseDurationSeconds('215,5'), 215500);
+  assert.equal(parseDurationSeconds('180'), 180000);
+  assert.equal(parseDurationSeconds(''), null);
+  assert.equal(parseDurationSeconds('missing value'), null);
+  assert.equal(parseDurationSeconds(undefined), null);
+});
+
+test('the explicit flag is unknown unless the Music app reports it', () => {
+  assert.equal(parseContentRating('true\n'), true);
+  assert.equal(parseContentRating('false'), false);
+  assert.equal(parseContentRating(''), null);
+  assert.equal(parseContentRating('missing value'), null);
+  assert.equal(parseContentRating(undefined), null);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  sanitizeBlockedList,
+  sanitizeBlockedTracks,
+  sanitizeBlockedPatterns,
+  compileBlocklist
+} = require('../src/blocklist');
+
+const ENTRY_COUNT = 10000;
+const PATTERN_COUNT = 200;
+const LOOKUP_COUNT = 1000;
+
+/**
+ * Builds a large blocklist resembling a heavily curated library.
+ * @returns {Object} Sanitized blocklist
+ */
+function buildLargeBlocklist() {
+  const artists = [];
+  const tracks = [];
+  const patterns = [];
+
+  for (let i = 0; i < ENTRY_COUNT; i++) {
+    artists.push(i % 10 === 0 ? { name: `Artist ${i}`, aliases: [`Alias ${i}`] } : `Artist ${i}`);
+    tracks.push({ track: `Song ${i}`, artist: `Band ${i}`, ...(i % 7 === 0 ? { allVersions: true } : {}) });
+  }
+  for (let i = 0; i < PATTERN_COUNT; i++) {
+    if (i % 4 === 0) {
+      patterns.push(`/^remix ${i}\\b/i`);
+    } else if (i % 4 === 1) {
+      patterns.push(`album:*collection ${i}*`);
+    } else {
+      patterns.push(`*phrase ${i}*`);
+    }
+  }
+
+  return {
+    artists: sanitizeBlockedList(artists),
+    tracks: sanitizeBlockedTracks(tracks),
+    patterns: sanitizeBlockedPatterns(patterns),
+    reverseMode: false,
+    blockCollaborations: true
+  };
+}
+
+/**
+ * Builds a mix of blocked and allowed now-playing tracks.
+ * @returns {Array<Object>} Tracks to evaluate
+ */
+function buildLookups() {
+  const lookups = [];
+  for (let i = 0; i < LOOKUP_COUNT; i++) {
+    const n = (i * 37) % (ENTRY_COUNT * 2);
+    switch (i % 5) {
+      case 0:
+        lookups.push({ artists: [`Alias ${n - (n % 10)}`], track: 'Anything', album: '' });
+        break;
+      case 1:
+        lookups.push({ artists: [`Band ${n}`], track: `Song ${n} (Live)`, album: '' });
+        break;
+      case 2:
+        lookups.push({ artists: ['Someone'], track: `Great phrase ${n % PATTERN_COUNT} here`, album: '' });
+        break;
+      case 3:
+        lookups.push({ artists: [`Nobody & Artist ${n}`], track: 'Duet', album: '' });
+        break;
+      default:
+        lookups.push({ artists: ['Unlisted'], track: `Unknown ${n}`, album: `Record ${n}` });
+    }
+  }
+  return lookups;
+}
+
+test('compiled blocklist handles 10k-entry lists quickly', () => {
+  const blocklist = buildLargeBlocklist();
+  const lookups = buildLookups();
+
+  const compileStart = process.hrtime.bigint();
+  const compiled = compileBlocklist(blocklist);
+  const compileMs = Number(process.hrtime.bigint() - compileStart) / 1e6;
+
+  const evalStart = process.hrtime.bigint();
+  const results = lookups.map(track => compiled.evaluate(track));
+  const evalMs = Number(process.hrtime.bigint() - evalStart) / 1e6;
+
+  // Generous bounds so slow CI machines pass; a linear scan per poll is far slower
+  assert.ok(compileMs < 2000, `compile took ${compileMs.toFixed(1)}ms`);
+  assert.ok(evalMs / LOOKUP_COUNT < 5, `evaluate averaged ${(evalMs / LOOKUP_COUNT).toFixed(3)}ms`);
+
+  assert.ok(results.some(result => result.blocked));
+  assert.ok(results.some(result => !result.blocked));
+});
+
+/**
+ * Works out from how buildLargeBlocklist and buildLookups number their entries
+ * whether a lookup should be blocked, without going through the matcher
+ * @param {Object} track - Lookup from buildLookups
+ * @returns {{blocked: boolean, reason: string|null, list?: string, index?: number}} Expected outcome
+ */
+function expectedOutcome(track) {
+  const number = (text) => Number(/\d+/.exec(text)[0]);
+  const [artist] = track.artists;
+  if (artist.startsWith('Alias ')) {
+    const n = number(artist);
+    return n < ENTRY_COUNT ? { blocked: true, reason: 'artist', list: 'artists', index: n } : { blocked: false, reason: null };
+  }
+  if (artist.startsWith('Band ')) {
+    const n = number(artist);
+    // Only allVersions entries block the live version
+    return n < ENTRY_COUNT && n % 7 === 0 ? { blocked: true, reason: 'track', list: 'tracks', index: n } : { blocked: false, reason: null };
+  }
+  if (track.track.includes('phrase')) {
+    // "*phrase 2*" also matches "phrase 20", so every glob is checked
+    const globs = [];
+    for (let i = 0; i < PATTERN_COUNT; i++) {
+      if (i % 4 >= 2) globs.push(i);
+    }
+    const index = globs.find(i => track.track.toLowerCase().includes(`phrase ${i}`));
+    return index === undefined ? { blocked: false, reason: null } : { blocked: true, reason: 'pattern', list: 'patterns', index };
+  }
+  if (artist.startsWith('Nobody & Artist ')) {
+    const n = number(artist);
+    return n < ENTRY_COUNT ? { blocked: true, reason: 'artist', list: 'artists', index: n } : { blocked: false, reason: null };
+  }
+  return { blocked: false, reason: null };
+}
+
+test('compiled blocklist gives the expected outcome for every lookup', () => {
+  const compiled = compileBlocklist(buildLargeBlocklist());
+  const lookups = buildLookups();
+  let blocked = 0;
+  for (const track of lookups) {
+    const result = compiled.evaluate(track);
+    const expected = expectedOutcome(track);
+    const label = `${track.artists.join(', ')} - ${track.track}`;
+    assert.equal(result.blocked, expected.blocked, label);
+    assert.equal(result.reason, expected.reason, label);
+    if (expected.blocked) {
+      assert.equal(result.match.list, expected.list, label);
+      assert.equal(result.match.index, expected.index, label);
+    }
+    if (expected.blocked) blocked++;
+  }
+  assert.ok(blocked > 0 && blocked < lookups.length);
+});
+
+test('compiled blocklist handles fixed lookups in large lists', () => {
+  const compiled = compileBlocklist(buildLargeBlocklist());
+  const cases = [
+    [{ artists: ['Alias 9990'], track: 'x', album: '' }, 'artist'],
+    [{ artists: ['Alias 10000'], track: 'x', album: '' }, null],
+    [{ artists: ['Band 14'], track: 'Song 14 - Remastered 2019', album: '' }, 'track'],
+    [{ artists: ['Band 15'], track: 'Song 15 (Live)', album: '' }, null],
+    [{ artists: ['Band 15'], track: 'Song 15', album: '' }, 'track'],
+    [{ artists: ['Someone'], track: 'REMIX 8 extended', album: '' }, 'pattern'],
+    [{ artists: ['Someone'], track: 'Remix 9', album: '' }, null],
+    [{ artists: ['Someone'], track: 'Intro', album: 'The Collection 5 Box' }, 'pattern'],
+    [{ artists: ['Someone'], track: 'Collection 5', album: '' }, null],
+    [{ artists: ['Artist 3 feat. Nobody'], track: 'Duet', album: '' }, 'artist']
+  ];
+  for (const [track, reason] of cases) {
+    assert.equal(compiled.evaluate(track).reason, reason, `${track.artists[0]} - ${track.track}`);
+  }
+});
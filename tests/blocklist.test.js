@@ -3,11 +3,32 @@ const assert = require('node:assert/strict');
 
 const {
   normalize,
+  foldText,
   sanitizeBlockedList,
+  findArtistEntryIndex,
   sanitizeBlockedTracks,
+  canonicalizeTitle,
   sanitizeBlockedPatterns,
+  sanitizeExceptions,
+  findSongExceptionIndex,
+  validatePattern,
+  parsePatternField,
+  parseArtistCredits,
+  extractFeaturedArtists,
+  isCollaborationBlocked,
+  compileBlocklist,
+  compileLayeredBlocklist,
+  setEntrySchedule,
+  setEntryExpiry,
+  setEntryFuzzy,
+  setEntryDryRun,
+  isEntryExpired,
+  validateCompositeRule,
+  sanitizeCompositeRules,
   isBlocked,
-  matchPattern
+  matchPattern,
+  addBlockedTrack,
+  findRuleIndex
 } = require('../src/blocklist');
 
 test('normalize trims, lowercases, and collapses whitespace', () => {
@@ -15,6 +36,28 @@ test('normalize trims, lowercases, and collapses whitespace', () => {
   assert.equal(normalize(null), '');
 });
 
+test('normalize folds accents, quotes, dashes, full-width and confusable characters', () => {
+  assert.equal(normalize('Beyoncé'), normalize('Beyonce'));
+  assert.equal(normalize('Don\u2019t Blame Me'), "don't blame me");
+  assert.equal(normalize('\uFF34\uFF41\uFF59\uFF4C\uFF4F\uFF52'), 'taylor');
+  assert.equal(normalize('Jay\u2014Z'), 'jay-z');
+  assert.equal(normalize('T\u0430ylor Swift'), 'taylor swift');
+  assert.equal(normalize('Mötley Crüe'), 'motley crue');
+  assert.equal(normalize('Sigur Rós'), 'sigur ros');
+});
+
+test('normalize keeps non-Latin names intact and is idempotent', () => {
+  assert.equal(normalize('\u041A\u0438\u043D\u043E'), '\u043A\u0438\u043D\u043E');
+  assert.equal(normalize('방탄소년단'), '방탄소년단');
+  for (const name of ['İstanbul', 'Ærøskøbing', 'ＴＡＹＬＯＲ', 'ポケモン']) {
+    assert.equal(normalize(normalize(name)), normalize(name));
+  }
+});
+
+test('foldText folds Unicode variants but preserves case', () => {
+  assert.equal(foldText('Beyoncé \u201CLive\u201D'), 'Beyonce "Live"');
+});
+
 test('sanitizeBlockedList removes blanks and duplicates', () => {
   assert.deepEqual(
     sanitizeBlockedList([' Taylor Swift ', '', 'taylor   swift', 'Gracie Abrams']),
@@ -22,6 +65,30 @@ test('sanitizeBlockedList removes blanks and duplicates', () => {
   );
 });
 
+test('sanitizeBlockedList keeps alias groups and merges duplicate names', () => {
+  assert.deepEqual(
+    sanitizeBlockedList([
+      { name: 'Pink', aliases: ['P!nk', 'pink', ''] },
+      'Taylor Swift',
+      { name: 'PINK', aliases: ['Alecia Moore'] },
+      { name: 'Gracie Abrams', aliases: [] },
+      { aliases: ['No Name'] }
+    ]),
+    [
+      { name: 'pink', aliases: ['p!nk', 'alecia moore'] },
+      'taylor swift',
+      'gracie abrams'
+    ]
+  );
+});
+
+test('findArtistEntryIndex matches primary names and aliases', () => {
+  const artists = ['taylor swift', { name: 'pink', aliases: ['p!nk'] }];
+  assert.equal(findArtistEntryIndex('P!NK', artists), 1);
+  assert.equal(findArtistEntryIndex('Taylor Swift', artists), 0);
+  assert.equal(findArtistEntryIndex('Pinkfong', artists), -1);
+});
+
 test('sanitizeBlockedTracks keeps valid track blocks and deduplicates them', () => {
   assert.deepEqual(
     sanitizeBlockedTracks([
@@ -38,6 +105,30 @@ test('sanitizeBlockedTracks keeps valid track blocks and deduplicates them', ()
   );
 });
 
+test('sanitizeBlockedTracks keeps the allVersions flag as part of the entry', () => {
+  assert.deepEqual(
+    sanitizeBlockedTracks([
+      { track: 'Love Story', allVersions: true },
+      { track: 'love story' },
+      { track: 'LOVE STORY', allVersions: true },
+      { track: 'Love Story', allVersions: 'yes' }
+    ]),
+    [
+      { track: 'love story', allVersions: true },
+      { track: 'love story' }
+    ]
+  );
+});
+
+test('canonicalizeTitle strips version, remaster, edit and feat suffixes', () => {
+  assert.equal(canonicalizeTitle("Love Story (Taylor's Version)"), 'love story');
+  assert.equal(canonicalizeTitle('Love Story - Remastered 2019'), 'love story');
+  assert.equal(canonicalizeTitle('Love Story [Radio Edit]'), 'love story');
+  assert.equal(canonicalizeTitle('Love Story (feat. Someone) [Live]'), 'love story');
+  assert.equal(canonicalizeTitle('Style (1989)'), 'style (1989)');
+  assert.equal(canonicalizeTitle('Shake It Off - Part 2'), 'shake it off - part 2');
+});
+
 test('sanitizeBlockedPatterns trims blanks and deduplicates exact patterns', () => {
   assert.deepEqual(
     sanitizeBlockedPatterns([' *Live ', '', '*Live', '*Acoustic']),
@@ -53,43 +144,719 @@ test('matchPattern supports exact, prefix, suffix, and contains matching', () =>
   assert.equal(matchPattern('*Live', 'Live at Wembley'), false);
 });
 
+test('matchPattern supports /regex/flags patterns', () => {
+  assert.equal(matchPattern('/\\(live( at .*)?\\)/i', 'Cruel Summer (Live at Wembley)'), true);
+  assert.equal(matchPattern('/\\(live( at .*)?\\)/i', 'Cruel Summer (LIVE)'), true);
+  assert.equal(matchPattern('/\\(\\d{4}\\)/', 'Style (1989)'), true);
+  assert.equal(matchPattern('/\\(Live\\)/', 'Style (live)'), false);
+  assert.equal(matchPattern('/(a+)+$/', 'aaaa'), false);
+});
+
+test('validatePattern rejects invalid and catastrophically backtracking regexes', () => {
+  assert.deepEqual(validatePattern('*live'), { valid: true });
+  assert.deepEqual(validatePattern('/remix$/i'), { valid: true });
+  assert.equal(validatePattern('/[unterminated/').valid, false);
+  assert.match(validatePattern('/live/g').error, /flag "g"/);
+  assert.match(validatePattern('/(a+)+$/').error, /backtrack/);
+  assert.match(validatePattern('/(\\w+\\s?)*$/').error, /backtrack/);
+  assert.equal(validatePattern('/(ab){3}/').valid, true);
+  assert.equal(validatePattern('**').valid, false);
+});
+
+test('validatePattern rejects repeated alternatives that can match the same text', () => {
+  for (const pattern of ['/(a|a)*b/', '/(a|aa)+$/', '/(\\w|\\d)+x/', '/(?:x(a|ab))*$/', '/(a?b|ac)+/', '/(|a)*b/']) {
+    assert.match(validatePattern(pattern).error, /backtrack/, pattern);
+    // Rejected patterns never run, so matching returns at once
+    assert.equal(matchPattern(pattern, 'a'.repeat(28)), false);
+  }
+  assert.equal(validatePattern('/(live|acoustic)+/i').valid, true);
+  assert.equal(validatePattern('/(\\(live\\)|-remix)*$/').valid, true);
+  assert.equal(validatePattern('/(a|a)b/').valid, true);
+  assert.equal(validatePattern('/[a|a]+/').valid, true);
+});
+
+test('sanitizeBlockedPatterns drops invalid patterns and reports why', () => {
+  const rejected = [];
+  assert.deepEqual(
+    sanitizeBlockedPatterns(['*live', '/(.*)*x/', '/[/', '/remix$/i'], rejected),
+    ['*live', '/remix$/i']
+  );
+  assert.deepEqual(rejected.map(r => r.pattern), ['/(.*)*x/', '/[/']);
+  assert.ok(rejected.every(r => typeof r.error === 'string' && r.error.length > 0));
+});
+
+test('parsePatternField reads field prefixes and defaults to track', () => {
+  assert.deepEqual(parsePatternField('artist:*tribute*'), { field: 'artist', body: '*tribute*' });
+  assert.deepEqual(parsePatternField('Album: *Christmas*'), { field: 'album', body: '*Christmas*' });
+  assert.deepEqual(parsePatternField('*remix'), { field: 'track', body: '*remix' });
+  assert.deepEqual(parsePatternField('Interlude: Intro'), { field: 'track', body: 'Interlude: Intro' });
+});
+
+test('sanitizeBlockedPatterns canonicalizes field prefixes and rejects empty bodies', () => {
+  const rejected = [];
+  assert.deepEqual(
+    sanitizeBlockedPatterns(['Artist: *Tribute*', 'album:', '*live'], rejected),
+    ['artist:*Tribute*', '*live']
+  );
+  assert.deepEqual(rejected.map(r => r.pattern), ['album:']);
+});
+
+test('isBlocked evaluates field-scoped patterns against their field', () => {
+  assert.deepEqual(
+    isBlocked(['The Tribute Band'], 'Shake It Off', [], [], ['artist:*tribute*'], false, false),
+    {
+      blocked: true,
+      reason: 'pattern',
+      match: { list: 'patterns', index: 0, rule: 'artist:*tribute*', field: 'artist', input: 'The Tribute Band', viaCollaboration: false }
+    }
+  );
+  assert.deepEqual(
+    isBlocked(['Somebody'], 'A Tribute', [], [], ['artist:*tribute*'], false, false),
+    { blocked: false, reason: null, match: null }
+  );
+  assert.deepEqual(
+    isBlocked(['Somebody'], 'Silent Night', [], [], ['album:*christmas*'], false, false, { album: 'A Very Christmas Album' }),
+    {
+      blocked: true,
+      reason: 'pattern',
+      match: { list: 'patterns', index: 0, rule: 'album:*christmas*', field: 'album', input: 'A Very Christmas Album', viaCollaboration: false }
+    }
+  );
+  assert.deepEqual(
+    isBlocked(['Somebody'], 'Silent Night', [], [], ['composer:/gruber/i'], false, false, { composer: 'Franz Xaver Gruber' }),
+    {
+      blocked: true,
+      reason: 'pattern',
+      match: { list: 'patterns', index: 0, rule: 'composer:/gruber/i', field: 'composer', input: 'Franz Xaver Gruber', viaCollaboration: false }
+    }
+  );
+  assert.deepEqual(
+    isBlocked(['Somebody'], 'Silent Night', [], [], ['album:*christmas*'], false, false),
+    { blocked: false, reason: null, match: null }
+  );
+});
+
+test('matching is consistent across Unicode variants', () => {
+  assert.deepEqual(
+    isBlocked('Beyonce', 'Halo', ['Beyoncé'], [], [], false, false),
+    {
+      blocked: true,
+      reason: 'artist',
+      match: { list: 'artists', index: 0, rule: 'Beyoncé', field: 'artist', input: 'Beyonce', viaCollaboration: false }
+    }
+  );
+  assert.deepEqual(
+    isBlocked('Somebody', 'Don\u2019t Blame Me', [], sanitizeBlockedTracks([{ track: "Don't Blame Me" }]), [], false, false),
+    {
+      blocked: true,
+      reason: 'track',
+      match: { list: 'tracks', index: 0, rule: { track: "don't blame me" }, field: 'track', input: 'Don\u2019t Blame Me', viaCollaboration: false }
+    }
+  );
+  // Entries stored before accent folding still match
+  assert.deepEqual(
+    isBlocked('Somebody', 'Café', [], [{ track: 'café' }], [], false, false),
+    {
+      blocked: true,
+      reason: 'track',
+      match: { list: 'tracks', index: 0, rule: { track: 'café' }, field: 'track', input: 'Café', viaCollaboration: false }
+    }
+  );
+  assert.equal(matchPattern('*cafe*', 'Café del Mar'), true);
+  assert.equal(matchPattern("/don't/i", 'Don\u2019t Stop'), true);
+  assert.equal(matchPattern('/beyoncé/i', 'BEYONCE'), true);
+});
+
 test('isBlocked prioritizes reverse, track, pattern, then artist rules', () => {
   assert.deepEqual(
     isBlocked('Other Artist', 'Any Song', ['Taylor Swift'], [], [], true, false),
-    { blocked: true, reason: 'reverse' }
+    { blocked: true, reason: 'reverse', match: null }
   );
 
   assert.deepEqual(
     isBlocked('Taylor Swift', 'Anti-Hero', ['Taylor Swift'], [{ artist: 'taylor swift', track: 'anti-hero' }], ['*hero'], false, false),
-    { blocked: true, reason: 'track' }
+    {
+      blocked: true,
+      reason: 'track',
+      match: { list: 'tracks', index: 0, rule: { artist: 'taylor swift', track: 'anti-hero' }, field: 'track', input: 'Anti-Hero', viaCollaboration: false }
+    }
   );
 
   assert.deepEqual(
     isBlocked('Allowed Artist', 'Acoustic Version', ['Taylor Swift'], [], ['*acoustic*'], false, false),
-    { blocked: true, reason: 'pattern' }
+    {
+      blocked: true,
+      reason: 'pattern',
+      match: { list: 'patterns', index: 0, rule: '*acoustic*', field: 'track', input: 'Acoustic Version', viaCollaboration: false }
+    }
   );
 
   assert.deepEqual(
     isBlocked('Taylor Swift', 'Unblocked Track', ['Taylor Swift'], [], [], false, false),
-    { blocked: true, reason: 'artist' }
+    {
+      blocked: true,
+      reason: 'artist',
+      match: { list: 'artists', index: 0, rule: 'Taylor Swift', field: 'artist', input: 'Taylor Swift', viaCollaboration: false }
+    }
   );
 });
 
 test('isBlocked can block collaborations by contained artist name', () => {
   assert.deepEqual(
     isBlocked(['Some Artist feat. Taylor Swift'], 'Collab Track', ['Taylor Swift'], [], [], false, true),
-    { blocked: true, reason: 'artist' }
+    {
+      blocked: true,
+      reason: 'artist',
+      match: { list: 'artists', index: 0, rule: 'Taylor Swift', field: 'artist', input: 'taylor swift', viaCollaboration: true }
+    }
+  );
+});
+
+test('parseArtistCredits splits joined credits into whole artist names', () => {
+  assert.deepEqual(parseArtistCredits('Taylor Swift feat. Ed Sheeran & Future'), ['taylor swift', 'ed sheeran', 'future']);
+  assert.deepEqual(parseArtistCredits('Calvin Harris x Dua Lipa'), ['calvin harris', 'dua lipa']);
+  assert.deepEqual(parseArtistCredits('Run-D.M.C. vs. Jason Nevins'), ['run-d.m.c.', 'jason nevins']);
+  assert.deepEqual(parseArtistCredits('Silk Sonic (Bruno Mars, Anderson .Paak)'), ['silk sonic', 'bruno mars', 'anderson .paak']);
+  assert.deepEqual(parseArtistCredits('Lana Del Rey ft. Taylor Swift'), ['lana del rey', 'taylor swift']);
+  assert.deepEqual(parseArtistCredits('Malcolm X'), ['malcolm x']);
+});
+
+test('extractFeaturedArtists reads featured credits from titles', () => {
+  assert.deepEqual(extractFeaturedArtists('Everything Has Changed (feat. Ed Sheeran)'), ['ed sheeran']);
+  assert.deepEqual(extractFeaturedArtists('Bad Blood [ft. Kendrick Lamar & Future]'), ['kendrick lamar', 'future']);
+  assert.deepEqual(extractFeaturedArtists('I Had Some Help (with Morgan Wallen)'), ['morgan wallen']);
+  assert.deepEqual(extractFeaturedArtists('Song - feat. Ava Max'), ['ava max']);
+  assert.deepEqual(extractFeaturedArtists('Live with the Band'), []);
+});
+
+test('isCollaborationBlocked matches whole credited names only', () => {
+  assert.equal(isCollaborationBlocked(['Avalanche'], ['Ava']), false);
+  assert.equal(isCollaborationBlocked(['Ava Max'], ['Ava']), false);
+  assert.equal(isCollaborationBlocked(['Swiftly & Co'], ['Swift']), false);
+  assert.equal(isCollaborationBlocked(['Lana Del Rey feat. Ava'], ['Ava']), true);
+  assert.equal(isCollaborationBlocked(['Simon & Garfunkel'], ['Simon & Garfunkel']), true);
+  assert.equal(isCollaborationBlocked(['Ed Sheeran'], ['Taylor Swift'], 'Perfect (Acoustic)'), false);
+  assert.equal(isCollaborationBlocked(['Taylor Swift'], ['Ed Sheeran'], 'Everything Has Changed (feat. Ed Sheeran)'), true);
+});
+
+test('track blocks match all versions only when allVersions is set', () => {
+  const allVersions = [{ artist: 'taylor swift', track: 'love story', allVersions: true }];
+  for (const title of ["Love Story (Taylor's Version)", 'Love Story - Remastered 2019', 'Love Story [Radio Edit]']) {
+    assert.deepEqual(
+      isBlocked('Taylor Swift', title, [], allVersions, [], false, false),
+      { blocked: true, reason: 'track', match: { list: 'tracks', index: 0, rule: allVersions[0], field: 'track', input: title, viaCollaboration: false } }
+    );
+  }
+
+  const specificVersion = [{ track: "love story (taylor's version)" }];
+  assert.deepEqual(
+    isBlocked('Taylor Swift', "Love Story (Taylor's Version)", [], specificVersion, [], false, false),
+    {
+      blocked: true,
+      reason: 'track',
+      match: { list: 'tracks', index: 0, rule: specificVersion[0], field: 'track', input: "Love Story (Taylor's Version)", viaCollaboration: false }
+    }
+  );
+  assert.deepEqual(
+    isBlocked('Taylor Swift', 'Love Story', [], specificVersion, [], false, false),
+    { blocked: false, reason: null, match: null }
+  );
+});
+
+test('addBlockedTrack upgrades an exact-version block to all versions', () => {
+  const exact = { artist: 'taylor swift', track: 'love story', expiresAt: 5000 };
+  const upgraded = addBlockedTrack([exact], { artist: 'taylor swift', track: 'love story', allVersions: true });
+  assert.deepEqual(upgraded, { tracks: [{ artist: 'taylor swift', track: 'love story', allVersions: true }], change: 'upgraded' });
+  assert.deepEqual(exact, { artist: 'taylor swift', track: 'love story', expiresAt: 5000 });
+  assert.equal(addBlockedTrack([exact], { artist: 'taylor swift', track: 'love story', allVersions: true, expiresAt: 9000 }).tracks[0].expiresAt, 9000);
+
+  const all = [{ track: 'love story', allVersions: true }];
+  assert.equal(addBlockedTrack(all, { artist: 'taylor swift', track: "love story (taylor's version)" }).change, null);
+  assert.equal(addBlockedTrack(all, { track: 'love story - live', allVersions: true }).change, null);
+  assert.equal(addBlockedTrack([{ artist: 'taylor swift', track: 'love story' }], { artist: 'taylor swift', track: 'love story', expiresAt: 5000 }).change, null);
+
+  // Scheduled, dry-run and shorter temporary blocks don't stop a lasting, live block being added
+  for (const other of [{ track: 'hello', dryRun: true }, { track: 'hello', schedule: { days: [0] } }, { track: 'hello', expiresAt: 5000 }]) {
+    assert.deepEqual(addBlockedTrack([other], { track: 'hello' }), { tracks: [other, { track: 'hello' }], change: 'added' }, JSON.stringify(other));
+  }
+  assert.equal(addBlockedTrack([{ track: 'hello', expiresAt: 5000 }], { track: 'hello', expiresAt: 9000 }).change, 'added');
+  assert.equal(addBlockedTrack([{ track: 'hello', expiresAt: 9000 }], { track: 'hello', expiresAt: 5000 }).change, null);
+  assert.deepEqual(sanitizeBlockedTracks(addBlockedTrack([{ track: 'hello', expiresAt: 5000 }], { track: 'hello' }).tracks), [{ track: 'hello' }]);
+
+  // Entries that don't always block the song, or block it for any artist, get a new entry
+  for (const other of [{ track: 'love story' }, { ...exact, dryRun: true }, { ...exact, schedule: { days: [0] } }]) {
+    const result = addBlockedTrack([other], { artist: 'taylor swift', track: 'love story', allVersions: true });
+    assert.deepEqual(result, { tracks: [other, { artist: 'taylor swift', track: 'love story', allVersions: true }], change: 'added' });
+  }
+});
+
+test('findRuleIndex finds a rule by its identity after its options change', () => {
+  const artists = ['adele', { name: 'drake', expiresAt: 5000 }];
+  assert.equal(findRuleIndex('artists', artists, 'drake', 0), 1);
+  assert.equal(findRuleIndex('artists', artists, { name: 'Adele', dryRun: true }, 5), 0);
+
+  const tracks = [{ track: 'hello' }, { artist: 'adele', track: 'hello', allVersions: true, schedule: { days: [0] } }];
+  assert.equal(findRuleIndex('tracks', tracks, { artist: 'adele', track: 'hello' }), 1);
+  assert.equal(findRuleIndex('tracks', tracks, { track: 'hello', dryRun: true }, 1), 0);
+  assert.equal(findRuleIndex('tracks', tracks, { artist: 'sia', track: 'hello' }), -1);
+
+  assert.equal(findRuleIndex('patterns', ['*demo*', { pattern: '*live*', dryRun: true }], '*live*'), 1);
+  assert.equal(findRuleIndex('exceptions', [{ track: 'live' }, { pattern: 'live' }], { pattern: 'live', schedule: { days: [1] } }), 1);
+  const rules = [{ name: 'Long live', when: { field: 'title', op: 'contains', value: 'live' }, expiresAt: 5000 }];
+  assert.equal(findRuleIndex('rules', rules, { name: 'Long live', when: rules[0].when }), 0);
+  assert.equal(findRuleIndex('artists', 'adele', 'adele'), -1);
+});
+
+test('alias groups apply to artist, collaboration and reverse-mode checks', () => {
+  const artists = [{ name: 'pink', aliases: ['p!nk'] }];
+  assert.deepEqual(
+    isBlocked('P!nk', 'So What', artists, [], [], false, false),
+    {
+      blocked: true,
+      reason: 'artist',
+      match: { list: 'artists', index: 0, rule: artists[0], field: 'artist', input: 'P!nk', viaCollaboration: false }
+    }
+  );
+  assert.deepEqual(
+    isBlocked(['Nate Ruess feat. P!nk'], 'Just Give Me a Reason', artists, [], [], false, true),
+    {
+      blocked: true,
+      reason: 'artist',
+      match: { list: 'artists', index: 0, rule: artists[0], field: 'artist', input: 'p!nk', viaCollaboration: true }
+    }
+  );
+  assert.deepEqual(
+    isBlocked('P!nk', 'So What', artists, [], [], true, false),
+    { blocked: false, reason: null, match: null }
   );
 });
 
 test('reverse mode allows listed artists but still applies track and pattern blocks', () => {
   assert.deepEqual(
     isBlocked('Taylor Swift', 'Clean', ['Taylor Swift'], [], [], true, false),
-    { blocked: false, reason: null }
+    { blocked: false, reason: null, match: null }
   );
 
   assert.deepEqual(
     isBlocked('Taylor Swift', 'Clean Live', ['Taylor Swift'], [], ['*live'], true, false),
-    { blocked: true, reason: 'pattern' }
+    {
+      blocked: true,
+      reason: 'pattern',
+      match: { list: 'patterns', index: 0, rule: '*live', field: 'track', input: 'Clean Live', viaCollaboration: false }
+    }
+  );
+});
+
+test('compileBlocklist explains which entry caused a block', () => {
+  const compiled = compileBlocklist({
+    artists: ['ed sheeran', { name: 'pink', aliases: ['p!nk'] }],
+    tracks: [{ track: 'shake it off' }, { artist: 'taylor swift', track: 'love story', allVersions: true }],
+    patterns: ['*acoustic*', 'album:*live*'],
+    blockCollaborations: true
+  });
+
+  assert.deepEqual(
+    compiled.evaluate({ artists: ['Taylor Swift'], track: 'Love Story - Remastered', album: 'Fearless' }).match,
+    { list: 'tracks', index: 1, rule: { artist: 'taylor swift', track: 'love story', allVersions: true }, field: 'track', input: 'Love Story - Remastered', viaCollaboration: false }
+  );
+  assert.deepEqual(
+    compiled.evaluate({ artists: ['Someone'], track: 'Intro', album: 'Live in Paris' }).match,
+    { list: 'patterns', index: 1, rule: 'album:*live*', field: 'album', input: 'Live in Paris', viaCollaboration: false }
+  );
+  assert.deepEqual(
+    compiled.evaluate({ artists: ['Taylor Swift'], track: 'Everything Has Changed (feat. Ed Sheeran)' }).match,
+    { list: 'artists', index: 0, rule: 'ed sheeran', field: 'artist', input: 'ed sheeran', viaCollaboration: true }
+  );
+  assert.equal(compiled.evaluate({ artists: ['Someone'], track: 'Intro' }).match, null);
+});
+
+test('sanitizeExceptions normalizes songs and validates patterns', () => {
+  const rejected = [];
+  assert.deepEqual(
+    sanitizeExceptions([
+      { artist: ' Taylor Swift ', track: 'Shake It Off' },
+      { track: 'shake it off', artist: 'taylor swift' },
+      { track: 'Style' },
+      { pattern: 'Album: *live*' },
+      { pattern: '/(a+)+/' },
+      { artist: 'Nobody' },
+      'not an entry'
+    ], rejected),
+    [
+      { track: 'shake it off', artist: 'taylor swift' },
+      { track: 'style' },
+      { pattern: 'album:*live*' }
+    ]
+  );
+  assert.deepEqual(rejected.map(r => r.pattern), ['/(a+)+/']);
+});
+
+test('exceptions override every block stage', () => {
+  const exceptions = [
+    { artist: 'taylor swift', track: 'style' },
+    { track: 'anti-hero' },
+    { pattern: '/^bad blood \\(remix\\)$/i' }
+  ];
+
+  assert.deepEqual(
+    isBlocked('Taylor Swift', 'Style', ['Taylor Swift'], [], [], false, false, {}, exceptions),
+    { blocked: false, reason: 'exception', match: { list: 'exceptions', index: 0, rule: exceptions[0], field: 'track', input: 'Style', viaCollaboration: false } }
+  );
+  assert.equal(isBlocked('Taylor Swift', 'Blank Space', ['Taylor Swift'], [], [], false, false, {}, exceptions).blocked, true);
+  // Artist-scoped exceptions only apply to that artist
+  assert.equal(isBlocked('Someone', 'Style', [], [{ track: 'style' }], [], false, false, {}, exceptions).blocked, true);
+  assert.equal(isBlocked('Someone', 'Anti-Hero', [], [{ track: 'anti-hero' }], [], false, false, {}, exceptions).blocked, false);
+  assert.equal(isBlocked('Taylor Swift', 'Bad Blood (Remix)', [], [], ['*remix*'], false, false, {}, exceptions).blocked, false);
+  assert.equal(isBlocked('Taylor Swift', 'Style (Remix)', [], [], ['*remix*'], false, false, {}, exceptions).blocked, true);
+  assert.equal(isBlocked('Other Artist', 'Anti-Hero', ['Taylor Swift'], [], [], true, false, {}, exceptions).blocked, false);
+});
+
+test('findSongExceptionIndex matches song exceptions by title and optional artist', () => {
+  const exceptions = [{ pattern: '*live*' }, { track: 'style', artist: 'taylor swift' }, { track: 'anti-hero' }];
+  assert.equal(findSongExceptionIndex('Taylor Swift', 'Style', exceptions), 1);
+  assert.equal(findSongExceptionIndex('Someone', 'Style', exceptions), -1);
+  assert.equal(findSongExceptionIndex('Someone', 'ANTI-HERO', exceptions), 2);
+  assert.equal(findSongExceptionIndex('Someone', 'Live Song', exceptions), -1);
+});
+
+test('song exceptions allow tracks credited to several artists', () => {
+  const credits = ['Taylor Swift', 'Ed Sheeran'];
+  // As stored by "Always Allow": the primary artist, or the joined credit from earlier versions
+  for (const exception of [{ artist: 'Taylor Swift', track: 'End Game' }, { artist: 'Taylor Swift, Ed Sheeran', track: 'End Game' }]) {
+    const result = isBlocked(credits, 'End Game', ['Taylor Swift'], [], [], false, false, {}, [exception]);
+    assert.equal(result.blocked, false);
+    assert.equal(result.reason, 'exception');
+    assert.equal(findSongExceptionIndex(credits, 'End Game', [exception]), 0);
+  }
+  assert.equal(isBlocked(credits, 'Style', ['Taylor Swift'], [], [], false, false, {}, [{ artist: 'Taylor Swift', track: 'End Game' }]).blocked, true);
+});
+
+test('explicit filter blocks only tracks flagged explicit', () => {
+  assert.deepEqual(
+    isBlocked('Somebody', 'Song', [], [], [], false, false, { explicit: true }, [], true),
+    { blocked: true, reason: 'explicit', match: null }
+  );
+  assert.equal(isBlocked('Somebody', 'Song', [], [], [], false, false, { explicit: false }, [], true).blocked, false);
+  // Unknown ratings are not treated as explicit
+  assert.equal(isBlocked('Somebody', 'Song', [], [], [], false, false, { explicit: null }, [], true).blocked, false);
+  assert.equal(isBlocked('Somebody', 'Song', [], [], [], false, false, { explicit: true }, [], false).blocked, false);
+  // Exceptions still win
+  assert.equal(isBlocked('Somebody', 'Song', [], [], [], false, false, { explicit: true }, [{ track: 'song' }], true).blocked, false);
+});
+
+test('duration limits block tracks that are too short or too long', () => {
+  const limits = { minMs: 60 * 1000, maxMs: 10 * 60 * 1000 };
+  const check = (durationMs, durationLimits = limits) =>
+    isBlocked('Somebody', 'Song', [], [], [], false, false, { durationMs }, [], false, durationLimits);
+
+  assert.deepEqual(check(45 * 1000), { blocked: true, reason: 'duration', match: null });
+  assert.equal(check(20 * 60 * 1000).reason, 'duration');
+  assert.equal(check(3 * 60 * 1000).blocked, false);
+  assert.equal(check(60 * 1000).blocked, false);
+  // Unknown durations and disabled limits never block
+  assert.equal(check(null).blocked, false);
+  assert.equal(check(0).blocked, false);
+  assert.equal(check(45 * 1000, { minMs: 0, maxMs: 0 }).blocked, false);
+  assert.equal(check(20 * 60 * 1000, { minMs: 60 * 1000 }).blocked, false);
+});
+
+test('scheduled rules only apply while their schedule is active', () => {
+  const workHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  const outsideDecember = { from: '01-01', to: '11-30' };
+  const blocklist = {
+    artists: sanitizeBlockedList([{ name: 'Heavy Band', schedule: workHours }]),
+    tracks: [],
+    patterns: sanitizeBlockedPatterns([{ pattern: '*christmas*', schedule: outsideDecember }])
+  };
+  // 2026-03-02 is a Monday
+  const mondayNoon = compileBlocklist({ ...blocklist, now: new Date(2026, 2, 2, 12, 0) });
+  assert.equal(mondayNoon.evaluate({ artists: ['Heavy Band'], track: 'Loud' }).blocked, true);
+  assert.equal(mondayNoon.evaluate({ artists: ['Choir'], track: 'Christmas Song' }).match.index, 0);
+  assert.equal(mondayNoon.validUntil, new Date(2026, 2, 2, 17, 0).getTime());
+
+  const saturdayInDecember = compileBlocklist({ ...blocklist, now: new Date(2026, 11, 5, 12, 0) });
+  assert.equal(saturdayInDecember.evaluate({ artists: ['Heavy Band'], track: 'Loud' }).blocked, false);
+  assert.equal(saturdayInDecember.evaluate({ artists: ['Choir'], track: 'Christmas Song' }).blocked, false);
+});
+
+test('a blocklist schedule turns every rule off outside its window', () => {
+  const blocklist = {
+    artists: ['Somebody'],
+    skipExplicit: true,
+    schedules: { blocklist: { days: [1, 2, 3, 4, 5] } }
+  };
+  const weekend = compileBlocklist({ ...blocklist, now: new Date(2026, 2, 7, 12, 0) });
+  assert.deepEqual(weekend.evaluate({ artists: ['Somebody'], track: 'Song', explicit: true }), { blocked: false, reason: null, match: null });
+  const weekday = compileBlocklist({ ...blocklist, now: new Date(2026, 2, 9, 12, 0) });
+  assert.equal(weekday.evaluate({ artists: ['Nobody'], track: 'Song', explicit: true }).reason, 'explicit');
+  assert.equal(compileBlocklist({ artists: ['Somebody'] }).validUntil, null);
+});
+
+test('setEntrySchedule attaches and removes schedules', () => {
+  const schedule = { days: [0, 6] };
+  assert.deepEqual(setEntrySchedule('artists', 'Somebody', schedule), { name: 'Somebody', schedule });
+  assert.equal(setEntrySchedule('artists', { name: 'Somebody', schedule }, null), 'Somebody');
+  assert.deepEqual(setEntrySchedule('patterns', '*live*', schedule), { pattern: '*live*', schedule });
+  assert.equal(setEntrySchedule('patterns', { pattern: '*live*', schedule }, null), '*live*');
+  assert.deepEqual(setEntrySchedule('tracks', { track: 'Song', schedule }, null), { track: 'Song' });
+});
+
+test('sanitizers keep expiry timestamps and merge duplicates', () => {
+  assert.deepEqual(
+    sanitizeBlockedList([{ name: 'Somebody', expiresAt: 1000 }, { name: 'somebody', expiresAt: 5000 }, 'Other', { name: 'Other', expiresAt: 1000 }]),
+    [{ name: 'somebody', expiresAt: 5000 }, 'other']
+  );
+  assert.deepEqual(sanitizeBlockedTracks([{ track: 'Song', expiresAt: '2000' }]), [{ track: 'song', expiresAt: 2000 }]);
+  assert.deepEqual(sanitizeBlockedPatterns([{ pattern: '*live*', expiresAt: 2000 }, { pattern: '*demo*', expiresAt: -1 }]), [{ pattern: '*live*', expiresAt: 2000 }, '*demo*']);
+  assert.deepEqual(
+    sanitizeBlockedTracks([{ track: 'Song', expiresAt: 1000 }, { track: 'song', expiresAt: 5000 }, { track: 'Other', expiresAt: 1000 }, { track: 'Other' }, { track: 'Other', expiresAt: 9000 }]),
+    [{ track: 'song', expiresAt: 5000 }, { track: 'other' }]
+  );
+  assert.deepEqual(
+    sanitizeBlockedPatterns([{ pattern: '*live*', expiresAt: 1000 }, { pattern: '*live*', expiresAt: 5000 }, { pattern: '*demo*', expiresAt: 1000 }, '*demo*', { pattern: '*demo*', expiresAt: 9000 }]),
+    [{ pattern: '*live*', expiresAt: 5000 }, '*demo*']
+  );
+  assert.deepEqual(
+    sanitizeBlockedPatterns([{ pattern: '*live*', expiresAt: 1000, dryRun: true }, { pattern: '*live*', dryRun: true }]),
+    [{ pattern: '*live*', dryRun: true }]
+  );
+});
+
+test('a live duplicate takes a rule out of dry-run mode in every list', () => {
+  assert.deepEqual(sanitizeBlockedList([{ name: 'Adele', dryRun: true }, 'Adele']), ['adele']);
+  assert.deepEqual(sanitizeBlockedPatterns([{ pattern: '*live', dryRun: true }, '*live']), ['*live']);
+  assert.deepEqual(sanitizeBlockedPatterns([{ pattern: '*live', dryRun: true, expiresAt: 5000 }, { pattern: '*live', expiresAt: 1000 }]), [{ pattern: '*live', expiresAt: 5000 }]);
+  assert.deepEqual(sanitizeBlockedTracks([{ track: 'x', dryRun: true }, { track: 'x' }]), [{ track: 'x' }]);
+
+  assert.deepEqual(sanitizeBlockedList([{ name: 'Adele', dryRun: true }, { name: 'adele', dryRun: true }]), [{ name: 'adele', dryRun: true }]);
+  assert.deepEqual(sanitizeBlockedPatterns([{ pattern: '*live', dryRun: true }, { pattern: '*live', dryRun: true }]), [{ pattern: '*live', dryRun: true }]);
+  assert.deepEqual(sanitizeBlockedTracks([{ track: 'x', dryRun: true }, { track: 'X', dryRun: true }]), [{ track: 'x', dryRun: true }]);
+});
+
+test('expired entries stop matching and bound validUntil', () => {
+  const now = new Date(2026, 2, 2, 12, 0);
+  const hour = 60 * 60 * 1000;
+  const compiled = compileBlocklist({
+    artists: [{ name: 'Old News', expiresAt: now.getTime() - hour }, { name: 'This Week', expiresAt: now.getTime() + hour }],
+    tracks: [{ track: 'Stale', expiresAt: now.getTime() - 1 }],
+    patterns: [{ pattern: '*gone*', expiresAt: now.getTime() }],
+    now
+  });
+  assert.equal(compiled.evaluate({ artists: ['Old News'], track: 'Song' }).blocked, false);
+  assert.equal(compiled.evaluate({ artists: ['This Week'], track: 'Song' }).blocked, true);
+  assert.equal(compiled.evaluate({ artists: ['Someone'], track: 'Stale' }).blocked, false);
+  assert.equal(compiled.evaluate({ artists: ['Someone'], track: 'Long gone' }).blocked, false);
+  assert.equal(compiled.validUntil, now.getTime() + hour);
+});
+
+test('setEntryExpiry makes entries temporary or permanent', () => {
+  assert.deepEqual(setEntryExpiry('artists', 'Somebody', 5000), { name: 'Somebody', expiresAt: 5000 });
+  assert.equal(setEntryExpiry('artists', { name: 'Somebody', expiresAt: 5000 }, null), 'Somebody');
+  assert.equal(setEntryExpiry('patterns', { pattern: '*live*', expiresAt: 5000 }, null), '*live*');
+  assert.deepEqual(
+    setEntryExpiry('patterns', { pattern: '*live*', schedule: { days: [0, 6] }, expiresAt: 5000 }, null),
+    { pattern: '*live*', schedule: { days: [0, 6] } }
   );
+  assert.equal(isEntryExpired({ track: 'Song', expiresAt: 5000 }, 5000), true);
+  assert.equal(isEntryExpired({ track: 'Song', expiresAt: 5000 }, 4999), false);
+  assert.equal(isEntryExpired('Somebody', 5000), false);
+});
+
+test('validateCompositeRule checks fields, operators and values', () => {
+  assert.deepEqual(validateCompositeRule({ when: { field: 'artist', op: 'is', value: 'X' } }), { valid: true });
+  assert.equal(validateCompositeRule({ when: { all: [] } }).valid, false);
+  assert.equal(validateCompositeRule({ when: { field: 'genre', op: 'is', value: 'Rock' } }).valid, false);
+  assert.equal(validateCompositeRule({ when: { field: 'duration', op: 'is', value: 60 } }).valid, false);
+  assert.equal(validateCompositeRule({ when: { field: 'source', op: 'is', value: 'tidal' } }).valid, false);
+  assert.equal(validateCompositeRule({ when: { field: 'track', op: 'matches', value: '/(a+)+/' } }).valid, false);
+  assert.equal(validateCompositeRule({ name: 'No condition' }).valid, false);
+});
+
+test('sanitizeCompositeRules trims values, collapses double negation and drops invalid rules', () => {
+  const rejected = [];
+  assert.deepEqual(
+    sanitizeCompositeRules([
+      { name: '  Acoustic X ', when: { all: [{ field: 'artist', op: 'is', value: ' X ' }, { not: { not: { field: 'track', op: 'matches', value: '*acoustic*' } } }] } },
+      { when: { field: 'explicit', op: 'is', value: 'yes' } }
+    ], rejected),
+    [{ name: 'Acoustic X', when: { all: [{ field: 'artist', op: 'is', value: 'X' }, { field: 'track', op: 'matches', value: '*acoustic*' }] } }]
+  );
+  assert.equal(rejected.length, 1);
+});
+
+test('composite rules combine conditions with AND, OR and NOT', () => {
+  const rules = [
+    { name: 'Acoustic X', when: { all: [{ field: 'artist', op: 'is', value: 'X' }, { field: 'track', op: 'matches', value: '*acoustic*' }] } },
+    { name: 'Remixes except Y', when: { all: [{ field: 'track', op: 'matches', value: '*remix*' }, { not: { field: 'artist', op: 'is', value: 'Y' } }] } },
+    { name: 'Short Spotify or explicit album tracks', when: { any: [
+      { all: [{ field: 'source', op: 'is', value: 'spotify' }, { field: 'duration', op: 'lt', value: 60 }] },
+      { all: [{ field: 'album', op: 'is', value: 'Live' }, { field: 'explicit', op: 'is', value: true }] }
+    ] } }
+  ];
+  const compiled = compileBlocklist({ rules });
+
+  assert.deepEqual(compiled.evaluate({ artists: ['X'], track: 'Song (Acoustic)' }), {
+    blocked: true,
+    reason: 'rule',
+    match: { list: 'rules', index: 0, rule: rules[0], field: null, input: null, viaCollaboration: false }
+  });
+  assert.equal(compiled.evaluate({ artists: ['X'], track: 'Song' }).blocked, false);
+  // Artist "is" also checks collaboration credits
+  assert.equal(compiled.evaluate({ artists: ['Z feat. X'], track: 'Acoustic Song' }).blocked, true);
+  assert.equal(compiled.evaluate({ artists: ['Z'], track: 'Song (Remix)' }).match.index, 1);
+  assert.equal(compiled.evaluate({ artists: ['Y'], track: 'Song (Remix)' }).blocked, false);
+  assert.equal(compiled.evaluate({ artists: ['Z'], track: 'Intro', source: 'spotify', durationMs: 30000 }).match.index, 2);
+  assert.equal(compiled.evaluate({ artists: ['Z'], track: 'Intro', source: 'apple-music', durationMs: 30000 }).blocked, false);
+  // Unknown durations never count as short
+  assert.equal(compiled.evaluate({ artists: ['Z'], track: 'Intro', source: 'spotify' }).blocked, false);
+  assert.equal(compiled.evaluate({ artists: ['Z'], track: 'Song', album: 'live', explicit: true }).match.index, 2);
+  // Exceptions still win over composite rules
+  assert.equal(compileBlocklist({ rules, exceptions: [{ track: 'song (acoustic)' }] }).evaluate({ artists: ['X'], track: 'Song (Acoustic)' }).reason, 'exception');
+});
+
+test('composite rule schema describes every field and operator the validator accepts', () => {
+  const schema = require('../src/compositeRule.schema.json');
+  const { CONDITION_OPERATORS } = require('../src/blocklist');
+  const tests = ['textTest', 'durationTest', 'sourceTest', 'explicitTest'].map(name => schema.definitions[name].properties);
+  for (const [field, operators] of Object.entries(CONDITION_OPERATORS)) {
+    const definition = tests.find(properties => (properties.field.enum || [properties.field.const]).includes(field));
+    assert.ok(definition, `schema has no test for ${field}`);
+    assert.deepEqual(definition.op.enum || [definition.op.const], operators);
+  }
+});
+
+test('fuzzy artist and track rules match typos but exact rules do not', () => {
+  const matcher = compileBlocklist({
+    artists: [{ name: 'Taylor Swfit', fuzzy: 0.85 }, 'The Weeknd'],
+    tracks: [{ artist: 'Adele', track: 'Somone Like You', fuzzy: true }]
+  });
+
+  const artistResult = matcher.evaluate({ artists: ['Taylor Swift'], track: 'Shake It Off' });
+  assert.equal(artistResult.reason, 'artist');
+  assert.equal(artistResult.match.index, 0);
+  assert.ok(artistResult.match.similarity > 0.9 && artistResult.match.similarity < 1);
+
+  assert.equal(matcher.evaluate({ artists: ['The Weekend'], track: 'Blinding Lights' }).blocked, false);
+  assert.equal(matcher.evaluate({ artists: ['Taylor Dayne'], track: 'Tell It to My Heart' }).blocked, false);
+
+  const trackResult = matcher.evaluate({ artists: ['ADELE'], track: 'Someone Like You' });
+  assert.equal(trackResult.reason, 'track');
+  assert.ok(trackResult.match.similarity < 1);
+  assert.equal(matcher.evaluate({ artists: ['Lionel Richie'], track: 'Someone Like You' }).blocked, false);
+
+  // Exact matches don't report a similarity
+  assert.equal(matcher.evaluate({ artists: ['The Weeknd'], track: 'Starboy' }).match.similarity, undefined);
+});
+
+test('fuzzy artist rules also match collaboration credits', () => {
+  const matcher = compileBlocklist({ artists: [{ name: 'Taylor Swfit', fuzzy: 0.85 }], blockCollaborations: true });
+  const result = matcher.evaluate({ artists: ['Ed Sheeran & Taylor Swift'], track: 'The Joker and the Queen' });
+  assert.equal(result.reason, 'artist');
+  assert.equal(result.match.viaCollaboration, true);
+});
+
+test('sanitizers keep fuzzy thresholds and setEntryFuzzy toggles them', () => {
+  assert.deepEqual(sanitizeBlockedList([{ name: 'Taylor Swfit', fuzzy: true }, { name: 'Adele', fuzzy: 2 }]), [
+    { name: 'taylor swfit', fuzzy: 0.85 },
+    'adele'
+  ]);
+  assert.deepEqual(sanitizeBlockedTracks([{ track: 'Love Story', fuzzy: 0.5 }]), [{ track: 'love story', fuzzy: 0.75 }]);
+  assert.deepEqual(setEntryFuzzy('artists', 'adele', 0.9), { name: 'adele', fuzzy: 0.9 });
+  assert.equal(setEntryFuzzy('artists', { name: 'adele', fuzzy: 0.9 }, null), 'adele');
+});
+
+test('layered blocklists block when any layer blocks and report that layer', () => {
+  const matcher = compileLayeredBlocklist([
+    { id: 'work', name: 'Work', artists: ['Taylor Swift'] },
+    { id: 'kids', name: 'Kids', artists: ['Eminem', 'Taylor Swift'] }
+  ]);
+  const swift = matcher.evaluate({ artists: ['Taylor Swift'], track: 'Style' });
+  assert.equal(swift.reason, 'artist');
+  assert.deepEqual(swift.layer, { id: 'work', name: 'Work' });
+  assert.deepEqual(matcher.evaluate({ artists: ['Eminem'], track: 'Stan' }).layer, { id: 'kids', name: 'Kids' });
+  assert.deepEqual(matcher.evaluate({ artists: ['Adele'], track: 'Hello' }), { blocked: false, reason: null, match: null, layer: null });
+});
+
+test('a layer\'s exceptions only lift that layer\'s blocks', () => {
+  const matcher = compileLayeredBlocklist([
+    { id: 'work', name: 'Work', artists: ['Taylor Swift'], exceptions: [{ track: 'style' }] },
+    { id: 'kids', name: 'Kids', tracks: [{ track: 'style' }] }
+  ]);
+  const style = matcher.evaluate({ artists: ['Taylor Swift'], track: 'Style' });
+  assert.equal(style.blocked, true);
+  assert.equal(style.reason, 'track');
+  assert.equal(style.layer.id, 'kids');
+
+  const shakeItOff = compileLayeredBlocklist([
+    { id: 'work', name: 'Work', artists: ['Taylor Swift'], exceptions: [{ track: 'shake it off' }] },
+    { id: 'kids', name: 'Kids', artists: ['Eminem'] }
+  ]).evaluate({ artists: ['Taylor Swift'], track: 'Shake It Off' });
+  assert.equal(shakeItOff.blocked, false);
+  assert.equal(shakeItOff.reason, 'exception');
+  assert.equal(shakeItOff.layer.id, 'work');
+});
+
+test('layered blocklists stay valid until the first layer changes', () => {
+  const now = new Date(2026, 2, 2, 12, 0);
+  const hour = 60 * 60 * 1000;
+  const matcher = compileLayeredBlocklist([
+    { id: 'work', name: 'Work', artists: [{ name: 'Soon', expiresAt: now.getTime() + 2 * hour }] },
+    { id: 'kids', name: 'Kids', artists: [{ name: 'Sooner', expiresAt: now.getTime() + hour }] },
+    { id: 'gym', name: 'Gym', artists: ['Forever'] }
+  ], now);
+  assert.equal(matcher.validUntil, now.getTime() + hour);
+  assert.equal(compileLayeredBlocklist([{ id: 'gym', name: 'Gym', artists: ['Forever'] }]).validUntil, null);
+});
+
+test('dry-run rules report what they would block without blocking', () => {
+  const matcher = compileBlocklist({
+    artists: ['Taylor Swift', { name: 'Ed Sheeran', dryRun: true }],
+    patterns: [{ pattern: '*live*', dryRun: true }],
+    rules: [{ name: 'Long remixes', when: { all: [{ field: 'track', op: 'matches', value: '*remix*' }, { field: 'duration', op: 'gt', value: 300 }] }, dryRun: true }],
+    exceptions: [{ track: 'perfect (live)' }]
+  });
+  
+  const sheeran = matcher.evaluate({ artists: ['Ed Sheeran'], track: 'Shivers' });
+  assert.equal(sheeran.blocked, false);
+  assert.equal(sheeran.dryRun, true);
+  assert.equal(sheeran.reason, 'artist');
+  assert.equal(sheeran.match.index, 1);
+  
+  assert.equal(matcher.evaluate({ artists: ['Adele'], track: 'Remix', durationMs: 400000 }).reason, 'rule');
+  
+  // Live rules still block, and report the live match rather than the dry-run one
+  const swift = matcher.evaluate({ artists: ['Taylor Swift'], track: 'Style (Live)' });
+  assert.deepEqual([swift.blocked, swift.reason, swift.dryRun], [true, 'artist', undefined]);
+  
+  // Exceptions apply to dry-run rules too
+  assert.deepEqual(matcher.evaluate({ artists: ['Ed Sheeran'], track: 'Perfect (Live)' }).reason, 'exception');
+  assert.deepEqual(matcher.evaluate({ artists: ['Adele'], track: 'Hello' }), { blocked: false, reason: null, match: null });
+});
+
+test('dry-run artists stay on the allowed list in reverse mode', () => {
+  const matcher = compileBlocklist({ artists: [{ name: 'Adele', dryRun: true }], reverseMode: true });
+  assert.equal(matcher.evaluate({ artists: ['Adele'], track: 'Hello' }).blocked, false);
+  assert.equal(matcher.evaluate({ artists: ['Adele'], track: 'Hello' }).dryRun, undefined);
+  assert.equal(matcher.evaluate({ artists: ['Eminem'], track: 'Stan' }).reason, 'reverse');
+});
+
+test('a layer\'s block wins over another layer\'s dry-run match', () => {
+  const matcher = compileLayeredBlocklist([
+    { id: 'trial', name: 'Trial', patterns: [{ pattern: '*remix*', dryRun: true }] },
+    { id: 'base', name: 'Base', artists: ['Taylor Swift'] }
+  ]);
+  assert.equal(matcher.evaluate({ artists: ['Taylor Swift'], track: 'Style (Remix)' }).layer.id, 'base');
+  const remix = matcher.evaluate({ artists: ['Adele'], track: 'Hello (Remix)' });
+  assert.deepEqual([remix.blocked, remix.dryRun, remix.layer.id], [false, true, 'trial']);
+});
+
+test('sanitizers keep dry-run flags and setEntryDryRun toggles them', () => {
+  assert.deepEqual(sanitizeBlockedList([{ name: 'Adele', dryRun: true }, { name: 'Eminem', dryRun: true }, 'eminem']), [
+    { name: 'adele', dryRun: true },
+    'eminem'
+  ]);
+  assert.deepEqual(sanitizeBlockedTracks([{ track: 'Hello', dryRun: true }]), [{ track: 'hello', dryRun: true }]);
+  assert.deepEqual(sanitizeBlockedPatterns([{ pattern: '*live*', dryRun: true }, { pattern: '*demo*', dryRun: 'yes' }]), [{ pattern: '*live*', dryRun: true }, '*demo*']);
+  assert.deepEqual(setEntryDryRun('patterns', '*live*', true), { pattern: '*live*', dryRun: true });
+  assert.equal(setEntryDryRun('artists', { name: 'adele', dryRun: true }, false), 'adele');
 });
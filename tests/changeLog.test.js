@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MAX_CHANGES,
+  createChangeLog,
+  sanitizeChangeLog,
+  recordChange,
+  undoChange,
+  redoChange,
+  restoreChange,
+  forgetProfileChanges,
+  describeChanges
+} = require('../src/changeLog');
+
+const settings = (artists) => ({ blocked_artists: artists });
+
+test('undo and redo move changes between the lists and return the settings to apply', () => {
+  let log = createChangeLog();
+  log = recordChange(log, { profileId: 'default', source: 'dashboard', action: 'Blocked artist "Adele"', before: settings([]) }, 1000);
+  log = recordChange(log, { profileId: 'default', source: 'tray', action: 'Blocked artist "Drake"', before: settings(['Adele']) }, 2000);
+
+  const undone = undoChange(log, 'default', settings(['Adele', 'Drake']));
+  assert.deepEqual(undone.settings, settings(['Adele']));
+  assert.equal(undone.change.action, 'Blocked artist "Drake"');
+  assert.deepEqual(describeChanges(undone.log, 'default').redo, 'Blocked artist "Drake"');
+
+  const redone = redoChange(undone.log, 'default', settings(['Adele']));
+  assert.deepEqual(redone.settings, settings(['Adele', 'Drake']));
+  assert.equal(redone.log.redo.length, 0);
+  assert.deepEqual(redone.log.undo[1].before, settings(['Adele']));
+  assert.equal(redone.log.undo[1].version, 2);
+
+  assert.equal(redoChange(redone.log, 'default', settings([])), null);
+  assert.equal(undoChange(createChangeLog(), 'default', settings([])), null);
+});
+
+test('a new change clears only that profile\'s redo list', () => {
+  let log = createChangeLog();
+  log = recordChange(log, { profileId: 'default', source: 'dashboard', action: 'a', before: settings([]) });
+  log = recordChange(log, { profileId: 'gym', source: 'dashboard', action: 'b', before: settings([]) });
+  log = undoChange(log, 'default', settings(['x'])).log;
+  log = undoChange(log, 'gym', settings(['y'])).log;
+  log = recordChange(log, { profileId: 'gym', source: 'history', action: 'c', before: settings([]) });
+
+  assert.deepEqual(log.redo.map(change => change.action), ['a']);
+  assert.equal(describeChanges(log, 'gym').redo, null);
+  assert.deepEqual(describeChanges(log, 'gym').changes.map(change => change.version), [3]);
+});
+
+test('restoring a version records the restore so it can be undone', () => {
+  let log = createChangeLog();
+  log = recordChange(log, { profileId: 'default', source: 'import', action: 'Imported blocklist', before: settings(['Adele']) }, 1000);
+  log = recordChange(log, { profileId: 'default', source: 'dashboard', action: 'Removed artist', before: settings(['Adele', 'Drake']) }, 2000);
+
+  const restored = restoreChange(log, 1, 'default', settings(['Drake']), { now: 3000 });
+  assert.deepEqual(restored.settings, settings(['Adele']));
+  assert.deepEqual(describeChanges(restored.log, 'default').changes[0], { version: 3, timestamp: 3000, source: 'dashboard', action: 'Restored version 1' });
+
+  assert.deepEqual(undoChange(restored.log, 'default', settings(['Adele'])).settings, settings(['Drake']));
+  assert.equal(restoreChange(log, 1, 'gym', settings([])), null);
+  assert.equal(restoreChange(log, 99, 'default', settings([])), null);
+});
+
+test('only the newest changes are kept and versions are never reused', () => {
+  let log = createChangeLog();
+  for (let i = 0; i < MAX_CHANGES + 5; i++) {
+    log = recordChange(log, { profileId: 'default', source: 'dashboard', action: `change ${i}`, before: settings([]) });
+  }
+  assert.equal(log.undo.length, MAX_CHANGES);
+  assert.equal(log.undo[0].version, 6);
+  assert.equal(log.nextVersion, MAX_CHANGES + 6);
+
+  log = forgetProfileChanges(log, 'default');
+  assert.equal(log.undo.length, 0);
+  assert.equal(recordChange(log, { profileId: 'default', source: 'dashboard', action: 'x', before: {} }).undo[0].version, MAX_CHANGES + 6);
+});
+
+test('stored logs are sanitized', () => {
+  assert.deepEqual(sanitizeChangeLog(null), createChangeLog());
+  const log = sanitizeChangeLog({
+    nextVersion: 1,
+    undo: [{ version: 4, profileId: 'default', source: 'tray', action: 'a', before: {} }, { version: 5 }, 'junk'],
+    redo: [{ version: 7, profileId: 'default', source: 'tray', action: 'b', before: {} }]
+  });
+  assert.equal(log.undo.length, 1);
+  assert.equal(log.redo.length, 0);
+  assert.equal(log.nextVersion, 5);
+  assert.equal(recordChange(log, { profileId: 'default', source: 'somewhere', action: 'c', before: {} }).undo[1].source, 'dashboard');
+});
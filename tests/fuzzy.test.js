@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_FUZZY_THRESHOLD,
+  MIN_FUZZY_THRESHOLD,
+  editDistance,
+  similarity,
+  sanitizeFuzzyThreshold,
+  fuzzyMatch,
+  findSimilarNames
+} = require('../src/fuzzy');
+
+test('editDistance counts a swapped pair of letters as one edit', () => {
+  assert.equal(editDistance('taylor swfit', 'taylor swift'), 1);
+  assert.equal(editDistance('the weeknd', 'the weekend'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('', 'abc'), 3);
+});
+
+test('similarity ignores word order', () => {
+  assert.equal(similarity('swift taylor', 'taylor swift'), 1);
+  assert.ok(similarity('taylor swfit', 'taylor swift') > 0.9);
+});
+
+test('sanitizeFuzzyThreshold keeps thresholds in the safe range', () => {
+  assert.equal(sanitizeFuzzyThreshold(true), DEFAULT_FUZZY_THRESHOLD);
+  assert.equal(sanitizeFuzzyThreshold(0.9), 0.9);
+  assert.equal(sanitizeFuzzyThreshold(0.3), MIN_FUZZY_THRESHOLD);
+  assert.equal(sanitizeFuzzyThreshold(1), null);
+  assert.equal(sanitizeFuzzyThreshold(false), null);
+  assert.equal(sanitizeFuzzyThreshold('0.9'), null);
+});
+
+test('fuzzyMatch accepts typos at the default threshold and respects stricter ones', () => {
+  assert.ok(fuzzyMatch('taylor swfit', 'taylor swift', DEFAULT_FUZZY_THRESHOLD) > 0);
+  assert.ok(fuzzyMatch('the weeknd', 'the weekend', DEFAULT_FUZZY_THRESHOLD) > 0);
+  assert.ok(fuzzyMatch('beyonse', 'beyonce', DEFAULT_FUZZY_THRESHOLD) > 0);
+  assert.equal(fuzzyMatch('beyonse', 'beyonce', 0.9), 0);
+  assert.equal(fuzzyMatch('adele', 'abele', DEFAULT_FUZZY_THRESHOLD), 0);
+});
+
+test('fuzzyMatch never matches wildly different names, even at the loosest threshold', () => {
+  const different = [
+    ['taylor swift', 'taylor dayne'],
+    ['drake', 'blake'],
+    ['metallica', 'megadeth'],
+    ['the kinks', 'the weeknd'],
+    ['love story', 'love song'],
+    ['ava', 'eva'],
+    ['sia', 'sza'],
+    ['symphony no 5', 'symphony no 6'],
+    ['chapter 3', 'chapter 4'],
+    ['the 1975', 'the 1957'],
+    ['1999', '1989']
+  ];
+  for (const [a, b] of different) {
+    assert.equal(fuzzyMatch(a, b, MIN_FUZZY_THRESHOLD), 0, `${a} ~ ${b}`);
+  }
+});
+
+test('findSimilarNames reports near misses only when nothing matches exactly', () => {
+  const candidates = ['Taylor Swift', 'The Weeknd', 'TAYLOR SWIFT', 'Taylor Swift Tribute'].map(name => ({ name, normalized: name.toLowerCase() }));
+  assert.deepEqual(findSimilarNames('taylor swfit', candidates).map(found => found.name), ['Taylor Swift']);
+  assert.deepEqual(findSimilarNames('the weekend', candidates).map(found => found.name), ['The Weeknd']);
+  assert.deepEqual(findSimilarNames('taylor swift', candidates), []);
+  assert.deepEqual(findSimilarNames('drake', candidates), []);
+});
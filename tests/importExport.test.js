@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectImportFormat,
+  parseCsvRows,
+  parseImportText,
+  formatCsvBlocklist,
+  formatTextBlocklist,
+  diffEntries
+} = require('../src/importExport');
+
+test('the import format comes from the file name, or else the contents', () => {
+  assert.equal(detectImportFormat('Adele', 'list.CSV'), 'csv');
+  assert.equal(detectImportFormat('{}', 'backup.json'), 'json');
+  assert.equal(detectImportFormat('artist,track', 'list.txt'), 'text');
+  assert.equal(detectImportFormat('  {"artists": []}'), 'json');
+  // Pasted text is never guessed to be CSV, since names contain commas
+  assert.equal(detectImportFormat('artist,track\nAdele,Hello'), 'text');
+  assert.deepEqual(parseImportText('Tyler, The Creator\nAdele', detectImportFormat('Tyler, The Creator\nAdele')).data, { artists: ['Tyler, The Creator', 'Adele'] });
+  assert.equal(detectImportFormat('Adele - Hello\nDrake'), 'text');
+});
+
+test('CSV fields may be quoted and contain commas, quotes and line breaks', () => {
+  const { rows, unterminated } = parseCsvRows('\uFEFFartist,track\r\n"Tyler, The Creator","Say ""Hi""\nagain"\nAdele,\n');
+  assert.equal(unterminated, false);
+  assert.deepEqual(rows.map(row => row.fields), [['artist', 'track'], ['Tyler, The Creator', 'Say "Hi"\nagain'], ['Adele', '']]);
+  assert.deepEqual(rows.map(row => row.line), [1, 2, 4]);
+  assert.equal(parseCsvRows('"Adele,Hello').unterminated, true);
+});
+
+test('CSV rows become artists or songs', () => {
+  const result = parseImportText('track,artist\nHello,Adele\n,Drake\nIntro,\n,\n,,live\n', 'csv');
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.data, { artists: ['Drake'], tracks: [{ artist: 'Adele', track: 'Hello' }, { track: 'Intro' }] });
+  assert.deepEqual(result.warnings, ['Line 6: no artist or track, skipped']);
+
+  assert.deepEqual(parseImportText('Adele,Hello\nDrake', 'csv').data, { artists: ['Drake'], tracks: [{ artist: 'Adele', track: 'Hello' }] });
+  assert.equal(parseImportText('artist,track\n', 'csv').valid, false);
+});
+
+test('CSV columns that are not read are reported', () => {
+  const unheaded = parseImportText('Crosby, Stills, Nash & Young\nAdele,Hello\n', 'csv');
+  assert.deepEqual(unheaded.data, { tracks: [{ artist: 'Crosby', track: 'Stills' }, { artist: 'Adele', track: 'Hello' }] });
+  assert.deepEqual(unheaded.warnings, ['Line 1: 3 columns, only the first two (artist, track) are read; quote names that contain commas']);
+
+  const headed = parseImportText('artist,album,track\nAdele,25,Hello\n', 'csv');
+  assert.deepEqual(headed.data, { tracks: [{ artist: 'Adele', track: 'Hello' }] });
+  assert.deepEqual(headed.warnings, ['Column "album" ignored']);
+});
+
+test('text lines are artists unless they name a song', () => {
+  const result = parseImportText('Taylor Swift\n- Adele – Hello\n3. Drake\nKesha - \n\n# Songs\nIntro\nSia - Chandelier\n# Artists\nAC - DC\n', 'text');
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.data, {
+    artists: ['Taylor Swift', 'Drake', 'AC - DC'],
+    tracks: [{ artist: 'Adele', track: 'Hello' }, { track: 'Intro' }, { artist: 'Sia', track: 'Chandelier' }]
+  });
+  assert.deepEqual(result.warnings, ['Line 4: "Kesha -" has no title, skipped']);
+  assert.deepEqual(parseImportText('"Song - Live"\n"Heroes"\n', 'text').data, { artists: ['"Heroes"'], tracks: [{ track: 'Song - Live' }] });
+  assert.equal(parseImportText('\n# Songs\n', 'text').valid, false);
+  assert.match(parseImportText('{', 'json').error, /Invalid JSON/);
+  assert.equal(parseImportText('Adele', 'xml').valid, false);
+});
+
+test('CSV and text exports read back as the same blocklist', () => {
+  const data = {
+    profile: 'Gym',
+    artists: ['Taylor Swift', { name: ' Tyler, The Creator', fuzzy: 0.85 }],
+    tracks: [{ artist: 'Adele', track: 'Say "Hello"' }, { track: 'Intro' }, { track: 'song - live' }, { track: '"Heroes"' }]
+  };
+  const csv = formatCsvBlocklist(data);
+  assert.equal(csv.split('\n')[0], 'artist,track');
+  assert.deepEqual(parseImportText(csv, 'csv').data, {
+    artists: ['Taylor Swift', 'Tyler, The Creator'],
+    tracks: data.tracks
+  });
+
+  const text = formatTextBlocklist(data);
+  assert.match(text, /^# SwiftBeGone blocklist: Gym\n/);
+  assert.match(text, /\n"song - live"\n""Heroes""\n$/);
+  assert.deepEqual(parseImportText(text, 'text').data, {
+    artists: ['Taylor Swift', 'Tyler, The Creator'],
+    tracks: data.tracks
+  });
+});
+
+test('diffs compare whole entries', () => {
+  const diff = diffEntries(['Adele', { name: 'Drake' }, 'Sia'], ['Adele', { name: 'Drake', fuzzy: 0.85 }, 'Kesha']);
+  assert.deepEqual(diff, { added: [{ name: 'Drake', fuzzy: 0.85 }, 'Kesha'], removed: [{ name: 'Drake' }, 'Sia'], unchanged: 1 });
+});
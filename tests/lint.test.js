@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lintBlocklist, wildcardToRegex } = require('../src/lint');
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+test('a clean blocklist has no issues', () => {
+  assert.deepEqual(lintBlocklist({
+    artists: ['taylor swift'],
+    tracks: [{ artist: 'adele', track: 'hello' }],
+    patterns: ['*live', '/remix$/i'],
+    exceptions: [{ track: 'style' }]
+  }), []);
+  assert.deepEqual(lintBlocklist(), []);
+});
+
+test('reverse mode with an empty allowed list is an error with a fix', () => {
+  const [issue] = lintBlocklist({ reverseMode: true, artists: [] });
+  assert.equal(issue.code, 'reverse-mode-empty');
+  assert.equal(issue.severity, 'error');
+  assert.equal(issue.fix.action, 'disable-reverse-mode');
+
+  const now = Date.now();
+  assert.deepEqual(codes(lintBlocklist({ reverseMode: true, artists: [{ name: 'adele', expiresAt: now - 1 }] }, now)), ['reverse-mode-empty']);
+  assert.deepEqual(lintBlocklist({ reverseMode: true, artists: ['adele'] }), []);
+});
+
+test('song blocks already covered by an artist block are reported', () => {
+  const issues = lintBlocklist({
+    artists: [{ name: 'taylor swift', aliases: ['tswift'] }, { name: 'adele', schedule: { days: [1] } }],
+    tracks: [{ artist: 'tswift', track: 'style' }, { artist: 'adele', track: 'hello' }, { track: 'shake it off' }]
+  });
+  assert.deepEqual(codes(issues), ['track-covered-by-artist']);
+  assert.equal(issues[0].index, 0);
+  assert.deepEqual(issues[0].fix, { label: 'Remove song', action: 'remove' });
+
+  // In reverse mode the artist list allows rather than blocks
+  assert.deepEqual(lintBlocklist({ reverseMode: true, artists: ['taylor swift'], tracks: [{ artist: 'taylor swift', track: 'style' }] }), []);
+});
+
+test('blocks that an exception always lifts are reported', () => {
+  const issues = lintBlocklist({
+    tracks: [{ artist: 'adele', track: 'hello' }, { track: 'style', allVersions: true }],
+    patterns: ['*Remix*'],
+    exceptions: [{ track: 'Hello' }, { track: 'style' }, { pattern: '*remix*' }]
+  });
+  assert.deepEqual(codes(issues), ['track-always-allowed', 'pattern-always-allowed']);
+});
+
+test('duplicate patterns differing only by case are reported once', () => {
+  const issues = lintBlocklist({
+    patterns: ['*Live', '*live', 'artist:*live', { pattern: '*LIVE', schedule: { days: [6] } }, '/live/i', '/Live/i']
+  });
+  assert.deepEqual(codes(issues), ['duplicate-pattern']);
+  assert.equal(issues[0].index, 1);
+  assert.equal(issues[0].rule, '*live');
+});
+
+test('wildcards in the middle of a pattern are reported with a regex fix', () => {
+  const [never] = lintBlocklist({ patterns: [{ pattern: 'live*version', dryRun: true }] });
+  assert.equal(never.code, 'pattern-never-matches');
+  assert.equal(never.severity, 'warning');
+  assert.deepEqual(never.fix.entry, { pattern: '/^live.*version$/i', dryRun: true });
+
+  const [ignored] = lintBlocklist({ patterns: ['*live*version'] });
+  assert.equal(ignored.code, 'pattern-inner-wildcard');
+  assert.equal(ignored.fix.entry, '/live.*version$/i');
+
+  assert.equal(wildcardToRegex('album:Best (of)*'), 'album:/^best \\(of\\)/i');
+});
+
+test('case-sensitive regex patterns get an info issue that adds the i flag', () => {
+  const [issue] = lintBlocklist({ patterns: ['/\\(live\\)$/'] });
+  assert.equal(issue.code, 'regex-case-sensitive');
+  assert.equal(issue.severity, 'info');
+  assert.equal(issue.fix.entry, '/\\(live\\)$/i');
+  assert.deepEqual(lintBlocklist({ patterns: ['/\\(\\d{4}\\)/'] }), []);
+});
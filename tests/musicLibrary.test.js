@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  LIBRARY_PLAYLIST_ID,
+  parsePlist,
+  parseLibrary,
+  listLibraryPlaylists,
+  getLibraryEntries
+} = require('../src/musicLibrary');
+const { detectImportFormat, parseImportText } = require('../src/importExport');
+
+const track = (id, name, artist, extra = '') => `
+    <key>${id}</key>
+    <dict>
+      <key>Track ID</key><integer>${id}</integer>
+      <key>Name</key><string>${name}</string>
+      ${artist ? `<key>Artist</key><string>${artist}</string>` : ''}
+      ${extra}
+    </dict>`;
+
+const playlist = (name, persistentId, trackIds, extra = '') => `
+    <dict>
+      <key>Name</key><string>${name}</string>
+      <key>Playlist ID</key><integer>${trackIds.length + 100}</integer>
+      <key>Playlist Persistent ID</key><string>${persistentId}</string>
+      ${extra}
+      <key>Playlist Items</key>
+      <array>${trackIds.map(id => `<dict><key>Track ID</key><integer>${id}</integer></dict>`).join('')}</array>
+    </dict>`;
+
+const LIBRARY_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>Major Version</key><integer>1</integer>
+  <!-- Comments are ignored -->
+  <key>Tracks</key>
+  <dict>
+    ${track(101, 'Shake It Off', 'Taylor Swift')}
+    ${track(102, 'Hello', 'Adele', '<key>Explicit</key><false/>')}
+    ${track(103, 'Rock &amp; Roll', 'Led Zeppelin')}
+    ${track(104, 'Intro', '', '<key>Album Artist</key><string>The xx</string>')}
+    ${track(105, 'Untitled', '')}
+    ${track(106, 'Caf&#233;', 'Beyonc&#xE9;')}
+  </dict>
+  <key>Playlists</key>
+  <array>
+    ${playlist('Library', 'AAAA', [101, 102, 103, 104, 105, 106], '<key>Master</key><true/>')}
+    ${playlist('Never Again', 'BBBB', [101, 103, 999])}
+    ${playlist('Chill', 'CCCC', [102, 104, 105, 106])}
+    <dict><key>Name</key><string>Folder</string><key>Playlist Persistent ID</key><string>DDDD</string><key>Folder</key><true/></dict>
+    ${playlist('Empty', 'EEEE', [])}
+  </array>
+</dict>
+</plist>
+`;
+
+test('property lists parse into plain values', () => {
+  assert.deepEqual(parsePlist('<plist><dict><key>a</key><array><integer>1</integer><real>2.5</real><true/><string/><dict/></array><key>b &lt;c&gt;</key><string>x &amp; y</string></dict></plist>'), {
+    a: [1, 2.5, true, '', {}],
+    'b <c>': 'x & y'
+  });
+  assert.throws(() => parsePlist('<plist><dict><key>a</key><string>b</dict></plist>'), /Unexpected <\/dict>/);
+  assert.throws(() => parsePlist('<plist><array>'), /never closed/);
+});
+
+test('a library export lists its songs and playlists', () => {
+  const library = parseLibrary(LIBRARY_XML);
+  assert.equal(library.valid, true);
+  assert.deepEqual(library.tracks.get('103'), { artist: 'Led Zeppelin', name: 'Rock & Roll' });
+  assert.deepEqual(library.tracks.get('104'), { artist: 'The xx', name: 'Intro' });
+  assert.deepEqual(library.tracks.get('106'), { artist: 'Beyoncé', name: 'Café' });
+  assert.deepEqual(listLibraryPlaylists(library), [
+    { id: LIBRARY_PLAYLIST_ID, name: 'Entire library', count: 6 },
+    { id: 'BBBB', name: 'Never Again', count: 3 },
+    { id: 'CCCC', name: 'Chill', count: 4 },
+    { id: 'EEEE', name: 'Empty', count: 0 }
+  ]);
+
+  assert.equal(parseLibrary('<plist><dict><key>Major Version</key><integer>1</integer></dict></plist>').valid, false);
+  assert.match(parseLibrary('<plist><dict>').error, /Invalid library file/);
+});
+
+test('playlist songs become artist blocks, song blocks or allowed songs', () => {
+  const library = parseLibrary(LIBRARY_XML);
+
+  const artists = getLibraryEntries(library, { playlists: ['CCCC'], target: 'artists' });
+  assert.deepEqual(artists.data, { artists: ['Adele', 'The xx', 'Beyoncé'], profile: 'Chill' });
+  assert.deepEqual(artists.warnings, ['1 song has no artist, skipped']);
+
+  const tracks = getLibraryEntries(library, { playlists: ['BBBB'], target: 'tracks' });
+  assert.deepEqual(tracks.data.tracks, [{ artist: 'Taylor Swift', track: 'Shake It Off' }, { artist: 'Led Zeppelin', track: 'Rock & Roll' }]);
+  assert.deepEqual(tracks.warnings, ['1 playlist song is missing from the library, skipped']);
+
+  const allowed = getLibraryEntries(library, { playlists: ['BBBB', 'CCCC'], target: 'exceptions' });
+  assert.equal(allowed.data.exceptions.length, 6);
+  assert.deepEqual(allowed.data.exceptions[4], { track: 'Untitled' });
+  assert.equal(allowed.data.profile, undefined);
+  assert.deepEqual(allowed.warnings, [
+    '1 playlist song is missing from the library, skipped',
+    '1 song has no artist and will match the title by any artist: "Untitled"'
+  ]);
+
+  assert.equal(getLibraryEntries(library, { playlists: [LIBRARY_PLAYLIST_ID], target: 'tracks' }).data.tracks.length, 6);
+  assert.match(getLibraryEntries(library, { playlists: ['EEEE'], target: 'tracks' }).error, /no songs/);
+  assert.match(getLibraryEntries(library, { playlists: [], target: 'tracks' }).error, /at least one playlist/);
+  assert.equal(getLibraryEntries(library, { playlists: ['BBBB'], target: 'patterns' }).valid, false);
+});
+
+test('library exports are imported like any other file', () => {
+  assert.equal(detectImportFormat(LIBRARY_XML, 'Library.xml'), 'library');
+  assert.equal(detectImportFormat(LIBRARY_XML), 'library');
+  const result = parseImportText(LIBRARY_XML, 'library', { library: { playlists: ['BBBB'], target: 'artists' } });
+  assert.deepEqual(result.data, { artists: ['Taylor Swift', 'Led Zeppelin'], profile: 'Never Again' });
+  assert.equal(parseImportText('<plist><dict>', 'library', { library: { playlists: ['BBBB'], target: 'artists' } }).valid, false);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  splitSongName,
+  songFromLocation,
+  parsePlaylist,
+  formatSongName,
+  formatM3uBlocklist
+} = require('../src/playlistFiles');
+const { detectImportFormat, parseImportText } = require('../src/importExport');
+
+test('song names are read from "Artist - Title" and from file names', () => {
+  assert.deepEqual(splitSongName(' Adele – Hello '), { artist: 'Adele', title: 'Hello' });
+  assert.deepEqual(splitSongName('Hello'), { artist: '', title: 'Hello' });
+  assert.deepEqual(songFromLocation('/Music/Adele/25/01 Adele - Hello.mp3'), { artist: 'Adele', title: 'Hello' });
+  assert.deepEqual(songFromLocation('file:///C:/Music/Jay-Z%20-%2099%20Problems.flac'), { artist: 'Jay-Z', title: '99 Problems' });
+  assert.deepEqual(songFromLocation('C:\\Music\\99 Problems.mp3'), { artist: '', title: '99 Problems' });
+  assert.deepEqual(songFromLocation('https://example.com/stream/3. Intro.ogg'), { artist: '', title: 'Intro' });
+  assert.deepEqual(songFromLocation('/Music/Adele/25/12 Adele - Water Under the Bridge.mp3'), { artist: 'Adele', title: 'Water Under the Bridge' });
+  assert.deepEqual(songFromLocation('/Music/50 Cent/Get Rich/50 Cent - In Da Club.mp3'), { artist: '50 Cent', title: 'In Da Club' });
+  assert.deepEqual(songFromLocation('/Music/Adele/25/01 Hello.mp3'), { artist: '', title: 'Hello' });
+  assert.deepEqual(splitSongName('"Song - Live"'), { artist: '', title: 'Song - Live' });
+});
+
+test('songs without an artist are reported', () => {
+  const m3u = '/Music/Adele/25/01 Hello.mp3\n/Music/Adele - Skyfall.mp3\n/Music/02 Intro.mp3\n';
+  const tracks = parsePlaylist(m3u, 'm3u', { target: 'tracks' });
+  assert.deepEqual(tracks.data.tracks, [{ track: 'Hello' }, { artist: 'Adele', track: 'Skyfall' }, { track: 'Intro' }]);
+  assert.deepEqual(tracks.warnings, ['2 songs have no artist and will match the title by any artist: "Hello", "Intro"']);
+
+  const artists = parsePlaylist(m3u, 'm3u', { target: 'artists' });
+  assert.deepEqual(artists.data, { artists: ['Adele'] });
+  assert.deepEqual(artists.warnings, ['2 songs have no artist, skipped']);
+});
+
+test('M3U playlists use #EXTINF names, falling back to file names', () => {
+  const m3u = [
+    '#EXTM3U',
+    '#EXTINF:355,Led Zeppelin - Stairway to Heaven',
+    '/Music/track01.mp3',
+    '#EXTINF:-1 tvg-name="Radio, live" group-title="x",Daft Punk - One More Time',
+    'http://example.com/stream',
+    '',
+    '#EXTART:Sia',
+    '#EXTINF:200,Chandelier',
+    'chandelier.mp3',
+    '/Music/Adele - Hello.m4a',
+    '#EXTINF:10,',
+    '/Music/.mp3'
+  ].join('\r\n');
+  const result = parsePlaylist(m3u, 'm3u', { target: 'tracks' });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.data.tracks, [
+    { artist: 'Led Zeppelin', track: 'Stairway to Heaven' },
+    { artist: 'Daft Punk', track: 'One More Time' },
+    { artist: 'Sia', track: 'Chandelier' },
+    { artist: 'Adele', track: 'Hello' }
+  ]);
+  assert.deepEqual(result.warnings, ['Line 12: no title found, skipped']);
+});
+
+test('PLS playlists use TitleN entries in entry order', () => {
+  const pls = `[playlist]
+File2=/Music/Adele - Hello.mp3
+File1=/Music/01 Intro.mp3
+Title1=The xx - Intro
+File3=http://example.com/radio
+Title3=Radio Paradise
+NumberOfEntries=3
+Version=2
+`;
+  const result = parsePlaylist(pls, 'pls', { target: 'artists' });
+  assert.deepEqual(result.data, { artists: ['The xx', 'Adele'] });
+  assert.deepEqual(result.warnings, ['1 song has no artist, skipped']);
+});
+
+test('XSPF playlists use <creator> and <title>', () => {
+  const xspf = `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>Never again</title>
+  <trackList>
+    <track>
+      <location>file:///Music/a.mp3</location>
+      <creator>Simon &amp; Garfunkel</creator>
+      <title><![CDATA[The Sound of Silence]]></title>
+    </track>
+    <!-- <track><title>Commented out</title></track> -->
+    <track><location>file:///Music/Beyonc%C3%A9%20-%20Halo.mp3</location></track>
+    <track><creator>Nobody</creator></track>
+  </trackList>
+</playlist>`;
+  const result = parsePlaylist(xspf, 'xspf', { target: 'exceptions' });
+  assert.deepEqual(result.data.exceptions, [
+    { artist: 'Simon & Garfunkel', track: 'The Sound of Silence' },
+    { artist: 'Beyoncé', track: 'Halo' }
+  ]);
+  assert.deepEqual(result.warnings, ['Line 12: no title found, skipped']);
+});
+
+test('playlist files are detected and imported like any other file', () => {
+  assert.equal(detectImportFormat('', 'mix.M3U8'), 'm3u');
+  assert.equal(detectImportFormat('', 'radio.pls'), 'pls');
+  assert.equal(detectImportFormat('', 'mix.xspf'), 'xspf');
+  assert.equal(detectImportFormat('#EXTM3U\n'), 'm3u');
+  assert.equal(detectImportFormat('[playlist]\nFile1=a.mp3'), 'pls');
+  assert.equal(detectImportFormat('<?xml version="1.0"?>\n<playlist version="1">'), 'xspf');
+
+  const result = parseImportText('#EXTM3U\n#EXTINF:1,Adele - Hello\nhello.mp3\n', 'm3u', { playlist: { target: 'tracks' } });
+  assert.deepEqual(result.data, { tracks: [{ artist: 'Adele', track: 'Hello' }] });
+  assert.equal(parseImportText('#EXTM3U\n', 'm3u', { playlist: { target: 'tracks' } }).valid, false);
+  assert.match(parseImportText('hello.mp3', 'm3u', { playlist: { target: 'artists' } }).error, /name an artist/);
+  assert.equal(parseImportText('hello.mp3', 'm3u', {}).valid, false);
+});
+
+test('the song blocklist exports as an M3U that reads back the same', () => {
+  const data = {
+    profile: 'Gym',
+    tracks: [
+      { artist: 'Adele', track: 'Hello' },
+      { track: 'Intro' },
+      { track: 'song - live' },
+      { track: '"Heroes"' },
+      { artist: 'Sia', track: 'Chandelier - Piano Version' }
+    ]
+  };
+  const m3u = formatM3uBlocklist(data);
+  assert.equal(m3u.split('\n').slice(0, 8).join('\n'), '#EXTM3U\n#PLAYLIST:Do not play (Gym)\n#EXTINF:-1,Adele - Hello\nAdele - Hello\n#EXTINF:-1,Intro\nIntro\n#EXTINF:-1,"song - live"\n"song - live"');
+  assert.deepEqual(parsePlaylist(m3u, 'm3u', { target: 'tracks' }).data.tracks, data.tracks);
+  assert.equal(formatSongName({ track: 'song - live' }), '"song - live"');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PROFILE_KEYS,
+  validateProfileName,
+  getUniqueProfileName,
+  hasProfile,
+  createProfileId,
+  createProfile,
+  listProfiles
+} = require('../src/profiles');
+
+const profiles = {
+  default: { name: 'Default', settings: {} },
+  gym: { name: 'Gym', settings: {} }
+};
+
+test('validateProfileName rejects blank, long and taken names', () => {
+  assert.deepEqual(validateProfileName('Kids', profiles), { valid: true });
+  assert.equal(validateProfileName('   ', profiles).valid, false);
+  assert.equal(validateProfileName('x'.repeat(41), profiles).valid, false);
+  assert.equal(validateProfileName(' gym ', profiles).valid, false);
+  // Renaming a profile may keep its own name
+  assert.deepEqual(validateProfileName('GYM', profiles, 'gym'), { valid: true });
+});
+
+test('getUniqueProfileName numbers names that are taken', () => {
+  assert.equal(getUniqueProfileName('Work', profiles), 'Work');
+  assert.equal(getUniqueProfileName('Gym', profiles), 'Gym (2)');
+  assert.equal(getUniqueProfileName('Gym', { ...profiles, 'gym-2': { name: 'Gym (2)' } }), 'Gym (3)');
+  assert.equal(getUniqueProfileName('', profiles), 'Profile');
+});
+
+test('createProfileId builds store-safe ids', () => {
+  assert.equal(createProfileId("Kids' Room", profiles), 'kids-room');
+  assert.equal(createProfileId('Gym', profiles), 'gym-2');
+  assert.equal(createProfileId('Café.Mode', profiles), 'cafe-mode');
+  assert.equal(createProfileId('🎧', profiles), 'profile');
+  assert.equal(createProfileId('Constructor', profiles), 'constructor-profile');
+  assert.equal(createProfileId('prototype', { 'prototype-profile': {} }), 'prototype-profile-2');
+});
+
+test('hasProfile only finds profiles that exist', () => {
+  assert.equal(hasProfile(profiles, 'gym'), true);
+  assert.equal(hasProfile(profiles, 'kids'), false);
+  assert.equal(hasProfile(profiles, 'constructor'), false);
+  // Names inherited from Object.prototype are not profiles, so they can't become the active profile
+  for (const inherited of ['toString', 'valueOf', 'hasOwnProperty', '__proto__']) {
+    assert.equal(hasProfile(profiles, inherited), false, inherited);
+  }
+  assert.equal(hasProfile(profiles, null), false);
+});
+
+test('createProfile copies known settings and fills in defaults', () => {
+  const defaults = Object.fromEntries(PROFILE_KEYS.map(key => [key, []]));
+  defaults.reverse_mode = false;
+  const artists = ['taylor swift'];
+  const profile = createProfile(' Work ', { blocked_artists: artists, reverse_mode: true, enabled: false }, defaults);
+
+  assert.equal(profile.name, 'Work');
+  assert.deepEqual(Object.keys(profile.settings), PROFILE_KEYS);
+  assert.deepEqual(profile.settings.blocked_artists, ['taylor swift']);
+  assert.equal(profile.settings.reverse_mode, true);
+  assert.deepEqual(profile.settings.blocked_tracks, []);
+  // Settings are copies, so editing one profile never changes another
+  assert.notEqual(profile.settings.blocked_artists, artists);
+  assert.notEqual(profile.settings.blocked_tracks, defaults.blocked_tracks);
+});
+
+test('listProfiles marks the active profile', () => {
+  assert.deepEqual(listProfiles(profiles, 'gym'), [
+    { id: 'default', name: 'Default', active: false },
+    { id: 'gym', name: 'Gym', active: true }
+  ]);
+});
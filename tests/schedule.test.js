@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateSchedule,
+  sanitizeSchedule,
+  isScheduleActive,
+  getNextScheduleChange,
+  describeSchedule
+} = require('../src/schedule');
+
+// Local times; 2026-03-02 is a Monday
+const at = (year, month, day, hours = 12, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+
+test('validateSchedule rejects malformed schedules', () => {
+  assert.deepEqual(validateSchedule(null), { valid: true });
+  assert.deepEqual(validateSchedule({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }), { valid: true });
+  assert.equal(validateSchedule({ days: [7] }).valid, false);
+  assert.equal(validateSchedule({ days: [] }).valid, false);
+  assert.equal(validateSchedule({ start: '9am', end: '17:00' }).valid, false);
+  assert.equal(validateSchedule({ start: '09:00' }).valid, false);
+  assert.equal(validateSchedule({ start: '09:00', end: '09:00' }).valid, false);
+  assert.equal(validateSchedule({ from: '02-30' }).valid, false);
+  assert.equal(validateSchedule({ from: '2026-01-01', to: '12-31' }).valid, false);
+  assert.equal(validateSchedule({ from: '2026-02-01', to: '2026-01-01' }).valid, false);
+  assert.equal(validateSchedule('weekdays').valid, false);
+});
+
+test('sanitizeSchedule normalizes parts and drops schedules that never restrict', () => {
+  assert.deepEqual(
+    sanitizeSchedule({ days: [5, 1, 1], start: '9:00', end: '17:00', from: '1-1', to: '11-30' }),
+    { days: [1, 5], start: '09:00', end: '17:00', from: '01-01', to: '11-30' }
+  );
+  assert.equal(sanitizeSchedule({ days: [0, 1, 2, 3, 4, 5, 6] }), null);
+  assert.equal(sanitizeSchedule({}), null);
+  assert.equal(sanitizeSchedule({ days: [9] }), null);
+});
+
+test('isScheduleActive checks weekdays and time windows', () => {
+  const workHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  assert.equal(isScheduleActive(workHours, at(2026, 3, 2, 9, 0)), true);
+  assert.equal(isScheduleActive(workHours, at(2026, 3, 2, 16, 59)), true);
+  assert.equal(isScheduleActive(workHours, at(2026, 3, 2, 17, 0)), false);
+  assert.equal(isScheduleActive(workHours, at(2026, 3, 7, 12, 0)), false);
+
+  const overnight = { start: '22:00', end: '06:00' };
+  assert.equal(isScheduleActive(overnight, at(2026, 3, 2, 23, 30)), true);
+  assert.equal(isScheduleActive(overnight, at(2026, 3, 3, 5, 59)), true);
+  assert.equal(isScheduleActive(overnight, at(2026, 3, 3, 12, 0)), false);
+
+  assert.equal(isScheduleActive(null, at(2026, 3, 2)), true);
+});
+
+test('isScheduleActive checks yearly and one-off date ranges', () => {
+  const outsideDecember = { from: '01-01', to: '11-30' };
+  assert.equal(isScheduleActive(outsideDecember, at(2026, 11, 30)), true);
+  assert.equal(isScheduleActive(outsideDecember, at(2026, 12, 1)), false);
+
+  const holidays = { from: '12-20', to: '01-06' };
+  assert.equal(isScheduleActive(holidays, at(2026, 12, 24)), true);
+  assert.equal(isScheduleActive(holidays, at(2027, 1, 6)), true);
+  assert.equal(isScheduleActive(holidays, at(2027, 1, 7)), false);
+
+  const trip = { from: '2026-07-01', to: '2026-07-14' };
+  assert.equal(isScheduleActive(trip, at(2026, 7, 10)), true);
+  assert.equal(isScheduleActive(trip, at(2027, 7, 10)), false);
+});
+
+test('getNextScheduleChange finds the earliest switch across schedules', () => {
+  const workHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  assert.deepEqual(getNextScheduleChange([workHours], at(2026, 3, 2, 8, 0)), at(2026, 3, 2, 9, 0));
+  assert.deepEqual(getNextScheduleChange([workHours], at(2026, 3, 2, 12, 0)), at(2026, 3, 2, 17, 0));
+  // Friday evening -> Monday morning
+  assert.deepEqual(getNextScheduleChange([workHours], at(2026, 3, 6, 18, 0)), at(2026, 3, 9, 9, 0));
+
+  const outsideDecember = { from: '01-01', to: '11-30' };
+  assert.deepEqual(
+    getNextScheduleChange([outsideDecember, workHours], at(2026, 11, 30, 18, 0)),
+    at(2026, 12, 1, 0, 0)
+  );
+  assert.equal(getNextScheduleChange([null], at(2026, 3, 2)), null);
+  assert.equal(getNextScheduleChange([{ from: '2020-01-01', to: '2020-12-31' }], at(2026, 3, 2)), null);
+});
+
+test('describeSchedule summarizes a schedule', () => {
+  assert.equal(describeSchedule({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }), 'Mon–Fri, 09:00–17:00');
+  assert.equal(describeSchedule({ from: '01-01', to: '11-30' }), 'Jan 01 – Nov 30');
+  assert.equal(describeSchedule({ days: [0, 6] }), 'Weekends');
+  assert.equal(describeSchedule(null), 'Always');
+});
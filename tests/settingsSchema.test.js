@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_SETTINGS,
+  SCHEMA_VERSION,
+  EXPORT_VERSION,
+  validateSchema,
+  migrateSettings,
+  findInvalidSections,
+  resetSections,
+  applySettingsDefaults,
+  migrateExport
+} = require('../src/settingsSchema');
+const { sanitizeBlockedList } = require('../src/blocklist');
+
+// Startup steps as settingsStore.js runs them
+const upgrade = (stored) => {
+  const { data } = migrateSettings(stored);
+  return applySettingsDefaults(resetSections(data, findInvalidSections(data).map(({ section }) => section)));
+};
+
+test('settings from before profiles and schema versions are migrated in order', () => {
+  const { data, applied } = migrateSettings({
+    enabled: false,
+    blocked_artists: ['Adele'],
+    reverse_mode: true,
+    stats_total_blocks: 12,
+    stats_total_blocks_artist: 10,
+    stats_total_blocks_rule: 2
+  });
+  assert.deepEqual(applied, [1, 2, 3]);
+  assert.equal(data.schema_version, SCHEMA_VERSION);
+  assert.equal(data.enabled, false);
+  assert.equal(data.blocked_artists, undefined);
+  assert.deepEqual(data.profiles.default.settings.blocked_artists, ['adele']);
+  assert.equal(data.profiles.default.settings.reverse_mode, true);
+  assert.equal(data.active_profile, 'default');
+  assert.deepEqual(data.stats_total, { total: 12, artist: 10, rule: 2 });
+  assert.equal(data.stats_total_blocks, undefined);
+
+  assert.deepEqual(migrateSettings(data).applied, []);
+});
+
+test('saved artists and songs are re-normalized', () => {
+  const { data, applied } = migrateSettings({
+    schema_version: 2,
+    normalization_version: 1,
+    profiles: {
+      default: { name: 'Default', settings: { blocked_artists: ['Beyonc\u00e9', 'beyonce', '\uFF34aylor Swift'], blocked_tracks: [{ artist: 'Sia', track: 'Don\u2019t' }] } },
+      empty: { name: 'Empty', settings: {} }
+    }
+  });
+  assert.deepEqual(applied, [3]);
+  assert.equal(data.normalization_version, undefined);
+  assert.deepEqual(data.profiles.default.settings.blocked_artists, ['beyonce', 'taylor swift']);
+  assert.deepEqual(data.profiles.default.settings.blocked_tracks, [{ artist: 'sia', track: "don't" }]);
+  assert.deepEqual(data.profiles.empty.settings, {});
+});
+
+test('settings saved by a newer version are left alone', () => {
+  const stored = { schema_version: SCHEMA_VERSION + 1, stats_total_blocks: 3 };
+  const { data, applied, newer } = migrateSettings(stored);
+  assert.equal(newer, true);
+  assert.deepEqual(applied, []);
+  assert.equal(data, stored);
+});
+
+test('a fresh install gets the default settings and a valid file', () => {
+  const settings = upgrade({});
+  assert.deepEqual(validateSchema(settings, require('../src/settings.schema.json')), []);
+  // Saved normalized, like every added artist
+  assert.deepEqual(settings.profiles.default.settings.blocked_artists, sanitizeBlockedList(DEFAULT_SETTINGS.blocked_artists));
+  assert.equal(settings.stats_total.total, 0);
+  assert.equal(settings.enabled, true);
+});
+
+test('only the invalid sections of the settings are reset', () => {
+  const settings = upgrade({
+    schema_version: SCHEMA_VERSION,
+    enabled: 'yes',
+    dry_run: true,
+    active_profile: 'gym',
+    profiles: {
+      default: { name: 'Default', settings: { blocked_artists: ['Adele'], skip_explicit: 'sometimes' } },
+      gym: { name: '', settings: { blocked_artists: 'Drake', blocked_tracks: [{ track: 'hello' }] } },
+      broken: 42
+    },
+    stats_total: { total: -1 },
+    spotify_refresh_token: 'token'
+  });
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.dry_run, true);
+  assert.deepEqual(settings.profiles.default.settings.blocked_artists, ['Adele']);
+  assert.equal(settings.profiles.default.settings.skip_explicit, false);
+  assert.equal(settings.profiles.gym.name, 'gym');
+  assert.deepEqual(settings.profiles.gym.settings.blocked_artists, DEFAULT_SETTINGS.blocked_artists);
+  assert.deepEqual(settings.profiles.gym.settings.blocked_tracks, [{ track: 'hello' }]);
+  assert.equal(settings.profiles.broken, undefined);
+  assert.equal(settings.active_profile, 'gym');
+  assert.equal(settings.stats_total.total, 0);
+  assert.equal(settings.spotify_refresh_token, 'token');
+});
+
+test('validation reports the path of each problem', () => {
+  const errors = findInvalidSections({ profiles: { work: { name: 'Work', settings: { blocked_tracks: ['hello'] }, color: 'red' } } });
+  assert.deepEqual(errors.map(({ section }) => section.join('.')), ['profiles.work.settings.blocked_tracks', 'profiles.work.color']);
+  assert.match(errors[0].message, /blocked_tracks\.0 should be object/);
+});
+
+test('exports are versioned and older exports are migrated on import', () => {
+  assert.deepEqual(migrateExport({ version: '1.0', artists: ['Adele'] }), { valid: true, data: { version: EXPORT_VERSION, artists: ['Adele'] } });
+  assert.equal(migrateExport({ artists: [] }).data.version, EXPORT_VERSION);
+  assert.equal(migrateExport({ version: EXPORT_VERSION }).valid, true);
+  assert.match(migrateExport({ version: EXPORT_VERSION + 1 }).error, /newer version/);
+  assert.equal(migrateExport({ version: 'banana' }).valid, false);
+  assert.equal(migrateExport(null).valid, false);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_TEST_LINES, readTestTrack, parseTestLine, parseTestList } = require('../src/trackTester');
+
+test('tester fields are read into a track', () => {
+  assert.deepEqual(readTestTrack({ artists: ' Adele, , Drake ', track: ' Hello ', explicit: true, durationMs: '215000', source: 'spotify' }), {
+    artists: ['Adele', 'Drake'],
+    track: 'Hello',
+    album: '',
+    composer: '',
+    explicit: true,
+    durationMs: 215000,
+    source: 'spotify'
+  });
+  const empty = readTestTrack({ artists: ['Tyler, The Creator', 3], durationMs: -1, source: 'radio' });
+  assert.deepEqual(empty.artists, ['Tyler, The Creator']);
+  assert.equal(empty.explicit, null);
+  assert.equal(empty.durationMs, null);
+  assert.equal(empty.source, null);
+});
+
+test('pasted lines are read as "Artist - Title"', () => {
+  assert.deepEqual(parseTestLine('Jay-Z, Kanye West – Otis'), { artists: ['Jay-Z', 'Kanye West'], track: 'Otis' });
+  assert.deepEqual(parseTestLine('Perfect (Live)'), { artists: [], track: 'Perfect (Live)' });
+  assert.deepEqual(parseTestLine('Sia - Chandelier - Piano Version'), { artists: ['Sia'], track: 'Chandelier - Piano Version' });
+  assert.deepEqual(parseTestLine('"Song - Live"'), { artists: [], track: 'Song - Live' });
+});
+
+test('a pasted list skips blank lines, stops at the limit and carries the source', () => {
+  const tracks = parseTestList('Adele - Hello\r\n\n  \nIntro\n', { source: 'apple-music' });
+  assert.deepEqual(tracks.map(({ artists, track, source }) => ({ artists, track, source })), [
+    { artists: ['Adele'], track: 'Hello', source: 'apple-music' },
+    { artists: [], track: 'Intro', source: 'apple-music' }
+  ]);
+  assert.equal(parseTestList('x\n'.repeat(MAX_TEST_LINES + 5)).length, MAX_TEST_LINES);
+  assert.deepEqual(parseTestList(undefined), []);
+});